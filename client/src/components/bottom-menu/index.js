@@ -6,6 +6,8 @@ import {bindActionCreators} from 'redux';
 import {toggleInventoryMenu} from '../inventory-menu/actions';
 import {togglePlayersMenu} from '../players-menu/actions';
 import {toggleStatsMenu} from '../stats-menu/actions';
+import {toggleMailMenu} from '../mail-menu/actions';
+import {toggleLeaderboardMenu} from '../leaderboard-menu/actions';
 import {newCommand} from '../game/actions';
 import {clearEvents, newEvent} from '../events/actions';
 
@@ -25,6 +27,8 @@ import Inventory from 'material-ui/svg-icons/image/grid-on';
 import Players from 'material-ui/svg-icons/social/people';
 import Star from 'material-ui/svg-icons/toggle/star';
 import Location from 'material-ui/svg-icons/communication/location-on';
+import Mail from 'material-ui/svg-icons/communication/mail-outline';
+import Leaderboard from 'material-ui/svg-icons/action/assessment';
 
 class BottomMenu extends React.Component {
     constructor(props) {
@@ -93,6 +97,16 @@ class BottomMenu extends React.Component {
                         icon={<Players/>}
                         onClick={this.props.togglePlayersMenu}
                     />
+                    <BottomNavigationItem
+                        label={this.props.unreadMail ? `Mail (${this.props.unreadMail})` : 'Mail'}
+                        icon={<Mail/>}
+                        onClick={this.props.toggleMailMenu}
+                    />
+                    <BottomNavigationItem
+                        label="Leaderboards"
+                        icon={<Leaderboard/>}
+                        onClick={this.props.toggleLeaderboardMenu}
+                    />
                 </BottomNavigation>
             </Paper>
         );
@@ -104,6 +118,8 @@ function mapActionsToProps(dispatch) {
         toggleInventoryMenu,
         togglePlayersMenu,
         toggleStatsMenu,
+        toggleMailMenu,
+        toggleLeaderboardMenu,
         clearEvents,
         newEvent,
     }, dispatch);
@@ -114,6 +130,7 @@ function mapStateToProps(state) {
         structures: state.character ? [
             ...state.game.maps[state.character.location.map].buildings,
         ] : null,
+        unreadMail: state.mailmenu.unread,
     };
 }
 
@@ -1,9 +1,61 @@
 import React from 'react';
 import {connect} from 'react-redux';
 
+// the number of messages shown in the selected tab
+const VISIBLE_MESSAGES = 10;
+
 class Chat extends React.Component {
     constructor(props) {
         super(props);
+
+        this.state = {
+            tab: 'all',
+        };
+    }
+
+    getTab(message) {
+        switch (message.type) {
+            case 'channel':
+                return `#${message.channel}`;
+
+            case 'whisper-in':
+            case 'whisper-out':
+                return 'whisper';
+
+            case 'emote':
+                return 'local';
+        }
+
+        return message.type;
+    }
+
+    renderTabs() {
+        const tabs = ['all'];
+
+        this.props.chat.forEach((message) => {
+            const tab = this.getTab(message);
+
+            if (!tabs.includes(tab)) {
+                tabs.push(tab);
+            }
+        });
+
+        // only show the tabs, when there is something to choose between
+        if (tabs.length < 3) {
+            return null;
+        }
+
+        return <ul className="c-chat__tabs">
+            {
+                tabs.map((tab) => <li
+                    key={tab}
+                    className={this.state.tab === tab ? '--selected' : ''}
+                    onClick={() => this.setState({tab})}
+                >
+                    {tab}
+                </li>)
+            }
+        </ul>;
     }
 
     renderChatMessage(message, index) {
@@ -30,6 +82,24 @@ class Chat extends React.Component {
             case 'faction':
                 prefix = '[Faction] ';
                 break;
+
+            case 'party':
+                prefix = '[Party] ';
+                break;
+
+            case 'channel':
+                prefix = `[${message.channel}]`;
+                break;
+        }
+
+        // emotes are the full third-person text, eg. "Bob waves at you."
+        if (message.type === 'emote') {
+            return <li
+                key={index}
+                className="--emote"
+            >
+                <em>* {message.message}</em>
+            </li>;
         }
 
         // if there is no sender, assume its from the Game itself
@@ -46,13 +116,23 @@ class Chat extends React.Component {
     }
 
     render() {
+        if (!this.props.chat) {
+            return null;
+        }
+
+        const messages = this.props.chat
+            .filter((message) => this.state.tab === 'all' || this.getTab(message) === this.state.tab)
+            .slice(-VISIBLE_MESSAGES);
+
         return (
-            <ul className="c-chat">
-                {
-                    this.props.chat &&
-                    this.props.chat.map((message, index) => this.renderChatMessage(message, index))
-                }
-            </ul>
+            <div>
+                {this.renderTabs()}
+                <ul className="c-chat">
+                    {
+                        messages.map((message, index) => this.renderChatMessage(message, index))
+                    }
+                </ul>
+            </div>
         );
     }
 }
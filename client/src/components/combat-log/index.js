@@ -0,0 +1,84 @@
+import React from 'react';
+import {connect} from 'react-redux';
+
+// UI
+import Paper from 'material-ui/Paper';
+import LinearProgress from 'material-ui/LinearProgress';
+
+class CombatLog extends React.Component {
+    componentDidUpdate(prevProps) {
+        const elem = document.getElementsByClassName('c-game__combat')[0];
+        elem.scrollTop = elem.scrollHeight;
+    }
+
+    getName(participant, subject) {
+        if (participant.id !== this.props.character.user_id) {
+            return participant.name;
+        }
+
+        return subject ? 'You' : 'you';
+    }
+
+    renderEvent(event, index) {
+        const attacker = this.getName(event.attacker, true);
+        const target = this.getName(event.target, false);
+
+        if (!event.hit) {
+            return <p key={index}>{attacker} missed {target} ({event.weapon}).</p>;
+        }
+
+        const details = [];
+
+        if (event.critical) {
+            details.push('critical');
+        }
+
+        if (event.damageBlocked) {
+            details.push(`${event.damageBlocked} blocked, armor ${event.armorRuined ? 'ruined' : `at ${event.durabilityLeft}`}`);
+        }
+
+        return <p key={index} className={event.killed ? 'alert-danger' : ''}>
+            {attacker} hit {target} ({event.weapon}) for {event.damageDealt}
+            {details.length > 0 && ` (${details.join(', ')})`}
+            {event.killed && `, ${target} went down`}.
+        </p>;
+    }
+
+    render() {
+        const target = this.props.combat.target;
+
+        return (
+            <Paper
+                zDepth={1}
+                rounded={true}
+                className="c-game__combat e-padding"
+            >
+                <strong className="infoheader">Combat Log</strong>
+                {
+                    target &&
+                    <div className="c-combat__target">
+                        <p>{this.getName(target, true)}: {target.health}/{target.health_max}</p>
+                        <LinearProgress
+                            mode="determinate"
+                            max={target.health_max}
+                            value={Math.min(target.health, target.health_max)}
+                            color={target.health > target.health_max * 0.3 ? '#4CAF50' : '#F44336'}
+                        />
+                    </div>
+                }
+                {
+                    this.props.combat.log.map((event, index) => this.renderEvent(event, index))
+                }
+            </Paper>
+        );
+    }
+}
+
+function mapStateToProps(state) {
+    return {
+        combat: {...state.combat},
+        character: state.character ? {...state.character} : null,
+    };
+}
+
+export default connect(mapStateToProps)(CombatLog);
@@ -0,0 +1,26 @@
+import {COMBAT_EVENT} from '../../../../server/shared/types';
+import {ACCOUNT_LOGOUT} from '../auth/types';
+
+// the number of combat events kept in the log
+const LOG_LIMIT = 50;
+
+const defaultState = {
+    log: [],
+    target: null,
+};
+
+export default function(state = defaultState, action) {
+    switch (action.type) {
+        case COMBAT_EVENT:
+            return {
+                ...state,
+                log: [...state.log, action.payload].slice(-LOG_LIMIT),
+                target: action.payload.target,
+            };
+
+        case ACCOUNT_LOGOUT:
+            return defaultState;
+    }
+
+    return state;
+}
@@ -94,15 +94,30 @@ class Events extends React.Component {
         return commands.sort().map((command) => {
             let commandObj = this.props.commandlist[command];
 
-            return <p key={command}>
-                <strong>{command}</strong>:&nbsp;
-                {commandObj.description}&nbsp;
+            return <div key={command}>
+                <p>
+                    <strong>{commandObj.syntax || command}</strong>:&nbsp;
+                    {commandObj.description}&nbsp;
+                    {
+                        commandObj.aliases &&
+                        commandObj.aliases.length > 0 &&
+                        <strong>(aliases: {commandObj.aliases.join(', ')})</strong>
+                    }
+                </p>
                 {
-                    commandObj.aliases &&
-                    commandObj.aliases.length > 0 &&
-                    <strong>(aliases: {commandObj.aliases.join(', ')})</strong>
+                    commandObj.params &&
+                    commandObj.params.map((param) =>
+                        <p key={param.name} className="event-param">
+                            <i>{param.name}{!param.required && ' (optional)'}</i>: {param.desc}
+                            {
+                                param.constraints &&
+                                param.constraints.length > 0 &&
+                                ` (${param.constraints.join(', ')})`
+                            }
+                        </p>
+                    )
                 }
-            </p>;
+            </div>;
         });
     }
 
@@ -15,7 +15,10 @@ import {moveCharacter} from '../character/actions';
 import InventoryMenu from '../inventory-menu';
 import PlayersMenu from '../players-menu';
 import StatsMenu from '../stats-menu';
+import MailMenu from '../mail-menu';
+import LeaderboardMenu from '../leaderboard-menu';
 import Chat from '../chat';
+import CombatLog from '../combat-log';
 
 // UI
 import Paper from 'material-ui/Paper';
@@ -157,6 +160,7 @@ class Game extends React.Component {
                     </Paper>
                 </div>
                 <Events />
+                <CombatLog />
                 <div className="c-game_command">
                     <AutoComplete
                         ref={(e) => this.$autocomplete = e}
@@ -201,6 +205,8 @@ class Game extends React.Component {
                 <InventoryMenu sendCommand={this.sendCommand} sendAction={this.sendAction} />
                 <PlayersMenu sendCommand={this.sendCommand} setCommand={this.setCommand} />
                 <StatsMenu />
+                <MailMenu sendCommand={this.sendCommand} sendAction={this.sendAction} setCommand={this.setCommand} />
+                <LeaderboardMenu sendAction={this.sendAction} />
                 <Shop sendAction={this.sendAction} />
 
                 <Dialog
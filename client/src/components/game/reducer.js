@@ -52,9 +52,9 @@ export default function(state = defaultState, action) {
             let chat = [...state.chat];
             chat.push(action.payload);
 
-            const length = chat.length - 1;
-            if (chat.length > 10) {
-                chat = chat.slice(length - 10);
+            // keep enough messages, for the chat tabs to show the latest messages of each
+            if (chat.length > 50) {
+                chat = chat.slice(chat.length - 50);
             }
 
             return {
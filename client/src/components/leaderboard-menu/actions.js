@@ -0,0 +1,16 @@
+import {LEADERBOARD_MENU_TOGGLE} from './types';
+import {LEADERBOARD_GET} from '../../../../server/shared/types';
+
+export function toggleLeaderboardMenu() {
+    return {
+        type: LEADERBOARD_MENU_TOGGLE,
+        payload: null,
+    };
+}
+
+export function getLeaderboard(statistic) {
+    return {
+        type: LEADERBOARD_GET,
+        payload: {statistic},
+    };
+}
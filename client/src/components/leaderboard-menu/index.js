@@ -0,0 +1,93 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import {bindActionCreators} from 'redux';
+
+// actions
+import {toggleLeaderboardMenu, getLeaderboard} from './actions';
+
+// UI
+import Drawer from 'material-ui/Drawer';
+import AppBar from 'material-ui/AppBar';
+import SelectField from 'material-ui/SelectField';
+import MenuItem from 'material-ui/MenuItem';
+import {ListItem} from 'material-ui/List';
+import IconButton from 'material-ui/IconButton';
+import NavigationClose from 'material-ui/svg-icons/navigation/close';
+
+class LeaderboardMenu extends React.Component {
+    componentWillReceiveProps(nextProps) {
+        // fetch the leaderboard whenever the menu is opened
+        if (nextProps.open && !this.props.open) {
+            this.props.sendAction(getLeaderboard(this.props.statistic));
+        }
+    }
+
+    render() {
+        return (
+            <Drawer
+                width={300}
+                openSecondary={true}
+                open={this.props.open}
+                docked={false}
+                onRequestChange={this.props.toggleLeaderboardMenu}
+            >
+                <AppBar
+                    title="Leaderboards"
+                    iconElementLeft={
+                        <IconButton onClick={this.props.toggleLeaderboardMenu}>
+                            <NavigationClose />
+                        </IconButton>
+                    }
+                />
+                <div className="e-padding">
+                    <SelectField
+                        floatingLabelText="Statistic"
+                        value={this.props.statistic}
+                        onChange={(event, index, statistic) => this.props.sendAction(getLeaderboard(statistic))}
+                        fullWidth={true}
+                    >
+                        {
+                            Object.keys(this.props.statistics).map((statistic) =>
+                                <MenuItem key={statistic} value={statistic} primaryText={this.props.statistics[statistic]} />
+                            )
+                        }
+                    </SelectField>
+                </div>
+                {
+                    this.props.leaderboard.map((entry, index) => <ListItem
+                        key={entry.name}
+                        primaryText={`${index + 1}. ${entry.name}`}
+                        secondaryText={`${entry.value}`}
+                        disabled={true}
+                        style={{fontSize: '14px'}}
+                    />)
+                }
+                {
+                    !this.props.leaderboard.length &&
+                    <ListItem
+                        primaryText="No one is on this leaderboard yet"
+                        disabled={true}
+                        style={{fontSize: '14px'}}
+                    />
+                }
+            </Drawer>
+        );
+    }
+}
+
+function mapStateToProps(state) {
+    return {
+        open: state.leaderboardmenu.open,
+        statistic: state.leaderboardmenu.statistic,
+        statistics: {...state.leaderboardmenu.statistics},
+        leaderboard: [...state.leaderboardmenu.leaderboard],
+    };
+}
+
+function mapActionsToProps(dispatch) {
+    return bindActionCreators({
+        toggleLeaderboardMenu,
+    }, dispatch);
+}
+
+export default connect(mapStateToProps, mapActionsToProps)(LeaderboardMenu);
@@ -0,0 +1,46 @@
+import {LEADERBOARD_MENU_TOGGLE} from './types';
+import {LEADERBOARD} from '../../../../server/shared/types';
+import {ACCOUNT_LOGOUT} from '../auth/types';
+import {INVENTORY_MENU_TOGGLE} from '../inventory-menu/types';
+import {PLAYERS_MENU_TOGGLE} from '../players-menu/types';
+import {STATS_MENU_TOGGLE} from '../stats-menu/types';
+import {MAIL_MENU_TOGGLE} from '../mail-menu/types';
+
+const defaultState = {
+    open: false,
+    statistic: 'player_kills',
+    statistics: {},
+    leaderboard: [],
+};
+
+export default function(state = defaultState, action) {
+    switch (action.type) {
+        case LEADERBOARD_MENU_TOGGLE:
+            return {
+                ...state,
+                open: !state.open,
+            };
+
+        case INVENTORY_MENU_TOGGLE:
+        case PLAYERS_MENU_TOGGLE:
+        case STATS_MENU_TOGGLE:
+        case MAIL_MENU_TOGGLE:
+            return {
+                ...state,
+                open: false,
+            };
+
+        case LEADERBOARD:
+            return {
+                ...state,
+                statistic: action.payload.statistic,
+                statistics: action.payload.statistics,
+                leaderboard: action.payload.leaderboard,
+            };
+
+        case ACCOUNT_LOGOUT:
+            return defaultState;
+    }
+
+    return state;
+}
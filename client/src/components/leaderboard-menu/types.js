@@ -0,0 +1 @@
+export const LEADERBOARD_MENU_TOGGLE = 'LEADERBOARD_MENU_TOGGLE';
@@ -34,11 +34,29 @@ class PlayerMap extends React.Component {
         const hasItems = location.items.length ? true : false;
         const hasStructures = location.structures.length ? true : false;
         const hasNPCs = location.npcs.length ? true : false;
+        const gameMap = this.props.maps[this.props.character.location.map];
+        const isSafeZone = (gameMap.safezones || []).some((tile) => {
+            return tile.x === this.props.character.location.x && tile.y === this.props.character.location.y;
+        });
+        const faction = this.props.character.faction;
+        const beacons = (faction && faction.beacons || []).filter((beacon) => beacon.expires > Date.now());
 
         return (
             <React.Fragment>
-                <strong>Location:</strong> {this.props.maps[this.props.character.location.map].name}<br />
+                <strong>Location:</strong> {gameMap.name}<br />
                 <strong>Compass:</strong> North {this.props.character.location.y} / East {this.props.character.location.x}<br/>
+                {
+                    isSafeZone &&
+                    <React.Fragment>
+                        <strong>Safe Zone:</strong> No one can take aim at anyone here.<br/>
+                    </React.Fragment>
+                }
+                {
+                    this.props.character.protected &&
+                    <React.Fragment>
+                        <strong>Protected:</strong> You are under new player protection, other players cannot take aim at you.<br/>
+                    </React.Fragment>
+                }
                 "{location.description}"<br/>
                 <div className="c-game__event-divider" />
                 {
@@ -87,6 +105,27 @@ class PlayerMap extends React.Component {
                         </p>
                     </React.Fragment>
                 }
+                {
+                    beacons.length > 0 &&
+                    <React.Fragment>
+                        <strong className="infoheader">Faction Beacons</strong>
+                        <p>
+                            {
+                                beacons.map((beacon, index) =>
+                                    <React.Fragment key={beacon.user_id}>
+                                        {
+                                            index !== 0 &&
+                                            <span>, </span>
+                                        }
+                                        <span>
+                                            {beacon.name} at {this.props.maps[beacon.map] ? this.props.maps[beacon.map].name : beacon.map}, North {beacon.y} / East {beacon.x}
+                                        </span>
+                                    </React.Fragment>
+                                )
+                            }
+                        </p>
+                    </React.Fragment>
+                }
                 {
                     hasNPCs &&
                     <React.Fragment>
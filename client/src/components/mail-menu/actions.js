@@ -0,0 +1,16 @@
+import {MAIL_MENU_TOGGLE} from './types';
+import {MAIL_GET_INBOX} from '../../../../server/shared/types';
+
+export function toggleMailMenu() {
+    return {
+        type: MAIL_MENU_TOGGLE,
+        payload: null,
+    };
+}
+
+export function getInbox() {
+    return {
+        type: MAIL_GET_INBOX,
+        payload: {},
+    };
+}
@@ -0,0 +1,156 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import {bindActionCreators} from 'redux';
+
+// actions
+import {toggleMailMenu, getInbox} from './actions';
+
+// UI
+import Drawer from 'material-ui/Drawer';
+import Subheader from 'material-ui/Subheader';
+import Divider from 'material-ui/Divider';
+import AppBar from 'material-ui/AppBar';
+import {ListItem} from 'material-ui/List';
+import IconButton from 'material-ui/IconButton';
+import RaisedButton from 'material-ui/RaisedButton';
+import NavigationClose from 'material-ui/svg-icons/navigation/close';
+import NavigationBack from 'material-ui/svg-icons/navigation/last-page';
+
+class MailMenu extends React.Component {
+    constructor(props) {
+        super(props);
+
+        this.state = {
+            open: false,
+            mail: null,
+        };
+    }
+
+    componentWillReceiveProps(nextProps) {
+        // fetch the inbox whenever the menu is opened
+        if (nextProps.open && !this.props.open) {
+            this.props.sendAction(getInbox());
+        }
+    }
+
+    readMail(mail) {
+        this.setState({open: true, mail});
+
+        if (!mail.read) {
+            this.props.sendCommand(`/mail read ${mail.number}`);
+        }
+    }
+
+    deleteMail() {
+        this.props.sendCommand(`/mail delete ${this.state.mail.number}`);
+        this.setState({open: false, mail: null});
+    }
+
+    render() {
+        const styles = {
+            info: {
+                fontSize: '14px',
+                padding: '7px 16px',
+                margin: '0px',
+                whiteSpace: 'pre-wrap',
+            },
+        };
+
+        return (
+            <React.Fragment>
+                <Drawer
+                    width={300}
+                    openSecondary={true}
+                    open={this.props.open}
+                    docked={false}
+                    onRequestChange={this.props.toggleMailMenu}
+                >
+                    <AppBar
+                        title={`Inbox (${this.props.unread} unread)`}
+                        iconElementLeft={
+                            <IconButton onClick={this.props.toggleMailMenu}>
+                                <NavigationClose />
+                            </IconButton>
+                        }
+                    />
+                    {
+                        this.props.mails.map((mail) => <ListItem
+                            key={mail.number}
+                            onClick={() => this.readMail(mail)}
+                            primaryText={mail.read ? mail.subject : <strong>{mail.subject}</strong>}
+                            secondaryText={`${mail.from}, ${mail.date}`}
+                            style={{fontSize: '14px'}}
+                        />)
+                    }
+                    {
+                        !this.props.mails.length &&
+                        <ListItem
+                            primaryText="Your inbox is empty"
+                            secondaryText="Send mail with /mail send <name> <subject> | <message>"
+                            secondaryTextLines={2}
+                            disabled={true}
+                            style={{fontSize: '14px'}}
+                        />
+                    }
+                </Drawer>
+                <Drawer
+                    width={325}
+                    openSecondary={true}
+                    open={this.state.open}
+                    docked={false}
+                    onRequestChange={() => {
+                        this.setState({open: false});
+                    }}
+                >
+                    {
+                        this.state.mail &&
+                        <React.Fragment>
+                            <AppBar
+                                title={this.state.mail.subject}
+                                showMenuIconButton={false}
+                                iconElementRight={
+                                    <IconButton onClick={() => {
+                                        this.setState({open: false});
+                                    }}>
+                                        <NavigationBack />
+                                    </IconButton>
+                                }
+                            />
+                            <Subheader>From {this.state.mail.from}, {this.state.mail.date}</Subheader>
+                            <p style={styles.info}>{this.state.mail.body}</p>
+                            <Divider/>
+                            <div className="c-item-actions">
+                                <RaisedButton
+                                    label="Reply"
+                                    primary={true}
+                                    onClick={() => {
+                                        this.setState({open: false});
+                                        this.props.toggleMailMenu();
+                                        this.props.setCommand(`/mail send ${this.state.mail.from} Re: ${this.state.mail.subject} | `);
+                                    }}
+                                />
+                                <RaisedButton label="Delete" onClick={this.deleteMail.bind(this)}/>
+                            </div>
+                        </React.Fragment>
+                    }
+                </Drawer>
+            </React.Fragment>
+        );
+    }
+}
+
+function mapStateToProps(state) {
+    return {
+        open: state.mailmenu.open,
+        unread: state.mailmenu.unread,
+        mails: [...state.mailmenu.mails],
+    };
+}
+
+function mapActionsToProps(dispatch) {
+    return bindActionCreators({
+        toggleMailMenu,
+    }, dispatch);
+}
+
+export default connect(mapStateToProps, mapActionsToProps)(MailMenu);
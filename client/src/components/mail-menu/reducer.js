@@ -0,0 +1,56 @@
+import {MAIL_MENU_TOGGLE} from './types';
+import {MAIL_INBOX, MAIL_UNREAD} from '../../../../server/shared/types';
+import {ACCOUNT_LOGOUT, ACCOUNT_AUTHENTICATE_SUCCESS} from '../auth/types';
+import {INVENTORY_MENU_TOGGLE} from '../inventory-menu/types';
+import {PLAYERS_MENU_TOGGLE} from '../players-menu/types';
+import {STATS_MENU_TOGGLE} from '../stats-menu/types';
+import {LEADERBOARD_MENU_TOGGLE} from '../leaderboard-menu/types';
+
+const defaultState = {
+    open: false,
+    unread: 0,
+    mails: [],
+};
+
+export default function(state = defaultState, action) {
+    switch (action.type) {
+        case MAIL_MENU_TOGGLE:
+            return {
+                ...state,
+                open: !state.open,
+            };
+
+        case INVENTORY_MENU_TOGGLE:
+        case PLAYERS_MENU_TOGGLE:
+        case STATS_MENU_TOGGLE:
+        case LEADERBOARD_MENU_TOGGLE:
+            return {
+                ...state,
+                open: false,
+            };
+
+        case ACCOUNT_AUTHENTICATE_SUCCESS:
+            return {
+                ...state,
+                unread: action.payload.mail ? action.payload.mail.unread : 0,
+            };
+
+        case MAIL_UNREAD:
+            return {
+                ...state,
+                unread: action.payload.unread,
+            };
+
+        case MAIL_INBOX:
+            return {
+                ...state,
+                unread: action.payload.unread,
+                mails: action.payload.mails,
+            };
+
+        case ACCOUNT_LOGOUT:
+            return defaultState;
+    }
+
+    return state;
+}
@@ -0,0 +1 @@
+export const MAIL_MENU_TOGGLE = 'MAIL_MENU_TOGGLE';
@@ -1,6 +1,8 @@
 import {PLAYERS_MENU_TOGGLE} from './types';
 import {INVENTORY_MENU_TOGGLE} from '../inventory-menu/types';
 import {STATS_MENU_TOGGLE} from './types';
+import {MAIL_MENU_TOGGLE} from '../mail-menu/types';
+import {LEADERBOARD_MENU_TOGGLE} from '../leaderboard-menu/types';
 
 
 const defaultState = {
@@ -16,6 +18,8 @@ export default function(state = defaultState, action) {
 
         case INVENTORY_MENU_TOGGLE:
         case STATS_MENU_TOGGLE:
+        case MAIL_MENU_TOGGLE:
+        case LEADERBOARD_MENU_TOGGLE:
             return {
                 open: false,
             };
@@ -49,6 +49,20 @@ class StatsMenu extends React.Component {
                 <p style={styles.info}><strong>Health:</strong> {this.props.character.stats.health}/{this.props.character.stats.health_max}</p>
                 <p style={styles.info}><strong>Cash:</strong> {this.props.character.stats.money}</p>
                 <p style={styles.info}><strong>Bank:</strong> {this.props.character.stats.bank}</p>
+                <p style={styles.info}><strong>Wanted Level:</strong> {this.props.character.wanted ? '\u2605'.repeat(this.props.character.wanted) : 'None'}</p>
+                <Divider/>
+                <Subheader>Effects</Subheader>
+                {
+                    (this.props.character.effects || []).map((effect) =>
+                        <p style={styles.info} key={effect.id}>
+                            <strong>{effect.name}{effect.stacks > 1 && ` x${effect.stacks}`}:</strong> {effect.description} ({effect.remaining}s left)
+                        </p>
+                    )
+                }
+                {
+                    !(this.props.character.effects || []).length &&
+                    <p style={styles.info}>None</p>
+                }
                 <Divider/>
                 <Subheader>Abilities</Subheader>
                 {
@@ -1,6 +1,8 @@
 import {STATS_MENU_TOGGLE} from './types';
 import {INVENTORY_MENU_TOGGLE} from '../inventory-menu/types';
 import {PLAYERS_MENU_TOGGLE} from '../players-menu/types';
+import {MAIL_MENU_TOGGLE} from '../mail-menu/types';
+import {LEADERBOARD_MENU_TOGGLE} from '../leaderboard-menu/types';
 
 const defaultState = {
     open: false,
@@ -15,6 +17,8 @@ export default function(state = defaultState, action) {
 
         case INVENTORY_MENU_TOGGLE:
         case PLAYERS_MENU_TOGGLE:
+        case MAIL_MENU_TOGGLE:
+        case LEADERBOARD_MENU_TOGGLE:
             return {
                 open: false,
             };
@@ -13,12 +13,18 @@ import ShopReducer from './components/shop/reducer';
 import InventoryReducer from './components/inventory-menu/reducer';
 import PlayersReducer from './components/players-menu/reducer';
 import StatsReducer from './components/stats-menu/reducer';
+import MailReducer from './components/mail-menu/reducer';
+import LeaderboardReducer from './components/leaderboard-menu/reducer';
+import CombatReducer from './components/combat-log/reducer';
 
 const rootReducer = combineReducers({
     app: AppReducer,
     inventorymenu: InventoryReducer,
     playersmenu: PlayersReducer,
     statsmenu: StatsReducer,
+    mailmenu: MailReducer,
+    leaderboardmenu: LeaderboardReducer,
+    combat: CombatReducer,
     auth: AuthReducer,
     game: GameReducer,
     character: CharacterReducer,
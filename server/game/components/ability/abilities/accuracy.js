@@ -18,11 +18,12 @@ export default class AbilityAccuracy {
 
     /**
      * Will make an accuracy check
-     * @return {Boolean} True on success
+     * @param  {Number}  modifier Added to the accuracy for this check only, eg. -8 when drunk
+     * @return {Boolean}          True on success
      */
-    use() {
+    use(modifier = 0) {
         // round to 1 decimal point
-        const hit = (Math.round((Math.random() * 100) * 10) / 10) <= this.value;
+        const hit = (Math.round((Math.random() * 100) * 10) / 10) <= this.value + modifier;
 
         // if they hit, increase their accuracy
         if (hit) {
@@ -1,3 +1,4 @@
+import Promise from 'bluebird';
 import request from 'superagent';
 
 // account specific imports
@@ -11,6 +12,9 @@ import {
 import AccountModel from './model';
 import Levels from '../../data/levels.json';
 
+// the account roles, ordered from least to most privileged
+const ROLES = ['player', 'moderator', 'admin'];
+
 /**
  * Account manager class
  */
@@ -80,7 +84,7 @@ export default class AccountManager {
             this.Game.socketManager.add(socket);
 
             // game data we will send to the client, with the autentication success
-            const gameData = this.getGameData();
+            const gameData = this.getGameData(socket.user.role);
 
             // attempt to load the character from the database
             this.Game.characterManager.load(socket.user, async (error, character) => {
@@ -110,14 +114,27 @@ export default class AccountManager {
                 // get the list of online players (after we loaded the character to make sure it is included)
                 gameData.players = this.Game.characterManager.getOnline();
 
+                // the recent global, faction and local chat, so the chat is not empty after a (re)connect
+                gameData.chat = this.Game.chatManager.getLoginHistory(character);
+
+                // let them know about mail received while they were offline
+                const unread = await this.Game.mailManager.count(character.user_id, true).catch(() => 0);
+
                 this.Game.socketManager.dispatchToSocket(socket, {
                     type: ACCOUNT_AUTHENTICATE_SUCCESS,
                     payload: {
                         character: character.exportToClient(),
                         gameData,
+                        mail: {
+                            unread,
+                        },
                     },
                 });
 
+                if (unread) {
+                    this.Game.eventToSocket(socket, 'info', `You have ${unread} unread mail(s). Type /mail list to see your inbox.`);
+                }
+
                 // send the welcome after 2 seconds
                 // TODO: Recode this!
                 setTimeout(() => {
@@ -129,19 +146,53 @@ export default class AccountManager {
 
     /**
      * Compiles an object containing all relevant game data for the client
-     * @return {[type]} [description]
+     * @param  {String} role The account role, used to filter the command list
+     * @return {Object}
      */
-    getGameData() {
+    getGameData(role = 'player') {
         // game data we will send to the client, with the autentication success
         return {
             maps: this.Game.mapManager.getList(),
             items: this.Game.itemManager.getTemplates(),
             players: [],
-            commands: this.Game.commandManager.getList(),
+            commands: this.Game.commandManager.getList(role),
             levels: Levels,
         };
     }
 
+    /**
+     * Checks if a role is valid
+     * @param  {String}  role The role to check
+     * @return {Boolean}
+     */
+    isValidRole(role) {
+        return ROLES.includes(role);
+    }
+
+    /**
+     * Checks if the role grants the required permission (role)
+     * @param  {String}  role       The role of the account
+     * @param  {String}  permission The minimum role required
+     * @return {Boolean}
+     */
+    hasPermission(role, permission) {
+        if (!permission) {
+            return true;
+        }
+
+        return Math.max(0, ROLES.indexOf(role)) >= ROLES.indexOf(permission);
+    }
+
+    /**
+     * Checks if the first role outranks the second
+     * @param  {String}  role      The role of the acting account
+     * @param  {String}  otherRole The role of the account acted upon
+     * @return {Boolean}
+     */
+    outranks(role, otherRole) {
+        return Math.max(0, ROLES.indexOf(role)) > Math.max(0, ROLES.indexOf(otherRole));
+    }
+
     /**
      * handles character creation requests from clients
      * @param  {Socket.IO Object} socket The socket the request from made from
@@ -171,7 +222,7 @@ export default class AccountManager {
         // check we have the starting location
         this.Game.mapManager.get(action.payload.location)
             .then((gameMap) => {
-                const gameData = this.getGameData();
+                const gameData = this.getGameData(socket.user.role);
 
                 // create a new character
                 this.Game.characterManager.create(socket.user, gameMap.id, (error, newCharacter) => {
@@ -215,23 +266,9 @@ export default class AccountManager {
      * @param  {Function} callback Returns 2 params, error and account
      */
     dbLogin(action, callback) {
-        request.get('https://api.twitch.tv/helix/users')
-        .send()
-        .set('Authorization', `Bearer ${action.payload.twitch_token}`)
-        .set('Client-ID', this.Game.config.twitch.clientId)
-        .set('accept', 'json')
-        .end((twitchErr, twitchRes) => {
-            if (twitchErr) {
-                this.Game.logger.error('AccountManager::dbLogin (Request)', twitchErr);
-                return callback({
-                    type: 'error',
-                    message: 'Twitch communication error.',
-                });
-            }
-
-            const twitchData = JSON.parse(twitchRes.text).data[0];
-
-            AccountModel.findOne({twitch_id: escape(twitchData.id)}, {_id: 1}, (err, user) => {
+        this.getTwitchUser(action.payload.twitch_token)
+        .then((twitchData) => {
+            AccountModel.findOne({twitch_id: escape(twitchData.id)}, {_id: 1, role: 1, banned: 1, ban_reason: 1}, (err, user) => {
                 if (err) {
                     this.Game.logger.error('AccountManager::dbLogin (Account findOne)', err);
                     return callback({
@@ -246,6 +283,13 @@ export default class AccountManager {
                     });
                 }
 
+                if (user.banned) {
+                    return callback({
+                        type: 'error',
+                        message: `This account has been banned.${user.ban_reason ? ` Reason: ${user.ban_reason}` : ''}`,
+                    });
+                }
+
                 user.display_name = twitchData.display_name;
 
                 user.save((err) => {
@@ -261,9 +305,85 @@ export default class AccountManager {
                         user_id: user._id,
                         display_name: twitchData.display_name,
                         profile_image: twitchData.profile_image_url,
+                        role: user.role,
                     });
                 });
             });
+        })
+        .catch(() => {
+            callback({
+                type: 'error',
+                message: 'Twitch communication error.',
+            });
+        });
+    }
+
+    /**
+     * Fetches the Twitch user the token belongs to
+     * @param  {String} twitch_token The Twitch OAuth token from the client
+     * @return {Promise}             Resolves with the Twitch user data (id, display_name, profile_image_url)
+     */
+    getTwitchUser(twitch_token) {
+        return new Promise((resolve, reject) => {
+            request.get('https://api.twitch.tv/helix/users')
+            .send()
+            .set('Authorization', `Bearer ${twitch_token}`)
+            .set('Client-ID', this.Game.config.twitch.clientId)
+            .set('accept', 'json')
+            .end((twitchErr, twitchRes) => {
+                if (twitchErr) {
+                    this.Game.logger.error('AccountManager::getTwitchUser', twitchErr);
+                    return reject(twitchErr);
+                }
+
+                resolve(JSON.parse(twitchRes.text).data[0]);
+            });
+        });
+    }
+
+    /**
+     * Database method, fetches an account by user ID
+     * @param  {String} user_id The user ID of the account
+     * @return {Promise}
+     */
+    dbGet(user_id) {
+        return new Promise((resolve, reject) => {
+            AccountModel.findOne({_id: user_id}, (err, account) => {
+                if (err) {
+                    this.Game.logger.error('AccountManager::dbGet', err);
+                    return reject('Internal server error.');
+                }
+
+                if (!account) {
+                    return reject('No account found for that character.');
+                }
+
+                resolve(account);
+            });
+        });
+    }
+
+    /**
+     * Database method, updates the moderation details (role, ban) of an account
+     * @param  {String} user_id The user ID of the account
+     * @param  {Object} changes The account properties to update
+     * @return {Promise}
+     */
+    dbUpdate(user_id, changes) {
+        return new Promise((resolve, reject) => {
+            this.dbGet(user_id).then((account) => {
+                Object.assign(account, changes);
+
+                account.save((err) => {
+                    if (err) {
+                        this.Game.logger.error('AccountManager::dbUpdate (Save)', err);
+                        return reject('Internal server error.');
+                    }
+
+                    resolve(account);
+                });
+            })
+            .catch(reject);
         });
     }
 }
@@ -16,6 +16,18 @@ const AccountSchema = new mongoose.Schema({
     session_token: {
         type: String,
     },
+    role: {
+        type: String,
+        enum: ['player', 'moderator', 'admin'],
+        default: 'player',
+    },
+    banned: {
+        type: Boolean,
+        default: false,
+    },
+    ban_reason: {
+        type: String,
+    },
     date_added: String,
     date_updated: String,
 });
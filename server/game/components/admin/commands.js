@@ -0,0 +1,572 @@
+/**
+ * Checks if the staff member outranks the target, throwing the error to show the staff member if not.
+ * @param  {Socket.io Socket} socket The socket of the staff member
+ * @param  {Character}        target The character the command is used on
+ * @param  {String}           role   The role of the target's account
+ * @param  {Game}             Game   The main Game object
+ */
+function checkRank(socket, target, role, Game) {
+    if (socket.user.user_id === target.user_id) {
+        throw new Error('You cannot use that command on yourself.');
+    }
+
+    if (!Game.accountManager.outranks(socket.user.role, role)) {
+        throw new Error(`You cannot use that command on ${target.name}.`);
+    }
+}
+
+/**
+ * Kick command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdKick(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const reason = params[1] || 'No reason given.';
+
+    checkRank(socket, target, target.role, Game);
+
+    return Game.adminManager.disconnect(target.user_id, `You have been kicked from the game by ${character.name}. Reason: ${reason}`)
+        .then(() => {
+            Game.logger.info('AdminCommand::kick', {by: character.user_id, user_id: target.user_id, reason});
+            Game.eventToSocket(socket, 'success', `You kicked ${target.name} from the game.`);
+        }, () => {
+            throw new Error(`Unable to kick ${target.name}, they might have just logged out.`);
+        });
+}
+
+/**
+ * Mute command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdMute(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const minutes = params[1];
+
+    checkRank(socket, target, target.role, Game);
+
+    target.mute(minutes * 60);
+
+    Game.logger.info('AdminCommand::mute', {by: character.user_id, user_id: target.user_id, minutes});
+    Game.eventToUser(target.user_id, 'warning', `You have been muted by ${character.name} for ${minutes} minute(s).`);
+    Game.eventToSocket(socket, 'success', `You muted ${target.name} for ${minutes} minute(s).`);
+}
+
+/**
+ * Unmute command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdUnmute(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+
+    checkRank(socket, target, target.role, Game);
+
+    if (!target.mutedFor()) {
+        return Game.eventToSocket(socket, 'error', `${target.name} is not muted.`);
+    }
+
+    target.unmute();
+
+    Game.logger.info('AdminCommand::unmute', {by: character.user_id, user_id: target.user_id});
+    Game.eventToUser(target.user_id, 'info', `${character.name} has removed your mute.`);
+    Game.eventToSocket(socket, 'success', `You removed the mute from ${target.name}.`);
+}
+
+/**
+ * Ban command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdBan(socket, character, command, params, cmdObject, Game) {
+    const reason = params[1] || 'No reason given.';
+    let target;
+
+    return Game.adminManager.findCharacter(params[0])
+        .then((found) => {
+            target = found;
+            return Game.accountManager.dbGet(target.user_id);
+        })
+        .then((account) => {
+            checkRank(socket, target, account.role, Game);
+
+            return Game.accountManager.dbUpdate(target.user_id, {banned: true, ban_reason: reason})
+                .then(() => {
+                    Game.logger.info('AdminCommand::ban', {by: character.user_id, user_id: target.user_id, reason});
+                    Game.eventToSocket(socket, 'success', `You banned ${target.name}.`);
+
+                    // if they are online, throw them out
+                    if (target.character) {
+                        Game.adminManager.disconnect(target.user_id, `You have been banned by ${character.name}. Reason: ${reason}`)
+                            .catch(() => {});
+                    }
+                });
+        });
+}
+
+/**
+ * Unban command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdUnban(socket, character, command, params, cmdObject, Game) {
+    let target;
+
+    return Game.adminManager.findCharacter(params[0])
+        .then((found) => {
+            target = found;
+            return Game.accountManager.dbGet(target.user_id);
+        })
+        .then((account) => {
+            checkRank(socket, target, account.role, Game);
+
+            return Game.accountManager.dbUpdate(target.user_id, {banned: false, ban_reason: ''})
+                .then(() => {
+                    Game.logger.info('AdminCommand::unban', {by: character.user_id, user_id: target.user_id});
+                    Game.eventToSocket(socket, 'success', `You lifted the ban on ${target.name}.`);
+                });
+        });
+}
+
+/**
+ * Set role command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdSetRole(socket, character, command, params, cmdObject, Game) {
+    const role = params[1].toLowerCase();
+    let target;
+
+    if (!Game.accountManager.isValidRole(role)) {
+        return Game.eventToSocket(socket, 'error', 'Invalid role. Valid roles are: player, moderator and admin.');
+    }
+
+    return Game.adminManager.findCharacter(params[0])
+        .then((found) => {
+            target = found;
+            return Game.accountManager.dbGet(target.user_id);
+        })
+        .then((account) => {
+            checkRank(socket, target, account.role, Game);
+
+            return Game.accountManager.dbUpdate(target.user_id, {role})
+                .then(() => {
+                    // update the role of the online character and socket, if they are online
+                    if (target.character) {
+                        target.character.role = role;
+
+                        Game.socketManager.get(target.user_id)
+                            .then((targetSocket) => {
+                                targetSocket.user.role = role;
+                            })
+                            .catch(() => {});
+
+                        Game.eventToUser(target.user_id, 'info', `Your account role has been changed to ${role}. Log in again to update your command list.`);
+                    }
+
+                    Game.logger.info('AdminCommand::setrole', {by: character.user_id, user_id: target.user_id, role});
+                    Game.eventToSocket(socket, 'success', `${target.name} now has the role ${role}.`);
+                });
+        });
+}
+
+/**
+ * Teleport command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTeleport(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const gameMap = params[1];
+    let x = params[2];
+    let y = params[3];
+
+    // if no coordinates are specified, use the map respawn location
+    if (typeof x !== 'number' || typeof y !== 'number') {
+        x = gameMap.respawn.x;
+        y = gameMap.respawn.y;
+    }
+
+    return Game.mapManager.isValidLocation(gameMap.id, x, y)
+        .then((newLocation) => {
+            return Game.characterManager.teleport(
+                target,
+                newLocation,
+                `${target.name} suddenly vanishes into thin air.`,
+                `${target.name} suddenly appears out of thin air.`
+            ).then(() => {
+                Game.logger.info('AdminCommand::teleport', {by: character.user_id, user_id: target.user_id, location: newLocation});
+
+                if (target.user_id !== character.user_id) {
+                    Game.eventToUser(target.user_id, 'info', `You have been teleported by ${character.name}.`);
+                }
+
+                Game.eventToSocket(socket, 'success', `You teleported ${target.name} to ${gameMap.name} (North ${newLocation.y} / East ${newLocation.x}).`);
+            });
+        }, () => {
+            throw new Error('Invalid location on that map.');
+        });
+}
+
+/**
+ * Spawn item command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdSpawnItem(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const amount = params[2] || 1;
+    const item = Game.itemManager.add(params[1].id);
+
+    // make sure the target has room
+    if (!target.hasRoomForItem(item, amount)) {
+        return Game.eventToSocket(socket, 'error', `${target.name} does not have enough inventory space for ${amount}x of that item.`);
+    }
+
+    target.giveItem(item, amount);
+    Game.characterManager.updateClient(target.user_id, 'inventory');
+
+    Game.logger.info('AdminCommand::spawnitem', {by: character.user_id, user_id: target.user_id, item: item.id, amount});
+    Game.eventToUser(target.user_id, 'info', `You received ${amount}x ${item.name}`);
+
+    if (target.user_id !== character.user_id) {
+        Game.eventToSocket(socket, 'success', `You gave ${target.name} ${amount}x ${item.name}`);
+    }
+}
+
+/**
+ * Set stat command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdSetStat(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const stat = params[1].toLowerCase();
+    const value = params[2];
+
+    // only allow changing existing numeric stats
+    if (typeof target.stats[stat] !== 'number') {
+        const validStats = Object.keys(target.stats).filter((key) => typeof target.stats[key] === 'number');
+        return Game.eventToSocket(socket, 'error', `Invalid stat. Valid stats are: ${validStats.join(', ')}`);
+    }
+
+    target.stats[stat] = value;
+
+    // make sure their health does not exceed their max health
+    target.stats.health = Math.min(target.stats.health, target.stats.health_max);
+
+    Game.characterManager.updateClient(target.user_id, 'stats');
+
+    Game.logger.info('AdminCommand::setstat', {by: character.user_id, user_id: target.user_id, stat, value});
+    Game.eventToSocket(socket, 'success', `You set ${target.name}'s ${stat} to ${target.stats[stat]}.`);
+}
+
+/**
+ * Broadcast command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdBroadcast(socket, character, command, params, cmdObject, Game) {
+    const message = params[0];
+
+    Game.logger.info('AdminCommand::broadcast', {by: character.user_id, message});
+    Game.eventToServer('system', `[Broadcast] ${message}`);
+}
+
+/**
+ * Rate limit command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdRateLimit(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+    const formatCounters = (name, counters) => {
+        return `${name}: ${counters.allowed} allowed, ${counters.delayed} delayed, ${counters.dropped} dropped, ${counters.strikes} strike(s)`;
+    };
+
+    if (target) {
+        const counters = Game.socketManager.getRateLimitCounters().find((obj) => obj.user_id === target.user_id);
+
+        if (!counters) {
+            return Game.eventToSocket(socket, 'error', `${target.name} is not connected.`);
+        }
+
+        return Game.eventToSocket(socket, 'multiline', [formatCounters(target.name, counters)]);
+    }
+
+    // otherwise list the players with the most delayed/dropped actions
+    const offenders = Game.socketManager.getRateLimitCounters()
+        .filter((counters) => counters.delayed || counters.dropped)
+        .sort((a, b) => (b.dropped - a.dropped) || (b.delayed - a.delayed))
+        .slice(0, 10);
+
+    if (!offenders.length) {
+        return Game.eventToSocket(socket, 'info', 'No players are currently being rate limited.');
+    }
+
+    Game.eventToSocket(socket, 'multiline', [
+        'Players being rate limited:',
+    ].concat(offenders.map((counters) => {
+        const player = Game.characterManager.getSync(counters.user_id);
+        return formatCounters(player ? player.name : counters.user_id, counters);
+    })));
+}
+
+module.exports = [
+    {
+        command: '/kick',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player you want to kick.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Reason',
+                desc: 'The reason for the kick, shown to the player.',
+                rules: 'maxlen:200',
+            },
+        ],
+        description: 'Kick a player from the game.',
+        permission: 'moderator',
+        method: cmdKick,
+    },
+    {
+        command: '/mute',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player you want to mute.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Minutes',
+                desc: 'How many minutes the mute lasts.',
+                rules: 'required|integer|min:1|max:10080',
+            },
+        ],
+        description: 'Prevent a player from chatting, for a number of minutes.',
+        permission: 'moderator',
+        method: cmdMute,
+    },
+    {
+        command: '/unmute',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player you want to unmute.',
+                rules: 'required|player',
+            },
+        ],
+        description: 'Remove the mute from a player.',
+        permission: 'moderator',
+        method: cmdUnmute,
+    },
+    {
+        command: '/ban',
+        aliases: [],
+        params: [
+            {
+                name: 'Character',
+                desc: 'The name of the character whos account you want to ban (does not have to be online).',
+                rules: 'required|maxlen:50',
+            },
+            {
+                name: 'Reason',
+                desc: 'The reason for the ban, shown to the player when they try to log in.',
+                rules: 'maxlen:200',
+            },
+        ],
+        description: 'Ban an account from the game.',
+        permission: 'moderator',
+        method: cmdBan,
+    },
+    {
+        command: '/unban',
+        aliases: [],
+        params: [
+            {
+                name: 'Character',
+                desc: 'The name of the character whos account you want to unban.',
+                rules: 'required|maxlen:50',
+            },
+        ],
+        description: 'Lift the ban on an account.',
+        permission: 'moderator',
+        method: cmdUnban,
+    },
+    {
+        command: '/setrole',
+        aliases: [],
+        params: [
+            {
+                name: 'Character',
+                desc: 'The name of the character whos account you want to change the role of.',
+                rules: 'required|maxlen:50',
+            },
+            {
+                name: 'Role',
+                desc: 'The new role of the account (player, moderator or admin).',
+                rules: 'required|alphanum',
+            },
+        ],
+        description: 'Change the role of an account.',
+        permission: 'admin',
+        method: cmdSetRole,
+    },
+    {
+        command: '/teleport',
+        aliases: [
+            '/tp',
+        ],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player you want to teleport.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Map',
+                desc: 'The name of the map to teleport the player to.',
+                rules: 'required|gamemap',
+            },
+            {
+                name: 'X',
+                desc: 'The East coordinate. Defaults to the map respawn location.',
+                rules: 'integer|min:0',
+            },
+            {
+                name: 'Y',
+                desc: 'The North coordinate. Defaults to the map respawn location.',
+                rules: 'integer|min:0',
+            },
+        ],
+        description: 'Teleport a player to a given location.',
+        permission: 'moderator',
+        method: cmdTeleport,
+    },
+    {
+        command: '/spawnitem',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player who should receive the item.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Item ID',
+                desc: 'The item ID of the item to spawn.',
+                rules: 'required|item:id',
+            },
+            {
+                name: 'Amount',
+                desc: 'The amount of the item to spawn.',
+                rules: 'integer|min:1',
+            },
+        ],
+        description: 'Spawns an item in a player\'s inventory.',
+        permission: 'admin',
+        method: cmdSpawnItem,
+    },
+    {
+        command: '/setstat',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player whos stat you want to change.',
+                rules: 'required|player',
+            },
+            {
+                name: 'Stat',
+                desc: 'The stat to change, eg. health, money or exp.',
+                rules: 'required|maxlen:20',
+            },
+            {
+                name: 'Value',
+                desc: 'The new value of the stat.',
+                rules: 'required|integer|min:0',
+            },
+        ],
+        description: 'Change a stat of a player.',
+        permission: 'admin',
+        method: cmdSetStat,
+    },
+    {
+        command: '/broadcast',
+        aliases: [],
+        params: [
+            {
+                name: 'Message',
+                desc: 'The message to send to everyone online.',
+                rules: 'required|minlen:1|maxlen:500',
+            },
+        ],
+        description: 'Send a system message to everyone online.',
+        permission: 'moderator',
+        method: cmdBroadcast,
+    },
+    {
+        command: '/ratelimit',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player whos counters you want to see. Defaults to the players being rate limited.',
+                rules: 'player',
+            },
+        ],
+        description: 'Shows the rate limit counters of the online players.',
+        permission: 'moderator',
+        method: cmdRateLimit,
+    },
+];
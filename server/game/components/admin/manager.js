@@ -0,0 +1,87 @@
+import Promise from 'bluebird';
+
+// manager specific imports
+import adminCommands from './commands';
+
+/**
+ * Admin Manager
+ */
+export default class AdminManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+
+        // log manager progress
+        this.Game.logger.debug('AdminManager::constructor Loaded');
+    }
+
+    /**
+     * Register all the staff commands
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(adminCommands);
+            resolve();
+        });
+    }
+
+    /**
+     * Finds a character by name, online or offline
+     * @param  {String} characterName The name of the character
+     * @return {Promise}              Resolves with {user_id, name, character}, character being null if offline.
+     */
+    findCharacter(characterName) {
+        return new Promise((resolve, reject) => {
+            const character = this.Game.characterManager.getByNameSync(characterName);
+
+            if (character) {
+                return resolve({
+                    user_id: character.user_id,
+                    name: character.name,
+                    character,
+                });
+            }
+
+            this.Game.characterManager.dbGetByName(characterName)
+                .then((dbCharacter) => {
+                    resolve({
+                        user_id: dbCharacter.user_id,
+                        name: dbCharacter.name,
+                        character: null,
+                    });
+                })
+                .catch(() => {
+                    reject(`There is no character by the name ${characterName}.`);
+                });
+        });
+    }
+
+    /**
+     * Saves and removes a character from the game, disconnecting their socket.
+     * @param  {String} user_id The user ID of the account to disconnect
+     * @param  {String} message The message to show the user before they are disconnected
+     * @return {Promise}
+     */
+    disconnect(user_id, message) {
+        return new Promise((resolve, reject) => {
+            this.Game.characterManager.save(user_id)
+                .catch(() => {})
+                .then(() => this.Game.socketManager.get(user_id))
+                .then((socket) => {
+                    this.Game.eventToSocket(socket, 'error', message);
+
+                    // remove the character from the game, and stop tracking the socket
+                    this.Game.socketManager.onDisconnect({...socket.user}, true);
+                    this.Game.socketManager.remove(user_id);
+                    socket.user = null;
+                    socket.disconnect(true);
+                    resolve();
+                })
+                .catch(reject);
+        });
+    }
+}
@@ -0,0 +1,107 @@
+import moment from 'moment';
+
+/**
+ * Finds the user ID and time range used by the audit commands
+ * @param  {Array}  params The validated parameters: Player, From, To
+ * @param  {Game}   Game   The main Game object
+ * @return {Promise}       Resolves with {user_id, name, from, to}
+ */
+function getAuditFilter(params, Game) {
+    // default to the last 24 hours
+    const from = params[1] || moment().subtract(1, 'day').toDate();
+    const to = params[2] || new Date();
+
+    if (params[0] === '*') {
+        return Promise.resolve({user_id: null, name: 'everyone', from, to});
+    }
+
+    return Game.adminManager.findCharacter(params[0])
+        .then((player) => ({user_id: player.user_id, name: player.name, from, to}));
+}
+
+/**
+ * Audit command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdAudit(socket, character, command, params, cmdObject, Game) {
+    return getAuditFilter(params, Game)
+        .then((filter) => {
+            return Game.auditManager.query(filter.user_id, filter.from, filter.to)
+                .then((entries) => {
+                    if (!entries.length) {
+                        return Game.eventToSocket(socket, 'info', `No commands logged for ${filter.name} in that time range.`);
+                    }
+
+                    Game.eventToSocket(socket, 'multiline', [
+                        `Latest ${entries.length} command(s) by ${filter.name}:`,
+                    ].concat(entries.map((entry) => {
+                        const location = entry.location && entry.location.map ? ` @ ${entry.location.map} (${entry.location.x}, ${entry.location.y})` : '';
+                        const message = entry.message ? `: ${entry.message}` : '';
+
+                        return `[${moment(entry.date).format('YYYY-MM-DD HH:mm:ss')}] ${entry.character_name} ${entry.command} ${entry.params.join(' ')}${location} - ${entry.outcome}${message}`;
+                    })));
+                });
+        });
+}
+
+/**
+ * Audit export command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdAuditExport(socket, character, command, params, cmdObject, Game) {
+    return getAuditFilter(params, Game)
+        .then((filter) => {
+            return Game.auditManager.export(filter.user_id, filter.from, filter.to)
+                .then((result) => {
+                    Game.logger.info('AdminCommand::auditexport', {by: character.user_id, user_id: filter.user_id, file: result.file});
+                    Game.eventToSocket(socket, 'success', `Exported ${result.count} command(s) by ${filter.name} to ${result.file}`);
+                });
+        });
+}
+
+const auditParams = [
+    {
+        name: 'Player',
+        desc: 'The name of the player (online or offline), or * for everyone.',
+        rules: 'required|maxlen:50',
+    },
+    {
+        name: 'From',
+        desc: 'The start of the time range. Defaults to 24 hours ago.',
+        rules: 'date',
+    },
+    {
+        name: 'To',
+        desc: 'The end of the time range. Defaults to now.',
+        rules: 'date',
+    },
+];
+
+module.exports = [
+    {
+        command: '/audit',
+        aliases: [],
+        params: auditParams,
+        description: 'Shows the latest commands used by a player.',
+        permission: 'admin',
+        method: cmdAudit,
+    },
+    {
+        command: '/auditexport',
+        aliases: [],
+        params: auditParams,
+        description: 'Exports the commands used by a player to a JSON-lines file on the server.',
+        permission: 'admin',
+        method: cmdAuditExport,
+    },
+];
@@ -0,0 +1,206 @@
+import Promise from 'bluebird';
+import fs from 'fs';
+import path from 'path';
+import moment from 'moment';
+
+// manager specific imports
+import CommandLogModel from './model';
+import auditCommands from './commands';
+import auditRules from './rules';
+
+/**
+ * The default audit settings, used for anything not set in config.game.audit
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    // number of days to keep the log entries. 0 keeps them forever.
+    retentionDays: 30,
+    // directory (relative to the server directory) where exports are written
+    exportDir: 'audit-exports',
+};
+
+/**
+ * What the sensitive command parameters, like passwords, are logged as
+ * @type {String}
+ */
+const SENSITIVE_MASK = '***';
+
+/**
+ * Audit Manager
+ */
+export default class AuditManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.audit,
+        };
+
+        // log manager progress
+        this.Game.logger.debug('AuditManager::constructor Loaded');
+    }
+
+    /**
+     * Register the audit commands and rules
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(auditCommands);
+            this.Game.commandManager.registerRules(auditRules);
+            resolve();
+        });
+    }
+
+    /**
+     * Turns the validated command parameters into short, readable strings, masking the sensitive ones
+     * @param  {Array} params      The (validated) parameters
+     * @param  {Array} definitions The parameter definitions of the command
+     * @return {Array}             List of strings
+     */
+    summarizeParams(params, definitions = []) {
+        return (params || []).map((param, index) => {
+            // unvalidated params are not joined yet, so the words past the last definition belong to it
+            const definition = definitions[Math.min(index, definitions.length - 1)] || {};
+            const sensitive = typeof definition.sensitive === 'function' ? definition.sensitive(params) : definition.sensitive;
+
+            if (sensitive && param) {
+                return SENSITIVE_MASK;
+            }
+
+            if (param && typeof param === 'object') {
+                return `${param.name || param.id || JSON.stringify(param)}`.substring(0, 100);
+            }
+
+            return `${param}`.substring(0, 100);
+        });
+    }
+
+    /**
+     * Records a command in the audit log
+     * @param  {Socket.IO Socket} socket    The socket who dispatched the command
+     * @param  {Character}        character The character executing the command
+     * @param  {Object}           command   The command object, eg. the one of /give
+     * @param  {Array}            params    The (validated) command parameters
+     * @param  {String}           outcome   success, invalid, denied or error
+     * @param  {String}           message   The error message, if any
+     */
+    log(socket, character, command, params, outcome, message = '') {
+        if (!this.settings.enabled) {
+            return;
+        }
+
+        const entry = new CommandLogModel({
+            user_id: socket.user.user_id,
+            character_name: character ? character.name : '',
+            command: command.command,
+            params: this.summarizeParams(params, command.params),
+            location: character ? {...character.location} : {},
+            outcome,
+            message,
+            expires_at: this.settings.retentionDays ? moment().add(this.settings.retentionDays, 'days').toDate() : null,
+        });
+
+        entry.save((err) => {
+            if (err) {
+                this.Game.logger.error('AuditManager::log', err);
+            }
+        });
+    }
+
+    /**
+     * Generates the mongo query for the audit log
+     * @param  {String} user_id The user ID to filter by, null for everyone
+     * @param  {Date}   from    The start of the time range
+     * @param  {Date}   to      The end of the time range
+     * @return {Object}
+     */
+    buildQuery(user_id, from, to) {
+        const query = {
+            date: {
+                $gte: from,
+                $lte: to,
+            },
+        };
+
+        if (user_id) {
+            query.user_id = user_id;
+        }
+
+        return query;
+    }
+
+    /**
+     * Fetches the latest audit log entries matching the filter
+     * @param  {String} user_id The user ID to filter by, null for everyone
+     * @param  {Date}   from    The start of the time range
+     * @param  {Date}   to      The end of the time range
+     * @param  {Number} limit   Max number of entries
+     * @return {Promise}        Resolves with the list of entries, newest first
+     */
+    query(user_id, from, to, limit = 25) {
+        return new Promise((resolve, reject) => {
+            CommandLogModel.find(this.buildQuery(user_id, from, to))
+                .sort({date: -1})
+                .limit(limit)
+                .exec((err, entries) => {
+                    if (err) {
+                        this.Game.logger.error('AuditManager::query', err);
+                        return reject(err);
+                    }
+
+                    resolve(entries);
+                });
+        });
+    }
+
+    /**
+     * Exports the matching audit log entries to a JSON-lines file, in the export directory
+     * @param  {String} user_id The user ID to filter by, null for everyone
+     * @param  {Date}   from    The start of the time range
+     * @param  {Date}   to      The end of the time range
+     * @return {Promise}        Resolves with {file, count}
+     */
+    export(user_id, from, to) {
+        return new Promise((resolve, reject) => {
+            // relative to the server directory, not to where the server was started from
+            const exportDir = path.resolve(__dirname, '../../..', this.settings.exportDir);
+            const file = path.join(exportDir, `audit-${user_id || 'all'}-${moment().format('YYYYMMDD-HHmmss')}.jsonl`);
+            let count = 0;
+
+            if (!fs.existsSync(exportDir)) {
+                fs.mkdirSync(exportDir);
+            }
+
+            const output = fs.createWriteStream(file, 'utf8');
+            const cursor = CommandLogModel.find(this.buildQuery(user_id, from, to))
+                .sort({date: 1})
+                .lean()
+                .cursor();
+
+            cursor.on('data', (entry) => {
+                delete entry._id;
+                delete entry.__v;
+                output.write(`${JSON.stringify(entry)}\n`);
+                count++;
+            });
+
+            cursor.on('error', (err) => {
+                this.Game.logger.error('AuditManager::export', err);
+                output.end();
+                reject(err);
+            });
+
+            cursor.on('end', () => {
+                output.end(() => {
+                    resolve({file, count});
+                });
+            });
+        });
+    }
+}
@@ -0,0 +1,41 @@
+// Load required packages
+import mongoose from 'mongoose';
+
+// Define our command log schema
+const CommandLogSchema = new mongoose.Schema({
+    user_id: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    character_name: String,
+    command: {
+        type: String,
+        required: true,
+    },
+    params: [String],
+    location: {
+        map: String,
+        x: Number,
+        y: Number,
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'invalid', 'denied', 'error'],
+    },
+    message: String,
+    date: {
+        type: Date,
+        default: Date.now,
+        index: true,
+    },
+    // Mongo removes the entry once this date has passed. Entries without it are kept forever.
+    expires_at: {
+        type: Date,
+    },
+});
+
+CommandLogSchema.index({expires_at: 1}, {expireAfterSeconds: 0});
+
+// Export the Mongoose model
+module.exports = mongoose.model('CommandLog', CommandLogSchema);
@@ -0,0 +1,29 @@
+import moment from 'moment';
+
+/**
+ * Date rule logic. Accepts dates as YYYY-MM-DD or YYYY-MM-DDTHH:mm
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Date}                The parsed date
+ */
+function ruleDate(value, modifiers, param, character, Game) {
+    const parsed = moment(value, ['YYYY-MM-DD', 'YYYY-MM-DDTHH:mm'], true);
+
+    if (!parsed.isValid()) {
+        throw new Error('{name} must be a date, formatted as YYYY-MM-DD or YYYY-MM-DDTHH:mm.');
+    }
+
+    return parsed.toDate();
+}
+
+module.exports = [
+    {
+        rule: 'date',
+        constraint: true,
+        describe: () => 'YYYY-MM-DD or YYYY-MM-DDTHH:mm',
+        method: ruleDate,
+    },
+];
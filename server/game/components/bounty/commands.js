@@ -0,0 +1,67 @@
+import moment from 'moment';
+
+/**
+ * Bounty command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdBounty(socket, character, command, params, cmdObject, Game) {
+    const action = params[0].toLowerCase();
+    const argument = (params[1] || '').trim();
+
+    switch (action) {
+        case 'list':
+            const board = Game.bountyManager.getBoard();
+
+            if (!board.length) {
+                return Game.eventToSocket(socket, 'info', 'There are no bounties on anyone right now.');
+            }
+
+            return Game.eventToSocket(socket, 'multiline', [
+                'Bounty board:',
+            ].concat(board.map((entry) => {
+                return `${entry.name}: ${entry.amount} (${entry.count} ${entry.count === 1 ? 'bounty' : 'bounties'}), expires ${moment(entry.expires_at).fromNow()}`;
+            })));
+
+        case 'place':
+            // <character name> <amount>
+            const [, targetName, amount] = argument.match(/^(\S+)\s+(\d+)$/) || [];
+
+            if (!targetName) {
+                return Game.eventToSocket(socket, 'error', 'Usage: /bounty place <character name> <amount>');
+            }
+
+            return Game.adminManager.findCharacter(targetName)
+                .then((target) => Game.bountyManager.place(character, target, parseInt(amount, 10)))
+                .then((bounty) => {
+                    Game.eventToSocket(socket, 'success', `You placed a bounty of ${bounty.amount} on ${bounty.target_name}. It will be refunded if no one claims it within ${Game.bountyManager.settings.expiryHours} hours.`);
+                });
+    }
+
+    Game.eventToSocket(socket, 'error', 'Invalid action. Use place or list.');
+}
+
+module.exports = [
+    {
+        command: '/bounty',
+        aliases: [],
+        params: [
+            {
+                name: 'Action',
+                desc: 'What you want to do: place or list.',
+                rules: 'required|alphanum',
+            },
+            {
+                name: 'Argument',
+                desc: 'For place: <character name> <amount>. The amount is taken from your cash first, then your bank.',
+                rules: 'maxlen:50',
+            },
+        ],
+        description: 'Place bounties on other players, paid out to whoever kills them, and see the bounty board.',
+        method: cmdBounty,
+    },
+];
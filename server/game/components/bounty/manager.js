@@ -0,0 +1,281 @@
+import Promise from 'bluebird';
+import moment from 'moment';
+
+// manager specific imports
+import BountyModel from './model';
+import CharacterModel from '../character/model';
+import bountyCommands from './commands';
+import {addNews} from '../../actions';
+
+/**
+ * The default bounty settings, used for anything not set in config.game.bounty
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    // the smallest bounty which can be placed
+    minAmount: 100,
+    // number of hours before an unclaimed bounty is refunded to whoever placed it
+    expiryHours: 48,
+    // number of seconds between the checks for expired bounties
+    checkInterval: 60,
+};
+
+/**
+ * Bounty Manager
+ */
+export default class BountyManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.bounty,
+        };
+        // list of all active bounties (populated at runtime)
+        this.bounties = [];
+        // the timer checking for expired bounties
+        this.timer = null;
+
+        // log manager progress
+        this.Game.logger.debug('BountyManager::constructor Loaded');
+    }
+
+    /**
+     * Register the bounty commands, load the active bounties, refund those which expired while offline
+     * and start checking for expired bounties
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(bountyCommands);
+
+            BountyModel.find({}, (err, bounties) => {
+                if (err) {
+                    return reject(this.Game.logger.error(err));
+                }
+
+                this.bounties = bounties.map((bounty) => ({
+                    ...bounty.toObject(),
+                    date: bounty.date.getTime(),
+                    expires_at: bounty.expires_at.getTime(),
+                }));
+
+                this.timer = setInterval(() => {
+                    this.expire().catch(() => {});
+                }, this.settings.checkInterval * 1000);
+
+                this.expire()
+                    .then(() => resolve(this.bounties.length))
+                    .catch(reject);
+            });
+        });
+    }
+
+    /**
+     * Get the active bounties on a character
+     * @param  {String} user_id The user ID of the target
+     * @return {Array}          The bounties, oldest first
+     */
+    getByTarget(user_id) {
+        return this.bounties.filter((bounty) => bounty.target_user_id === user_id);
+    }
+
+    /**
+     * Get the active bounties, grouped by target, largest total first
+     * @return {Array} List of {user_id, name, amount, count, expires_at}
+     */
+    getBoard() {
+        const board = {};
+
+        this.bounties.forEach((bounty) => {
+            const entry = board[bounty.target_user_id] || {
+                user_id: bounty.target_user_id,
+                name: bounty.target_name,
+                amount: 0,
+                count: 0,
+                expires_at: bounty.expires_at,
+            };
+
+            entry.amount += bounty.amount;
+            entry.count++;
+            entry.expires_at = Math.max(entry.expires_at, bounty.expires_at);
+            board[bounty.target_user_id] = entry;
+        });
+
+        return Object.keys(board)
+            .map((user_id) => board[user_id])
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    /**
+     * Places a bounty on a character. The amount is taken from the cash first, and the bank covers the rest.
+     * @param  {Character} character The character placing the bounty
+     * @param  {Object}    target    The target, as {user_id, name}
+     * @param  {Number}    amount    The bounty amount
+     * @return {Promise}             Resolves with the new bounty
+     */
+    place(character, target, amount) {
+        if (target.user_id === character.user_id) {
+            return Promise.reject(new Error('You cannot place a bounty on yourself.'));
+        }
+
+        if (amount < this.settings.minAmount) {
+            return Promise.reject(new Error(`The minimum bounty is ${this.settings.minAmount}.`));
+        }
+
+        if (character.stats.money + character.stats.bank < amount) {
+            return Promise.reject(new Error('You do not have enough money, in cash and in the bank, to place that bounty.'));
+        }
+
+        // escrow the bounty, so it can be paid out or refunded later
+        const fromCash = Math.min(character.stats.money, amount);
+        character.updateCash(-fromCash);
+        character.updateBank(-(amount - fromCash));
+        this.Game.characterManager.updateClient(character.user_id, 'stats');
+
+        const bountyData = {
+            target_user_id: target.user_id,
+            target_name: target.name,
+            user_id: character.user_id,
+            name: character.name,
+            amount,
+            date: Date.now(),
+            expires_at: moment().add(this.settings.expiryHours, 'hours').valueOf(),
+        };
+
+        return new Promise((resolve, reject) => {
+            new BountyModel({
+                ...bountyData,
+                date: new Date(bountyData.date),
+                expires_at: new Date(bountyData.expires_at),
+            }).save((err, dbBounty) => {
+                if (err) {
+                    this.Game.logger.error('BountyManager::place', err);
+                    // return the escrowed money, as the bounty was not placed
+                    character.updateCash(fromCash);
+                    character.updateBank(amount - fromCash);
+                    this.Game.characterManager.updateClient(character.user_id, 'stats');
+                    return reject(new Error('Something went wrong. Please try again in a moment.'));
+                }
+
+                const bounty = {
+                    ...bountyData,
+                    _id: dbBounty._id,
+                };
+
+                this.bounties.push(bounty);
+
+                const total = this.getByTarget(target.user_id).reduce((sum, obj) => sum + obj.amount, 0);
+                this.Game.socketManager.dispatchToServer(addNews(`${character.name} has placed a bounty of ${amount} on ${target.name}. The total bounty is now ${total}.`));
+                this.Game.eventToUser(target.user_id, 'warning', `${character.name} has placed a bounty of ${amount} on your head!`);
+
+                resolve(bounty);
+            });
+        });
+    }
+
+    /**
+     * Pays out the bounties on a killed character, to the player who killed them.
+     * Bounties the killer placed themselves are left, and faction members cannot claim bounties on each other.
+     * @param  {Character} character The character who was killed
+     * @param  {Character} killer    The character, or NPC, who killed them
+     * @return {Promise}             Resolves with the amount paid out
+     */
+    claim(character, killer) {
+        if (!killer || !killer.user_id) {
+            return Promise.resolve(0);
+        }
+
+        const bounties = this.getByTarget(character.user_id).filter((bounty) => bounty.user_id !== killer.user_id);
+
+        if (!bounties.length) {
+            return Promise.resolve(0);
+        }
+
+        if (killer.faction && character.faction && killer.faction.faction_id === character.faction.faction_id) {
+            this.Game.eventToUser(killer.user_id, 'info', `You cannot claim the bounty on ${character.name}, as you are in the same faction.`);
+            return Promise.resolve(0);
+        }
+
+        const total = bounties.reduce((sum, bounty) => sum + bounty.amount, 0);
+
+        return this.remove(bounties)
+            .then(() => {
+                killer.updateBank(total);
+                this.Game.characterManager.updateClient(killer.user_id, 'stats');
+                this.Game.eventToUser(killer.user_id, 'success', `You claimed the bounty of ${total} on ${character.name}. The money has been deposited in your bank.`);
+
+                bounties.forEach((bounty) => {
+                    this.Game.eventToUser(bounty.user_id, 'info', `Your bounty on ${character.name} was claimed by ${killer.name}.`);
+                });
+
+                this.Game.socketManager.dispatchToServer(addNews(`${killer.name} has collected the bounty of ${total} on ${character.name}.`));
+                return total;
+            });
+    }
+
+    /**
+     * Refunds, and removes, all bounties which have expired
+     * @return {Promise}
+     */
+    expire() {
+        const now = Date.now();
+        const expired = this.bounties.filter((bounty) => bounty.expires_at <= now);
+
+        if (!expired.length) {
+            return Promise.resolve();
+        }
+
+        return this.remove(expired)
+            .then(() => Promise.all(expired.map((bounty) => this.refund(bounty))));
+    }
+
+    /**
+     * Returns the money of an unclaimed bounty to the bank of whoever placed it, online or offline
+     * @param  {Object} bounty The bounty to refund
+     * @return {Promise}
+     */
+    refund(bounty) {
+        const character = this.Game.characterManager.getSync(bounty.user_id);
+
+        if (character) {
+            character.updateBank(bounty.amount);
+            this.Game.characterManager.updateClient(character.user_id, 'stats');
+            this.Game.eventToUser(character.user_id, 'info', `Your bounty on ${bounty.target_name} expired, and ${bounty.amount} has been refunded to your bank.`);
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            CharacterModel.update({user_id: bounty.user_id}, {$inc: {'stats.bank': bounty.amount}}, (err) => {
+                if (err) {
+                    this.Game.logger.error('BountyManager::refund', err, bounty);
+                }
+
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Removes bounties from the active list, and the database
+     * @param  {Array} bounties The bounties to remove
+     * @return {Promise}
+     */
+    remove(bounties) {
+        this.bounties = this.bounties.filter((bounty) => !bounties.includes(bounty));
+
+        return new Promise((resolve, reject) => {
+            BountyModel.remove({_id: {$in: bounties.map((bounty) => bounty._id)}}, (err) => {
+                if (err) {
+                    this.Game.logger.error('BountyManager::remove', err);
+                    return reject(err);
+                }
+
+                resolve();
+            });
+        });
+    }
+}
@@ -0,0 +1,35 @@
+// Load required packages
+import mongoose from 'mongoose';
+
+// Define our bounty schema
+const BountySchema = new mongoose.Schema({
+    // the character the bounty is placed on
+    target_user_id: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    target_name: String,
+    // the character who placed, and paid for, the bounty
+    user_id: {
+        type: String,
+        required: true,
+    },
+    name: String,
+    amount: {
+        type: Number,
+        required: true,
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+    // the bounty is refunded once this date has passed, without being claimed
+    expires_at: {
+        type: Date,
+        required: true,
+    },
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('Bounty', BountySchema);
@@ -0,0 +1,216 @@
+import {checkChatCooldown} from '../command/chat';
+
+/**
+ * The default, and max, duration (minutes) of a channel mute
+ * @type {Object}
+ */
+const MUTE_MINUTES = {
+    default: 5,
+    max: 1440,
+};
+
+/**
+ * Finds a member of the channel, online or offline, by name
+ * @param  {Channel} channel The channel
+ * @param  {String}  name    The name of the character
+ * @param  {Game}    Game    The main Game object
+ * @return {Promise}         Resolves with {user_id, name}
+ */
+function findMember(channel, name, Game) {
+    if (!name) {
+        return Promise.reject(new Error('You must specify a player.'));
+    }
+
+    return Game.adminManager.findCharacter(name)
+        .then((member) => {
+            if (!channel.isMember(member.user_id)) {
+                throw new Error(`${member.name} is not in the channel ${channel.name}.`);
+            }
+
+            return member;
+        });
+}
+
+/**
+ * Channel command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdChannel(socket, character, command, params, cmdObject, Game) {
+    const action = params[0].toLowerCase();
+    const channelName = params[1] || '';
+    const argument = (params[2] || '').trim();
+
+    if (action === 'list') {
+        const channels = Game.channelManager.getByMember(character.user_id);
+
+        if (!channels.length) {
+            return Game.eventToSocket(socket, 'info', 'You are not in any channels. Use /channel join <channel> to join or create one.');
+        }
+
+        return Game.eventToSocket(socket, 'multiline', [
+            'Your channels:',
+        ].concat(channels.map((channel) => {
+            const owner = channel.isOwner(character.user_id) ? ' (owner)' : '';
+            return `${channel.name}${owner} - ${channel.getOnlineMembers().length}/${channel.members.length} online`;
+        })));
+    }
+
+    if (!channelName) {
+        return Game.eventToSocket(socket, 'error', `Usage: /channel ${action} <channel>`);
+    }
+
+    if (action === 'join') {
+        return Game.channelManager.join(character, channelName, argument)
+            .then((result) => {
+                if (result.created) {
+                    return Game.eventToSocket(socket, 'success', `You created the channel ${result.channel.name}. Talk in it with /c ${result.channel.name} <message>.`);
+                }
+
+                Game.eventToSocket(socket, 'success', `You joined the channel ${result.channel.name}. Talk in it with /c ${result.channel.name} <message>.`);
+            });
+    }
+
+    const channel = Game.channelManager.get(channelName);
+
+    if (!channel || !channel.isMember(character.user_id)) {
+        return Game.eventToSocket(socket, 'error', `You are not in a channel named ${channelName}.`);
+    }
+
+    switch (action) {
+        case 'leave':
+            return Game.channelManager.leave(channel, character.user_id, character.name)
+                .then(() => Game.eventToSocket(socket, 'success', `You left the channel ${channel.name}.`));
+
+        case 'who':
+            return Game.eventToSocket(socket, 'multiline', [
+                `Online in ${channel.name}:`,
+            ].concat(channel.getOnlineMembers().map((member) => {
+                return `${member.name}${channel.isOwner(member.user_id) ? ' (owner)' : ''}`;
+            })));
+    }
+
+    // the remaining actions are for the channel owner only
+    if (!['password', 'kick', 'mute', 'unmute'].includes(action)) {
+        return Game.eventToSocket(socket, 'error', 'Invalid action. Use join, leave, list, who, password, kick, mute or unmute.');
+    }
+
+    if (!channel.isOwner(character.user_id)) {
+        return Game.eventToSocket(socket, 'error', `Only the owner of ${channel.name} can do that.`);
+    }
+
+    if (action === 'password') {
+        channel.setPassword(argument);
+
+        return Game.channelManager.save(channel)
+            .then(() => {
+                Game.eventToSocket(socket, 'success', argument ? `The password for ${channel.name} has been set.` : `The password for ${channel.name} has been removed.`);
+            });
+    }
+
+    const [memberName, minutes] = argument.split(' ');
+
+    return findMember(channel, memberName, Game)
+        .then((member) => {
+            if (member.user_id === character.user_id) {
+                throw new Error('You cannot do that to yourself.');
+            }
+
+            switch (action) {
+                case 'kick':
+                    Game.eventToUser(member.user_id, 'warning', `You have been kicked from the channel ${channel.name}.`);
+                    return Game.channelManager.leave(channel, member.user_id, member.name, `${member.name} was kicked from the channel.`)
+                        .then(() => Game.eventToSocket(socket, 'success', `You kicked ${member.name} from ${channel.name}.`));
+
+                case 'mute':
+                    const duration = Math.min(MUTE_MINUTES.max, parseInt(minutes, 10) || MUTE_MINUTES.default);
+
+                    channel.mute(member.user_id, duration);
+                    Game.eventToUser(member.user_id, 'warning', `You have been muted in the channel ${channel.name} for ${duration} minute(s).`);
+                    return Game.channelManager.save(channel)
+                        .then(() => Game.eventToSocket(socket, 'success', `You muted ${member.name} in ${channel.name} for ${duration} minute(s).`));
+
+                case 'unmute':
+                    channel.unmute(member.user_id);
+                    Game.eventToUser(member.user_id, 'info', `You are no longer muted in the channel ${channel.name}.`);
+                    return Game.channelManager.save(channel)
+                        .then(() => Game.eventToSocket(socket, 'success', `You unmuted ${member.name} in ${channel.name}.`));
+            }
+        });
+}
+
+/**
+ * Channel chat command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdChannelSay(socket, character, command, params, cmdObject, Game) {
+    const channel = params[0];
+    const message = params[1].trim();
+    const mutedFor = channel.mutedFor(character.user_id);
+
+    if (mutedFor) {
+        return Game.eventToSocket(socket, 'error', `You are muted in ${channel.name}, and cannot chat there for another ${mutedFor} seconds.`);
+    }
+
+    // check for cooldowns
+    checkChatCooldown(character, Game, message, (filteredMessage) => {
+        Game.channelManager.say(character, channel, filteredMessage);
+    });
+}
+
+module.exports = [
+    {
+        command: '/channel',
+        aliases: [
+            '/chan',
+        ],
+        params: [
+            {
+                name: 'Action',
+                desc: 'What you want to do: join, leave, list, who, or (as owner) password, kick, mute or unmute.',
+                rules: 'required|alphanum',
+            },
+            {
+                name: 'Channel',
+                desc: 'The name of the channel. Joining a channel which does not exist, creates it.',
+                rules: 'alphanum|minlen:3|maxlen:20',
+            },
+            {
+                name: 'Argument',
+                desc: 'The password when joining or setting one, or the player (and mute minutes) when moderating.',
+                rules: 'maxlen:50',
+                // passwords are kept out of the audit log
+                sensitive: (params) => ['join', 'password'].includes(`${params[0]}`.toLowerCase()),
+            },
+        ],
+        description: 'Join, leave and manage chat channels, eg. /channel join trade',
+        method: cmdChannel,
+    },
+    {
+        command: '/c',
+        aliases: [],
+        params: [
+            {
+                name: 'Channel',
+                desc: 'The name of the channel.',
+                rules: 'required|channel',
+            },
+            {
+                name: 'Message',
+                desc: 'The message you wish to send.',
+                rules: 'required|minlen:1|maxlen:500',
+            },
+        ],
+        description: 'Speak in a chat channel you have joined.',
+        method: cmdChannelSay,
+    },
+];
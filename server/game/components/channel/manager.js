@@ -0,0 +1,256 @@
+import Promise from 'bluebird';
+
+// manager specific imports
+import ChannelModel from './model';
+import Channel from './object';
+import channelCommands from './commands';
+import channelRules from './rules';
+import {CHAT_MESSAGE} from '../command/types';
+
+/**
+ * The max number of channels a character can be a member of
+ * @type {Number}
+ */
+const CHANNEL_MAX_JOINED = 5;
+
+/**
+ * Names which would be confused with the built-in chat types
+ * @type {Array}
+ */
+const RESERVED_NAMES = ['global', 'local', 'faction', 'whisper', 'emote', 'system'];
+
+/**
+ * Channel Manager
+ */
+export default class ChannelManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        // list of all chat channels (populated at runtime)
+        this.channels = [];
+
+        // log manager progress
+        this.Game.logger.debug('ChannelManager::constructor Loaded');
+    }
+
+    /**
+     * Load all channels, and register commands
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(channelCommands);
+            this.Game.commandManager.registerRules(channelRules);
+
+            ChannelModel.find({}, (err, channels) => {
+                if (err) {
+                    return reject(this.Game.logger.error(err));
+                }
+
+                channels.forEach((channel) => {
+                    this.channels.push(new Channel(this.Game, channel.toObject()));
+                });
+
+                resolve(this.channels.length);
+            });
+        });
+    }
+
+    /**
+     * Get a channel by name
+     * @param  {String} name The channel name
+     * @return {Channel}     The channel, or null if not found
+     */
+    get(name) {
+        name = name.toLowerCase();
+        return this.channels.find((channel) => channel.name_lowercase === name) || null;
+    }
+
+    /**
+     * Get the channels the user is a member of
+     * @param  {String} user_id User ID
+     * @return {Array}
+     */
+    getByMember(user_id) {
+        return this.channels.filter((channel) => channel.isMember(user_id));
+    }
+
+    /**
+     * Joins the socket rooms of the character's channels, on login
+     * @param  {Character} character The character who logged in
+     */
+    linkCharacter(character) {
+        this.getByMember(character.user_id).forEach((channel) => {
+            this.Game.socketManager.userJoinRoom(character.user_id, channel.getRoomId());
+        });
+    }
+
+    /**
+     * Joins a channel, creating it (owned by the character) if it does not exist
+     * @param  {Character} character The character joining
+     * @param  {String}    name      The channel name
+     * @param  {String}    password  The channel password, if any
+     * @return {Promise}             Resolves with {channel, created}
+     */
+    join(character, name, password) {
+        return new Promise((resolve, reject) => {
+            let channel = this.get(name);
+            let created = false;
+
+            if (channel && channel.isMember(character.user_id)) {
+                return reject(new Error(`You are already in the channel ${channel.name}.`));
+            }
+
+            if (this.getByMember(character.user_id).length >= CHANNEL_MAX_JOINED) {
+                return reject(new Error(`You cannot be in more than ${CHANNEL_MAX_JOINED} channels.`));
+            }
+
+            if (!channel) {
+                if (RESERVED_NAMES.includes(name.toLowerCase())) {
+                    return reject(new Error(`The channel name ${name} is reserved.`));
+                }
+
+                channel = new Channel(this.Game, {
+                    name,
+                    owner_id: character.user_id,
+                });
+                channel.setPassword(password);
+                this.channels.push(channel);
+                created = true;
+            } else if (!channel.checkPassword(password)) {
+                return reject(new Error(`The password for the channel ${channel.name} is incorrect.`));
+            }
+
+            channel.addMember(character.user_id);
+            this.Game.socketManager.userJoinRoom(character.user_id, channel.getRoomId());
+            this.announce(channel, `${character.name} joined the channel.`);
+
+            this.save(channel)
+                .then(() => resolve({channel, created}))
+                .catch(reject);
+        });
+    }
+
+    /**
+     * Removes a member from a channel. If the owner leaves, the ownership goes to the longest standing member,
+     * and the channel is deleted once empty.
+     * @param  {Channel} channel   The channel to leave
+     * @param  {String}  user_id   User ID of the member leaving
+     * @param  {String}  name      Name of the member leaving
+     * @param  {String}  reason    Announcement to the channel, eg. "Bob was kicked."
+     * @return {Promise}
+     */
+    leave(channel, user_id, name, reason = null) {
+        channel.removeMember(user_id);
+        this.Game.socketManager.userLeaveRoom(user_id, channel.getRoomId());
+
+        if (!channel.members.length) {
+            return this.delete(channel);
+        }
+
+        this.announce(channel, reason || `${name} left the channel.`);
+
+        if (channel.isOwner(user_id)) {
+            channel.owner_id = channel.members[0];
+            this.Game.characterManager.get(channel.owner_id)
+                .then((owner) => this.announce(channel, `${owner.name} is now the owner of the channel.`))
+                .catch(() => {});
+        }
+
+        return this.save(channel);
+    }
+
+    /**
+     * Sends a system message to the members of the channel
+     * @param  {Channel} channel The channel
+     * @param  {String}  message The message
+     */
+    announce(channel, message) {
+        this.Game.socketManager.dispatchToRoom(channel.getRoomId(), {
+            type: CHAT_MESSAGE,
+            payload: {
+                user_id: null,
+                name: '',
+                message,
+                type: 'channel',
+                channel: channel.name,
+            },
+        });
+    }
+
+    /**
+     * Sends a chat message to the channel
+     * @param  {Character} character The character sending the message
+     * @param  {Channel}   channel   The channel
+     * @param  {String}    message   The message
+     */
+    say(character, channel, message) {
+        this.Game.socketManager.dispatchToRoom(channel.getRoomId(), {
+            type: CHAT_MESSAGE,
+            payload: {
+                user_id: character.user_id,
+                name: character.name,
+                message,
+                type: 'channel',
+                channel: channel.name,
+                ignore: this.Game.characterManager.getIgnoredBy(character.user_id),
+            },
+        });
+    }
+
+    /**
+     * Saves a channel's state to the database
+     * @param  {Channel} channel The channel to save
+     * @return {Promise}
+     */
+    save(channel) {
+        return new Promise((resolve, reject) => {
+            ChannelModel.findOne({name_lowercase: channel.name_lowercase}, (err, dbChannel) => {
+                if (err) {
+                    this.Game.logger.error('ChannelManager::save', err);
+                    return reject(new Error('Something went wrong. Please try again in a moment.'));
+                }
+
+                if (!dbChannel) {
+                    dbChannel = new ChannelModel();
+                }
+
+                Object.assign(dbChannel, channel.toObject());
+
+                dbChannel.save((err) => {
+                    if (err) {
+                        this.Game.logger.error('ChannelManager::save', err);
+                        return reject(new Error('Something went wrong. Please try again in a moment.'));
+                    }
+
+                    this.Game.logger.debug(`Channel ${channel.name} saved.`);
+                    resolve(channel);
+                });
+            });
+        });
+    }
+
+    /**
+     * Permanently removes a channel
+     * @param  {Channel} channel The channel to remove
+     * @return {Promise}
+     */
+    delete(channel) {
+        return new Promise((resolve, reject) => {
+            this.channels = this.channels.filter((obj) => obj !== channel);
+
+            ChannelModel.remove({name_lowercase: channel.name_lowercase}, (err) => {
+                if (err) {
+                    this.Game.logger.error('ChannelManager::delete', err);
+                    return reject(new Error('Something went wrong. Please try again in a moment.'));
+                }
+
+                this.Game.logger.debug(`Channel ${channel.name} deleted.`);
+                resolve(channel);
+            });
+        });
+    }
+}
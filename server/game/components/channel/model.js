@@ -0,0 +1,55 @@
+// Load required packages
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+// Define our product schema
+const ChannelSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        unique: true,
+    },
+    name_lowercase: String,
+    owner_id: {
+        type: String,
+        required: true,
+    },
+    // salted hash of the channel password, empty if the channel is open
+    password_hash: {
+        type: String,
+        default: '',
+    },
+    password_salt: {
+        type: String,
+        default: '',
+    },
+    // user IDs of the members, who are re-joined on login
+    members: {
+        type: [String],
+        default: [],
+    },
+    // list of {user_id, until}, where until is the timestamp (ms) the mute expires
+    muted: {
+        type: Array,
+        default: [],
+    },
+    date_added: String,
+    date_updated: String,
+});
+
+// Execute before each user.save() call
+ChannelSchema.pre('save', function(callback) {
+    if (!this.date_added) {
+        // set the date for when it was created
+        this.date_added = moment().format('ddd, D MMM YYYY H:mm:ss [GMT]');
+    }
+
+    // set the date for when it was updated
+    this.date_updated = moment().format('ddd, D MMM YYYY H:mm:ss [GMT]');
+    // create a lower-case version of the name, to make it easier to find.
+    this.name_lowercase = this.name.toLowerCase();
+
+    callback();
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('Channel', ChannelSchema);
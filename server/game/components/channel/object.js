@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+
+/**
+ * Chat channel object class
+ */
+export default class Channel {
+    /**
+     * Class constructor
+     * @param  {Game}   Game    Main Game object
+     * @param  {Object} channel Plain channel object from the database
+     */
+    constructor(Game, channel) {
+        this.Game = Game;
+        this.password_hash = '';
+        this.password_salt = '';
+        this.members = [];
+        this.muted = [];
+        // assign all the channel information to the object
+        Object.assign(this, channel);
+        this.name_lowercase = this.name.toLowerCase();
+    }
+
+    /**
+     * The socket.io room of the channel
+     * @return {String}
+     */
+    getRoomId() {
+        return `channel_${this.name_lowercase}`;
+    }
+
+    /**
+     * Checks if the user is a member of the channel
+     * @param  {String}  user_id User ID
+     * @return {Boolean}
+     */
+    isMember(user_id) {
+        return this.members.includes(user_id);
+    }
+
+    /**
+     * Checks if the user owns the channel
+     * @param  {String}  user_id User ID
+     * @return {Boolean}
+     */
+    isOwner(user_id) {
+        return this.owner_id === user_id;
+    }
+
+    /**
+     * Whether a password is needed to join the channel
+     * @return {Boolean}
+     */
+    hasPassword() {
+        return !!this.password_hash;
+    }
+
+    /**
+     * Hashes a password with the given salt
+     * @param  {String} password
+     * @param  {String} salt
+     * @return {String}
+     */
+    hashPassword(password, salt) {
+        return crypto.pbkdf2Sync(password, salt, 10000, 32, 'sha256').toString('hex');
+    }
+
+    /**
+     * Sets, or removes, the channel password
+     * @param {String} password The new password, empty to remove it
+     */
+    setPassword(password) {
+        if (!password) {
+            this.password_hash = '';
+            this.password_salt = '';
+            return;
+        }
+
+        this.password_salt = crypto.randomBytes(16).toString('hex');
+        this.password_hash = this.hashPassword(password, this.password_salt);
+    }
+
+    /**
+     * Checks the password against the channel password
+     * @param  {String} password
+     * @return {Boolean}
+     */
+    checkPassword(password) {
+        if (!this.hasPassword()) {
+            return true;
+        }
+
+        return this.hashPassword(password || '', this.password_salt) === this.password_hash;
+    }
+
+    /**
+     * Adds a member to the channel
+     * @param {String} user_id User ID
+     */
+    addMember(user_id) {
+        if (!this.isMember(user_id)) {
+            this.members.push(user_id);
+        }
+    }
+
+    /**
+     * Removes a member from the channel, along with any mute
+     * @param  {String} user_id User ID
+     */
+    removeMember(user_id) {
+        this.members = this.members.filter((member) => member !== user_id);
+        this.muted = this.muted.filter((obj) => obj.user_id !== user_id);
+    }
+
+    /**
+     * Mutes a member in the channel
+     * @param  {String} user_id User ID
+     * @param  {Number} minutes How long the mute lasts
+     */
+    mute(user_id, minutes) {
+        this.unmute(user_id);
+        this.muted.push({
+            user_id,
+            until: Date.now() + (minutes * 60 * 1000),
+        });
+    }
+
+    /**
+     * Removes the mute of a member
+     * @param  {String} user_id User ID
+     */
+    unmute(user_id) {
+        this.muted = this.muted.filter((obj) => obj.user_id !== user_id);
+    }
+
+    /**
+     * Returns the number of seconds left of a member's mute, 0 if not muted
+     * @param  {String} user_id User ID
+     * @return {Number}
+     */
+    mutedFor(user_id) {
+        const mute = this.muted.find((obj) => obj.user_id === user_id);
+
+        if (!mute) {
+            return 0;
+        }
+
+        return Math.max(0, Math.ceil((mute.until - Date.now()) / 1000));
+    }
+
+    /**
+     * Get the online characters who are members of the channel
+     * @return {Array}
+     */
+    getOnlineMembers() {
+        return this.Game.characterManager.characters.filter((character) => this.isMember(character.user_id));
+    }
+
+    /**
+     * Exports the channel data, for saving
+     * @return {Object}
+     */
+    toObject() {
+        return {
+            name: this.name,
+            owner_id: this.owner_id,
+            password_hash: this.password_hash,
+            password_salt: this.password_salt,
+            members: [...this.members],
+            // no need to keep the expired mutes
+            muted: this.muted.filter((obj) => obj.until > Date.now()),
+        };
+    }
+}
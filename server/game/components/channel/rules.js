@@ -0,0 +1,26 @@
+/**
+ * Channel rule logic. Matches the channels the character is a member of.
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers (unused)
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Channel}             The channel object
+ */
+function ruleChannel(value, modifiers, param, character, Game) {
+    const channel = Game.channelManager.get(value);
+
+    if (!channel || !channel.isMember(character.user_id)) {
+        throw new Error(`You are not in a channel named ${value}.`);
+    }
+
+    return channel;
+}
+
+module.exports = [
+    {
+        rule: 'channel',
+        describe: () => 'must be a channel you are in',
+        method: ruleChannel,
+    },
+];
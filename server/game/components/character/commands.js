@@ -5,6 +5,13 @@
  * @param  {Function} callback     Callback function
  */
 function checkAttackCooldown(character, Game, callback) {
+    // check if the character is stunned, or similar
+    const prevented = Game.effectManager.getPrevented(character, 'attack');
+
+    if (prevented) {
+        return Game.eventToUser(character.user_id, 'error', prevented);
+    }
+
     // check if the character has an existing cooldown for this action, if they are trying to hide
     const ticksLeft = Game.cooldownManager.ticksLeft(character, 'attack');
 
@@ -31,6 +38,17 @@ function checkAttackCooldown(character, Game, callback) {
 function cmdAim(socket, character, command, params, cmdObject, Game) {
     const target = params[0];
 
+    if (Game.partyManager.inSameParty(character, target)) {
+        return Game.eventToSocket(socket, 'error', `You cannot take aim at ${target.name}, as you are in the same party.`);
+    }
+
+    // check for safe zones and new player protection
+    const prevented = Game.protectionManager.getAimPrevented(character, target);
+
+    if (prevented) {
+        return Game.eventToSocket(socket, 'error', prevented);
+    }
+
     // check if the character has an existing cooldown for this action, if they are trying to hide
     const ticksLeft = Game.cooldownManager.ticksLeft(character, 'action_aim');
 
@@ -109,8 +127,10 @@ function cmdPunch(socket, character, command, params, cmdObject, Game) {
 
     // check if there is a cooldown
     checkAttackCooldown(character, Game, () => {
-        // check if the attack will hit
-        if (!character.attackHit()) {
+        const attack = Game.combatManager.resolve(character, target, 'punch');
+
+        // check if the attack hit
+        if (!attack.hit) {
             // send event to the attacker
             Game.eventToSocket(socket, 'info', `You take a swing at ${target.name}, but miss.`);
             // send event to the target
@@ -119,19 +139,23 @@ function cmdPunch(socket, character, command, params, cmdObject, Game) {
             return Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} take a swing at ${target.name}, but missing.`, [character.user_id, target.user_id]);
         }
 
-        // deal damage to the target
-        const attack = target.dealDamage(2, true);
+        const damage = Game.combatManager.describeDamage(attack);
+
+        // a duel ends with the target knocked out, instead of killed
+        if (attack.killed && Game.duelManager.isDueling(character, target)) {
+            return Game.duelManager.finish(character, target);
+        }
 
         // if the target died
-        if (!attack.healthLeft) {
+        if (attack.killed) {
             return target.kill(character)
                     .then((oldLocationId) => {
                         // send event to the attacker
-                        Game.eventToSocket(socket, 'info', `You land the killing blow on ${target.name}. They fall to the ground, dropping everything they carried.`);
+                        Game.eventToSocket(socket, 'info', `You land the killing blow on ${target.name}, dealing ${damage}. They fall to the ground, dropping everything they carried.`);
                         // send event to the target
-                        Game.eventToUser(target.user_id, 'info', `${character.name} punches you, dealing ${attack.damageDealt} damage, killing you.`);
+                        Game.eventToUser(target.user_id, 'info', `${character.name} punches you, dealing ${damage}, killing you.`);
                         // send event to the bystanders
-                        Game.eventToRoom(oldLocationId, 'info', `You see ${character.name} kill ${target.name} his their fists. ${target.name} fall to the ground, dropping everything they carried.`, [character.user_id]);
+                        Game.eventToRoom(oldLocationId, 'info', `You see ${character.name} kill ${target.name} with their fists. ${target.name} fall to the ground, dropping everything they carried.`, [character.user_id]);
                     })
                     .catch(() => {});
         }
@@ -144,11 +168,11 @@ function cmdPunch(socket, character, command, params, cmdObject, Game) {
             // update the target client's character inforamtion
             Game.characterManager.updateClient(target.user_id, 'stats');
             // send event to the target
-            Game.eventToUser(target.user_id, 'info', `${character.name} punch you, dealing ${attack.damageDealt} damage.`);
+            Game.eventToUser(target.user_id, 'info', `${character.name} punches you, dealing ${damage}.`);
         }
 
         // send event to the attacker
-        Game.eventToSocket(socket, 'info', `You punch ${target.name}, dealing ${attack.damageDealt} damage.`);
+        Game.eventToSocket(socket, 'info', `You punch ${target.name}, dealing ${damage}.`);
         // send event to the bystanders
         Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} punch ${target.name}.`, [character.user_id, target.user_id]);
     });
@@ -219,30 +243,34 @@ function cmdShoot(socket, character, command, params, cmdObject, Game) {
 
     // check if there is a cooldown
     checkAttackCooldown(character, Game, () => {
-        const weapon = character.getEquippedSync('ranged').name;
+        const attack = Game.combatManager.resolve(character, target, 'ranged');
+        const weapon = attack.weapon;
 
-        // check if the attack will hit
-        if (!character.attackHit()) {
+        // check if the attack hit
+        if (!attack.hit) {
             // send event to the attacker
-            Game.eventToSocket(socket, 'info', `You shoot at ${target.name} with your ${weapon}, but misses the shot.`);
+            Game.eventToSocket(socket, 'info', `You shoot at ${target.name} with your ${weapon}, but miss the shot.`);
             // send event to the target
-            Game.eventToUser(target.user_id, 'info', `${target.name} shoots their ${weapon} in your direction, but misses the shot.`);
+            Game.eventToUser(target.user_id, 'info', `${character.name} shoots their ${weapon} in your direction, but misses the shot.`);
             // send event to the bystanders
-            return Game.eventToRoom(character.getLocationId(), 'info', `You see ${target.name} shoots their ${weapon} in ${target.name}'s direction, but misses.`, [character.user_id, target.user_id]);
+            return Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} shoot their ${weapon} in ${target.name}'s direction, but misses.`, [character.user_id, target.user_id]);
         }
 
-        // deal damage to the target
-        const damage = character.fireRangedWeapon();
-        const attack = target.dealDamage(damage, true);
+        const damage = Game.combatManager.describeDamage(attack);
+
+        // a duel ends with the target knocked out, instead of killed
+        if (attack.killed && Game.duelManager.isDueling(character, target)) {
+            return Game.duelManager.finish(character, target);
+        }
 
         // if the target died
-        if (!attack.healthLeft) {
+        if (attack.killed) {
             return target.kill(character)
                 .then((oldLocationId) => {
                     // send event to the attacker
-                    Game.eventToSocket(socket, 'info', `You hit ${target.name} with your ${weapon}, killing them. They fall to the ground, dropping everything they carried.`);
+                    Game.eventToSocket(socket, 'info', `You hit ${target.name} with your ${weapon}, dealing ${damage}, killing them. They fall to the ground, dropping everything they carried.`);
                     // send event to the target
-                    Game.eventToUser(target.user_id, 'info', `${character.name} hits you with their ${weapon}, dealing ${attack.damageDealt} damage, killing you.`);
+                    Game.eventToUser(target.user_id, 'info', `${character.name} hits you with their ${weapon}, dealing ${damage}, killing you.`);
                     // send event to the bystanders
                     Game.eventToRoom(oldLocationId, 'info', `You see ${character.name} kill ${target.name} with a ${weapon}. ${target.name} fall to the ground, dropping everything they carried.`, [character.user_id]);
                 })
@@ -256,11 +284,13 @@ function cmdShoot(socket, character, command, params, cmdObject, Game) {
             // update the target client's character inforamtion
             Game.characterManager.updateClient(target.user_id, 'stats');
             // send event to the target
-            Game.eventToUser(target.user_id, 'info', `${character.name} shoots you with a ${weapon}, dealing ${attack.damageDealt} damage.`);
+            Game.eventToUser(target.user_id, 'info', `${character.name} shoots you with a ${weapon}, dealing ${damage}.`);
         }
 
+        // update the ammo left
+        Game.characterManager.updateClient(character.user_id, 'inventory');
         // send event to the attacker
-        Game.eventToSocket(socket, 'info', `You shoot ${target.name} with your ${weapon}, dealing ${attack.damageDealt} damage.`);
+        Game.eventToSocket(socket, 'info', `You shoot ${target.name} with your ${weapon}, dealing ${damage}.`);
         // send event to the bystanders
         Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} shoot ${target.name} with a ${weapon}.`, [character.user_id, target.user_id]);
     });
@@ -295,10 +325,11 @@ function cmdStrike(socket, character, command, params, cmdObject, Game) {
 
     // check if there is a cooldown
     checkAttackCooldown(character, Game, () => {
-        const weapon = character.getEquippedSync('melee').name;
+        const attack = Game.combatManager.resolve(character, target, 'melee');
+        const weapon = attack.weapon;
 
-        // check if the attack will hit
-        if (!character.attackHit()) {
+        // check if the attack hit
+        if (!attack.hit) {
             // send event to the attacker
             Game.eventToSocket(socket, 'info', `You take a swing at ${target.name}, with your ${weapon}, but miss.`);
             // send event to the target
@@ -307,46 +338,77 @@ function cmdStrike(socket, character, command, params, cmdObject, Game) {
             return Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} swing their ${weapon} at ${target.name}, but missing.`, [character.user_id, target.user_id]);
         }
 
-        // deal damage to the target
-        character.getWeaponDamage('melee')
-            .then((damage) => {
-                const attack = target.dealDamage(damage, true);
-
-                // if the target died
-                if (!attack.healthLeft) {
-                    return target.kill(character)
-                        .then((oldLocationId) => {
-                            // send event to the attacker
-                            Game.eventToSocket(socket, 'info', `You land the killing blow on ${target.name}, with your ${weapon}. They fall to the ground, dropping everything they carried.`);
-                            // send event to the target
-                            Game.eventToUser(target.user_id, 'info', `${character.name} strikes you with their ${weapon}, dealing ${attack.damageDealt} damage, killing you.`);
-                            // send event to the bystanders
-                            Game.eventToRoom(oldLocationId, 'info', `You see ${character.name} kill ${target.name} with a ${weapon}. ${target.name} fall to the ground, dropping everything they carried.`, [character.user_id]);
-                        })
-                        .catch(() => {});
-                }
-
-                // if the target is an NPC, update their health on the client side
-                if (!target.user_id) {
-                    Game.npcManager.updateGrid(character.location, character.getLocationId());
-                } else {
-                    // update the target client's character inforamtion
-                    Game.characterManager.updateClient(target.user_id, 'stats');
+        const damage = Game.combatManager.describeDamage(attack);
+
+        // a duel ends with the target knocked out, instead of killed
+        if (attack.killed && Game.duelManager.isDueling(character, target)) {
+            return Game.duelManager.finish(character, target);
+        }
+
+        // if the target died
+        if (attack.killed) {
+            return target.kill(character)
+                .then((oldLocationId) => {
+                    // send event to the attacker
+                    Game.eventToSocket(socket, 'info', `You land the killing blow on ${target.name}, with your ${weapon}, dealing ${damage}. They fall to the ground, dropping everything they carried.`);
                     // send event to the target
-                    Game.eventToUser(target.user_id, 'info', `${character.name} strikes you with a ${weapon}, dealing ${attack.damageDealt} damage.`);
-                }
+                    Game.eventToUser(target.user_id, 'info', `${character.name} strikes you with their ${weapon}, dealing ${damage}, killing you.`);
+                    // send event to the bystanders
+                    Game.eventToRoom(oldLocationId, 'info', `You see ${character.name} kill ${target.name} with a ${weapon}. ${target.name} fall to the ground, dropping everything they carried.`, [character.user_id]);
+                })
+                .catch(() => {});
+        }
 
-                // send event to the attacker
-                Game.eventToSocket(socket, 'info', `You strike ${target.name} with your ${weapon}, dealing ${attack.damageDealt} damage.`);
-                // send event to the bystanders
-                Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} strike ${target.name} with a ${weapon}.`, [character.user_id, target.user_id]);
-            })
-            .catch(() => {
+        // if the target is an NPC, update their health on the client side
+        if (!target.user_id) {
+            Game.npcManager.updateGrid(character.location, character.getLocationId());
+        } else {
+            // update the target client's character inforamtion
+            Game.characterManager.updateClient(target.user_id, 'stats');
+            // send event to the target
+            Game.eventToUser(target.user_id, 'info', `${character.name} strikes you with a ${weapon}, dealing ${damage}.`);
+        }
 
-            });
+        // send event to the attacker
+        Game.eventToSocket(socket, 'info', `You strike ${target.name} with your ${weapon}, dealing ${damage}.`);
+        // send event to the bystanders
+        Game.eventToRoom(character.getLocationId(), 'info', `You see ${character.name} strike ${target.name} with a ${weapon}.`, [character.user_id, target.user_id]);
     });
 }
 
+/**
+ * Profile command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game} Game                  The main Game object
+ */
+function cmdProfile(socket, character, command, params, cmdObject, Game) {
+    const characterName = (params[0] || character.name).trim();
+    const online = Game.characterManager.characters.find((obj) => obj.name_lowercase === characterName.toLowerCase());
+
+    // offline players are looked up in the database
+    return Promise.resolve(online || Game.characterManager.dbGetByName(characterName))
+        .then((profile) => {
+            return Game.factionManager.get(online ? (online.faction || {}).faction_id : profile.faction_id)
+                .catch(() => null)
+                .then((faction) => {
+                    Game.eventToSocket(socket, 'multiline', [
+                        `Profile of ${profile.name}:`,
+                        `Rank: ${Game.characterManager.getRank(profile.stats.exp || 0)}`,
+                        `Faction: ${faction ? faction.name : 'None'}`,
+                        `Duels: ${profile.stats.duel_wins || 0} won, ${profile.stats.duel_losses || 0} lost`,
+                        `Status: ${online ? 'Online' : 'Offline'}`,
+                    ]);
+                });
+        })
+        .catch(() => {
+            throw new Error(`There is no character by the name ${characterName}.`);
+        });
+}
+
 module.exports = [
     {
         command: '/aim',
@@ -381,6 +443,19 @@ module.exports = [
         description: 'Give cash to another player.',
         method: cmdGive,
     },
+    {
+        command: '/profile',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player. Defaults to yourself.',
+                rules: 'maxlen:50',
+            },
+        ],
+        description: 'See the rank, faction and duel record of a player.',
+        method: cmdProfile,
+    },
     {
         command: '/punch',
         aliases: [],
@@ -14,6 +14,7 @@ import {UPDATE_GROUND_ITEMS} from '../item/types';
 import Character from './object';
 import CharacterModel from './model';
 import characterCommands from './commands';
+import characterRules from './rules';
 import {joinedGrid} from './actions';
 import Levels from '../../data/levels.json';
 import {findInArray} from '../../helper';
@@ -46,6 +47,7 @@ export default class CharacterManager {
     init() {
         return new Promise((resolve, reject) => {
             this.Game.commandManager.registerManager(characterCommands);
+            this.Game.commandManager.registerRules(characterRules);
             resolve();
         });
     }
@@ -119,6 +121,17 @@ export default class CharacterManager {
         return character || null;
     }
 
+    /**
+     * Get the user IDs of the online characters ignoring the given player
+     * @param  {String} user_id User ID of the player
+     * @return {Array}
+     */
+    getIgnoredBy(user_id) {
+        return this.characters
+            .filter((character) => character.isIgnoring(user_id))
+            .map((character) => character.user_id);
+    }
+
     /**
      * gets the character of the user ID, if one exists
      * @param  {String} user_id User ID
@@ -204,6 +217,9 @@ export default class CharacterManager {
             existingCharacter.targetedBy.forEach((user) => {
                 character.gridLock(user);
             });
+            // and carry over the timed effects, as they might not have been saved yet
+            character.effects = existingCharacter.effects;
+            character.stats.heat = existingCharacter.stats.heat;
 
             await this.remove(character.user_id);
         }
@@ -223,10 +239,17 @@ export default class CharacterManager {
             faction.linkCharacter(character);
         }
 
+        // re-join the chat channels they are a member of, and their party if they reloaded the page
+        this.Game.channelManager.linkCharacter(character);
+        this.Game.partyManager.linkCharacter(character);
+
         // add the character object to the managed list of characters
         this.characters.push(character);
         this.dispatchUpdatePlayerList(character.user_id);
 
+        // law enforcement picks up the hunt again, if they are still wanted
+        this.Game.wantedManager.updateHostility(character);
+
         this.Game.socketManager.get(character.user_id).then((socket) => {
             // track the character location
             this.changeLocation(character, character.location);
@@ -263,6 +286,7 @@ export default class CharacterManager {
                         character.faction.unlinkCharacter(character);
                     }
 
+                    character.clearTimers();
                     this.characters = this.characters.filter((obj) => obj.user_id !== user_id);
                     this.dispatchRemoveFromPlayerList(user_id);
                     resolve();
@@ -292,6 +316,7 @@ export default class CharacterManager {
 
             const newCharacter = new Character(this.Game, character.toObject());
             newCharacter.profile_image = userData.profile_image;
+            newCharacter.role = userData.role || 'player';
 
             await this.manage(newCharacter);
 
@@ -364,6 +389,7 @@ export default class CharacterManager {
 
             const newCharacter = new Character(this.Game, character.toObject());
             newCharacter.profile_image = userData.profile_image;
+            newCharacter.role = userData.role || 'player';
 
             await this.manage(newCharacter);
             callback(null, newCharacter);
@@ -489,11 +515,22 @@ export default class CharacterManager {
 
                 // update the character db object, and save the changes
                 // NOTE: add any information you want to save here.
-                dbCharacter.stats = {...character.stats};
+                dbCharacter.stats = {
+                    ...character.stats,
+                    playtime: character.getPlayTime(),
+                };
                 dbCharacter.abilities = character.exportAbilities();
                 dbCharacter.skills = character.exportSkills();
                 dbCharacter.location = {...character.location};
                 dbCharacter.faction_id = character.faction ? character.faction.faction_id : '';
+                dbCharacter.muted_until = character.muted_until;
+                dbCharacter.aliases = {...character.aliases};
+                dbCharacter.ignores = character.ignores.map((obj) => ({...obj}));
+                dbCharacter.effects = character.exportEffects();
+                dbCharacter.statistics = {
+                    ...character.statistics,
+                    npc_kills_by_type: {...character.statistics.npc_kills_by_type},
+                };
 
                 dbCharacter.save((err) => {
                     if (err) {
@@ -676,6 +713,13 @@ export default class CharacterManager {
                 return this.Game.eventToSocket(socket, 'warning', 'You can\'t move as long as you are hidden. type /unhide to come out of hiding.');
             }
 
+            // check if the player is stunned, or similar
+            const prevented = this.Game.effectManager.getPrevented(character, 'move');
+
+            if (prevented) {
+                return this.Game.eventToSocket(socket, 'warning', prevented);
+            }
+
             const cooldownAction = 'move';
             // check if the character has an existing cooldown from moving
             if (this.Game.cooldownManager.ticksLeft(character, cooldownAction)) {
@@ -731,6 +775,7 @@ export default class CharacterManager {
 
                         // update character location
                         character.updateLocation(newLocation.map, newLocation.x, newLocation.y);
+                        this.Game.statisticsManager.record(character, 'distance_walked');
 
                         // change location on the map
                         this.changeLocation(character, newLocation, oldLocation);
@@ -766,6 +811,70 @@ export default class CharacterManager {
         });
     }
 
+    /**
+     * Moves a character directly to a location, without walking there (eg. teleports), releasing any aims on the way.
+     * @param  {Character} character    The character to move
+     * @param  {Object}    newLocation  {map, x, y}
+     * @param  {String}    leaveMessage (optional) event message for the grid the character leaves
+     * @param  {String}    joinMessage  (optional) event message for the grid the character arrives at
+     * @return {Promise}
+     */
+    teleport(character, newLocation, leaveMessage = null, joinMessage = null) {
+        return new Promise(async (resolve, reject) => {
+            // remove aim from current target, if set
+            await character.releaseTarget();
+
+            // and release the character from anyone aiming at them
+            character.targetedBy.forEach((attacker) => {
+                attacker.target = null;
+            });
+            character.targetedBy = [];
+
+            // leave the old grid room
+            await this.Game.socketManager.userLeaveRoom(character.user_id, character.getLocationId()).catch(() => {});
+
+            if (leaveMessage) {
+                this.Game.eventToRoom(character.getLocationId(), 'info', leaveMessage, [character.user_id]);
+            }
+
+            // remove player from the grid list of players
+            this.Game.socketManager.dispatchToRoom(character.getLocationId(), {
+                type: LEFT_GRID,
+                payload: character.user_id,
+            });
+
+            // save the old location
+            const oldLocation = {...character.location};
+
+            // update character location
+            character.updateLocation(newLocation.map, newLocation.x, newLocation.y);
+
+            // change location on the map
+            this.changeLocation(character, newLocation, oldLocation);
+
+            if (joinMessage) {
+                this.Game.eventToRoom(character.getLocationId(), 'info', joinMessage, [character.user_id]);
+            }
+
+            // add player from the grid list of players
+            this.Game.socketManager.dispatchToRoom(
+                character.getLocationId(),
+                this.joinedGrid(character)
+            );
+
+            // update the socket room
+            await this.Game.socketManager.userJoinRoom(character.user_id, character.getLocationId()).catch(() => {});
+
+            // update client/socket character and location information
+            this.updateClient(character.user_id);
+
+            // send the new grid details to the client
+            this.Game.mapManager.updateClient(character.user_id);
+
+            resolve(oldLocation);
+        });
+    }
+
     /**
      * Kills a character, drops their loot, and respawns them at the map respawn location
      * @param  {String} user_id   The user ID of the character to kill
@@ -784,10 +893,10 @@ export default class CharacterManager {
                         const oldLocationId = character.getLocationId();
                         // save the old location
                         const oldLocation = {...character.location};
-                        // the respawn location
+                        // the respawn location, jailed characters are put back in their cell
                         const newLocation = {
                             map: gameMap.id,
-                            ...gameMap.respawn,
+                            ...(character.getEffect('jailed') && gameMap.jail ? gameMap.jail : gameMap.respawn),
                         };
 
                         // leave the old grid room
@@ -810,25 +919,24 @@ export default class CharacterManager {
                             this.Game.itemManager.drop(oldLocation.map, oldLocation.x, oldLocation.y, item);
                         });
 
-                        // TODO: Test if this works! Need more players to test.
-                        const cashReward = Math.floor(droppedLoot.cash / droppedLoot.targetedBy.length);
-                        const expReward = Math.floor(droppedLoot.exp / droppedLoot.targetedBy.length);
-                        droppedLoot.targetedBy.forEach((char) => {
-                            // give them an equal amount of cash and exp, from the dropped loot
-                            char.updateCash(cashReward);
-
-                            // make sure its a player
-                            if (char.user_id) {
-                                char.updateExp(expReward);
-                                this.updateClient(char.user_id);
-                            }
-                        });
+                        // split the cash and exp between everyone aiming at the character, and their party members
+                        this.Game.partyManager.shareReward(droppedLoot.targetedBy, oldLocation, droppedLoot, character.name);
 
                         // Let the killer know how much money they received, if its not an NPC
-                        if (killer.user_id) {
+                        if (killer && killer.user_id) {
                             this.Game.eventToUser(killer.user_id, 'info', `You find ${droppedLoot.cash} money on ${character.name} body.`);
                         }
 
+                        // pay out any bounties on the character, to the player who killed them
+                        this.Game.bountyManager.claim(character, killer).catch(() => {});
+
+                        // getting killed by someone else, during a duel, forfeits it
+                        this.Game.duelManager.forfeit(character.user_id);
+
+                        // keep track of the kills and deaths, for the leaderboards
+                        this.Game.statisticsManager.record(character, 'deaths');
+                        this.Game.statisticsManager.record(killer, 'player_kills');
+
                         // update the client's ground look at the location
                         this.Game.socketManager.dispatchToRoom(oldLocationId, {
                             type: UPDATE_GROUND_ITEMS,
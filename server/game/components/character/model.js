@@ -32,6 +32,26 @@ const CharacterSchema = new mongoose.Schema({
     faction_id: {
         type: String,
     },
+    muted_until: {
+        type: Number,
+        default: 0,
+    },
+    aliases: {
+        type: {},
+        default: {},
+    },
+    ignores: {
+        type: Array,
+        default: [],
+    },
+    effects: {
+        type: Array,
+        default: [],
+    },
+    statistics: {
+        type: {},
+        default: {},
+    },
     date_added: String,
     date_updated: String,
 });
@@ -53,5 +73,18 @@ CharacterSchema.pre('save', function(callback) {
     callback();
 });
 
+// the leaderboards sort on these, see the StatisticsManager
+[
+    'player_kills',
+    'npc_kills',
+    'deaths',
+    'drugs_sold',
+    'shop_earnings',
+    'distance_walked',
+    'times_fled',
+].forEach((statistic) => {
+    CharacterSchema.index({[`statistics.${statistic}`]: -1});
+});
+
 // Export the Mongoose model
 module.exports = mongoose.model('Character', CharacterSchema);
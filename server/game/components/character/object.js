@@ -38,17 +38,53 @@ export default class Character {
             bank: 200,
             exp: 0,
             inventorySize: 30,
+            // the wanted level rises with the heat, from crimes noticed by law enforcement
+            heat: 0,
+            // the record of formal duels against other players
+            duel_wins: 0,
+            duel_losses: 0,
+            // the number of seconds played, as of the last save
+            playtime: 0,
         };
         // keeps track of all timers
         this.timers = [];
+        // timestamp (ms) of when a mute, placed by a moderator, expires
+        this.muted_until = 0;
+        // the character's command aliases/macros, eg. {as: '/aim $1;/shoot'}
+        this.aliases = {};
+        // the players the character ignores the chat of, as {user_id, name}
+        this.ignores = [];
+        // active timed effects, as {id, stacks, expires, next_tick}
+        this.effects = [];
+        // timestamp (ms) of when the character was loaded, for tracking the play time
+        this.loaded_at = Date.now();
+        // the kill, death and economy statistics, for the leaderboards
+        this.statistics = {
+            player_kills: 0,
+            npc_kills: 0,
+            // NPC kills by NPC type, eg. {'Drug Dealer': 2}
+            npc_kills_by_type: {},
+            deaths: 0,
+            drugs_sold: 0,
+            shop_earnings: 0,
+            distance_walked: 0,
+            times_fled: 0,
+        };
 
-        // assign all the character modifiers, and deep-copy the stats
+        // assign all the character modifiers, and deep-copy the stats and statistics
         Object.assign(this, {
             ...character,
             stats: {
                 ...this.stats,
                 ...character.stats,
             },
+            statistics: {
+                ...this.statistics,
+                ...character.statistics,
+                npc_kills_by_type: {
+                    ...(character.statistics || {}).npc_kills_by_type,
+                },
+            },
         });
 
         // if the location does not have an X or Y coordinate, set the location to the
@@ -59,6 +95,18 @@ export default class Character {
             this.location.y = spawn.y;
         }
 
+        // saved effects keep the time they had left, so logging out does not wear them off
+        this.effects = this.effects
+            .filter((effect) => this.Game.effectManager.getTemplate(effect.id))
+            .map((effect) => {
+                return effect.expires ? effect : {
+                    id: effect.id,
+                    stacks: effect.stacks,
+                    expires: Date.now() + (effect.remaining * 1000),
+                    next_tick: Date.now() + ((this.Game.effectManager.getTemplate(effect.id).interval || 0) * 1000),
+                };
+            });
+
         this.initTimers();
 
         this.gridLock = this.gridLock.bind(this);
@@ -73,6 +121,24 @@ export default class Character {
             name: 'cooldownGc',
             timer: setInterval(this.Game.cooldownManager.cleanup, 1000, this),
         });
+        // run the ticks of the timed effects, and remove the expired ones
+        this.timers.push({
+            name: 'effects',
+            timer: setInterval(this.Game.effectManager.tick, 1000, this),
+        });
+        // cool down the wanted level
+        this.timers.push({
+            name: 'wanted',
+            timer: setInterval(this.Game.wantedManager.decay, this.Game.wantedManager.settings.decay.interval * 1000, this),
+        });
+    }
+
+    /**
+     * Kills and removes all timers related to the character
+     */
+    clearTimers() {
+        this.timers.forEach((timer) => clearInterval(timer.timer));
+        this.timers = [];
     }
 
     /**
@@ -122,6 +188,45 @@ export default class Character {
         return exportedSkills;
     }
 
+    /**
+     * Exports the active timed effects to a plain object
+     * @param  {Boolean} toClient If true, includes the name and description of the effect
+     * @return {Array}            List of effects, with the seconds they have left
+     */
+    exportEffects(toClient = false) {
+        return this.effects.map((effect) => {
+            const exported = {
+                id: effect.id,
+                stacks: effect.stacks,
+                remaining: Math.max(0, Math.ceil((effect.expires - Date.now()) / 1000)),
+            };
+
+            if (toClient) {
+                exported.name = this.Game.effectManager.getTemplate(effect.id).name;
+                exported.description = this.Game.effectManager.describe(effect);
+            }
+
+            return exported;
+        });
+    }
+
+    /**
+     * Get an active timed effect of the character
+     * @param  {String} effectId The timed effect ID, eg. drunk
+     * @return {Object}          The active effect, or undefined if not found
+     */
+    getEffect(effectId) {
+        return this.effects.find((effect) => effect.id === effectId);
+    }
+
+    /**
+     * Get the total play time of the character, including the time since they were loaded
+     * @return {Number} The play time in seconds
+     */
+    getPlayTime() {
+        return this.stats.playtime + Math.floor((Date.now() - this.loaded_at) / 1000);
+    }
+
     /**
      * generates the grid "room" ID of the characters currect location
      * @return {String}
@@ -167,6 +272,9 @@ export default class Character {
             abilities: this.exportAbilities(true),
             faction: this.faction ? this.faction.toObject(true) : null,
             skills: this.exportSkills(true),
+            effects: this.exportEffects(true),
+            wanted: this.Game.wantedManager.getLevel(this),
+            protected: this.Game.protectionManager.isProtected(this),
             location: this.location,
         };
     }
@@ -260,6 +368,8 @@ export default class Character {
                     // reset the character inventory, money, gridlock etc.
                     this.stats.money = 0;
                     this.targetedBy = [];
+                    // dying does not end a jail sentence
+                    this.Game.effectManager.clearEffects(this, ['jailed']);
                     this.stats.health = this.stats.health_max;
 
                     const expLost = 0;
@@ -279,41 +389,20 @@ export default class Character {
     }
 
     /**
-     * Returns the damage of the equipped ranged weapon + ammo, and reduces durability of ammo.
-     * @return {Object}          the damage, -1 if the weapon cannot be fired.
+     * Uses a round of the equipped ammo, removing the ammo once it runs out
      */
-    fireRangedWeapon() {
-        return new Promise((resolve, reject) => {
-            this.getWeaponDamage('ranged')
-                .then((damage) => {
-                    if (!this.hasAmmo()) {
-                        return reject(0);
-                    }
+    useAmmo() {
+        const ammo = this.getEquippedSync('ammo');
 
-                    if (this.ignoreQuantity) {
-                        return resolve(damage);
-                    }
+        if (!ammo || this.ignoreQuantity) {
+            return;
+        }
 
-                    this.getEquipped('ammo')
-                        .then((item) => {
-                            // reduce ammo durability
-                            item.stats.durability = item.removeDurability(1);
-
-                            // remove ammo if durability is 0
-                            if (item.durability <= 0) {
-                                this.Game.itemManager.remove(this, item);
-                            }
-
-                            resolve(damage);
-                        })
-                        .catch(() => {
-                            reject();
-                        });
-                })
-                .catch(() => {
-                    reject();
-                });
-        });
+        ammo.removeDurability(1);
+
+        if (ammo.stats.durability <= 0) {
+            this.Game.itemManager.remove(this, ammo);
+        }
     }
 
     /**
@@ -327,67 +416,13 @@ export default class Character {
             return false;
         }
 
-        if (equippedAmmo.durability <= 0) {
+        if (equippedAmmo.stats.durability <= 0) {
             return false;
         }
 
         return true;
     }
 
-    /**
-     * Gets the damage bonus of the equipped ammo
-     * @return {Promise}
-     */
-    getAmmoDamage() {
-        return new Promise((resolve) => {
-            if (!this.hasAmmo()) {
-                return resolve(0);
-            }
-
-            this.getEquipped('ammo')
-                .then((item) => {
-                    resolve(item.stats.damage_bonus);
-                })
-                .catch(() => {
-                    reject();
-                });
-        });
-    }
-
-    /**
-     * Generates the weapon damage, based on the type equipped.
-     * @param  {String} slot     Any of the equipped weapon slots (melee|ranged)
-     * @param  {Object} itemList List of all game items
-     * @return {Promise}         Damage of the weapon
-     */
-    getWeaponDamage(slot) {
-        return new Promise((resolve, reject) => {
-            this.getEquipped(slot)
-                .then((equippedItem) => {
-                    if (!equippedItem) {
-                        return reject();
-                    }
-
-                    this.getAmmoDamage()
-                        .then((ammoDamage) => {
-                            let bonusDamage = 0;
-
-                            if (slot === 'ranged') {
-                                bonusDamage = ammoDamage;
-                            }
-
-                            resolve(Math.floor(Math.random() * (equippedItem.stats.damage_max - equippedItem.stats.damage_min + 1)) + equippedItem.stats.damage_min + bonusDamage);
-                        })
-                        .catch(() => {
-                            reject();
-                        });
-                })
-                .catch(() => {
-                    reject();
-                });
-        });
-    }
-
     /**
      * Get the items which is equipped in the specified slot
      * @param  {String} slot The equipment slot
@@ -653,17 +688,27 @@ export default class Character {
      * @return {Bool} True if hit
      */
     attackHit() {
-        const acc = this.abilities.find((obj) => obj.id = 'acc');
-        return acc.use();
+        const acc = this.abilities.find((obj) => obj.id === 'acc');
+        return acc.use(this.Game.effectManager.getModifier(this, 'accuracy'));
+    }
+
+    /**
+     * Applies the damage modifiers of the character's timed effects, eg. from being high
+     * @param  {Number} damage The base damage
+     * @return {Number}        The modified damage
+     */
+    applyDamageModifiers(damage) {
+        return Math.max(0, Math.round(damage * (1 + this.Game.effectManager.getModifier(this, 'damage'))));
     }
 
     /**
      * Deal damage to the player
      * @param  {Number}  damage      Amount of damage to deal
      * @param  {Boolean} ignoreArmor Whether armor should reduce the damange
+     * @param  {Number}  penetration The % of the armor's damage reduction the attack ignores
      * @return {Object}              damageBlocked, damageDealt, healthLeft, durabilityLeft, armorRuined.
      */
-    dealDamage(damage, ignoreArmor = false) {
+    dealDamage(damage, ignoreArmor = false, penetration = 0) {
         let armor = 0;
         let durability = 0;
         let health = this.stats.health;
@@ -671,8 +716,8 @@ export default class Character {
         const armorItem = this.getEquippedSync('armor');
 
         if (!ignoreArmor && armorItem) {
-            durability = armorItem.durability;
-            armor = armorItem.stats.damage_reduction;
+            durability = armorItem.stats.durability;
+            armor = Math.round(armorItem.stats.damage_reduction * (1 - (penetration / 100)));
         }
 
         // Either you block the damage dealt if it's lower than your armor/durability combo
@@ -687,7 +732,7 @@ export default class Character {
 
         // update the durability of the equipped armor
         if (!ignoreArmor && armorItem) {
-            armorItem.durability = durabilityLeft;
+            armorItem.setDurability(durabilityLeft);
         }
 
         this.stats.health = healthLeft;
@@ -695,7 +740,7 @@ export default class Character {
         // if the armor durability is 0, remove the item as its broken.
         if (!durabilityLeft && durability) {
             armorRuined = true;
-            this.Game.itemManager.remove(this, armor);
+            this.Game.itemManager.remove(this, armorItem);
         }
 
         return {
@@ -707,6 +752,38 @@ export default class Character {
         };
     }
 
+    /**
+     * Mutes the character, preventing them from chatting
+     * @param  {Number} seconds How long the mute lasts
+     */
+    mute(seconds) {
+        this.muted_until = Date.now() + (seconds * 1000);
+    }
+
+    /**
+     * Removes any active mute from the character
+     */
+    unmute() {
+        this.muted_until = 0;
+    }
+
+    /**
+     * Get the number of seconds left of the character's mute
+     * @return {Number} Seconds left, 0 if not muted
+     */
+    mutedFor() {
+        return Math.max(0, Math.ceil((this.muted_until - Date.now()) / 1000));
+    }
+
+    /**
+     * Checks if the character is ignoring the chat of the given player
+     * @param  {String}  user_id The user ID of the player
+     * @return {Boolean}
+     */
+    isIgnoring(user_id) {
+        return this.ignores.some((obj) => obj.user_id === user_id);
+    }
+
     /**
      * Add/remove money from the characters cash
      * @param  {Number} amount The amount to add/remove (negative number to remove)
@@ -0,0 +1,81 @@
+/**
+ * Generates the rule logic for finding players and NPCs. Without modifiers, any online player is
+ * matched, otherwise the search is limited to the character's grid (:grid) or map (:map).
+ * @param  {String}   type The rule name (player|target|npc)
+ * @return {Function}      The rule method
+ */
+function ruleCharacter(type) {
+    return (value, modifiers, param, character, Game) => {
+        // if there is no rule modifiers, assume no location restrictions
+        // and player (since actions towards NPCs are inherently restricted to grid)
+        if (!modifiers[0]) {
+            const target = Game.characterManager.getByNameSync(value);
+
+            if (!target) {
+                throw new Error('There is no {name} online by that name.');
+            }
+
+            return target;
+        }
+
+        // assume we will search in the grid by detault
+        let location = {
+            ...character.location,
+        };
+
+        // if rule modifier is set to map, null out the x an y so
+        // we will search the map instead of grid
+        if (modifiers[0] !== 'grid') {
+            location.x = null;
+            location.y = null;
+        }
+
+        const target = Game.commandManager.findAtLocation(
+            value.toLowerCase(),
+            location,
+            type === 'player',
+            type === 'npc',
+        );
+
+        // findAtLocation returns an error message, if no target could be found
+        if (typeof target === 'string') {
+            throw new Error(target);
+        }
+
+        return target;
+    };
+}
+
+/**
+ * Describes the location restriction of the player/target/npc rules
+ * @param  {Array}  modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @return {String}
+ */
+function describeLocation(modifiers) {
+    switch (modifiers[0]) {
+        case 'grid':
+            return 'must be at your location';
+        case 'map':
+            return 'must be in the same city';
+    }
+
+    return null;
+}
+
+module.exports = [
+    {
+        rule: 'player',
+        describe: describeLocation,
+        method: ruleCharacter('player'),
+    },
+    {
+        rule: 'target',
+        describe: describeLocation,
+        method: ruleCharacter('target'),
+    },
+    {
+        rule: 'npc',
+        describe: describeLocation,
+        method: ruleCharacter('npc'),
+    },
+];
@@ -0,0 +1,64 @@
+import moment from 'moment';
+
+/**
+ * History command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdHistory(socket, character, command, params, cmdObject, Game) {
+    const type = params[0].toLowerCase();
+    const count = Math.min(params[1] || 20, Game.chatManager.settings.limit);
+
+    if (!['global', 'faction', 'local'].includes(type)) {
+        return Game.eventToSocket(socket, 'error', 'Invalid chat. Use global, faction or local.');
+    }
+
+    const channel = Game.chatManager.getChannel(character, type);
+
+    if (!channel) {
+        return Game.eventToSocket(socket, 'error', 'You are not a member of a faction.');
+    }
+
+    const messages = Game.chatManager.get(character, channel, count);
+
+    if (!messages.length) {
+        return Game.eventToSocket(socket, 'info', `There are no ${type} messages.`);
+    }
+
+    Game.eventToSocket(socket, 'multiline', [
+        `The last ${messages.length} ${type} message(s):`,
+    ].concat(messages.map((message) => {
+        const time = moment(message.date).format('HH:mm');
+
+        if (!message.name || message.type === 'emote') {
+            return `[${time}] ${message.message}`;
+        }
+
+        return `[${time}] ${message.name}: ${message.message}`;
+    })));
+}
+
+module.exports = [
+    {
+        command: '/history',
+        aliases: [],
+        params: [
+            {
+                name: 'Chat',
+                desc: 'The chat to show the history of: global, faction or local.',
+                rules: 'required|alphanum',
+            },
+            {
+                name: 'Count',
+                desc: 'The number of messages to show (default 20).',
+                rules: 'integer|min:1|max:100',
+            },
+        ],
+        description: 'Shows the latest messages of the global, faction or local chat, eg. /history global 50',
+        method: cmdHistory,
+    },
+];
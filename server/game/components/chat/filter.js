@@ -0,0 +1,118 @@
+import escapeStringRegex from 'escape-string-regexp';
+
+/**
+ * Matches links, with or without the protocol, eg. https://example.com/page or www.example.com
+ * @type {RegExp}
+ */
+const URL_REGEX = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|gg|tv|ly|me|co|xyz|info|biz|ru|uk|de)\b(?:\/\S*)?/gi;
+
+/**
+ * Generates a regex matching any of the words, as whole words
+ * @param  {Array}  words List of words
+ * @return {RegExp}       The regex, or null if there are no words
+ */
+function wordsRegex(words) {
+    if (!words || !words.length) {
+        return null;
+    }
+
+    return new RegExp(`\\b(?:${words.map(escapeStringRegex).join('|')})\\b`, 'gi');
+}
+
+/**
+ * Blocks messages with words from the block list, and masks the words from the mask list
+ * @param  {String} message  The chat message
+ * @param  {Object} settings The chat filter settings
+ * @return {String}          The filtered message
+ */
+export function filterWords(message, settings) {
+    const block = wordsRegex(settings.words.block);
+    const mask = wordsRegex(settings.words.mask);
+
+    if (block && block.test(message)) {
+        throw new Error('Your message contains a word which is not allowed.');
+    }
+
+    if (!mask) {
+        return message;
+    }
+
+    return message.replace(mask, (word) => '*'.repeat(word.length));
+}
+
+/**
+ * Blocks or masks links, unless the domain is whitelisted
+ * @param  {String} message  The chat message
+ * @param  {Object} settings The chat filter settings
+ * @return {String}          The filtered message
+ */
+export function filterUrls(message, settings) {
+    if (settings.urls.action === 'allow') {
+        return message;
+    }
+
+    return message.replace(URL_REGEX, (url) => {
+        const domain = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split('/')[0].toLowerCase();
+        const whitelisted = settings.urls.whitelist.some((allowed) => domain === allowed || domain.endsWith(`.${allowed}`));
+
+        if (whitelisted) {
+            return url;
+        }
+
+        if (settings.urls.action === 'block') {
+            throw new Error('Links are not allowed in the chat.');
+        }
+
+        return '[link removed]';
+    });
+}
+
+/**
+ * Lowercases messages which are (mostly) written in capital letters
+ * @param  {String} message  The chat message
+ * @param  {Object} settings The chat filter settings
+ * @return {String}          The filtered message
+ */
+export function filterCaps(message, settings) {
+    const letters = message.replace(/[^a-z]/gi, '');
+
+    if (letters.length < settings.caps.minLength) {
+        return message;
+    }
+
+    const capitals = letters.replace(/[^A-Z]/g, '');
+
+    if (capitals.length / letters.length <= settings.caps.maxRatio) {
+        return message;
+    }
+
+    return message.toLowerCase();
+}
+
+/**
+ * Blocks messages the character has already sent too many times, recently
+ * @param  {String} message  The chat message
+ * @param  {Object} settings The chat filter settings
+ * @param  {Array}  recent   The recent messages of the character, [{message, date}]
+ * @return {String}          The message
+ */
+export function filterRepeats(message, settings, recent) {
+    const normalized = normalizeMessage(message);
+    const since = Date.now() - (settings.repeat.seconds * 1000);
+    const repeats = recent.filter((obj) => obj.date >= since && obj.message === normalized).length;
+
+    if (repeats >= settings.repeat.limit) {
+        throw new Error('Please do not repeat the same message.');
+    }
+
+    return message;
+}
+
+/**
+ * Normalizes a message for comparison, so small variations are treated as the same message
+ * @param  {String} message The chat message
+ * @return {String}
+ */
+export function normalizeMessage(message) {
+    return message.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
@@ -0,0 +1,316 @@
+import Promise from 'bluebird';
+import moment from 'moment';
+
+// manager specific imports
+import ChatMessageModel from './model';
+import chatCommands from './commands';
+import {filterWords, filterUrls, filterCaps, filterRepeats, normalizeMessage} from './filter';
+
+/**
+ * The default chat history settings, used for anything not set in config.game.chatHistory
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    // max number of messages kept per channel
+    limit: 100,
+    // number of messages, per channel, sent to the client on login
+    loginCount: 20,
+    // number of days to keep the global and faction messages in the database. 0 keeps them forever.
+    retentionDays: 7,
+};
+
+/**
+ * The default chat filter settings, used for anything not set in config.game.chatFilter
+ * @type {Object}
+ */
+const DEFAULT_FILTER_SETTINGS = {
+    enabled: true,
+    // messages with a word from the block list are rejected, words from the mask list are replaced with *
+    words: {
+        block: [],
+        mask: [],
+    },
+    // links are either blocked, masked or allowed. Links to whitelisted domains are always allowed.
+    urls: {
+        action: 'block',
+        whitelist: [],
+    },
+    // messages with at least minLength letters, of which more than maxRatio are capitals, are lowercased
+    caps: {
+        minLength: 10,
+        maxRatio: 0.7,
+    },
+    // max number of times the same message can be sent, within the number of seconds
+    repeat: {
+        limit: 2,
+        seconds: 30,
+    },
+    // characters are muted for N minutes, once they have N rejected messages within strikeDecay seconds
+    autoMute: {
+        strikes: 3,
+        strikeDecay: 300,
+        minutes: 5,
+    },
+};
+
+/**
+ * The steps of the chat filter pipeline, in the order they are applied
+ * @type {Array}
+ */
+const FILTER_PIPELINE = [
+    filterWords,
+    filterUrls,
+    filterCaps,
+    filterRepeats,
+];
+
+/**
+ * The chat types which have a history, and whether the history is persisted
+ * @type {Object}
+ */
+const HISTORY_TYPES = {
+    global: true,
+    faction: true,
+    local: false,
+};
+
+/**
+ * Chat Manager
+ */
+export default class ChatManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.chatHistory,
+        };
+        this.filterSettings = {...DEFAULT_FILTER_SETTINGS};
+        Object.keys(this.Game.config.game.chatFilter || {}).forEach((key) => {
+            const setting = this.Game.config.game.chatFilter[key];
+            this.filterSettings[key] = typeof setting === 'object' && !Array.isArray(setting) ? {...DEFAULT_FILTER_SETTINGS[key], ...setting} : setting;
+        });
+        // the recent messages, by history channel (populated at runtime)
+        this.history = {};
+        // the recent messages and the times of the filter strikes, by user_id (populated at runtime)
+        this.recent = {};
+        this.strikes = {};
+
+        // forget the recent messages and strikes of players logging out, the mute itself is kept
+        this.Game.socketManager.on('disconnect', (user) => {
+            delete this.recent[user.user_id];
+            delete this.strikes[user.user_id];
+        });
+
+        // log manager progress
+        this.Game.logger.debug('ChatManager::constructor Loaded');
+    }
+
+    /**
+     * Register the chat commands, and load the persisted global and faction history
+     * @return {Promise}
+     */
+    init() {
+        this.Game.commandManager.registerManager(chatCommands);
+
+        const channels = ['global'].concat(this.Game.factionManager.factions.map((faction) => `faction_${faction.faction_id}`));
+
+        return Promise.all(channels.map((channel) => this.load(channel)))
+            .then((loaded) => loaded.reduce((total, count) => total + count, 0));
+    }
+
+    /**
+     * Loads the persisted history of a channel from the database
+     * @param  {String} channel The history channel, eg. global
+     * @return {Promise}        Resolves with the number of messages loaded
+     */
+    load(channel) {
+        return new Promise((resolve, reject) => {
+            ChatMessageModel.find({channel})
+                .sort({date: -1})
+                .limit(this.settings.limit)
+                .exec((err, messages) => {
+                    if (err) {
+                        return reject(this.Game.logger.error(err));
+                    }
+
+                    this.history[channel] = messages.reverse().map((message) => ({
+                        user_id: message.user_id,
+                        name: message.name,
+                        message: message.message,
+                        type: message.type,
+                        date: message.date.getTime(),
+                    }));
+
+                    resolve(messages.length);
+                });
+        });
+    }
+
+    /**
+     * Get the history channel of a chat type, for the character
+     * @param  {Character} character The character
+     * @param  {String}    type      The chat type, eg. global, faction or local
+     * @return {String}              The history channel, or null if there is none
+     */
+    getChannel(character, type) {
+        switch (type) {
+            case 'global':
+                return 'global';
+            case 'faction':
+                return character.faction ? `faction_${character.faction.faction_id}` : null;
+            case 'local':
+                return `local_${character.getLocationId()}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Adds a chat message to the history of the channel, persisting global and faction messages
+     * @param  {String} channel The history channel, eg. global or local_<location id>
+     * @param  {Object} payload The CHAT_MESSAGE payload
+     */
+    record(channel, payload) {
+        const type = channel.split('_')[0];
+
+        if (!HISTORY_TYPES.hasOwnProperty(type)) {
+            return;
+        }
+
+        // ignored players are filtered out when the history is sent, as the ignore lists may change
+        const message = {
+            user_id: payload.user_id || null,
+            name: payload.name || null,
+            message: payload.message,
+            type: payload.type,
+            date: Date.now(),
+        };
+
+        const history = this.history[channel] || [];
+        history.push(message);
+        this.history[channel] = history.slice(-this.settings.limit);
+
+        if (!HISTORY_TYPES[type]) {
+            return;
+        }
+
+        new ChatMessageModel({
+            ...message,
+            channel,
+            date: new Date(message.date),
+            expires_at: this.settings.retentionDays ? moment().add(this.settings.retentionDays, 'days').toDate() : null,
+        }).save((err) => {
+            if (err) {
+                this.Game.logger.error('ChatManager::record', err);
+            }
+        });
+    }
+
+    /**
+     * Get the latest messages of a channel, excluding those from players the character ignores
+     * @param  {Character} character The character requesting the history
+     * @param  {String}    channel   The history channel
+     * @param  {Number}    count     The max number of messages
+     * @return {Array}               The messages, oldest first
+     */
+    get(character, channel, count) {
+        return (this.history[channel] || [])
+            .filter((message) => !message.user_id || !character.isIgnoring(message.user_id))
+            .slice(-count);
+    }
+
+    /**
+     * Get the chat history sent to the client on login: the latest global, faction and local messages
+     * @param  {Character} character The character logging in
+     * @return {Array}               The messages, oldest first
+     */
+    getLoginHistory(character) {
+        return Object.keys(HISTORY_TYPES)
+            .map((type) => this.getChannel(character, type))
+            .filter((channel) => channel)
+            .reduce((messages, channel) => messages.concat(this.get(character, channel, this.settings.loginCount)), [])
+            .sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Runs a chat message through the filter pipeline. Rejected messages count as a strike,
+     * and too many strikes will automatically mute the character.
+     * @param  {Character} character The character sending the message
+     * @param  {String}    message   The chat message
+     * @return {String}              The filtered message
+     */
+    filter(character, message) {
+        const settings = this.filterSettings;
+
+        // staff are trusted to chat responsibly
+        if (!settings.enabled || this.Game.accountManager.hasPermission(character.role, 'moderator')) {
+            return message;
+        }
+
+        const since = Date.now() - (settings.repeat.seconds * 1000);
+        const recent = (this.recent[character.user_id] || []).filter((obj) => obj.date >= since);
+
+        try {
+            message = FILTER_PIPELINE.reduce((filtered, step) => step(filtered, settings, recent), message);
+        } catch (err) {
+            this.recent[character.user_id] = recent;
+            throw this.addStrike(character, err);
+        }
+
+        recent.push({
+            message: normalizeMessage(message),
+            date: Date.now(),
+        });
+        this.recent[character.user_id] = recent;
+
+        return message;
+    }
+
+    /**
+     * Adds a filter strike to the character, muting them if they have too many
+     * @param  {Character} character The character who sent the rejected message
+     * @param  {Error}     err       The error, explaining why the message was rejected
+     * @return {Error}               The error to show the character
+     */
+    addStrike(character, err) {
+        const settings = this.filterSettings.autoMute;
+        const since = Date.now() - (settings.strikeDecay * 1000);
+        // only the strikes within the strikeDecay window count, each strike expires on its own
+        const strikes = (this.strikes[character.user_id] || []).filter((date) => date > since).concat(Date.now());
+
+        if (!settings.strikes || strikes.length < settings.strikes) {
+            this.strikes[character.user_id] = strikes;
+            return err;
+        }
+
+        delete this.strikes[character.user_id];
+        character.mute(settings.minutes * 60);
+
+        this.Game.logger.warn('ChatManager::autoMute', {user_id: character.user_id, name: character.name, reason: err.message});
+        return new Error(`${err.message} You have been muted for ${settings.minutes} minute(s).`);
+    }
+
+    /**
+     * Removes the history of a channel, eg. when a faction is disbanded
+     * @param  {String} channel The history channel
+     * @return {Promise}
+     */
+    clear(channel) {
+        delete this.history[channel];
+
+        return new Promise((resolve, reject) => {
+            ChatMessageModel.remove({channel}, (err) => {
+                if (err) {
+                    this.Game.logger.error('ChatManager::clear', err);
+                    return reject(err);
+                }
+
+                resolve();
+            });
+        });
+    }
+}
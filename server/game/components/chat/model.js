@@ -0,0 +1,33 @@
+// Load required packages
+import mongoose from 'mongoose';
+
+// Define our chat message schema
+const ChatMessageSchema = new mongoose.Schema({
+    // the history channel, eg. global or faction_<faction_id>
+    channel: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    user_id: String,
+    name: String,
+    message: {
+        type: String,
+        required: true,
+    },
+    type: String,
+    date: {
+        type: Date,
+        default: Date.now,
+        index: true,
+    },
+    // Mongo removes the message once this date has passed. Messages without it are kept forever.
+    expires_at: {
+        type: Date,
+    },
+});
+
+ChatMessageSchema.index({expires_at: 1}, {expireAfterSeconds: 0});
+
+// Export the Mongoose model
+module.exports = mongoose.model('ChatMessage', ChatMessageSchema);
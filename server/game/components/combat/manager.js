@@ -0,0 +1,190 @@
+import {COMBAT_EVENT} from '../../../shared/types';
+
+/**
+ * The default combat settings, used for anything not set in config.game.combat
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    // the damage of an unarmed attack
+    punch: {
+        damage_min: 1,
+        damage_max: 3,
+    },
+    // the % the damage can randomly vary, up or down
+    variance: 10,
+    // the % chance of a critical hit, and the damage multiplier, for weapons without their own
+    critChance: 5,
+    critMultiplier: 1.5,
+};
+
+/**
+ * The equipment slot used by each type of attack
+ * @type {Object}
+ */
+const ATTACK_SLOTS = {
+    punch: null,
+    melee: 'melee',
+    ranged: 'ranged',
+};
+
+/**
+ * Combat Manager, resolves the outcome of attacks
+ */
+export default class CombatManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.combat,
+        };
+
+        // log manager progress
+        this.Game.logger.debug('CombatManager::constructor Loaded');
+    }
+
+    /**
+     * Get the combined stats of what the attacker uses for the type of attack
+     * @param  {Character} attacker The attacking character or NPC
+     * @param  {String}    type     The type of attack: punch, melee or ranged
+     * @return {Object}             {name, damage_min, damage_max, damage_bonus, armor_penetration, crit_chance, crit_multiplier, bleed_chance, stun_chance}
+     */
+    getWeaponStats(attacker, type) {
+        const weapon = ATTACK_SLOTS[type] ? attacker.getEquippedSync(ATTACK_SLOTS[type]) : null;
+        const ammo = type === 'ranged' ? attacker.getEquippedSync('ammo') : null;
+        const stats = weapon ? weapon.stats : this.settings.punch;
+        const ammoStats = ammo ? ammo.stats : {};
+
+        return {
+            name: weapon ? weapon.name : 'fists',
+            damage_min: stats.damage_min,
+            damage_max: stats.damage_max,
+            damage_bonus: ammoStats.damage_bonus || 0,
+            armor_penetration: Math.min(100, (stats.armor_penetration || 0) + (ammoStats.armor_penetration || 0)),
+            crit_chance: typeof stats.crit_chance === 'number' ? stats.crit_chance : this.settings.critChance,
+            crit_multiplier: stats.crit_multiplier || this.settings.critMultiplier,
+            bleed_chance: stats.bleed_chance || 0,
+            stun_chance: stats.stun_chance || 0,
+        };
+    }
+
+    /**
+     * Resolves an attack against the target: whether it hits, the damage, critical hits and the armor's block.
+     * Ranged attacks use a round of ammo, and only ranged damage is reduced by armor. Hits can make the target bleed or stunned,
+     * depending on the weapon. The outcome is sent to the players involved.
+     * @param  {Character} attacker The attacking character or NPC
+     * @param  {Character} target   The character or NPC being attacked
+     * @param  {String}    type     The type of attack: punch, melee or ranged
+     * @return {Object}             {type, weapon, hit, critical, damage, damageBlocked, damageDealt, healthLeft, durabilityLeft, armorRuined, killed, effects}
+     */
+    resolve(attacker, target, type) {
+        const weapon = this.getWeaponStats(attacker, type);
+        const result = {
+            type,
+            weapon: weapon.name,
+            hit: attacker.attackHit(),
+            critical: false,
+            damage: 0,
+            damageBlocked: 0,
+            damageDealt: 0,
+            healthLeft: target.stats.health,
+            durabilityLeft: 0,
+            armorRuined: false,
+            killed: false,
+            effects: [],
+        };
+
+        if (type === 'ranged') {
+            attacker.useAmmo();
+        }
+
+        if (!result.hit) {
+            this.dispatch(attacker, target, result);
+            return result;
+        }
+
+        let damage = Math.floor(Math.random() * (weapon.damage_max - weapon.damage_min + 1)) + weapon.damage_min + weapon.damage_bonus;
+        damage = damage * (1 + ((Math.random() * 2 - 1) * this.settings.variance / 100));
+
+        if (Math.random() * 100 < weapon.crit_chance) {
+            result.critical = true;
+            damage = damage * weapon.crit_multiplier;
+        }
+
+        result.damage = Math.max(1, attacker.applyDamageModifiers(damage));
+
+        Object.assign(result, target.dealDamage(result.damage, type !== 'ranged', weapon.armor_penetration));
+        result.killed = !result.healthLeft;
+
+        if (!result.killed) {
+            result.effects = this.Game.effectManager.applyWeaponEffects(target, weapon);
+        }
+
+        this.dispatch(attacker, target, result);
+        return result;
+    }
+
+    /**
+     * Sends the outcome of an attack, as a COMBAT_EVENT, to the players involved
+     * @param  {Character} attacker The attacking character or NPC
+     * @param  {Character} target   The character or NPC being attacked
+     * @param  {Object}    result   The attack result from resolve()
+     */
+    dispatch(attacker, target, result) {
+        const action = {
+            type: COMBAT_EVENT,
+            payload: {
+                attacker: {
+                    id: attacker.user_id || attacker.id,
+                    name: attacker.user_id ? attacker.name : `${attacker.name} the ${attacker.type}`,
+                },
+                target: {
+                    id: target.user_id || target.id,
+                    name: target.user_id ? target.name : `${target.name} the ${target.type}`,
+                    health: target.stats.health,
+                    health_max: target.stats.health_max,
+                },
+                type: result.type,
+                weapon: result.weapon,
+                hit: result.hit,
+                critical: result.critical,
+                damageDealt: result.damageDealt,
+                damageBlocked: result.damageBlocked,
+                durabilityLeft: result.durabilityLeft,
+                armorRuined: result.armorRuined,
+                killed: result.killed,
+                date: Date.now(),
+            },
+        };
+
+        [attacker, target]
+            .filter((character) => character.user_id)
+            .forEach((character) => this.Game.socketManager.dispatchToUser(character.user_id, action));
+    }
+
+    /**
+     * Generates the damage part of the attack messages, eg. "12 damage (critical hit, 3 blocked by armor)"
+     * @param  {Object} result The attack result from resolve()
+     * @return {String}
+     */
+    describeDamage(result) {
+        const details = [];
+
+        if (result.critical) {
+            details.push('critical hit');
+        }
+
+        if (result.damageBlocked) {
+            details.push(`${result.damageBlocked} blocked by armor`);
+        }
+
+        if (result.armorRuined) {
+            details.push('the armor was ruined');
+        }
+
+        return `${result.damageDealt} damage${details.length ? ` (${details.join(', ')})` : ''}`;
+    }
+}
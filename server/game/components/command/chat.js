@@ -0,0 +1,38 @@
+/**
+ * Check if there is an active cooldown or not, for chatting, and runs the message through the chat filter
+ * @param  {Character} character The character object to check cooldowns for
+ * @param  {Game}      Game      The main Game object
+ * @param  {String}    message   The chat message, or null if there is no message to filter (eg. emotes)
+ * @param  {Function}  callback  Callback function, receives the filtered message
+ */
+export function checkChatCooldown(character, Game, message, callback) {
+    // check if the character has been muted by a moderator
+    const mutedFor = character.mutedFor();
+
+    if (mutedFor) {
+        return Game.eventToUser(character.user_id, 'error', `You have been muted, and cannot chat for another ${mutedFor} seconds.`);
+    }
+
+    // check if the character has an existing cooldown for this action, if they are trying to hide
+    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'chat');
+
+    if (ticksLeft) {
+        return Game.eventToUser(character.user_id, 'error', `You must wait another ${(ticksLeft / 10)} seconds before you can send another message.`);
+    }
+
+    // add the search cooldown to the character
+    Game.cooldownManager.add(character, 'chat', null, true);
+
+    if (message === null) {
+        return callback();
+    }
+
+    // slurs, spam and links are masked or rejected. Repeat offenders are muted automatically.
+    try {
+        message = Game.chatManager.filter(character, message);
+    } catch (err) {
+        return Game.eventToUser(character.user_id, 'error', err.message);
+    }
+
+    callback(message);
+}
@@ -1,25 +1,12 @@
 import {CHAT_MESSAGE} from './types';
+import {checkChatCooldown} from './chat';
+import emoteList from '../../data/emotes.json';
 
 /**
- * Check if there is an active cooldown or not, for chatting
- * @param  {Character} character The character object to check cooldowns for
- * @param  {Game}      Game      The main Game object
- * @param  {Function}  callback  Callback function
+ * The max number of players a character can ignore
+ * @type {Number}
  */
-function checkChatCooldown(character, Game, callback) {
-    // check if the character has an existing cooldown for this action, if they are trying to hide
-    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'chat');
-
-    if (ticksLeft) {
-        return Game.eventToUser(character.user_id, 'error', `You must wait another ${(ticksLeft / 10)} seconds before you can send another message.`);
-    }
-
-    // add the search cooldown to the character
-    Game.cooldownManager.add(character, 'chat', null, true);
-
-    // return the new cooldown
-    callback();
-}
+const IGNORE_MAX_COUNT = 50;
 
 /**
  * Global command logic
@@ -39,15 +26,19 @@ function cmdGlobal(socket, character, command, params, cmdObject, Game) {
     }
 
     // check for cooldowns
-    checkChatCooldown(character, Game, () => {
+    checkChatCooldown(character, Game, message, (filteredMessage) => {
+        const payload = {
+            user_id: character.user_id,
+            name: character.name,
+            message: filteredMessage,
+            type: 'global',
+            ignore: Game.characterManager.getIgnoredBy(character.user_id),
+        };
+
+        Game.chatManager.record('global', payload);
         Game.socketManager.dispatchToServer({
             type: CHAT_MESSAGE,
-            payload: {
-                user_id: character.user_id,
-                name: character.name,
-                message: params.join(' '),
-                type: 'global',
-            },
+            payload,
         });
     });
 }
@@ -70,15 +61,19 @@ function cmdSay(socket, character, command, params, cmdObject, Game) {
     }
 
     // check for cooldowns
-    checkChatCooldown(character, Game, () => {
+    checkChatCooldown(character, Game, message, (filteredMessage) => {
+        const payload = {
+            user_id: character.user_id,
+            name: character.name,
+            message: filteredMessage,
+            type: 'local',
+            ignore: Game.characterManager.getIgnoredBy(character.user_id),
+        };
+
+        Game.chatManager.record(Game.chatManager.getChannel(character, 'local'), payload);
         Game.socketManager.dispatchToRoom(`${character.location.map}_${character.location.y}_${character.location.x}`, {
             type: CHAT_MESSAGE,
-            payload: {
-                user_id: character.user_id,
-                name: character.name,
-                message: message,
-                type: 'local',
-            },
+            payload,
         });
     });
 }
@@ -93,10 +88,14 @@ function cmdSay(socket, character, command, params, cmdObject, Game) {
  * @param  {Game} Game                  The main Game object
  */
 function cmdWhisper(socket, character, command, params, cmdObject, Game) {
+    const whisperTarget = params[0];
+
     // check for cooldowns
-    checkChatCooldown(character, Game, () => {
-        const whisperTarget = params[0];
-        const message = params[1];
+    checkChatCooldown(character, Game, params[1], (message) => {
+        // a player ignoring the sender should not receive the message, nor should the sender know why
+        if (whisperTarget.isIgnoring(character.user_id)) {
+            return Game.eventToSocket(socket, 'error', 'Your message could not be delivered.');
+        }
 
         // send message to the socket
         Game.socketManager.dispatchToSocket(socket, {
@@ -121,7 +120,332 @@ function cmdWhisper(socket, character, command, params, cmdObject, Game) {
     });
 }
 
+/**
+ * Generates the chat message action for an emote
+ * @param  {Character} character The character performing the emote
+ * @param  {String}    message   The emote text
+ * @param  {Array}     ignore    List of user_ids who should ignore the message
+ * @param  {Game}      Game      The main Game object
+ * @return {Object}              Redux action
+ */
+function emoteMessage(character, message, ignore, Game) {
+    return {
+        type: CHAT_MESSAGE,
+        payload: {
+            user_id: character.user_id,
+            name: character.name,
+            message,
+            type: 'emote',
+            // players ignoring the character should not see their emotes either
+            ignore: ignore.concat(Game.characterManager.getIgnoredBy(character.user_id)),
+        },
+    };
+}
+
+/**
+ * Sends an emote to everyone at the character's location, and adds it to the local chat history
+ * @param  {Character} character The character performing the emote
+ * @param  {String}    message   The emote text
+ * @param  {Array}     ignore    List of user_ids who should ignore the message
+ * @param  {Game}      Game      The main Game object
+ */
+function emoteToGrid(character, message, ignore, Game) {
+    const action = emoteMessage(character, message, ignore, Game);
+
+    Game.chatManager.record(Game.chatManager.getChannel(character, 'local'), action.payload);
+    Game.socketManager.dispatchToRoom(character.getLocationId(), action);
+}
+
+/**
+ * Replaces the {actor} and {target} placeholders of an emote text
+ * @param  {String} text   The emote text, eg. "{actor} waves at {target}."
+ * @param  {String} actor  Name of the character performing the emote
+ * @param  {String} target Name of the target, if any
+ * @return {String}
+ */
+function formatEmote(text, actor, target = '') {
+    return text.replace(/{actor}/g, actor).replace(/{target}/g, target);
+}
+
+/**
+ * Me command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game} Game                  The main Game object
+ */
+function cmdMe(socket, character, command, params, cmdObject, Game) {
+    const action = params.join(' ').trim();
+
+    // check if the action is empty
+    if (!action.length) {
+        return Game.eventToSocket(socket, 'error', 'You must specify an action. Syntax: /me <action>');
+    }
+
+    // check for cooldowns
+    checkChatCooldown(character, Game, action, (filteredAction) => {
+        emoteToGrid(character, `${character.name} ${filteredAction}`, [], Game);
+    });
+}
+
+/**
+ * Emote command logic, for the emotes in the emotes data file
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game} Game                  The main Game object
+ */
+function cmdEmote(socket, character, command, params, cmdObject, Game) {
+    const emote = emoteList[cmdObject.modifiers.emote];
+    const target = emote.target && params[0] ? params[0] : null;
+
+    if (target && target.user_id === character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You cannot do that to yourself.');
+    }
+
+    // check for cooldowns
+    checkChatCooldown(character, Game, null, () => {
+        if (!target) {
+            Game.socketManager.dispatchToSocket(socket, emoteMessage(character, formatEmote(emote.self.actor, character.name), [], Game));
+            emoteToGrid(character, formatEmote(emote.self.others, character.name), [character.user_id], Game);
+            return;
+        }
+
+        // NPCs are refered to by their name and type, eg. "Fred the Drug Dealer"
+        const targetName = target.npc_id ? `${target.name} the ${target.type}` : target.name;
+
+        Game.socketManager.dispatchToSocket(socket, emoteMessage(character, formatEmote(emote.target.actor, character.name, targetName), [], Game));
+
+        if (!target.npc_id) {
+            Game.socketManager.dispatchToUser(target.user_id, emoteMessage(character, formatEmote(emote.target.target, character.name, targetName), [], Game));
+        }
+
+        emoteToGrid(character, formatEmote(emote.target.others, character.name, targetName), [character.user_id, target.user_id], Game);
+    });
+}
+
+/**
+ * Generates the command objects for the emotes in the emotes data file, eg. /wave [Target]
+ * @return {Array}
+ */
+function emoteCommands() {
+    return Object.keys(emoteList).map((emoteId) => {
+        const emote = emoteList[emoteId];
+        const params = [];
+
+        // the target is optional, if the emote can be performed on its own
+        if (emote.target) {
+            params.push({
+                name: 'Target',
+                desc: 'The name of the player or NPC, at your location, to target.',
+                rules: `${emote.self ? '' : 'required|'}target:grid`,
+            });
+        }
+
+        return {
+            command: `/${emoteId}`,
+            aliases: [],
+            params,
+            description: emote.description,
+            modifiers: {
+                emote: emoteId,
+            },
+            method: cmdEmote,
+        };
+    });
+}
+
+/**
+ * Ignore command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game} Game                  The main Game object
+ */
+function cmdIgnore(socket, character, command, params, cmdObject, Game) {
+    const target = params[0];
+
+    if (target.user_id === character.user_id) {
+        return Game.eventToSocket(socket, 'error', 'You cannot ignore yourself.');
+    }
+
+    // staff must be able to reach everyone
+    if (Game.accountManager.hasPermission(target.role, 'moderator')) {
+        return Game.eventToSocket(socket, 'error', 'You cannot ignore staff members.');
+    }
+
+    if (character.isIgnoring(target.user_id)) {
+        return Game.eventToSocket(socket, 'warning', `You are already ignoring ${target.name}.`);
+    }
+
+    if (character.ignores.length >= IGNORE_MAX_COUNT) {
+        return Game.eventToSocket(socket, 'error', `You cannot ignore more than ${IGNORE_MAX_COUNT} players.`);
+    }
+
+    character.ignores.push({
+        user_id: target.user_id,
+        name: target.name,
+    });
+
+    Game.eventToSocket(socket, 'success', `You are now ignoring ${target.name}. Use /unignore ${target.name} to stop.`);
+}
+
+/**
+ * Unignore command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game} Game                  The main Game object
+ */
+function cmdUnignore(socket, character, command, params, cmdObject, Game) {
+    // the player might be offline, so match against the names in the ignore list
+    const name = params[0].toLowerCase();
+    const ignored = character.ignores.find((obj) => obj.name.toLowerCase() === name);
+
+    if (!ignored) {
+        return Game.eventToSocket(socket, 'error', `You are not ignoring anyone named ${params[0]}.`);
+    }
+
+    character.ignores = character.ignores.filter((obj) => obj !== ignored);
+    Game.eventToSocket(socket, 'success', `You are no longer ignoring ${ignored.name}.`);
+}
+
+/**
+ * Ignore list command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game} Game                  The main Game object
+ */
+function cmdIgnoreList(socket, character, command, params, cmdObject, Game) {
+    if (!character.ignores.length) {
+        return Game.eventToSocket(socket, 'info', 'You are not ignoring anyone.');
+    }
+
+    Game.eventToSocket(socket, 'multiline', [
+        `You are ignoring ${character.ignores.length} player(s):`,
+    ].concat(character.ignores.map((obj) => obj.name).sort()));
+}
+
+/**
+ * Help command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game} Game                  The main Game object
+ */
+function cmdHelp(socket, character, command, params, cmdObject, Game) {
+    const topic = (params[0] || '').trim().toLowerCase();
+    const role = socket.user.role;
+
+    // without a topic, list the syntax of every available command
+    if (!topic) {
+        const commands = Game.commandManager.searchHelp('', role);
+
+        return Game.eventToSocket(socket, 'multiline', [
+            'Type /help <command> for details about a command, or /help <topic> to search the commands.',
+        ].concat(commands.map((cmd) => Game.commandManager.getSyntax(cmd))));
+    }
+
+    // check if the topic is a command (or alias of one)
+    const helpCommand = topic[0] === '/' ? topic : `/${topic}`;
+    const commandObject = Game.commandManager.commands[helpCommand];
+
+    if (commandObject && Game.accountManager.hasPermission(role, commandObject.permission)) {
+        return Game.eventToSocket(socket, 'multiline', Game.commandManager.getHelp(helpCommand));
+    }
+
+    // otherwise search the command descriptions for the topic
+    const matches = Game.commandManager.searchHelp(topic, role);
+
+    if (!matches.length) {
+        return Game.eventToSocket(socket, 'error', `No help found for "${topic}".`);
+    }
+
+    Game.eventToSocket(socket, 'multiline', [
+        `Commands related to "${topic}":`,
+    ].concat(matches.map((cmd) => `${Game.commandManager.getSyntax(cmd)} - ${Game.commandManager.getDescription(Game.commandManager.commands[cmd])}`)));
+}
+
+/**
+ * Alias command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game} Game                  The main Game object
+ */
+function cmdAlias(socket, character, command, params, cmdObject, Game) {
+    const action = params[0].toLowerCase();
+    const aliasName = (params[1] || '').toLowerCase();
+
+    switch (action) {
+        case 'list':
+            const aliases = Object.keys(character.aliases).sort();
+
+            if (!aliases.length) {
+                return Game.eventToSocket(socket, 'info', 'You have no aliases. Use /alias add <name> <command(s)> to create one.');
+            }
+
+            return Game.eventToSocket(socket, 'multiline', [
+                'Your aliases:',
+            ].concat(aliases.map((name) => `/${name}: ${character.aliases[name]}`)));
+
+        case 'add':
+            if (!aliasName || !params[2]) {
+                return Game.eventToSocket(socket, 'error', 'Usage: /alias add <name> <command(s)>, eg. /alias add as /aim $1;/shoot');
+            }
+
+            try {
+                Game.commandManager.addAlias(character, aliasName, params[2]);
+            } catch (error) {
+                return Game.eventToSocket(socket, 'error', error.message);
+            }
+
+            return Game.eventToSocket(socket, 'success', `Alias /${aliasName} saved.`);
+
+        case 'remove':
+            if (!aliasName) {
+                return Game.eventToSocket(socket, 'error', 'Usage: /alias remove <name>');
+            }
+
+            if (!Game.commandManager.removeAlias(character, aliasName)) {
+                return Game.eventToSocket(socket, 'error', `You do not have an alias named /${aliasName}.`);
+            }
+
+            return Game.eventToSocket(socket, 'success', `Alias /${aliasName} removed.`);
+    }
+
+    Game.eventToSocket(socket, 'error', 'Invalid action. Use add, remove or list.');
+}
+
 module.exports = [
+    {
+        command: '/help',
+        aliases: [],
+        params: [
+            {
+                name: 'Topic',
+                desc: 'The command or topic you want help with.',
+                rules: 'maxlen:50',
+            },
+        ],
+        description: 'Shows how to use a command, or searches the commands for a topic.',
+        method: cmdHelp,
+    },
     {
         command: '/global',
         aliases: [
@@ -170,9 +494,85 @@ module.exports = [
                 name: 'Message',
                 desc: 'The message you wish to send to the player.',
                 rules: 'required|minlen:1|maxlen:500',
+                sensitive: true,
             },
         ],
         description: 'Send a private message to another player.',
         method: cmdWhisper,
     },
-];
+    {
+        command: '/ignore',
+        aliases: [
+            '/block',
+        ],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player you want to ignore.',
+                rules: 'required|player',
+            },
+        ],
+        description: 'Hide the chat messages, whispers and emotes of another player.',
+        method: cmdIgnore,
+    },
+    {
+        command: '/unignore',
+        aliases: [
+            '/unblock',
+        ],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player you no longer want to ignore.',
+                rules: 'required|minlen:1|maxlen:50',
+            },
+        ],
+        description: 'Stop ignoring a player.',
+        method: cmdUnignore,
+    },
+    {
+        command: '/ignorelist',
+        aliases: [],
+        params: [],
+        description: 'List the players you are ignoring.',
+        method: cmdIgnoreList,
+    },
+    {
+        command: '/me',
+        aliases: [
+            '/emote',
+        ],
+        params: [
+            {
+                name: 'Action',
+                desc: 'What your character does, eg. "leans against the wall."',
+                rules: 'required|minlen:1|maxlen:500',
+            },
+        ],
+        description: 'Roleplay an action, shown as "<your name> <action>" to everyone in the same spot.',
+        method: cmdMe,
+    },
+    {
+        command: '/alias',
+        aliases: [],
+        params: [
+            {
+                name: 'Action',
+                desc: 'What you want to do: add, remove or list.',
+                rules: 'required|alphanum',
+            },
+            {
+                name: 'Name',
+                desc: 'The name of the alias, eg. "as" for /as.',
+                rules: 'alphanum|maxlen:20',
+            },
+            {
+                name: 'Commands',
+                desc: 'The command(s) the alias runs, separated by ";". $1-$9 are replaced by the arguments, $* by all of them.',
+                rules: 'maxlen:250',
+            },
+        ],
+        description: 'Manage your command aliases and macros, eg. /alias add as /aim $1;/shoot',
+        method: cmdAlias,
+    },
+].concat(emoteCommands());
@@ -1,8 +1,19 @@
 import Promise from 'bluebird';
-import escapeStringRegex from 'escape-string-regexp';
 import {GAME_COMMAND} from './types';
 import commandCommands from './commands';
-import {deepCopyObject} from '../../helper';
+import commandRules from './rules';
+import {deepCopyObject, levenshtein} from '../../helper';
+
+// alias and macro limits
+const ALIAS_MAX_COUNT = 25;
+const ALIAS_MAX_LENGTH = 250;
+const ALIAS_MAX_DEPTH = 3;
+const MACRO_MAX_COMMANDS = 5;
+// delay (ms) between each command of a macro
+const MACRO_COMMAND_DELAY = 100;
+// max number of "did you mean" suggestions, and the max edit distance for a suggestion
+const SUGGESTION_MAX_COUNT = 3;
+const SUGGESTION_MAX_DISTANCE = 2;
 
 /**
  * Command class
@@ -23,6 +34,9 @@ export default class CommandManager {
 
         // list of managed actions
         this.commands = {};
+
+        // list of parameter validation rules
+        this.rules = {};
     }
 
     /**
@@ -33,6 +47,7 @@ export default class CommandManager {
         return new Promise((resolve, rejecte) => {
             // load map commands
             this.registerManager(commandCommands);
+            this.registerRules(commandRules);
             resolve();
         });
     }
@@ -55,6 +70,30 @@ export default class CommandManager {
         });
     }
 
+    /**
+     * Registers a manager's parameter validation rules
+     * @param  {Array} rulesList Array of rules from the managers rules.js
+     */
+    registerRules(rulesList) {
+        rulesList.forEach((obj) => {
+            this.registerRule(obj.rule, obj);
+        });
+    }
+
+    /**
+     * Register a parameter validation rule. The rule method receives (value, modifiers, param, character, Game)
+     * and must return the validated value (or a Promise resolving it), or throw/reject with an Error.
+     * @param  {String} ruleName   The rule name, as used in the command param rules, eg. item
+     * @param  {Object} ruleObject The rule object from the component/<name>/rules.js
+     */
+    registerRule(ruleName, ruleObject) {
+        if (this.rules[ruleName]) {
+            return this.Game.logger.warn(`The rule ${ruleName}, is already registered. Registration ignored.`);
+        }
+
+        this.rules[ruleName] = ruleObject;
+    }
+
     /**
      * Register a command object
      * @param  {String}  commandName   Command, eg /say
@@ -69,7 +108,7 @@ export default class CommandManager {
 
         // check if a command is already registered to that key
         if (this.commands[commandName]) {
-            return this.Game.logger.warning(`The command ${commandName}, is already registered to the method: ${this.commands[commandName].name}. Registration ignored.`);
+            return this.Game.logger.warn(`The command ${commandName}, is already registered to the method: ${this.commands[commandName].name}. Registration ignored.`);
         }
 
         // This is needed for when we fetch the list of commands for the client.
@@ -100,46 +139,313 @@ export default class CommandManager {
             return;
         }
 
-        const params = this.parseParameters(payload);
+        const character = this.Game.characterManager.getSync(socket.user.user_id);
+        let commands;
+
+        // expand the character's aliases and macros, if any are used
+        try {
+            commands = this.expandAliases(character, payload);
+        } catch (error) {
+            return this.Game.eventToSocket(socket, 'error', error.message);
+        }
+
+        this.run(socket, character, commands);
+    }
+
+    /**
+     * Executes a list of commands in sequence, with a short delay between each
+     * @param  {Socket.IO Socket} socket    Client who dispatched the command
+     * @param  {Character}        character The character of the client
+     * @param  {Array}            commands  List of command strings
+     * @return {Promise}
+     */
+    run(socket, character, commands) {
+        return Promise.each(commands, (commandString, index) => {
+            return Promise.delay(index ? MACRO_COMMAND_DELAY : 0)
+                .then(() => this.execute(socket, character, commandString));
+        });
+    }
+
+    /**
+     * Parses, validates and executes a single command
+     * @param  {Socket.IO Socket} socket         Client who dispatched the command
+     * @param  {Character}        character      The character of the client
+     * @param  {String}           commandString  The command string, eg. /say hello
+     * @return {Promise}
+     */
+    execute(socket, character, commandString) {
+        const params = this.parseParameters(commandString);
         const command = params.shift().toLowerCase();
 
         if (!this.commands[command]) {
-            return this.Game.eventToSocket(socket, 'error', `Command ${command} is not a valid command.`);
+            return this.resolveUnknown(socket, character, command, commandString);
         }
 
-        const character = this.Game.characterManager.getSync(socket.user.user_id);
+        const commandObject = this.commands[command];
+
+        // make sure the account is allowed to use the command
+        if (!this.Game.accountManager.hasPermission(socket.user.role, commandObject.permission)) {
+            this.Game.auditManager.log(socket, character, commandObject, params, 'denied');
+            this.Game.eventToSocket(socket, 'error', 'You do not have permission to use that command.');
+            return Promise.resolve();
+        }
 
-        this.validate(character, params, this.commands[command].params)
+        return this.validate(character, params, commandObject.params)
             .then((validParams) => {
-                this.commands[command].method(
+                // async commands return their promise, so the outcome is logged once they are done
+                return Promise.try(() => commandObject.method(
                     socket,
                     character,
                     command,
                     validParams,
                     {
-                        modifiers: this.commands[command].modifiers ? deepCopyObject(this.commands[command].modifiers) : null,
-                        description: this.commands[command].description,
+                        modifiers: commandObject.modifiers ? deepCopyObject(commandObject.modifiers) : null,
+                        description: commandObject.description,
                     },
                     this.Game
-                );
+                ))
+                    .then(() => {
+                        this.Game.auditManager.log(socket, character, commandObject, validParams, 'success');
+                    })
+                    .catch((error) => {
+                        this.Game.auditManager.log(socket, character, commandObject, validParams, 'error', this.errorMessage(error));
+                        throw error;
+                    });
+            }, (error) => {
+                this.Game.auditManager.log(socket, character, commandObject, params, 'invalid', error.toString());
+                throw error;
+            })
+            .catch((error) => {
+                return this.Game.eventToSocket(socket, 'error', this.errorMessage(error));
+            });
+    }
+
+    /**
+     * Gets the message to show the player, from an error thrown or rejected by a command or the validation
+     * @param  {Mixed}  error The Error, or message
+     * @return {String}
+     */
+    errorMessage(error) {
+        return error instanceof Error ? error.message : `${error}`;
+    }
+
+    /**
+     * Handles an unknown command, by running it if it is an unambiguous prefix of a command,
+     * or otherwise replying with the closest matching commands.
+     * @param  {Socket.IO Socket} socket        Client who dispatched the command
+     * @param  {Character}        character     The character of the client
+     * @param  {String}           command       The unknown command, eg. /wit
+     * @param  {String}           commandString The full command string, eg. /wit 100
+     * @return {Promise}
+     */
+    resolveUnknown(socket, character, command, commandString) {
+        return this.getSuggestions(character, socket.user.role, command)
+            .then((result) => {
+                if (result.match) {
+                    const resolved = commandString.replace(/^\S+/, result.match);
+
+                    // the match might be one of the character's aliases
+                    return this.run(socket, character, this.expandAliases(character, resolved));
+                }
+
+                let message = `Command ${command} is not a valid command.`;
+
+                if (result.suggestions.length) {
+                    message = `${message} Did you mean: ${result.suggestions.join(', ')}?`;
+                }
+
+                this.Game.eventToSocket(socket, 'error', message);
             })
             .catch((error) => {
-                return this.Game.eventToSocket(socket, 'error', error.toString());
+                this.Game.eventToSocket(socket, 'error', error.message || error.toString());
             });
     }
 
+    /**
+     * Finds the commands, command aliases and character aliases matching an unknown command.
+     * Structure commands are only included when a structure at the character's location has them.
+     * @param  {Character} character The character to find matches for
+     * @param  {String}    role      The account role of the character
+     * @param  {String}    command   The unknown command, eg. /wit
+     * @return {Promise}             Resolves {match, suggestions}, match being set if the command is an unambiguous prefix
+     */
+    async getSuggestions(character, role, command) {
+        const candidates = {};
+
+        // map every available command and alias, to the command it runs
+        for (const name of Object.keys(this.commands)) {
+            const commandObject = this.commands[name];
+
+            if (!this.Game.accountManager.hasPermission(role, commandObject.permission)) {
+                continue;
+            }
+
+            if (this.Game.structureManager.isStructureCommand(commandObject.command)) {
+                try {
+                    await this.Game.structureManager.getWithCommand(
+                        character.location.map,
+                        character.location.x,
+                        character.location.y,
+                        commandObject.command
+                    );
+                } catch (err) {
+                    continue;
+                }
+            }
+
+            candidates[name] = commandObject.command;
+        }
+
+        Object.keys(character.aliases || {}).forEach((aliasName) => {
+            candidates[`/${aliasName}`] = candidates[`/${aliasName}`] || `/${aliasName}`;
+        });
+
+        // check if the command is the beginning of exactly one command (or its aliases)
+        const prefixed = Object.keys(candidates).filter((name) => name.indexOf(command) === 0);
+        const prefixMatches = [...new Set(prefixed.map((name) => candidates[name]))];
+
+        if (prefixMatches.length === 1) {
+            return {
+                match: prefixMatches[0],
+                suggestions: [],
+            };
+        }
+
+        // otherwise suggest the closest matches by edit distance, preferring ambiguous prefix matches
+        const suggestions = prefixMatches.length ? prefixMatches.sort() : Object.keys(candidates)
+            .map((name) => ({name, distance: levenshtein(command, name)}))
+            .filter((obj) => obj.distance <= SUGGESTION_MAX_DISTANCE)
+            .sort((a, b) => a.distance - b.distance)
+            .map((obj) => candidates[obj.name])
+            .filter((name, index, list) => list.indexOf(name) === index);
+
+        return {
+            match: null,
+            suggestions: suggestions.slice(0, SUGGESTION_MAX_COUNT),
+        };
+    }
+
+    /**
+     * Expands a command string, if it is one of the character's aliases. Aliases can contain multiple
+     * commands separated by ";", and $1-$9 (or $* for all) which are replaced with the arguments.
+     * @param  {Character} character     The character whos aliases to use
+     * @param  {String}    commandString The command string, eg. /as bob
+     * @param  {Number}    depth         How many aliases deep the expansion is
+     * @return {Array}                   List of command strings to execute
+     */
+    expandAliases(character, commandString, depth = 0) {
+        const aliases = character && character.aliases ? character.aliases : {};
+        const params = this.parseParameters(commandString);
+        const aliasName = params.shift().toLowerCase().replace(/^\//, '');
+
+        // registered commands always take priority over aliases
+        if (commandString[0] !== '/' || this.commands[`/${aliasName}`] || !aliases[aliasName]) {
+            return [commandString];
+        }
+
+        if (depth >= ALIAS_MAX_DEPTH) {
+            throw new Error(`Your aliases are nested too deep (max ${ALIAS_MAX_DEPTH} levels).`);
+        }
+
+        // split before substituting, so the arguments cannot add commands to the macro
+        let usesArguments = false;
+        const expanded = aliases[aliasName].split(';').map((command) => {
+            return command.replace(/\$(\*|[1-9])/g, (match, index) => {
+                usesArguments = true;
+                return index === '*' ? params.join(' ') : (params[index - 1] || '');
+            }).trim();
+        });
+
+        // if the alias does not use the arguments, append them to the last command
+        if (!usesArguments && params.length) {
+            expanded[expanded.length - 1] = `${expanded[expanded.length - 1]} ${params.join(' ')}`;
+        }
+
+        const commands = expanded
+            .filter((command) => command.length)
+            .reduce((list, command) => list.concat(this.expandAliases(character, command, depth + 1)), []);
+
+        if (commands.length > MACRO_MAX_COMMANDS) {
+            throw new Error(`Your alias expands to too many commands (max ${MACRO_MAX_COMMANDS}).`);
+        }
+
+        return commands;
+    }
+
+    /**
+     * Adds (or replaces) an alias for the character
+     * @param {Character} character The character to add the alias to
+     * @param {String}    aliasName The alias name, eg. "as" for /as
+     * @param {String}    expansion The command(s) the alias expands to, eg. /aim $1;/shoot
+     */
+    addAlias(character, aliasName, expansion) {
+        aliasName = aliasName.toLowerCase().replace(/^\//, '');
+        expansion = expansion.trim();
+
+        if (this.commands[`/${aliasName}`]) {
+            throw new Error(`You cannot create an alias named /${aliasName}, as it is already a command.`);
+        }
+
+        if (!character.aliases[aliasName] && Object.keys(character.aliases).length >= ALIAS_MAX_COUNT) {
+            throw new Error(`You cannot have more than ${ALIAS_MAX_COUNT} aliases.`);
+        }
+
+        if (expansion.length > ALIAS_MAX_LENGTH) {
+            throw new Error(`An alias cannot be longer than ${ALIAS_MAX_LENGTH} characters.`);
+        }
+
+        const commands = expansion.split(';').map((command) => command.trim()).filter((command) => command.length);
+
+        if (!commands.length || commands.find((command) => command[0] !== '/')) {
+            throw new Error('Every command in an alias must start with a /, eg. /aim $1;/shoot');
+        }
+
+        if (commands.length > MACRO_MAX_COMMANDS) {
+            throw new Error(`An alias cannot contain more than ${MACRO_MAX_COMMANDS} commands.`);
+        }
+
+        // a new object, so the change is picked up when the character is saved
+        character.aliases = {
+            ...character.aliases,
+            [aliasName]: commands.join(';'),
+        };
+    }
+
+    /**
+     * Removes an alias from the character
+     * @param  {Character} character The character to remove the alias from
+     * @param  {String}    aliasName The alias name
+     * @return {Boolean}             False if the alias did not exist
+     */
+    removeAlias(character, aliasName) {
+        aliasName = aliasName.toLowerCase().replace(/^\//, '');
+
+        if (!character.aliases[aliasName]) {
+            return false;
+        }
+
+        const aliases = {...character.aliases};
+        delete aliases[aliasName];
+        character.aliases = aliases;
+
+        return true;
+    }
+
     /**
      * returns a list of all available commands in game
+     * @param  {String} role The account role, commands the role has no permission to use are left out
      * @return {Object}
      */
-    getList() {
+    getList(role = 'player') {
         const listOfCommands = {};
 
         Object.keys(this.commands).forEach((command) => {
-            if (!this.commands[command].isAlias) {
+            if (!this.commands[command].isAlias && this.Game.accountManager.hasPermission(role, this.commands[command].permission)) {
                 const data = {
                     description: this.commands[command].description || '',
                     aliases: this.commands[command].aliases || [],
+                    syntax: this.getSyntax(command),
+                    params: (this.commands[command].params || []).map((param) => this.describeParam(param)),
                 };
 
                 listOfCommands[command] = data;
@@ -149,6 +455,133 @@ export default class CommandManager {
         return listOfCommands;
     }
 
+    /**
+     * Generates a plain description of a command parameter, based on its rules
+     * @param  {Object} param The parameter object from the command object
+     * @return {Object}       {name, desc, required, type, constraints}
+     */
+    describeParam(param) {
+        const rules = (param.rules || '').toLowerCase().split('|').filter((rule) => rule.length);
+        const constraints = [];
+        let type = null;
+
+        rules.forEach((rule) => {
+            const [ruleName, ...modifiers] = rule.split(':');
+            const ruleObject = this.rules[ruleName] || {};
+
+            // the first "non-constraint" rule decides the parameter type
+            if (!ruleObject.constraint && !type) {
+                type = ruleName;
+            }
+
+            const description = ruleObject.describe ? ruleObject.describe(modifiers) : null;
+
+            if (description) {
+                constraints.push(description);
+            }
+        });
+
+        return {
+            name: param.name,
+            desc: param.desc || '',
+            required: rules.includes('required'),
+            type,
+            constraints,
+        };
+    }
+
+    /**
+     * Generates the usage syntax of a command, eg. /whisper <Target:player> <Message>
+     * @param  {String} command The command, eg. /whisper
+     * @return {String}
+     */
+    getSyntax(command) {
+        const commandObject = this.commands[command];
+
+        if (!commandObject) {
+            return '';
+        }
+
+        const params = (commandObject.params || []).map((param) => {
+            const details = this.describeParam(param);
+            const label = details.type ? `${details.name}:${details.type}` : details.name;
+
+            return details.required ? `<${label}>` : `[${label}]`;
+        });
+
+        return [command].concat(params).join(' ');
+    }
+
+    /**
+     * Generates the detailed help text for a command
+     * @param  {String} command The command (or alias) to get the help text for
+     * @return {Array}          List of lines
+     */
+    getHelp(command) {
+        const commandObject = this.commands[command];
+        // show the help for main command, if the command is an alias
+        const mainCommand = commandObject.command;
+        const lines = [
+            `Usage: ${this.getSyntax(mainCommand)}`,
+            this.getDescription(commandObject),
+        ];
+
+        if (commandObject.aliases && commandObject.aliases.length) {
+            lines.push(`Aliases: ${commandObject.aliases.join(', ')}`);
+        }
+
+        (commandObject.params || []).forEach((param) => {
+            const details = this.describeParam(param);
+            let line = `- ${details.name}${details.required ? '' : ' (optional)'}: ${details.desc}`;
+
+            if (details.constraints.length) {
+                line = `${line} (${details.constraints.join(', ')})`;
+            }
+
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Get the description of a command, with the default modifiers filled in
+     * @param  {Object} commandObject The command object
+     * @return {String}
+     */
+    getDescription(commandObject) {
+        let description = commandObject.description || '';
+        const modifiers = commandObject.modifiers || {};
+
+        Object.keys(modifiers).forEach((key) => {
+            if (typeof modifiers[key] !== 'object') {
+                description = description.replace(new RegExp(`{${key}}`, 'g'), modifiers[key]);
+            }
+        });
+
+        return description;
+    }
+
+    /**
+     * Finds the commands which matches the search topic, in their name or description
+     * @param  {String} topic The topic to search for
+     * @param  {String} role  The account role, commands the role has no permission to use are left out
+     * @return {Array}        List of matching commands
+     */
+    searchHelp(topic, role = 'player') {
+        topic = topic.toLowerCase();
+
+        return Object.keys(this.commands).filter((command) => {
+            const commandObject = this.commands[command];
+
+            if (commandObject.isAlias || !this.Game.accountManager.hasPermission(role, commandObject.permission)) {
+                return false;
+            }
+
+            return command.indexOf(topic) !== -1 || this.getDescription(commandObject).toLowerCase().indexOf(topic) !== -1;
+        }).sort();
+    }
+
     /**
      * Find a specific target at the given location, by name
      * @param  {String}   findName      The name, or part of, to search for
@@ -196,7 +629,7 @@ export default class CommandManager {
                 if (!user.type) {
                     return user.name_lowercase === findName;
                 } else {
-                    return `${npc.name} the ${npc.type}`.toLowerCase() === findName;
+                    return `${user.name} the ${user.type}`.toLowerCase() === findName;
                 }
             });
 
@@ -285,7 +718,7 @@ export default class CommandManager {
                 let param = cmdParams[index];
 
                 // remove encapsulation from the parameter
-                msgParams[index] = this.stripEncapsulation(msgParams[index]);
+                msgParams[index] = this.stripEncapsulation(msgParams[index] || '');
 
                 // only if the parameter has rules..
                 if (param.rules.length) {
@@ -297,161 +730,27 @@ export default class CommandManager {
                         break;
                     }
 
+                    if (!msgParams[index]) {
+                        return reject(`Missing parameter: ${param.name}`);
+                    }
+
                     // will we run through and validate the message parameter the rule is for
                     for (let i = 0; i < rules.length; i++) {
-                        let rule = rules[i];
-                        // get the corresponding message parameter
-                        let msgParam = msgParams[index];
-                        // holds the value we will overwrite the parameter with, if the test succeeds.
-                        let value = msgParam;
-                        //null placeholder for 2nd rule param, if not set
-                        rule = rule.split(':').concat([null]);
-
-                        switch (rule[0]) {
-                            case 'required':
-                                if (typeof msgParam === 'undefined') {
-                                    return reject(`Missing parameter: ${param.name}`);
-                                }
-                                break;
-
-                            case 'integer':
-                                value = parseInt(msgParam, 10);
-
-                                if (isNaN(value) || parseFloat(msgParam, 10) % 1 !== 0) {
-                                    return reject(`${param.name} must be a integer.`);
-                                }
-                                break;
-
-                            case 'float':
-                                value = parseFloat(msgParam, 10);
-
-                                if (isNaN(value)) {
-                                    return reject(`${param.name} must be a float.`);
-                                }
-                                break;
-
-                            case 'min':
-                                if (isNaN(msgParam) || msgParam < parseFloat(rule[1], 10)) {
-                                    return reject(`${param.name} cannot be less than ${rule[1]}.`);
-                                }
-                                break;
-
-                            case 'max':
-                                if (isNaN(msgParam) || msgParam > parseFloat(rule[1], 10)) {
-                                    return reject(`${param.name} cannot be greater than ${rule[1]}.`);
-                                }
-                                break;
-
-                            case 'minlen':
-                                if (msgParam.length < parseInt(rule[1], 10)) {
-                                    return reject(`${param.name} must be at least ${rule[1]} characters long.`);
-                                }
-                                break;
-
-                            case 'maxlen':
-                                if (msgParam.length > parseInt(rule[1], 10)) {
-                                    return reject(`${param.name} cannot be longer than ${rule[1]} characters.`);
-                                }
-                                break;
-
-                            case 'alphanum':
-                                if (msgParam !== escapeStringRegex(msgParam.toString()).replace(/[^a-z0-9]/gi, '')) {
-                                    return reject(`${param.name} may only consist of alphanumeric characters (a-z, 0-9).`);
-                                }
-                                break;
-
-                            case 'direction':
-                                const directions = [
-                                    'north', 'east', 'south', 'west',
-                                    'n', 'e', 's', 'w',
-                                ];
-
-                                if (!directions.includes(msgParam.toLowerCase())) {
-                                    return reject(`${param.name} does not appear to be a valid direction.`);
-                                }
-                                break;
-
-                            case 'faction':
-                                value = await this.Game.factionManager.getByName(msgParam).catch(() => {
-                                    return reject(`The ${param.name} is not a valid faction.`);
-                                });
-                                break;
-
-                            case 'gamemap':
-                                value = await this.Game.mapManager.getByName(msgParam).catch(() => {
-                                    return reject(`The ${param.name} is not a valid location.`);
-                                });
-                                break;
-
-                            case 'shop':
-                                value = await this.Game.structureManager.getWithShop(player.location.map, player.location.x, player.location.y)
-                                    .catch(() => {
-                                        return reject(`The ${param.name} is not a valid shop, at your current location.`);
-                                    });
-                                break;
-
-                            case 'item':
-                                if (!rule[1]) {
-                                    value = await this.Game.itemManager.getTemplateByName(msgParam.toLowerCase());
-
-                                    // if no item was found by name, see if the msgParam was an itemId instead
-                                    if (!value) {
-                                        value = await this.Game.itemManager.getTemplate(msgParam);
-                                    }
-                                } else {
-                                    if (rule[1] === 'id') {
-                                        value = await this.Game.itemManager.getTemplate(msgParam);
-                                    } else if (rule[1] === 'name') {
-                                        value = await this.Game.itemManager.getTemplateByName(msgParam.toLowerCase());
-                                    }
-                                }
-
-                                // no item found by name or ID
-                                if (!value) {
-                                    return reject(`The ${param.name} is not a valid item.`);
-                                }
-                                break;
-
-                            case 'player':
-                            case 'target':
-                            case 'npc':
-                                // if there is no rule modifiers, assume no location restrictions
-                                // and player (since actions towards NPCs are inherently restricted to grid)
-                                if (!rule[1]) {
-                                    value = this.Game.characterManager.getByNameSync(msgParam);
-
-                                    if (!value) {
-                                        return reject(`There is no ${param.name} online by that name.`);
-                                    }
-                                    break;
-                                }
-
-                                // assume we will search in the grid by detault
-                                let location = {
-                                    ...player.location,
-                                };
-
-                                // if rule modifier is set to map, null out the x an y so
-                                // we will search the map instead of grid
-                                if (rule[1] !== 'grid') {
-                                    location.x = null;
-                                    location.y = null;
-                                }
-
-                                value = this.findAtLocation(
-                                    msgParam,
-                                    location,
-                                    rule[0] === 'player',
-                                    rule[0] === 'npc',
-                                );
-
-                                if (typeof value === 'string') {
-                                    return reject(value);
-                                }
-                                break;
-                        };
-
-                        msgParams[index] = value;
+                        // split the rule name from its modifiers, eg. player:grid
+                        const [ruleName, ...modifiers] = rules[i].split(':');
+                        const rule = this.rules[ruleName];
+
+                        if (!rule) {
+                            this.Game.logger.warn(`CommandManager::validate unknown rule "${ruleName}" on parameter ${param.name}. Rule ignored.`);
+                            continue;
+                        }
+
+                        try {
+                            // the value the rule returns, will overwrite the parameter
+                            msgParams[index] = await rule.method(msgParams[index], modifiers, param, player, this.Game);
+                        } catch (error) {
+                            return reject(this.ruleError(error, param));
+                        }
                     }
                 }
             }
@@ -459,4 +758,21 @@ export default class CommandManager {
             resolve(msgParams);
         });
     }
+
+    /**
+     * Generates the error message from a failed rule. Rules throw (or reject with) an Error, or message,
+     * where {name} in the message is replaced with the name of the parameter.
+     * @param  {Mixed}  error The error thrown by the rule
+     * @param  {Object} param The parameter object from the command object
+     * @return {String}       The error message
+     */
+    ruleError(error, param) {
+        const message = error instanceof Error ? error.message : error;
+
+        if (typeof message !== 'string' || !message.length) {
+            return `${param.name} is not valid.`;
+        }
+
+        return message.replace(/{name}/g, param.name);
+    }
 }
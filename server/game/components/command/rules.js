@@ -0,0 +1,183 @@
+import escapeStringRegex from 'escape-string-regexp';
+
+/**
+ * Required rule logic. Missing parameters are handled by the CommandManager, so this is merely a marker.
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Mixed}               The validated value
+ */
+function ruleRequired(value, modifiers, param, character, Game) {
+    return value;
+}
+
+/**
+ * Integer rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Number}              The parsed integer
+ */
+function ruleInteger(value, modifiers, param, character, Game) {
+    const parsed = parseInt(value, 10);
+
+    if (isNaN(parsed) || parseFloat(value, 10) % 1 !== 0) {
+        throw new Error('{name} must be a integer.');
+    }
+
+    return parsed;
+}
+
+/**
+ * Float rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Number}              The parsed float
+ */
+function ruleFloat(value, modifiers, param, character, Game) {
+    const parsed = parseFloat(value, 10);
+
+    if (isNaN(parsed)) {
+        throw new Error('{name} must be a float.');
+    }
+
+    return parsed;
+}
+
+/**
+ * Min rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Mixed}               The validated value
+ */
+function ruleMin(value, modifiers, param, character, Game) {
+    if (isNaN(value) || value < parseFloat(modifiers[0], 10)) {
+        throw new Error(`{name} cannot be less than ${modifiers[0]}.`);
+    }
+
+    return value;
+}
+
+/**
+ * Max rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Mixed}               The validated value
+ */
+function ruleMax(value, modifiers, param, character, Game) {
+    if (isNaN(value) || value > parseFloat(modifiers[0], 10)) {
+        throw new Error(`{name} cannot be greater than ${modifiers[0]}.`);
+    }
+
+    return value;
+}
+
+/**
+ * Minimum length rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Mixed}               The validated value
+ */
+function ruleMinLength(value, modifiers, param, character, Game) {
+    if (value.length < parseInt(modifiers[0], 10)) {
+        throw new Error(`{name} must be at least ${modifiers[0]} characters long.`);
+    }
+
+    return value;
+}
+
+/**
+ * Maximum length rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Mixed}               The validated value
+ */
+function ruleMaxLength(value, modifiers, param, character, Game) {
+    if (value.length > parseInt(modifiers[0], 10)) {
+        throw new Error(`{name} cannot be longer than ${modifiers[0]} characters.`);
+    }
+
+    return value;
+}
+
+/**
+ * Alpha-numeric rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['grid'] for player:grid
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Mixed}               The validated value
+ */
+function ruleAlphaNumeric(value, modifiers, param, character, Game) {
+    if (value !== escapeStringRegex(value.toString()).replace(/[^a-z0-9]/gi, '')) {
+        throw new Error('{name} may only consist of alphanumeric characters (a-z, 0-9).');
+    }
+
+    return value;
+}
+
+module.exports = [
+    {
+        rule: 'required',
+        constraint: true,
+        method: ruleRequired,
+    },
+    {
+        rule: 'integer',
+        method: ruleInteger,
+    },
+    {
+        rule: 'float',
+        method: ruleFloat,
+    },
+    {
+        rule: 'min',
+        constraint: true,
+        describe: (modifiers) => `at least ${modifiers[0]}`,
+        method: ruleMin,
+    },
+    {
+        rule: 'max',
+        constraint: true,
+        describe: (modifiers) => `at most ${modifiers[0]}`,
+        method: ruleMax,
+    },
+    {
+        rule: 'minlen',
+        constraint: true,
+        describe: (modifiers) => `at least ${modifiers[0]} character(s) long`,
+        method: ruleMinLength,
+    },
+    {
+        rule: 'maxlen',
+        constraint: true,
+        describe: (modifiers) => `at most ${modifiers[0]} characters long`,
+        method: ruleMaxLength,
+    },
+    {
+        rule: 'alphanum',
+        constraint: true,
+        describe: () => 'letters and numbers only',
+        method: ruleAlphaNumeric,
+    },
+];
@@ -34,6 +34,9 @@ export default class CooldownManager {
             }
         }
 
+        // timed effects, like adrenaline, can shorten or lengthen the cooldowns
+        duraction = duraction * Math.max(0, 1 + this.Game.effectManager.getModifier(character, 'cooldown'));
+
         // create the new cooldown
         const newCooldown = new Cooldown(action, duraction, autostart);
         // add it to the characters cooldown list cooldowns
@@ -69,6 +72,6 @@ export default class CooldownManager {
      * @param  {Character} character The character object
      */
     cleanup(character) {
-        character.cooldowns = character.cooldowns.filter((obj) => obj.remove);
+        character.cooldowns = character.cooldowns.filter((obj) => !obj.remove);
     }
 }
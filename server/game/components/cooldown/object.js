@@ -17,8 +17,8 @@ export default class Cooldown {
         this.action = action;
         // not used directly, but merely for informative purposes.
         this.duration = duration;
-        // number of ticks the cooldown lasts
-        this.ticks = (1000 * duration) / 100;
+        // number of ticks the cooldown lasts, rounded as the timer stops when it reaches 0
+        this.ticks = Math.max(1, Math.round((1000 * duration) / 100));
         // hold the tick interval
         this.timer = null;
         // whether the cooldown is waiting for the GC to clean up
@@ -0,0 +1,62 @@
+/**
+ * Duel command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdDuel(socket, character, command, params, cmdObject, Game) {
+    const argument = params[0].trim();
+    const wager = params[1] || 0;
+
+    switch (argument.toLowerCase()) {
+        case 'accept':
+            return Game.duelManager.accept(character)
+                .then((duel) => {
+                    Game.eventToSocket(socket, 'success', `You accepted the duel${duel.wager ? `, wagering ${duel.wager}` : ''}.`);
+                });
+
+        case 'decline':
+            return Game.duelManager.decline(character)
+                .then((challenge) => {
+                    Game.eventToSocket(socket, 'info', `You declined the duel challenge from ${challenge.name}.`);
+                });
+    }
+
+    const target = Game.characterManager.getByNameSync(argument);
+
+    if (!target) {
+        return Game.eventToSocket(socket, 'error', 'Usage: /duel <online player> [wager], or /duel accept|decline');
+    }
+
+    return Game.duelManager.challenge(character, target, wager)
+        .then(() => {
+            const wagerText = wager ? `, for a wager of ${wager} each` : '';
+
+            Game.eventToSocket(socket, 'success', `You challenged ${target.name} to a duel${wagerText}.`);
+            Game.eventToUser(target.user_id, 'warning', `${character.name} has challenged you to a duel${wagerText}. Type /duel accept or /duel decline within ${Game.duelManager.settings.challengeTimeout} seconds.`);
+        });
+}
+
+module.exports = [
+    {
+        command: '/duel',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The player to challenge, or accept/decline to answer a challenge.',
+                rules: 'required|maxlen:50',
+            },
+            {
+                name: 'Wager',
+                desc: 'The amount of cash each of you puts up. The winner takes it all.',
+                rules: 'integer|min:0',
+            },
+        ],
+        description: 'Challenge another player to a duel. The loser is knocked out, but keeps their items and exp.',
+        method: cmdDuel,
+    },
+];
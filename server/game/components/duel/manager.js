@@ -0,0 +1,292 @@
+import Promise from 'bluebird';
+
+// manager specific imports
+import duelCommands from './commands';
+
+/**
+ * The default duel settings, used for anything not set in config.game.duel
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    // number of seconds from a challenge is accepted, until the duel starts
+    countdown: 5,
+    // number of seconds a challenge can be accepted in
+    challengeTimeout: 60,
+};
+
+/**
+ * Duel Manager
+ */
+export default class DuelManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.duel,
+        };
+        // list of accepted duels, as {players, names, wager, started, timer}
+        this.duels = [];
+        // pending challenges, by the user_id of the challenged character, as {user_id, name, wager, expires}
+        this.challenges = {};
+
+        // logging out, during a duel, forfeits it
+        this.Game.socketManager.on('disconnect', (user) => {
+            if (!this.getDuel(user.user_id)) {
+                return;
+            }
+
+            this.forfeit(user.user_id);
+            // characters are not saved on logout, so save the loss (or the returned wager) now
+            this.Game.characterManager.save(user.user_id).catch(() => {});
+        });
+
+        // log manager progress
+        this.Game.logger.debug('DuelManager::constructor Loaded');
+    }
+
+    /**
+     * Register the duel commands
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(duelCommands);
+            resolve();
+        });
+    }
+
+    /**
+     * Get the duel a character is in
+     * @param  {String} user_id User ID
+     * @return {Object}         The duel, or null if they are not in one
+     */
+    getDuel(user_id) {
+        return this.duels.find((duel) => duel.players.includes(user_id)) || null;
+    }
+
+    /**
+     * Checks if two characters are fighting each other in a duel
+     * @param  {Character} character
+     * @param  {Character} opponent
+     * @return {Boolean}
+     */
+    isDueling(character, opponent) {
+        const duel = this.getDuel(character.user_id);
+        return !!duel && duel.started && !!opponent && duel.players.includes(opponent.user_id);
+    }
+
+    /**
+     * Challenges another character to a duel
+     * @param  {Character} character The character challenging
+     * @param  {Character} target    The character being challenged
+     * @param  {Number}    wager     The amount of cash each of them puts up, the winner takes it all
+     * @return {Promise}
+     */
+    challenge(character, target, wager) {
+        if (target.user_id === character.user_id) {
+            return Promise.reject(new Error('You cannot duel yourself.'));
+        }
+
+        if (target.getLocationId() !== character.getLocationId()) {
+            return Promise.reject(new Error(`${target.name} must be at your location, for you to challenge them.`));
+        }
+
+        if (this.getDuel(character.user_id)) {
+            return Promise.reject(new Error('You are already in a duel.'));
+        }
+
+        if (this.getDuel(target.user_id)) {
+            return Promise.reject(new Error(`${target.name} is already in a duel.`));
+        }
+
+        if (character.stats.money < wager) {
+            return Promise.reject(new Error('You do not have enough cash on you, to wager that much.'));
+        }
+
+        this.challenges[target.user_id] = {
+            user_id: character.user_id,
+            name: character.name,
+            wager,
+            expires: Date.now() + (this.settings.challengeTimeout * 1000),
+        };
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Declines the pending challenge of the character
+     * @param  {Character} character The character declining
+     * @return {Promise}             Resolves with the challenge
+     */
+    decline(character) {
+        const challenge = this.challenges[character.user_id];
+        delete this.challenges[character.user_id];
+
+        if (!challenge || challenge.expires < Date.now()) {
+            return Promise.reject(new Error('You have not been challenged to a duel.'));
+        }
+
+        this.Game.eventToUser(challenge.user_id, 'info', `${character.name} declined your duel challenge.`);
+        return Promise.resolve(challenge);
+    }
+
+    /**
+     * Accepts the pending challenge of the character. Both wagers are held until the duel is over,
+     * and the duel starts after the countdown.
+     * @param  {Character} character The character accepting
+     * @return {Promise}             Resolves with the duel
+     */
+    accept(character) {
+        const challenge = this.challenges[character.user_id];
+        delete this.challenges[character.user_id];
+
+        if (!challenge || challenge.expires < Date.now()) {
+            return Promise.reject(new Error('You have not been challenged to a duel.'));
+        }
+
+        const challenger = this.Game.characterManager.getSync(challenge.user_id);
+
+        if (!challenger || challenger.getLocationId() !== character.getLocationId()) {
+            return Promise.reject(new Error(`${challenge.name} is no longer here.`));
+        }
+
+        if (this.getDuel(character.user_id) || this.getDuel(challenger.user_id)) {
+            return Promise.reject(new Error('One of you is already in a duel.'));
+        }
+
+        if (character.stats.money < challenge.wager || challenger.stats.money < challenge.wager) {
+            return Promise.reject(new Error(`You both need ${challenge.wager} in cash, to accept the wager.`));
+        }
+
+        const duel = {
+            players: [challenger.user_id, character.user_id],
+            names: [challenger.name, character.name],
+            wager: challenge.wager,
+            started: false,
+        };
+
+        // hold the wagers until the duel is over
+        [challenger, character].forEach((player) => {
+            player.updateCash(-duel.wager);
+            this.Game.characterManager.updateClient(player.user_id, 'stats');
+            this.Game.eventToUser(player.user_id, 'warning', `The duel between ${duel.names.join(' and ')} starts in ${this.settings.countdown} seconds!`);
+        });
+
+        this.Game.eventToRoom(character.getLocationId(), 'info', `${challenger.name} and ${character.name} are about to duel${duel.wager ? `, for ${duel.wager * 2}` : ''}!`, duel.players);
+
+        duel.timer = setTimeout(() => this.start(duel), this.settings.countdown * 1000);
+        this.duels.push(duel);
+
+        return Promise.resolve(duel);
+    }
+
+    /**
+     * Starts the duel, once the countdown is over, by having the duelists aim at each other
+     * @param  {Object} duel The duel
+     */
+    start(duel) {
+        const [first, second] = duel.players.map((user_id) => this.Game.characterManager.getSync(user_id));
+
+        if (!first || !second || first.getLocationId() !== second.getLocationId()) {
+            return this.cancel(duel, 'The duel was called off, as one of the duelists left.');
+        }
+
+        duel.started = true;
+        first.setTarget(second);
+        second.setTarget(first);
+
+        duel.players.forEach((user_id) => {
+            this.Game.eventToUser(user_id, 'warning', 'Fight! The duel ends when one of you is knocked out, or /flee to surrender.');
+        });
+    }
+
+    /**
+     * Calls off a duel before it started, returning the wagers
+     * @param  {Object} duel    The duel
+     * @param  {String} message The reason, sent to the duelists
+     */
+    cancel(duel, message) {
+        clearTimeout(duel.timer);
+        this.duels = this.duels.filter((obj) => obj !== duel);
+
+        duel.players.forEach((user_id) => {
+            const player = this.Game.characterManager.getSync(user_id);
+
+            if (!player) {
+                return;
+            }
+
+            player.updateCash(duel.wager);
+            this.Game.characterManager.updateClient(user_id, 'stats');
+            this.Game.eventToUser(user_id, 'info', message);
+        });
+    }
+
+    /**
+     * Ends the duel. The loser is knocked out, keeping their items and exp, and the winner takes the wagers.
+     * @param  {Character} winner The character who won
+     * @param  {Character} loser  The character who lost
+     * @param  {String}    reason How the duel was lost, eg. "were knocked out" or "surrendered"
+     */
+    finish(winner, loser, reason = 'were knocked out') {
+        const duel = this.getDuel(winner.user_id);
+
+        if (!duel) {
+            return;
+        }
+
+        clearTimeout(duel.timer);
+        this.duels = this.duels.filter((obj) => obj !== duel);
+
+        [winner, loser].forEach((player) => {
+            if (player.target && duel.players.includes(player.target.user_id)) {
+                player.releaseTarget().catch(() => {});
+            }
+        });
+
+        const prize = duel.wager * 2;
+        winner.stats.duel_wins++;
+        winner.updateCash(prize);
+        this.Game.characterManager.updateClient(winner.user_id);
+
+        this.Game.eventToUser(winner.user_id, 'success', `You won the duel against ${loser.name}${prize ? `, and take the wager of ${prize}` : ''}!`);
+        this.Game.eventToRoom(winner.getLocationId(), 'info', `${winner.name} won the duel against ${loser.name}${prize ? `, and takes the wager of ${prize}` : ''}.`, duel.players);
+
+        // the loser wakes up with their health restored, like after a death
+        loser.stats.health = loser.stats.health_max;
+        loser.stats.duel_losses++;
+        this.Game.characterManager.updateClient(loser.user_id);
+        this.Game.eventToUser(loser.user_id, 'info', `You ${reason}, and lost the duel against ${winner.name}.`);
+    }
+
+    /**
+     * Forfeits the character's duel, eg. when they flee, log out or are killed by someone else.
+     * If the duel has not started yet, it is called off instead.
+     * @param  {String} user_id User ID of the character forfeiting
+     * @param  {String} reason  How the duel was lost, eg. "surrendered"
+     */
+    forfeit(user_id, reason = 'forfeited') {
+        const duel = this.getDuel(user_id);
+
+        if (!duel) {
+            return;
+        }
+
+        if (!duel.started) {
+            return this.cancel(duel, 'The duel was called off, as one of the duelists left.');
+        }
+
+        const winner = this.Game.characterManager.getSync(duel.players.find((player) => player !== user_id));
+        const loser = this.Game.characterManager.getSync(user_id);
+
+        if (!winner || !loser) {
+            return this.cancel(duel, 'The duel was called off.');
+        }
+
+        this.finish(winner, loser, reason);
+    }
+}
@@ -10,6 +10,8 @@ function drug(character, modifiers = {}, item, Game) {
     const effects = Object.assign({
         exp: 0,
         health: 0,
+        // seconds the character will be high for
+        high: 60,
     }, modifiers);
 
     // check if the character has enough health to use the drug
@@ -17,9 +19,6 @@ function drug(character, modifiers = {}, item, Game) {
         return Game.eventToUser(character.user_id, 'warning', 'You decide not to use the drug anyway, as it would probably kill you in your current state.');
     }
 
-    // TODO: check if there are any NPCs nearby
-    // If there are any DEAs or Police officers, they should attack the player
-
     // give EXP and update health of player
     character.updateExp(effects.exp);
     character.updateHealth(effects.health);
@@ -30,6 +29,13 @@ function drug(character, modifiers = {}, item, Game) {
     // return effect event
     Game.eventToUser(character.user_id, 'info', `You use the ${item.name}. You feel the effect on your body and mind (Health: ${effects.health}, Rep: ${effects.exp})`);
 
+    if (effects.high) {
+        Game.effectManager.addEffect(character, 'high', {duration: effects.high});
+    }
+
+    // any DEA agents or police officers nearby will not look the other way
+    Game.wantedManager.reportCrime(character, 'drugUse');
+
     return effects;
 }
 
@@ -99,15 +105,25 @@ function miscPhone(character, modifiers = {}, item, Game) {
 function miscItemHeal(character, modifiers = {}, item, Game) {
     const effects = Object.assign({
         health: 0,
+        // seconds of regeneration, after the initial heal
+        regeneration: 0,
+        // the timed effects the item cures, eg. bleed
+        cures: [],
     }, modifiers);
+    const cures = effects.cures.filter((effectId) => character.getEffect(effectId));
 
-    // if a character is at full health, don't waste the item
-    if (character.stats.health >= character.stats.health_max) {
+    // if a character is at full health, and there is nothing to cure, don't waste the item
+    if (character.stats.health >= character.stats.health_max && !cures.length) {
         return Game.eventToUser(character.user_id, 'info', 'You are already at full health.');
     }
 
     // give EXP and update health of player
     character.updateHealth(effects.health);
+    cures.forEach((effectId) => Game.effectManager.removeEffect(character, effectId));
+
+    if (effects.regeneration) {
+        Game.effectManager.addEffect(character, 'regeneration', {duration: effects.regeneration});
+    }
 
     // Update the client character object
     Game.characterManager.updateClient(character.user_id, 'stats');
@@ -118,14 +134,108 @@ function miscItemHeal(character, modifiers = {}, item, Game) {
     return effects;
 }
 
-/*
-    "miscAdrenalin"
-    "miscPepperSpray"
-    "miscBeacon"
-*/
+/**
+ * The adrenaline effect, temporarily boosting the max health and shortening the cooldowns
+ * @param  {Character} character The character object of the user
+ * @param  {Object}    modifiers The effect's modifiers
+ * @param  {Item}      item      The item object
+ * @param  {Game}      Game      The main Game object
+ * @return {Object}              The use effect object
+ */
+function miscAdrenalin(character, modifiers = {}, item, Game) {
+    const effects = Object.assign({
+        // seconds the adrenaline rush lasts
+        duration: 60,
+    }, modifiers);
+
+    // another shot would not do anything, so don't waste the item
+    if (character.getEffect('adrenaline')) {
+        return Game.eventToUser(character.user_id, 'warning', 'Your heart is already racing, another shot might just kill you.');
+    }
+
+    Game.eventToUser(character.user_id, 'info', `You stab the ${item.name} syringe into your thigh.`);
+    Game.eventToRoom(character.getLocationId(), 'info', `${character.name} stabs a syringe into their thigh.`, [character.user_id]);
+
+    Game.effectManager.addEffect(character, 'adrenaline', {duration: effects.duration});
+
+    return effects;
+}
+
+/**
+ * The pepper spray effect, breaking the aim of everyone aiming at the character
+ * @param  {Character} character The character object of the user
+ * @param  {Object}    modifiers The effect's modifiers
+ * @param  {Item}      item      The item object
+ * @param  {Game}      Game      The main Game object
+ * @return {Object}              The use effect object
+ */
+function miscPepperSpray(character, modifiers = {}, item, Game) {
+    const effects = Object.assign({}, modifiers);
+    const attackers = character.targetedBy.slice();
+
+    if (!attackers.length) {
+        return Game.eventToUser(character.user_id, 'warning', 'No one is aiming at you, so you decide to save the spray.');
+    }
+
+    // release the attackers' aim, and the gridlock it put on the character
+    attackers.forEach((attacker) => {
+        attacker.releaseTarget();
+    });
+    character.targetedBy = [];
+
+    const names = attackers.map((attacker) => attacker.name).join(', ');
+    const ignore = [character.user_id].concat(attackers.filter((attacker) => attacker.user_id).map((attacker) => attacker.user_id));
+
+    Game.eventToUser(character.user_id, 'success', `You spray ${names} in the face with your ${item.name}. No one is aiming at you anymore.`);
+    attackers.filter((attacker) => attacker.user_id).forEach((attacker) => {
+        Game.eventToUser(attacker.user_id, 'warning', `${character.name} sprays you in the face with ${item.name}! Your eyes burn, and you lose your aim.`);
+    });
+    Game.eventToRoom(character.getLocationId(), 'info', `${character.name} sprays ${names} in the face with ${item.name}.`, ignore);
+
+    return effects;
+}
+
+/**
+ * The distress beacon effect, sending the character's location to their faction
+ * @param  {Character} character The character object of the user
+ * @param  {Object}    modifiers The effect's modifiers
+ * @param  {Item}      item      The item object
+ * @param  {Game}      Game      The main Game object
+ * @return {Promise}
+ */
+function miscBeacon(character, modifiers = {}, item, Game) {
+    const effects = Object.assign({
+        // seconds the beacon is shown to the faction
+        duration: 300,
+    }, modifiers);
+
+    if (!character.faction) {
+        return Game.eventToUser(character.user_id, 'warning', 'You are not in a faction, there is no one to receive the signal.');
+    }
+
+    return Game.mapManager.get(character.location.map)
+        .then((gameMap) => {
+            const location = `${gameMap.name}, North ${character.location.y} / East ${character.location.x}`;
+
+            Game.eventToUser(character.user_id, 'success', `You activate the ${item.name}, sending your location to your faction.`);
+            Game.eventToRoom(character.faction.faction_id, 'warning', `${character.name} activated a ${item.name}, and needs help at ${location}!`, [character.user_id]);
+            Game.eventToRoom(character.getLocationId(), 'info', `${character.name} activates a ${item.name}, which starts blinking.`, [character.user_id]);
+
+            // members logging in later get the beacon with their faction
+            character.faction.addBeacon(character, effects.duration);
+            character.faction.onlineMembers.forEach((member) => {
+                Game.characterManager.updateClient(member.user_id, 'faction');
+            });
+
+            return effects;
+        });
+}
 
 module.exports = {
     drug,
     miscPhone,
     miscItemHeal,
+    miscAdrenalin,
+    miscPepperSpray,
+    miscBeacon,
 };
@@ -1,4 +1,14 @@
 import * as Effects from './effects';
+import TimedEffects from './timed';
+
+/**
+ * The timed effects a weapon can inflict on a hit, and the weapon stat with the % chance of it
+ * @type {Object}
+ */
+const WEAPON_EFFECTS = {
+    bleed: 'bleed_chance',
+    stun: 'stun_chance',
+};
 
 /**
  * The Effect manager
@@ -10,6 +20,7 @@ export default class EffectManager {
      */
     constructor(Game) {
         this.Game = Game;
+        this.tick = this.tick.bind(this);
 
         Game.logger.info('EffectManager::constructor LOADED');
     }
@@ -46,4 +57,224 @@ export default class EffectManager {
             });
         });
     }
+
+    /**
+     * Get the template of a timed effect
+     * @param  {String} effectId The timed effect ID, eg. drunk
+     * @return {Object}          The effect template, or null if not found
+     */
+    getTemplate(effectId) {
+        return TimedEffects[effectId] || null;
+    }
+
+    /**
+     * Adds a timed effect to the character, following the stacking rule of the effect
+     * @param  {Character} character The character to add the effect to
+     * @param  {String}    effectId  The timed effect ID, eg. drunk
+     * @param  {Object}    options   {duration: seconds, stacks: number}, defaults to the template
+     * @return {Object}              The active effect, null if the effect does not exist
+     */
+    addEffect(character, effectId, options = {}) {
+        const template = this.getTemplate(effectId);
+
+        if (!template) {
+            this.Game.logger.error(`The timed effect ID ${effectId}, did not match any timed effects.`);
+            return null;
+        }
+
+        const now = Date.now();
+        const duration = (options.duration || template.duration) * 1000;
+        const stacks = options.stacks || 1;
+        let effect = character.getEffect(effectId);
+
+        if (!effect) {
+            effect = {
+                id: effectId,
+                stacks: Math.min(stacks, template.maxStacks),
+                expires: now + duration,
+                next_tick: now + ((template.interval || 0) * 1000),
+            };
+            character.effects.push(effect);
+
+            if (template.onApply) {
+                template.onApply(character, effect, template, this.Game);
+            }
+        } else {
+            switch (template.stacking) {
+                case 'extend':
+                    effect.expires = Math.min(effect.expires + duration, now + (template.maxDuration * 1000));
+                    break;
+                case 'stack':
+                    effect.stacks = Math.min(effect.stacks + stacks, template.maxStacks);
+                    effect.expires = Math.max(effect.expires, now + duration);
+                    break;
+                default:
+                    effect.expires = Math.max(effect.expires, now + duration);
+                    break;
+            }
+        }
+
+        if (character.user_id) {
+            this.Game.eventToUser(character.user_id, 'warning', template.messages.apply);
+            this.Game.characterManager.updateClient(character.user_id, 'effects');
+        }
+
+        return effect;
+    }
+
+    /**
+     * Rolls the chances of the weapon to inflict its timed effects on the target, eg. bleeding from a knife.
+     * NPCs do not run timed effects, so only players are affected.
+     * @param  {Character} target The character who was hit
+     * @param  {Object}    stats  The weapon stats, eg. {bleed_chance: 20}
+     * @return {Array}            The IDs of the timed effects inflicted
+     */
+    applyWeaponEffects(target, stats) {
+        if (!target.user_id) {
+            return [];
+        }
+
+        return Object.keys(WEAPON_EFFECTS)
+            .filter((effectId) => Math.random() * 100 < (stats[WEAPON_EFFECTS[effectId]] || 0))
+            .filter((effectId) => this.addEffect(target, effectId));
+    }
+
+    /**
+     * Removes a timed effect from the character
+     * @param  {Character} character The character to remove the effect from
+     * @param  {String}    effectId  The timed effect ID, eg. drunk
+     * @return {Boolean}             True if the character had the effect
+     */
+    removeEffect(character, effectId) {
+        const template = this.getTemplate(effectId);
+        const effect = character.getEffect(effectId);
+
+        if (!effect) {
+            return false;
+        }
+
+        if (template.onExpire) {
+            template.onExpire(character, effect, template, this.Game);
+        }
+
+        character.effects = character.effects.filter((obj) => obj.id !== effectId);
+
+        if (character.user_id) {
+            this.Game.eventToUser(character.user_id, 'info', template.messages.expire);
+            this.Game.characterManager.updateClient(character.user_id, 'effects');
+        }
+
+        return true;
+    }
+
+    /**
+     * Removes all timed effects from the character, without notifying them, eg. when they die
+     * @param  {Character} character The character to clear the effects of
+     * @param  {Array}     keep      The IDs of the effects to keep, eg. a jail sentence
+     */
+    clearEffects(character, keep = []) {
+        const effects = character.effects.filter((effect) => !keep.includes(effect.id));
+
+        character.effects = character.effects.filter((effect) => keep.includes(effect.id));
+        effects.forEach((effect) => {
+            const template = this.getTemplate(effect.id);
+
+            if (template.onExpire) {
+                template.onExpire(character, effect, template, this.Game);
+            }
+        });
+    }
+
+    /**
+     * Runs the ticks of the character's timed effects, and removes the expired effects. Runs every second.
+     * @param  {Character} character The character to tick the effects of
+     */
+    tick(character) {
+        if (!character.effects.length) {
+            return;
+        }
+
+        const now = Date.now();
+
+        character.effects.slice().forEach((effect) => {
+            const template = this.getTemplate(effect.id);
+
+            if (template.interval && now >= effect.next_tick) {
+                effect.next_tick = now + (template.interval * 1000);
+                template.onTick(character, effect, template, this.Game);
+            }
+
+            if (now >= effect.expires) {
+                this.removeEffect(character, effect.id);
+            }
+        });
+    }
+
+    /**
+     * Get the combined modifier of the character's timed effects
+     * @param  {Character} character The character
+     * @param  {String}    modifier  The modifier, eg. accuracy, damage or cooldown
+     * @return {Number}
+     */
+    getModifier(character, modifier) {
+        return character.effects.reduce((total, effect) => {
+            const template = this.getTemplate(effect.id);
+            return total + ((template.modifiers[modifier] || 0) * effect.stacks);
+        }, 0);
+    }
+
+    /**
+     * Checks if any of the character's timed effects prevents the given action
+     * @param  {Character} character The character
+     * @param  {String}    action    The action, eg. move or attack
+     * @return {String}              The reason the action is prevented, or null if it is not
+     */
+    getPrevented(character, action) {
+        const effect = character.effects.find((obj) => (this.getTemplate(obj.id).prevents || []).includes(action));
+
+        if (!effect) {
+            return null;
+        }
+
+        const secondsLeft = Math.ceil((effect.expires - Date.now()) / 1000);
+        return `You are ${this.getTemplate(effect.id).name.toLowerCase()}, and cannot ${action} for another ${secondsLeft} seconds.`;
+    }
+
+    /**
+     * Generates a short description of what the active effect does, eg. "-8 accuracy"
+     * @param  {Object} effect The active effect
+     * @return {String}
+     */
+    describe(effect) {
+        const template = this.getTemplate(effect.id);
+        const modifiers = template.modifiers;
+        const sign = (value) => (value > 0 ? `+${value}` : `${value}`);
+        const description = [];
+
+        if (modifiers.health) {
+            description.push(`${sign(modifiers.health * effect.stacks)} health every ${template.interval} seconds`);
+        }
+
+        if (modifiers.accuracy) {
+            description.push(`${sign(modifiers.accuracy * effect.stacks)} accuracy`);
+        }
+
+        if (modifiers.damage) {
+            description.push(`${sign(Math.round(modifiers.damage * effect.stacks * 100))}% damage`);
+        }
+
+        if (modifiers.health_max) {
+            description.push(`${sign(modifiers.health_max * effect.stacks)} max health`);
+        }
+
+        if (modifiers.cooldown) {
+            description.push(`${sign(Math.round(modifiers.cooldown * effect.stacks * 100))}% cooldowns`);
+        }
+
+        if (template.prevents) {
+            description.push(`cannot ${template.prevents.join(' or ')}`);
+        }
+
+        return description.join(', ');
+    }
 }
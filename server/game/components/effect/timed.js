@@ -0,0 +1,184 @@
+/*
+    Timed effects stay on the character for a duration (seconds), and can:
+    - tick every {interval} seconds, running the onTick method
+    - change the character's combat, through the modifiers (per stack):
+        accuracy: added to the accuracy ability, when attacking
+        damage: the % (0.1 = 10%) of extra damage dealt
+        health_max: added to the max health, while the effect is active (see boostMaxHealth)
+        cooldown: the % (-0.3 = 30% shorter) the character's cooldowns are changed by
+    - run the onApply and onExpire methods, when the effect is added and removed
+    - prevent the character from doing certain actions (move, attack, travel)
+
+    When applied to a character who already has the effect, the stacking rule decides what happens:
+    - refresh: the duration is reset
+    - extend: the duration is added to the time left, up to maxDuration
+    - stack: a stack is added (up to maxStacks), and the duration is reset
+*/
+
+/**
+ * Heals or damages the character by the health modifier, for each stack of the effect
+ * @param  {Character} character The character with the effect
+ * @param  {Object}    effect    The active effect, {id, stacks, expires, next_tick}
+ * @param  {Object}    template  The effect template
+ * @param  {Game}      Game      The main Game object
+ */
+function tickHealth(character, effect, template, Game) {
+    const amount = template.modifiers.health * effect.stacks;
+
+    // no need to heal a character at full health
+    if (amount > 0 && character.stats.health >= character.stats.health_max) {
+        return;
+    }
+
+    character.updateHealth(amount);
+
+    if (!character.user_id) {
+        return Game.npcManager.updateGrid(character.location, character.getLocationId());
+    }
+
+    if (character.stats.health > 0) {
+        return Game.characterManager.updateClient(character.user_id, 'stats');
+    }
+
+    Game.eventToRoom(character.getLocationId(), 'info', `${character.name} collapses to the ground, ${template.death}`, [character.user_id]);
+    character.kill(null)
+        .then(() => {
+            Game.eventToUser(character.user_id, 'info', `You collapse to the ground, ${template.death}`);
+        })
+        .catch(() => {});
+}
+
+/**
+ * Raises the max health, and health, of the character by the health_max modifier
+ * @param  {Character} character The character with the effect
+ * @param  {Object}    effect    The active effect, {id, stacks, expires, next_tick}
+ * @param  {Object}    template  The effect template
+ * @param  {Game}      Game      The main Game object
+ */
+function boostMaxHealth(character, effect, template, Game) {
+    const amount = template.modifiers.health_max * effect.stacks;
+
+    character.stats.health_max += amount;
+    character.updateHealth(amount);
+
+    if (character.user_id) {
+        Game.characterManager.updateClient(character.user_id, 'stats');
+    }
+}
+
+/**
+ * Reverts the max health boost from boostMaxHealth, the health is capped at the new max health
+ * @param  {Character} character The character with the effect
+ * @param  {Object}    effect    The active effect, {id, stacks, expires, next_tick}
+ * @param  {Object}    template  The effect template
+ * @param  {Game}      Game      The main Game object
+ */
+function endMaxHealthBoost(character, effect, template, Game) {
+    character.stats.health_max -= template.modifiers.health_max * effect.stacks;
+    character.updateHealth(0);
+
+    if (character.user_id) {
+        Game.characterManager.updateClient(character.user_id, 'stats');
+    }
+}
+
+module.exports = {
+    regeneration: {
+        name: 'Regeneration',
+        duration: 30,
+        interval: 5,
+        stacking: 'refresh',
+        maxStacks: 1,
+        modifiers: {
+            health: 4,
+        },
+        onTick: tickHealth,
+        messages: {
+            apply: 'You feel your wounds starting to heal.',
+            expire: 'Your wounds are no longer healing on their own.',
+        },
+    },
+    bleed: {
+        name: 'Bleeding',
+        duration: 20,
+        interval: 4,
+        stacking: 'stack',
+        maxStacks: 5,
+        modifiers: {
+            health: -2,
+        },
+        onTick: tickHealth,
+        death: 'having bled to death.',
+        messages: {
+            apply: 'You are bleeding!',
+            expire: 'Your wounds have stopped bleeding.',
+        },
+    },
+    stun: {
+        name: 'Stunned',
+        duration: 5,
+        stacking: 'refresh',
+        maxStacks: 1,
+        modifiers: {},
+        prevents: ['move', 'attack'],
+        messages: {
+            apply: 'You are stunned!',
+            expire: 'You are no longer stunned.',
+        },
+    },
+    drunk: {
+        name: 'Drunk',
+        duration: 60,
+        stacking: 'stack',
+        maxStacks: 5,
+        modifiers: {
+            accuracy: -4,
+        },
+        messages: {
+            apply: 'The alcohol goes straight to your head.',
+            expire: 'You feel sober again.',
+        },
+    },
+    high: {
+        name: 'High',
+        duration: 60,
+        stacking: 'extend',
+        maxDuration: 300,
+        maxStacks: 1,
+        modifiers: {
+            damage: 0.15,
+        },
+        messages: {
+            apply: 'You feel invincible.',
+            expire: 'The high wears off.',
+        },
+    },
+    adrenaline: {
+        name: 'Adrenaline',
+        duration: 60,
+        stacking: 'refresh',
+        maxStacks: 1,
+        modifiers: {
+            health_max: 25,
+            cooldown: -0.3,
+        },
+        onApply: boostMaxHealth,
+        onExpire: endMaxHealthBoost,
+        messages: {
+            apply: 'Your heart starts racing, as the adrenaline kicks in.',
+            expire: 'The adrenaline rush wears off, and you feel drained.',
+        },
+    },
+    jailed: {
+        name: 'Jailed',
+        duration: 60,
+        stacking: 'refresh',
+        maxStacks: 1,
+        modifiers: {},
+        prevents: ['move', 'attack', 'travel'],
+        messages: {
+            apply: 'The cell door slams shut behind you.',
+            expire: 'You have served your sentence, and are free to go.',
+        },
+    },
+};
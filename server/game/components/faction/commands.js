@@ -1,4 +1,5 @@
 import {CHAT_MESSAGE} from '../command/types';
+import {checkChatCooldown} from '../command/chat';
 
 /**
  * Faction create command logic
@@ -169,29 +170,28 @@ function cmdFactionAcceptInvite(socket, character, command, params, cmdObject, G
  * @param  {Game}   Game                The main Game object
  */
 function cmdFactionSay(socket, character, command, params, cmdObject, Game) {
+    const message = params.join(' ').trim();
+
     // make sure they are in a faction
     if (!character.faction) {
         return Game.eventToSocket(socket, 'error', 'You are not a member of a faction.');
     }
 
-    // check if the character has an existing cooldown for this action, if they are trying to hide
-    const ticksLeft = Game.cooldownManager.ticksLeft(character, 'action_chat');
-
-    if (ticksLeft) {
-        return Game.eventToUser(character.user_id, 'error', `You must wait another ${(ticksLeft / 10)} seconds before you can send another message.`);
-    }
-
-    // add the search cooldown to the character
-    Game.cooldownManager.add(character, 'chat', null, true);
-
-    Game.socketManager.dispatchToRoom(character.faction.faction_id, {
-        type: CHAT_MESSAGE,
-        payload: {
+    // check for cooldowns
+    checkChatCooldown(character, Game, message, (filteredMessage) => {
+        const payload = {
             user_id: character.user_id,
             name: character.name,
-            message: message,
+            message: filteredMessage,
             type: 'faction',
-        },
+            ignore: Game.characterManager.getIgnoredBy(character.user_id),
+        };
+
+        Game.chatManager.record(Game.chatManager.getChannel(character, 'faction'), payload);
+        Game.socketManager.dispatchToRoom(character.faction.faction_id, {
+            type: CHAT_MESSAGE,
+            payload,
+        });
     });
 }
 
@@ -4,6 +4,7 @@ import FactionModel from './model';
 import Faction from './object';
 import CharacterModel from '../character/model';
 import factionCommands from './commands';
+import factionRules from './rules';
 import {findInArray} from '../../helper';
 
 /**
@@ -28,6 +29,7 @@ export default class FactionManager {
         return new Promise((resolve, reject) => {
             // register all the
             this.Game.commandManager.registerManager(factionCommands);
+            this.Game.commandManager.registerRules(factionRules);
 
             // load our factions
             FactionModel.find({}, (err, factions) => {
@@ -227,7 +229,9 @@ export default class FactionManager {
                     const newFaction = this.add({
                         faction_id: uuid(),
                         name: factionName,
+                        name_lowercase: factionName.toLowerCase(),
                         tag: factionTag,
+                        tag_lowercase: factionTag.toLowerCase(),
                         leader_id: user_id.toString(),
                     });
 
@@ -274,6 +278,9 @@ export default class FactionManager {
                     // remove from managed list
                     this.factions = this.factions.filter((obj) => !obj.remove);
 
+                    // remove the faction chat history
+                    this.Game.chatManager.clear(`faction_${factionId}`).catch(() => {});
+
                     // remove from databse
                     FactionModel.remove({faction_id: factionId}, (err, deleted) => {
                         if (err) {
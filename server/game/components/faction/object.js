@@ -20,6 +20,8 @@ export default class Faction {
         // keeps tracks of all active faction invtes. The list will contain the user_id's
         // of anyone whos been invited.
         this.invites = [];
+        // the active distress beacons of the members, until they expire
+        this.beacons = [];
     }
 
     /**
@@ -81,6 +83,38 @@ export default class Faction {
         }
     }
 
+    /**
+     * Marks the character's current location with a distress beacon, replacing their previous beacon
+     * @param {Character} character The character who activated the beacon
+     * @param {Number}    duration  Seconds the beacon lasts
+     * @return {Object}             The beacon
+     */
+    addBeacon(character, duration) {
+        const beacon = {
+            user_id: character.user_id,
+            name: character.name,
+            map: character.location.map,
+            x: character.location.x,
+            y: character.location.y,
+            expires: Date.now() + duration * 1000,
+        };
+
+        this.beacons = this.getBeacons().filter((obj) => obj.user_id !== character.user_id);
+        this.beacons.push(beacon);
+
+        return beacon;
+    }
+
+    /**
+     * Get the beacons which have not expired yet
+     * @return {Array}
+     */
+    getBeacons() {
+        const now = Date.now();
+
+        return this.beacons.filter((beacon) => beacon.expires > now);
+    }
+
     /**
      * Adds a character to the faction
      * @param {Character Obj} character Character to add to the faction
@@ -215,6 +249,7 @@ export default class Faction {
             leader_id: this.leader_id,
             name: this.name,
             tag: this.tag,
+            beacons: this.getBeacons(),
             members: !ignoreMembers ? this.onlineMembers.map((character) => {
                 return {
                     user_id: character.user_id,
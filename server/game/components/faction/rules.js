@@ -0,0 +1,21 @@
+/**
+ * Faction rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers (unused)
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Promise}             Resolves with the faction object
+ */
+function ruleFaction(value, modifiers, param, character, Game) {
+    return Game.factionManager.getByName(value).catch(() => {
+        throw new Error('The {name} is not a valid faction.');
+    });
+}
+
+module.exports = [
+    {
+        rule: 'faction',
+        method: ruleFaction,
+    },
+];
@@ -267,6 +267,7 @@ module.exports = [
             },
         ],
         description: 'Gives an item to the player.',
+        permission: 'admin',
         method: cmdGiveItem,
     },
 ];
@@ -5,6 +5,7 @@ import ItemModel from './model';
 import ItemList from '../../data/items.json';
 import Item from './object';
 import ItemCommands from './commands';
+import ItemRules from './rules';
 
 /**
  * Item Manager
@@ -34,6 +35,7 @@ export default class ItemManager {
 
             // register the commands
             this.Game.commandManager.registerManager(ItemCommands);
+            this.Game.commandManager.registerRules(ItemRules);
 
             // set the initial item prices.
             this.updatePrices()
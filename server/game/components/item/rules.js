@@ -0,0 +1,43 @@
+/**
+ * Item rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers, eg. ['id'] for item:id
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Item}                The item template
+ */
+function ruleItem(value, modifiers, param, character, Game) {
+    let item;
+
+    switch (modifiers[0]) {
+        case 'id':
+            item = Game.itemManager.getTemplate(value);
+            break;
+        case 'name':
+            item = Game.itemManager.getTemplateByName(value.toLowerCase());
+            break;
+        default:
+            item = Game.itemManager.getTemplateByName(value.toLowerCase());
+
+            // if no item was found by name, see if the value was an itemId instead
+            if (!item) {
+                item = Game.itemManager.getTemplate(value);
+            }
+            break;
+    }
+
+    // no item found by name or ID
+    if (!item) {
+        throw new Error('The {name} is not a valid item.');
+    }
+
+    return item;
+}
+
+module.exports = [
+    {
+        rule: 'item',
+        method: ruleItem,
+    },
+];
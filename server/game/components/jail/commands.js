@@ -0,0 +1,49 @@
+/**
+ * Bail command logic, releases the character from jail by paying the bail from the bank
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdBail(socket, character, command, params, cmdObject, Game) {
+    return Game.jailManager.bail(character)
+        .then(() => {
+            Game.eventToRoom(character.getLocationId(), 'info', `${character.name} made bail, and walks out of the cell.`, [character.user_id]);
+        });
+}
+
+/**
+ * Sentence command logic, shows the time left of the character's jail sentence
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdSentence(socket, character, command, params, cmdObject, Game) {
+    const secondsLeft = Game.jailManager.getSentence(character);
+
+    if (!secondsLeft) {
+        return Game.eventToSocket(socket, 'info', 'You are not in jail.');
+    }
+
+    Game.eventToSocket(socket, 'info', `You have ${secondsLeft} seconds left of your sentence. You can /bail out for ${Game.jailManager.getBail(character)}, paid from your bank account.`);
+}
+
+module.exports = [
+    {
+        command: '/bail',
+        aliases: [],
+        description: 'Pays the bail from your bank account, to get out of jail early.',
+        method: cmdBail,
+    },
+    {
+        command: '/sentence',
+        aliases: [],
+        description: 'Shows how long you have left of your jail sentence.',
+        method: cmdSentence,
+    },
+];
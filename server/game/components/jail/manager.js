@@ -0,0 +1,154 @@
+import Promise from 'bluebird';
+
+// manager specific imports
+import jailCommands from './commands';
+
+/**
+ * The default jail settings, used for anything not set in config.game.jail
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    // seconds of jail time, per wanted level at the time of the arrest
+    sentencePerLevel: 60,
+    // the bail, per second of the sentence left
+    bailPerSecond: 5,
+    // the item subtypes confiscated on arrest
+    contraband: ['drug'],
+};
+
+/**
+ * Jail Manager
+ */
+export default class JailManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.jail,
+        };
+
+        // log manager progress
+        this.Game.logger.debug('JailManager::constructor Loaded');
+    }
+
+    /**
+     * Register the jail commands
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(jailCommands);
+            resolve();
+        });
+    }
+
+    /**
+     * Whether the attacker will arrest the character, instead of killing them
+     * @param  {Character} attacker  The character or NPC who defeated the character
+     * @param  {Character} character The defeated character
+     * @return {Boolean}
+     */
+    canArrest(attacker, character) {
+        return !attacker.user_id &&
+            !!character.user_id &&
+            this.Game.wantedManager.settings.lawTypes.includes(attacker.type) &&
+            this.Game.wantedManager.isHostile(character);
+    }
+
+    /**
+     * Get the seconds left of the character's sentence
+     * @param  {Character} character The character
+     * @return {Number}              Seconds left, 0 if they are not in jail
+     */
+    getSentence(character) {
+        const effect = character.getEffect('jailed');
+        return effect ? Math.max(0, Math.ceil((effect.expires - Date.now()) / 1000)) : 0;
+    }
+
+    /**
+     * Get the bail for the rest of the character's sentence
+     * @param  {Character} character The character
+     * @return {Number}
+     */
+    getBail(character) {
+        return this.getSentence(character) * this.settings.bailPerSecond;
+    }
+
+    /**
+     * Arrests the character: confiscates their contraband, clears their wanted level and locks them up in the map's jail
+     * @param  {Character} character The character to arrest
+     * @param  {NPC}       officer   The arresting law enforcement NPC
+     * @return {Promise}             Resolves with the location ID the character was arrested at
+     */
+    arrest(character, officer) {
+        return this.Game.mapManager.get(character.location.map).then((gameMap) => {
+            const oldLocationId = character.getLocationId();
+            const sentence = this.Game.wantedManager.getLevel(character) * this.settings.sentencePerLevel;
+            const contraband = character.inventory.filter((item) => this.settings.contraband.includes(item.subtype));
+
+            if (!gameMap.jail) {
+                this.Game.logger.warn(`The map ${gameMap.id} has no jail, using the respawn location instead.`);
+            }
+
+            contraband.forEach((item) => {
+                this.Game.itemManager.remove(character, item);
+            });
+
+            // they are patched up, before being put in a cell
+            character.stats.health = character.stats.health_max;
+            this.Game.wantedManager.addHeat(character, -character.stats.heat);
+
+            this.Game.logger.info('JailManager::arrest', {user_id: character.user_id, by: officer.type, sentence});
+
+            this.Game.eventToUser(character.user_id, 'warning', `${officer.name} the ${officer.type} knocks you to the ground, and arrests you. You are sentenced to ${sentence} seconds in jail.`);
+
+            if (contraband.length) {
+                this.Game.eventToUser(character.user_id, 'warning', `Your ${contraband.map((item) => item.name).join(', ')} was confiscated.`);
+            }
+
+            return this.Game.characterManager.teleport(
+                character,
+                {
+                    map: gameMap.id,
+                    ...(gameMap.jail || gameMap.respawn),
+                },
+                `You see ${officer.name} the ${officer.type} knock ${character.name} to the ground, and take them away in handcuffs.`,
+                `${character.name} is thrown into a cell.`
+            )
+            .then(() => {
+                this.Game.effectManager.addEffect(character, 'jailed', {duration: sentence});
+                return oldLocationId;
+            });
+        });
+    }
+
+    /**
+     * Releases the character from jail, if they can pay the bail from their bank account
+     * @param  {Character} character The jailed character
+     * @return {Promise}             Resolves with the bail paid
+     */
+    bail(character) {
+        return new Promise((resolve, reject) => {
+            if (!this.getSentence(character)) {
+                return reject(new Error('You are not in jail.'));
+            }
+
+            const bail = this.getBail(character);
+
+            if (character.stats.bank < bail) {
+                return reject(new Error(`Your bail is ${bail}, but you only have ${character.stats.bank} in the bank.`));
+            }
+
+            character.updateBank(bail * -1);
+            this.Game.characterManager.updateClient(character.user_id, 'stats');
+            this.Game.eventToUser(character.user_id, 'success', `You paid your bail of ${bail} from your bank account.`);
+            this.Game.effectManager.removeEffect(character, 'jailed');
+
+            resolve(bail);
+        });
+    }
+}
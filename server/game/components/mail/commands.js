@@ -0,0 +1,123 @@
+import {checkChatCooldown} from '../command/chat';
+
+/**
+ * The max length of the mail subject and body
+ * @type {Object}
+ */
+const MAIL_MAX_LENGTH = {
+    subject: 50,
+    body: 500,
+};
+
+/**
+ * Mail command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdMail(socket, character, command, params, cmdObject, Game) {
+    const action = params[0].toLowerCase();
+    const argument = (params[1] || '').trim();
+
+    switch (action) {
+        case 'send':
+            // <character name> <subject> | <body>
+            const [, recipientName, subject, body] = argument.match(/^(\S+)\s+([^|]*)\|([\s\S]*)$/) || [];
+
+            if (!recipientName || !subject.trim() || !body.trim()) {
+                return Game.eventToSocket(socket, 'error', 'Usage: /mail send <character name> <subject> | <message>');
+            }
+
+            if (subject.trim().length > MAIL_MAX_LENGTH.subject || body.trim().length > MAIL_MAX_LENGTH.body) {
+                return Game.eventToSocket(socket, 'error', `The subject can be at most ${MAIL_MAX_LENGTH.subject} characters, and the message ${MAIL_MAX_LENGTH.body}.`);
+            }
+
+            return checkChatCooldown(character, Game, null, () => {
+                let mail;
+
+                // mail goes through the same filter as the chat, and counts towards the same strikes
+                try {
+                    mail = {
+                        subject: Game.chatManager.filter(character, subject.trim()),
+                        body: Game.chatManager.filter(character, body.trim()),
+                    };
+                } catch (err) {
+                    return Game.eventToSocket(socket, 'error', err.message);
+                }
+
+                return Game.mailManager.send(character, recipientName, mail.subject, mail.body)
+                    .then((recipient) => Game.eventToSocket(socket, 'success', `Your mail was sent to ${recipient.name}.`));
+            });
+
+        case 'list':
+            return Game.mailManager.updateClient(character.user_id)
+                .then((mails) => {
+                    if (!mails.length) {
+                        return Game.eventToSocket(socket, 'info', 'Your inbox is empty.');
+                    }
+
+                    Game.eventToSocket(socket, 'multiline', [
+                        `Your inbox (${mails.length}), read a mail with /mail read <number>:`,
+                    ].concat(mails.map((mail, index) => {
+                        const mailData = Game.mailManager.exportToClient(mail, index + 1);
+                        return `${mailData.number}. ${mailData.read ? '' : '[NEW] '}${mailData.subject} - from ${mailData.from}, ${mailData.date}`;
+                    })));
+                });
+
+        case 'read':
+            const number = parseInt(argument, 10);
+
+            if (!number) {
+                return Game.eventToSocket(socket, 'error', 'Usage: /mail read <number>');
+            }
+
+            return Game.mailManager.read(character.user_id, number)
+                .then((mail) => {
+                    const mailData = Game.mailManager.exportToClient(mail, number);
+
+                    Game.eventToSocket(socket, 'multiline', [
+                        `From: ${mailData.from}, ${mailData.date}`,
+                        `Subject: ${mailData.subject}`,
+                        mailData.body,
+                    ]);
+                });
+
+        case 'delete':
+            const toDelete = argument.toLowerCase() === 'read' ? 'read' : parseInt(argument, 10);
+
+            if (!toDelete) {
+                return Game.eventToSocket(socket, 'error', 'Usage: /mail delete <number|read>');
+            }
+
+            return Game.mailManager.delete(character.user_id, toDelete)
+                .then((count) => Game.eventToSocket(socket, 'success', `Deleted ${count} mail(s).`));
+    }
+
+    Game.eventToSocket(socket, 'error', 'Invalid action. Use send, list, read or delete.');
+}
+
+module.exports = [
+    {
+        command: '/mail',
+        aliases: [],
+        params: [
+            {
+                name: 'Action',
+                desc: 'What you want to do: send, list, read or delete.',
+                rules: 'required|alphanum',
+            },
+            {
+                name: 'Argument',
+                desc: 'For send: <character name> <subject> | <message>. For read and delete: the mail number (or "read" to delete all read mails).',
+                rules: 'maxlen:600',
+                // the mail itself is kept out of the audit log
+                sensitive: (params) => `${params[0]}`.toLowerCase() === 'send',
+            },
+        ],
+        description: 'Send mail to other players, online or offline, and read your inbox.',
+        method: cmdMail,
+    },
+];
@@ -0,0 +1,296 @@
+import Promise from 'bluebird';
+import moment from 'moment';
+
+// manager specific imports
+import MailModel from './model';
+import mailCommands from './commands';
+import {MAIL_INBOX, MAIL_UNREAD, MAIL_GET_INBOX} from '../../../shared/types';
+
+/**
+ * The max number of mails a character can have in their inbox
+ * @type {Number}
+ */
+const MAIL_MAX_INBOX = 50;
+
+/**
+ * Mail Manager
+ */
+export default class MailManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+
+        this.Game.socketManager.on('dispatch', this.onDispatch.bind(this));
+
+        // log manager progress
+        this.Game.logger.debug('MailManager::constructor Loaded');
+    }
+
+    /**
+     * Register the mail commands
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(mailCommands);
+            resolve();
+        });
+    }
+
+    /**
+     * Handles dispatches from the client, related to mail
+     * @param  {Socket.IO Socket} socket Client who sent the dispatch
+     * @param  {Object}           action Redux action object
+     */
+    onDispatch(socket, action) {
+        if (action.type !== MAIL_GET_INBOX) {
+            return;
+        }
+
+        this.updateClient(socket.user.user_id).catch(() => {});
+    }
+
+    /**
+     * Sends a mail to a character, online or offline
+     * @param  {Character} character     The character sending the mail
+     * @param  {String}    recipientName The name of the receiving character
+     * @param  {String}    subject       The mail subject
+     * @param  {String}    body          The mail body
+     * @return {Promise}                 Resolves with the recipient {user_id, name}
+     */
+    send(character, recipientName, subject, body) {
+        return this.Game.characterManager.dbGetByName(recipientName)
+            .catch(() => {
+                throw new Error(`There is no character by the name ${recipientName}.`);
+            })
+            .then((recipient) => {
+                if (recipient.user_id === character.user_id) {
+                    throw new Error('You cannot send mail to yourself.');
+                }
+
+                // the ignore list of online characters might not be saved yet
+                const onlineRecipient = this.Game.characterManager.getByNameSync(recipient.name);
+                const ignores = onlineRecipient ? onlineRecipient.ignores : (recipient.ignores || []);
+
+                // like whispers, the sender should not know they are being ignored
+                if (ignores.some((obj) => obj.user_id === character.user_id)) {
+                    throw new Error('Your mail could not be delivered.');
+                }
+
+                return this.count(recipient.user_id)
+                    .then((count) => {
+                        if (count >= MAIL_MAX_INBOX) {
+                            throw new Error(`The mailbox of ${recipient.name} is full.`);
+                        }
+
+                        return this.dbSave(new MailModel({
+                            to_user_id: recipient.user_id,
+                            to_name: recipient.name,
+                            from_user_id: character.user_id,
+                            from_name: character.name,
+                            subject,
+                            body,
+                        }));
+                    })
+                    .then(() => {
+                        // let the recipient know, if they are online
+                        if (onlineRecipient) {
+                            this.Game.eventToUser(recipient.user_id, 'info', `You have new mail from ${character.name}: "${subject}". Type /mail list to see your inbox.`);
+                            this.updateUnread(recipient.user_id);
+                        }
+
+                        return {
+                            user_id: recipient.user_id,
+                            name: recipient.name,
+                        };
+                    });
+            });
+    }
+
+    /**
+     * Get the mails in the inbox of the user, newest first
+     * @param  {String} user_id User ID
+     * @return {Promise}        Resolves with the list of mail documents
+     */
+    getInbox(user_id) {
+        return new Promise((resolve, reject) => {
+            MailModel.find({to_user_id: user_id})
+                .sort({date: -1})
+                .exec((err, mails) => {
+                    if (err) {
+                        this.Game.logger.error('MailManager::getInbox', err);
+                        return reject(new Error('Something went wrong. Please try again in a moment.'));
+                    }
+
+                    resolve(mails);
+                });
+        });
+    }
+
+    /**
+     * Get a mail from the inbox of the user, by its number in the inbox list
+     * @param  {String} user_id User ID
+     * @param  {Number} number  The number of the mail, as shown in the inbox list (1 being the newest)
+     * @return {Promise}        Resolves with the mail document
+     */
+    getByNumber(user_id, number) {
+        return this.getInbox(user_id)
+            .then((mails) => {
+                const mail = mails[number - 1];
+
+                if (!mail) {
+                    throw new Error(`There is no mail number ${number} in your inbox.`);
+                }
+
+                return mail;
+            });
+    }
+
+    /**
+     * Marks the mail as read
+     * @param  {String} user_id User ID
+     * @param  {Number} number  The number of the mail in the inbox
+     * @return {Promise}        Resolves with the mail document
+     */
+    read(user_id, number) {
+        return this.getByNumber(user_id, number)
+            .then((mail) => {
+                if (mail.read) {
+                    return mail;
+                }
+
+                mail.read = true;
+                return this.dbSave(mail);
+            })
+            .then((mail) => {
+                this.updateClient(user_id);
+                return mail;
+            });
+    }
+
+    /**
+     * Deletes a mail, or all read mails
+     * @param  {String} user_id User ID
+     * @param  {Mixed}  number  The number of the mail in the inbox, or "read" for all read mails
+     * @return {Promise}        Resolves with the number of deleted mails
+     */
+    delete(user_id, number) {
+        const toDelete = number === 'read' ?
+            this.getInbox(user_id).then((mails) => mails.filter((mail) => mail.read)) :
+            this.getByNumber(user_id, number).then((mail) => [mail]);
+
+        return toDelete.then((mails) => {
+            return new Promise((resolve, reject) => {
+                MailModel.remove({_id: {$in: mails.map((mail) => mail._id)}}, (err) => {
+                    if (err) {
+                        this.Game.logger.error('MailManager::delete', err);
+                        return reject(new Error('Something went wrong. Please try again in a moment.'));
+                    }
+
+                    this.updateClient(user_id);
+                    resolve(mails.length);
+                });
+            });
+        });
+    }
+
+    /**
+     * Counts the mails in the inbox of the user
+     * @param  {String}  user_id    User ID
+     * @param  {Boolean} unreadOnly Whether to only count the unread mails
+     * @return {Promise}            Resolves with the count
+     */
+    count(user_id, unreadOnly = false) {
+        return new Promise((resolve, reject) => {
+            const conditions = {to_user_id: user_id};
+
+            if (unreadOnly) {
+                conditions.read = false;
+            }
+
+            MailModel.count(conditions, (err, count) => {
+                if (err) {
+                    this.Game.logger.error('MailManager::count', err);
+                    return reject(err);
+                }
+
+                resolve(count);
+            });
+        });
+    }
+
+    /**
+     * Saves a mail document
+     * @param  {MailModel} mail The mail document
+     * @return {Promise}        Resolves with the mail document
+     */
+    dbSave(mail) {
+        return new Promise((resolve, reject) => {
+            mail.save((err) => {
+                if (err) {
+                    this.Game.logger.error('MailManager::dbSave', err);
+                    return reject(new Error('Something went wrong. Please try again in a moment.'));
+                }
+
+                resolve(mail);
+            });
+        });
+    }
+
+    /**
+     * Exports the mail for the client inbox
+     * @param  {MailModel} mail   The mail document
+     * @param  {Number}    number The number of the mail in the inbox
+     * @return {Object}
+     */
+    exportToClient(mail, number) {
+        return {
+            number,
+            from: mail.from_name,
+            subject: mail.subject,
+            body: mail.body,
+            read: mail.read,
+            date: moment(mail.date).format('YYYY-MM-DD HH:mm'),
+        };
+    }
+
+    /**
+     * Sends the inbox to the client
+     * @param  {String} user_id User ID
+     * @return {Promise}        Resolves with the list of mail documents
+     */
+    updateClient(user_id) {
+        return this.getInbox(user_id)
+            .then((mails) => {
+                this.Game.socketManager.dispatchToUser(user_id, {
+                    type: MAIL_INBOX,
+                    payload: {
+                        unread: mails.filter((mail) => !mail.read).length,
+                        mails: mails.map((mail, index) => this.exportToClient(mail, index + 1)),
+                    },
+                });
+
+                return mails;
+            });
+    }
+
+    /**
+     * Sends the number of unread mails to the client
+     * @param  {String} user_id User ID
+     */
+    updateUnread(user_id) {
+        this.count(user_id, true)
+            .then((unread) => {
+                this.Game.socketManager.dispatchToUser(user_id, {
+                    type: MAIL_UNREAD,
+                    payload: {
+                        unread,
+                    },
+                });
+            })
+            .catch(() => {});
+    }
+}
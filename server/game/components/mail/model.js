@@ -0,0 +1,36 @@
+// Load required packages
+import mongoose from 'mongoose';
+
+// Define our mail schema
+const MailSchema = new mongoose.Schema({
+    to_user_id: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    to_name: String,
+    from_user_id: {
+        type: String,
+        required: true,
+    },
+    from_name: String,
+    subject: {
+        type: String,
+        required: true,
+    },
+    body: {
+        type: String,
+        required: true,
+    },
+    read: {
+        type: Boolean,
+        default: false,
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('Mail', MailSchema);
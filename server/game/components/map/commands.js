@@ -33,6 +33,20 @@ function cmdFlee(socket, character, command, params, cmdObject, Game) {
         return Game.eventToSocket(socket, 'info', 'No one has taken aim at you, you can move freely.');
     }
 
+    // fleeing a duel surrenders it, instead of moving
+    const duel = Game.duelManager.getDuel(character.user_id);
+
+    if (duel && duel.started) {
+        return Game.duelManager.forfeit(character.user_id, 'surrendered');
+    }
+
+    // check if the player is stunned, jailed or similar
+    const prevented = Game.effectManager.getPrevented(character, 'move');
+
+    if (prevented) {
+        return Game.eventToSocket(socket, 'warning', prevented);
+    }
+
     // get their location
     // if no direction is set, choose a random direction
     if (!direction) {
@@ -134,6 +148,7 @@ function cmdFlee(socket, character, command, params, cmdObject, Game) {
 
             // update character location
             character.updateLocation(newLocation.map, newLocation.x, newLocation.y);
+            Game.statisticsManager.record(character, 'times_fled');
 
             // change location on the map
             Game.characterManager.changeLocation(character, newLocation, oldLocation);
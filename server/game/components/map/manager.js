@@ -6,6 +6,7 @@ import GameMap from './object';
 import descriptionList from '../../data/descriptions.json';
 import {JOIN_GRID} from './types';
 import mapCommands from './commands';
+import mapRules from './rules';
 
 /**
  * Map Manager
@@ -29,14 +30,14 @@ export default class MapManager {
         return new Promise((resolve, rejecte) => {
             // load map commands
             this.Game.commandManager.registerManager(mapCommands);
+            this.Game.commandManager.registerRules(mapRules);
 
-            // get the list of map files in our data maps directory
-            const maplist = fs.readdirSync(`${__dirname}/../../data/maps`);
+            // get the list of maps in our data maps directory
+            const maplist = this.getMapData();
             let loadedmaps = 0;
 
-            // loop each of our mapfiles
-            maplist.map((mapname) => {
-                let mapData = require(`${__dirname}/../../data/maps/${mapname}`);
+            // loop each of our maps
+            maplist.map((mapData) => {
                 this.maps[mapData.id] = new GameMap(this.Game, mapData);
 
                 // generate the map, and once done, increment the counter and resolve if all maps are done.
@@ -55,6 +56,16 @@ export default class MapManager {
         });
     }
 
+    /**
+     * Loads the map files in our data maps directory
+     * @return {Array} List of map data objects
+     */
+    getMapData() {
+        return fs.readdirSync(`${__dirname}/../../data/maps`).map((mapname) => {
+            return require(`${__dirname}/../../data/maps/${mapname}`);
+        });
+    }
+
     /**
      * Generate a "random" description from the list
      * @return {String} the generated description
@@ -157,6 +168,7 @@ export default class MapManager {
             list[mapId] = {
                 name: this.maps[mapId].name,
                 buildings: this.Game.structureManager.getMapData(mapId),
+                safezones: this.maps[mapId].safezones || [],
             };
         });
 
@@ -0,0 +1,47 @@
+/**
+ * Game map rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers (unused)
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Promise}             Resolves with the map object
+ */
+function ruleGameMap(value, modifiers, param, character, Game) {
+    return Game.mapManager.getByName(value).catch(() => {
+        throw new Error('The {name} is not a valid location.');
+    });
+}
+
+/**
+ * Direction rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers (unused)
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {String}              The validated direction
+ */
+function ruleDirection(value, modifiers, param, character, Game) {
+    const directions = [
+        'north', 'east', 'south', 'west',
+        'n', 'e', 's', 'w',
+    ];
+
+    if (!directions.includes(value.toLowerCase())) {
+        throw new Error('{name} does not appear to be a valid direction.');
+    }
+
+    return value;
+}
+
+module.exports = [
+    {
+        rule: 'gamemap',
+        method: ruleGameMap,
+    },
+    {
+        rule: 'direction',
+        method: ruleDirection,
+    },
+];
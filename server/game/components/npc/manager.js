@@ -67,6 +67,12 @@ export default class NPCManager {
         // add the map id to the location
         npcTemplate.location.map = map.id;
 
+        // the spawn health is the max health, unless the template says otherwise
+        npcTemplate.stats = {
+            health_max: npcTemplate.stats.health,
+            ...npcTemplate.stats,
+        };
+
         // randomise gender, and pick a name
         npcTemplate.gender = Math.round(Math.random() * 1) ? 'male' : 'female';
         npcTemplate.name = namesList[npcTemplate.gender][Math.round(Math.random() * (namesList[npcTemplate.gender].length - 1))];
@@ -156,8 +162,11 @@ export default class NPCManager {
             // add the map id to the location
             NPC.location.map = gameMap.id;
 
-            // add the map id to the location
-            NPC.stats = {...npcTemplate.stats};
+            // reset the stats, the spawn health is the max health unless the template says otherwise
+            NPC.stats = {
+                health_max: npcTemplate.stats.health,
+                ...npcTemplate.stats,
+            };
 
             // randomise gender, and pick a name
             NPC.gender = Math.round(Math.random() * 1) ? 'male' : 'female';
@@ -403,12 +412,11 @@ export default class NPCManager {
                         this.Game.itemManager.drop(oldLocation.map, oldLocation.x, oldLocation.y, item);
                     });
 
-                    // give the cash to the killer
-                    killer.updateCash(droppedLoot.cash);
-                    killer.updateExp(droppedLoot.exp);
+                    // give the cash and exp to the killer, split with their party members
+                    this.Game.partyManager.shareReward([killer], oldLocation, droppedLoot, `${NPC.name} the ${NPC.type}`);
 
-                    // Update the killers character stats
-                    this.Game.characterManager.updateClient(killer.user_id);
+                    // keep track of the kill, for the leaderboards
+                    this.Game.statisticsManager.recordNpcKill(killer, NPC);
 
                     // Let the killer know how much money they received
                     this.Game.eventToUser(killer.user_id, 'info', `You find ${droppedLoot.cash} money on ${NPC.name} the ${NPC.type}.`);
@@ -22,8 +22,9 @@ export default class NPC extends Character {
         this.ignoreQuantity = true;
         // Whether their skills and abilities should improve when used
         this.train = false;
-        // keeps track of the timers for the NPC
-        this.timers = [];
+        // keeps track of the timers for the NPC. The Character constructor already started
+        // the timers, before the NPC logic was set, so stop those first.
+        this.clearTimers();
         // Anyone who takes aim at the NPC, for the duration of its life, will be
         // added to the list, and attacked on sight.
         this.hostiles = [];
@@ -194,6 +195,11 @@ export default class NPC extends Character {
         // release the gridlock of the current target, if set
         this.releaseTarget().then(() => {
             this.Game.characterManager.get(user_id).then((target) => {
+                // NPCs do not take aim at anyone in a safe zone
+                if (this.Game.protectionManager.isSafeZone(target.location)) {
+                    return;
+                }
+
                 // set the new target
                 this.target = target;
                 // and gridlock them
@@ -305,6 +311,11 @@ export default class NPC extends Character {
      */
     attack() {
         this.hasActiveTarget().then(() => {
+            // the target is set once the NPC has taken aim, which might not have happened yet
+            if (!this.target) {
+                return;
+            }
+
             const ammo = this.getEquippedSync('ammo');
             let weapon = this.getEquippedSync('ranged');
 
@@ -330,118 +341,127 @@ export default class NPC extends Character {
      * Attacks the current target with their fists
      */
     attackPunch() {
-        // check if the attack will hit
-        if (!this.attackHit()) {
+        const target = this.target;
+        const attack = this.Game.combatManager.resolve(this, target, 'punch');
+
+        // check if the attack hit
+        if (!attack.hit) {
             // send event to the target
-            this.Game.eventToUser(this.target.user_id, 'info', `${this.name} the ${this.type} takes a swing at you, but they miss.`);
+            this.Game.eventToUser(target.user_id, 'info', `${this.name} the ${this.type} takes a swing at you, but they miss.`);
             // send event to the bystanders
-            return this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} take a swing at ${this.target.name}, but missing.`, [target.user_id]);
+            return this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} take a swing at ${target.name}, but missing.`, [target.user_id]);
         }
 
-        // deal damage to the target
-        const attack = this.target.dealDamage(2, true);
+        const damage = this.Game.combatManager.describeDamage(attack);
 
         // if the target died
-        if (!attack.healthLeft) {
-            return this.Game.characterManager.kill(this.target.user_id, this)
+        if (attack.killed) {
+            // law enforcement arrests wanted players, instead of killing them
+            if (this.Game.jailManager.canArrest(this, target)) {
+                return this.Game.jailManager.arrest(target, this).catch(() => {});
+            }
+
+            return this.Game.characterManager.kill(target.user_id, this)
                 .then((oldLocationId) => {
                     // send event to the target
-                    this.Game.eventToUser(this.target.user_id, 'info', `${this.name} the ${this.type} punches you, dealing ${attack.damageDealt} damage, killing you.`);
+                    this.Game.eventToUser(target.user_id, 'info', `${this.name} the ${this.type} punches you, dealing ${damage}, killing you.`);
                     // send event to the bystanders
-                    this.Game.eventToRoom(oldLocationId, 'info', `You see ${this.name} the ${this.type} kill ${this.target.name} with their fists. ${this.target.name} fall to the ground, dropping everything they carried.`);
+                    this.Game.eventToRoom(oldLocationId, 'info', `You see ${this.name} the ${this.type} kill ${target.name} with their fists. ${target.name} fall to the ground, dropping everything they carried.`);
                 })
                 .catch(() => {});
         }
 
         // update the target client's character inforamtion
-        this.Game.characterManager.updateClient(this.target.user_id, 'stats');
+        this.Game.characterManager.updateClient(target.user_id, 'stats');
         // send event to the target
-        this.Game.eventToUser(this.target.user_id, 'info', `${this.name} the ${this.type} punches you, dealing ${attack.damageDealt} damage.`);
+        this.Game.eventToUser(target.user_id, 'info', `${this.name} the ${this.type} punches you, dealing ${damage}.`);
         // send event to the bystanders
-        this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} punch ${this.target.name}.`, [this.target.user_id]);
+        this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} punch ${target.name}.`, [target.user_id]);
     }
 
     /**
      * Attacks the current target with their ranged weapon
      */
     attackShoot() {
-        const weapon = this.getEquippedSync('ranged').name;
+        const target = this.target;
+        const attack = this.Game.combatManager.resolve(this, target, 'ranged');
+        const weapon = attack.weapon;
 
-        // check if the attack will hit
-        if (!this.attackHit()) {
+        // check if the attack hit
+        if (!attack.hit) {
             // send event to the target
-            this.Game.eventToUser(this.target.user_id, 'info', `${this.name} the ${this.type} shoots their ${weapon} in your direction, but misses the shot.`);
+            this.Game.eventToUser(target.user_id, 'info', `${this.name} the ${this.type} shoots their ${weapon} in your direction, but misses the shot.`);
             // send event to the bystanders
-            return this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} shoots their ${weapon} in ${this.target.name}'s direction, but misses.`, [this.target.user_id]);
+            return this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} shoots their ${weapon} in ${target.name}'s direction, but misses.`, [target.user_id]);
         }
 
-        // deal damage to the target
-        this.fireRangedWeapon()
-            .then((damage) => {
-                const attack = this.target.dealDamage(damage, true);
-
-                // if the target died
-                if (!attack.healthLeft) {
-                    return this.Game.characterManager.kill(this.target.user_id, this)
-                        .then((oldLocationId) => {
-                            // send event to the target
-                            this.Game.eventToUser(this.target.user_id, 'info', `${this.name} the ${this.type} hits you with their ${weapon}, dealing ${attack.damageDealt} damage, killing you.`);
-                            // send event to the bystanders
-                            this.Game.eventToRoom(oldLocationId, 'info', `You see ${this.name} the ${this.type} kill ${this.target.name} with a ${weapon}. ${this.target.name} fall to the ground, dropping everything they carried.`);
-                        })
-                        .catch(() => {});
-                }
+        const damage = this.Game.combatManager.describeDamage(attack);
 
-                // update the target client's character inforamtion
-                this.Game.characterManager.updateClient(this.target.user_id, 'stats');
-                // send event to the target
-                this.Game.eventToUser(this.target.user_id, 'info', `${this.name} the ${this.type} shoots you with a ${weapon}, dealing ${attack.damageDealt} damage.`);
-                // send event to the bystanders
-                this.Game.eventToRoom(character.getLocationId(), 'info', `You see ${this.name} the ${this.type} shoot ${this.target.name} with a ${weapon}.`, [this.target.user_id]);
-            })
-            .catch(() => {});
+        // if the target died
+        if (attack.killed) {
+            // law enforcement arrests wanted players, instead of killing them
+            if (this.Game.jailManager.canArrest(this, target)) {
+                return this.Game.jailManager.arrest(target, this).catch(() => {});
+            }
+
+            return this.Game.characterManager.kill(target.user_id, this)
+                .then((oldLocationId) => {
+                    // send event to the target
+                    this.Game.eventToUser(target.user_id, 'info', `${this.name} the ${this.type} hits you with their ${weapon}, dealing ${damage}, killing you.`);
+                    // send event to the bystanders
+                    this.Game.eventToRoom(oldLocationId, 'info', `You see ${this.name} the ${this.type} kill ${target.name} with a ${weapon}. ${target.name} fall to the ground, dropping everything they carried.`);
+                })
+                .catch(() => {});
+        }
+
+        // update the target client's character inforamtion
+        this.Game.characterManager.updateClient(target.user_id, 'stats');
+        // send event to the target
+        this.Game.eventToUser(target.user_id, 'info', `${this.name} the ${this.type} shoots you with a ${weapon}, dealing ${damage}.`);
+        // send event to the bystanders
+        this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} shoot ${target.name} with a ${weapon}.`, [target.user_id]);
     }
 
     /**
      * Attacks the current target with their melee weapon
      */
     attackStrike() {
-        const weapon = this.getEquippedSync('melee').name;
+        const target = this.target;
+        const attack = this.Game.combatManager.resolve(this, target, 'melee');
+        const weapon = attack.weapon;
 
-        // check if the attack will hit
-        if (!this.attackHit()) {
+        // check if the attack hit
+        if (!attack.hit) {
             // send event to the target
-            this.Game.eventToUser(this.target.user_id, 'info', `${this.name} the ${this.type} swings their ${weapon} at you, but they miss.`);
+            this.Game.eventToUser(target.user_id, 'info', `${this.name} the ${this.type} swings their ${weapon} at you, but they miss.`);
             // send event to the bystanders
-            return this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} swing their ${weapon} at ${this.target.name}, but missing.`, [this.target.user_id]);
+            return this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} swing their ${weapon} at ${target.name}, but missing.`, [target.user_id]);
         }
 
-        this.getWeaponDamage('melee')
-            .then((damage) => {
-                // deal damage to the target
-                const attack = this.target.dealDamage(damage, true);
-
-                // if the target died
-                if (!attack.healthLeft) {
-                    return this.Game.characterManager.kill(this.target.user_id, this)
-                        .then((oldLocationId) => {
-                            // send event to the target
-                            this.Game.eventToUser(this.target.user_id, 'info', `${this.name} the ${this.type} strikes you with their ${weapon}, dealing ${attack.damageDealt} damage, killing you.`);
-                            // send event to the bystanders
-                            this.Game.eventToRoom(oldLocationId, 'info', `You see ${this.name} the ${this.type} kill ${this.target.name} with a ${weapon}. ${this.target.name} fall to the ground, dropping everything they carried.`);
-                        })
-                        .catch(() => {});
-                }
+        const damage = this.Game.combatManager.describeDamage(attack);
 
-                // update the target client's character inforamtion
-                this.Game.characterManager.updateClient(this.target.user_id, 'stats');
-                // send event to the target
-                this.Game.eventToUser(this.target.user_id, 'info', `${this.name} the ${this.type} strikes you with a ${weapon}, dealing ${attack.damageDealt} damage.`);
-                // send event to the bystanders
-                this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} strike ${this.target.name} with a ${weapon}.`, [this.target.user_id]);
-            })
-            .catch(() => {
+        // if the target died
+        if (attack.killed) {
+            // law enforcement arrests wanted players, instead of killing them
+            if (this.Game.jailManager.canArrest(this, target)) {
+                return this.Game.jailManager.arrest(target, this).catch(() => {});
+            }
 
-            });
+            return this.Game.characterManager.kill(target.user_id, this)
+                .then((oldLocationId) => {
+                    // send event to the target
+                    this.Game.eventToUser(target.user_id, 'info', `${this.name} the ${this.type} strikes you with their ${weapon}, dealing ${damage}, killing you.`);
+                    // send event to the bystanders
+                    this.Game.eventToRoom(oldLocationId, 'info', `You see ${this.name} the ${this.type} kill ${target.name} with a ${weapon}. ${target.name} fall to the ground, dropping everything they carried.`);
+                })
+                .catch(() => {});
+        }
+
+        // update the target client's character inforamtion
+        this.Game.characterManager.updateClient(target.user_id, 'stats');
+        // send event to the target
+        this.Game.eventToUser(target.user_id, 'info', `${this.name} the ${this.type} strikes you with a ${weapon}, dealing ${damage}.`);
+        // send event to the bystanders
+        this.Game.eventToRoom(this.getLocationId(), 'info', `You see ${this.name} the ${this.type} strike ${target.name} with a ${weapon}.`, [target.user_id]);
     }
 }
@@ -0,0 +1,132 @@
+import {checkChatCooldown} from '../command/chat';
+
+/**
+ * Party command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdParty(socket, character, command, params, cmdObject, Game) {
+    const action = params[0].toLowerCase();
+    const argument = (params[1] || '').trim();
+    const party = Game.partyManager.getByMember(character.user_id);
+
+    switch (action) {
+        case 'invite':
+            const target = argument ? Game.characterManager.getByNameSync(argument) : null;
+
+            if (!target) {
+                return Game.eventToSocket(socket, 'error', 'Usage: /party invite <online player>');
+            }
+
+            return Game.partyManager.invite(character, target)
+                .then(() => {
+                    Game.eventToSocket(socket, 'success', `You invited ${target.name} to your party.`);
+                    Game.eventToUser(target.user_id, 'info', `${character.name} has invited you to their party. Type /party accept within ${Game.partyManager.settings.inviteTimeout} seconds to join.`);
+                });
+
+        case 'accept':
+            return Game.partyManager.accept(character)
+                .then(() => {
+                    Game.eventToSocket(socket, 'success', 'You joined the party. Talk to your party with /p <message>.');
+                });
+    }
+
+    if (!party) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a party. Start one by inviting someone, with /party invite <player>.');
+    }
+
+    switch (action) {
+        case 'leave':
+            Game.partyManager.leave(character.user_id);
+            return Game.eventToSocket(socket, 'success', 'You left the party.');
+
+        case 'list':
+            return Game.eventToSocket(socket, 'multiline', [
+                'Your party:',
+            ].concat(party.getCharacters().map((member) => {
+                const leader = party.isLeader(member.user_id) ? ' (leader)' : '';
+                return `${member.name}${leader} - ${member.stats.health}/${member.stats.health_max} health, in ${Game.mapManager.maps[member.location.map].name} North ${member.location.y} / East ${member.location.x}`;
+            })));
+
+        case 'kick':
+            if (!party.isLeader(character.user_id)) {
+                return Game.eventToSocket(socket, 'error', 'Only the party leader can kick members.');
+            }
+
+            const member = party.members.find((obj) => obj.name.toLowerCase() === argument.toLowerCase());
+
+            if (!member) {
+                return Game.eventToSocket(socket, 'error', `There is no one named ${argument} in your party.`);
+            }
+
+            if (member.user_id === character.user_id) {
+                return Game.eventToSocket(socket, 'error', 'You cannot kick yourself. Use /party leave instead.');
+            }
+
+            Game.partyManager.leave(member.user_id, `${member.name} was kicked from the party.`);
+            return Game.eventToUser(member.user_id, 'warning', 'You have been kicked from the party.');
+    }
+
+    Game.eventToSocket(socket, 'error', 'Invalid action. Use invite, accept, leave, kick or list.');
+}
+
+/**
+ * Party chat command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdPartySay(socket, character, command, params, cmdObject, Game) {
+    const message = params[0].trim();
+    const party = Game.partyManager.getByMember(character.user_id);
+
+    if (!party) {
+        return Game.eventToSocket(socket, 'error', 'You are not in a party.');
+    }
+
+    // check for cooldowns
+    checkChatCooldown(character, Game, message, (filteredMessage) => {
+        Game.partyManager.say(character, party, filteredMessage);
+    });
+}
+
+module.exports = [
+    {
+        command: '/party',
+        aliases: [],
+        params: [
+            {
+                name: 'Action',
+                desc: 'What you want to do: invite, accept, leave, list or (as leader) kick.',
+                rules: 'required|alphanum',
+            },
+            {
+                name: 'Player',
+                desc: 'The player to invite or kick.',
+                rules: 'maxlen:50',
+            },
+        ],
+        description: 'Team up with other players in a party, sharing the cash and exp from kills.',
+        method: cmdParty,
+    },
+    {
+        command: '/p',
+        aliases: [],
+        params: [
+            {
+                name: 'Message',
+                desc: 'The message you wish to send.',
+                rules: 'required|minlen:1|maxlen:500',
+            },
+        ],
+        description: 'Speak in your party chat.',
+        method: cmdPartySay,
+    },
+];
@@ -0,0 +1,338 @@
+import Promise from 'bluebird';
+
+// manager specific imports
+import Party from './object';
+import partyCommands from './commands';
+import {CHAT_MESSAGE} from '../command/types';
+
+/**
+ * The default party settings, used for anything not set in config.game.party
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    // max number of members in a party
+    maxMembers: 5,
+    // number of seconds a party invite can be accepted in
+    inviteTimeout: 60,
+    // whether the cash and exp from kills is split evenly between the party members at the location,
+    // instead of going to the party member who made the kill
+    split: {
+        cash: true,
+        exp: true,
+    },
+};
+
+/**
+ * Party Manager
+ */
+export default class PartyManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.party,
+            split: {
+                ...DEFAULT_SETTINGS.split,
+                ...(this.Game.config.game.party || {}).split,
+            },
+        };
+        // list of all parties (populated at runtime)
+        this.parties = [];
+        // pending invites, by the user_id of the invited character, as {party_id, name, expires}
+        this.invites = {};
+
+        // parties are ad-hoc, so logging out leaves the party
+        this.Game.socketManager.on('disconnect', (user) => {
+            this.leave(user.user_id);
+        });
+
+        // log manager progress
+        this.Game.logger.debug('PartyManager::constructor Loaded');
+    }
+
+    /**
+     * Register the party commands
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(partyCommands);
+            resolve();
+        });
+    }
+
+    /**
+     * Get the party of a character
+     * @param  {String} user_id User ID
+     * @return {Party}          The party, or null if they are not in one
+     */
+    getByMember(user_id) {
+        return this.parties.find((party) => party.isMember(user_id)) || null;
+    }
+
+    /**
+     * Joins the socket room of the character's party, when they reconnect before being logged out
+     * @param  {Character} character The character who logged in
+     */
+    linkCharacter(character) {
+        const party = this.getByMember(character.user_id);
+
+        if (party) {
+            this.Game.socketManager.userJoinRoom(character.user_id, party.getRoomId());
+        }
+    }
+
+    /**
+     * Checks if two characters are in the same party
+     * @param  {Character} character
+     * @param  {Character} other
+     * @return {Boolean}
+     */
+    inSameParty(character, other) {
+        const party = this.getByMember(character.user_id);
+        return !!party && party.isMember(other.user_id);
+    }
+
+    /**
+     * Invites a character to the party of the character, starting a party if they are not in one
+     * @param  {Character} character The character inviting
+     * @param  {Character} target    The character being invited
+     * @return {Promise}             Resolves with the party
+     */
+    invite(character, target) {
+        if (target.user_id === character.user_id) {
+            return Promise.reject(new Error('You cannot invite yourself.'));
+        }
+
+        if (this.getByMember(target.user_id)) {
+            return Promise.reject(new Error(`${target.name} is already in a party.`));
+        }
+
+        let party = this.getByMember(character.user_id);
+
+        if (party && !party.isLeader(character.user_id)) {
+            return Promise.reject(new Error('Only the party leader can invite new members.'));
+        }
+
+        if (party && party.members.length >= this.settings.maxMembers) {
+            return Promise.reject(new Error(`Your party is full, a party can have at most ${this.settings.maxMembers} members.`));
+        }
+
+        if (!party) {
+            party = new Party(this.Game, character);
+            this.parties.push(party);
+            this.Game.socketManager.userJoinRoom(character.user_id, party.getRoomId());
+        }
+
+        this.invites[target.user_id] = {
+            party_id: party.id,
+            name: character.name,
+            expires: Date.now() + (this.settings.inviteTimeout * 1000),
+        };
+
+        return Promise.resolve(party);
+    }
+
+    /**
+     * Accepts the pending party invite of the character
+     * @param  {Character} character The character accepting
+     * @return {Promise}             Resolves with the party
+     */
+    accept(character) {
+        const invite = this.invites[character.user_id];
+        delete this.invites[character.user_id];
+
+        if (!invite || invite.expires < Date.now()) {
+            return Promise.reject(new Error('You do not have any pending party invites.'));
+        }
+
+        if (this.getByMember(character.user_id)) {
+            return Promise.reject(new Error('You are already in a party. Leave it first, with /party leave.'));
+        }
+
+        const party = this.parties.find((obj) => obj.id === invite.party_id);
+
+        if (!party) {
+            return Promise.reject(new Error('The party you were invited to no longer exists.'));
+        }
+
+        if (party.members.length >= this.settings.maxMembers) {
+            return Promise.reject(new Error('The party is already full.'));
+        }
+
+        // party members cannot aim at each other, so release any aim between them
+        party.getCharacters().forEach((member) => {
+            if (member.target && member.target.user_id === character.user_id) {
+                member.releaseTarget().catch(() => {});
+            }
+
+            if (character.target && character.target.user_id === member.user_id) {
+                character.releaseTarget().catch(() => {});
+            }
+        });
+
+        party.addMember(character);
+        this.Game.socketManager.userJoinRoom(character.user_id, party.getRoomId());
+        this.announce(party, `${character.name} joined the party.`);
+
+        return Promise.resolve(party);
+    }
+
+    /**
+     * Removes a member from their party. The party is disbanded once there is one member left.
+     * @param  {String} user_id User ID of the member leaving
+     * @param  {String} reason  Announcement to the party, eg. "Bob was kicked from the party."
+     */
+    leave(user_id, reason = null) {
+        const party = this.getByMember(user_id);
+
+        if (!party) {
+            return;
+        }
+
+        const member = party.members.find((obj) => obj.user_id === user_id);
+        const wasLeader = party.isLeader(user_id);
+
+        party.removeMember(user_id);
+        this.Game.socketManager.userLeaveRoom(user_id, party.getRoomId());
+        this.announce(party, reason || `${member.name} left the party.`);
+
+        if (party.members.length < 2) {
+            return this.disband(party);
+        }
+
+        if (wasLeader) {
+            this.announce(party, `${party.members[0].name} is now the party leader.`);
+        }
+    }
+
+    /**
+     * Disbands a party, removing its remaining members
+     * @param  {Party} party The party to disband
+     */
+    disband(party) {
+        this.announce(party, 'The party has been disbanded.');
+
+        party.members.forEach((member) => {
+            this.Game.socketManager.userLeaveRoom(member.user_id, party.getRoomId());
+        });
+
+        Object.keys(this.invites).forEach((user_id) => {
+            if (this.invites[user_id].party_id === party.id) {
+                delete this.invites[user_id];
+            }
+        });
+
+        party.members = [];
+        this.parties = this.parties.filter((obj) => obj !== party);
+    }
+
+    /**
+     * Get who the cash and exp of a kill is shared with. Party members share with the other members of
+     * their party, at the location of the kill.
+     * @param  {Array}  characters The characters who earned the reward
+     * @param  {Object} location   The location of the kill, {map, x, y}
+     * @return {Object}            The characters to split the reward between, as {cash: [], exp: []}
+     */
+    getRecipients(characters, location) {
+        const recipients = {
+            cash: [],
+            exp: [],
+        };
+
+        characters.forEach((character) => {
+            const party = character.user_id ? this.getByMember(character.user_id) : null;
+
+            Object.keys(recipients).forEach((type) => {
+                const members = party && this.settings.split[type] ? party.getCharactersAt(location) : [];
+
+                // the member making the kill, might have moved on since (eg. fled)
+                members.concat(character).forEach((member) => {
+                    if (!recipients[type].includes(member)) {
+                        recipients[type].push(member);
+                    }
+                });
+            });
+        });
+
+        return recipients;
+    }
+
+    /**
+     * Splits the cash and exp of a kill evenly between the characters who earned it, and their party members
+     * at the location. Party members who did not take part in the kill, are told what their share is.
+     * @param  {Array}  characters The characters who earned the reward
+     * @param  {Object} location   The location of the kill, {map, x, y}
+     * @param  {Object} reward     The dropped loot, {cash, exp}
+     * @param  {String} victim     The name of who was killed
+     */
+    shareReward(characters, location, reward, victim) {
+        const recipients = this.getRecipients(characters, location);
+        const cash = Math.floor(reward.cash / recipients.cash.length);
+        const exp = Math.floor(reward.exp / recipients.exp.length);
+
+        recipients.cash.forEach((character) => {
+            character.updateCash(cash);
+        });
+
+        recipients.exp.forEach((character) => {
+            // NPCs do not gain exp
+            if (character.user_id) {
+                character.updateExp(exp);
+            }
+        });
+
+        recipients.cash.concat(recipients.exp)
+            .filter((character, index, list) => character.user_id && list.indexOf(character) === index)
+            .forEach((character) => {
+                this.Game.characterManager.updateClient(character.user_id);
+
+                if (!characters.includes(character)) {
+                    const cashShare = recipients.cash.includes(character) ? cash : 0;
+                    const expShare = recipients.exp.includes(character) ? exp : 0;
+
+                    this.Game.eventToUser(character.user_id, 'info', `Your party killed ${victim}, your share is ${cashShare} money and ${expShare} exp.`);
+                }
+            });
+    }
+
+    /**
+     * Sends a system message to the members of the party
+     * @param  {Party}  party   The party
+     * @param  {String} message The message
+     */
+    announce(party, message) {
+        this.Game.socketManager.dispatchToRoom(party.getRoomId(), {
+            type: CHAT_MESSAGE,
+            payload: {
+                user_id: null,
+                name: '',
+                message,
+                type: 'party',
+            },
+        });
+    }
+
+    /**
+     * Sends a chat message to the party
+     * @param  {Character} character The character sending the message
+     * @param  {Party}     party     The party
+     * @param  {String}    message   The message
+     */
+    say(character, party, message) {
+        this.Game.socketManager.dispatchToRoom(party.getRoomId(), {
+            type: CHAT_MESSAGE,
+            payload: {
+                user_id: character.user_id,
+                name: character.name,
+                message,
+                type: 'party',
+                ignore: this.Game.characterManager.getIgnoredBy(character.user_id),
+            },
+        });
+    }
+}
@@ -0,0 +1,92 @@
+import uuid from 'uuid/v4';
+
+/**
+ * Party object class
+ */
+export default class Party {
+    /**
+     * Class constructor
+     * @param  {Game}      Game   Main Game object
+     * @param  {Character} leader The character starting the party
+     */
+    constructor(Game, leader) {
+        this.Game = Game;
+        this.id = uuid();
+        this.leader_id = leader.user_id;
+        // the members, as {user_id, name}, longest standing member first
+        this.members = [{
+            user_id: leader.user_id,
+            name: leader.name,
+        }];
+    }
+
+    /**
+     * The socket.io room of the party
+     * @return {String}
+     */
+    getRoomId() {
+        return `party_${this.id}`;
+    }
+
+    /**
+     * Checks if the user is a member of the party
+     * @param  {String}  user_id User ID
+     * @return {Boolean}
+     */
+    isMember(user_id) {
+        return !!this.members.find((member) => member.user_id === user_id);
+    }
+
+    /**
+     * Checks if the user leads the party
+     * @param  {String}  user_id User ID
+     * @return {Boolean}
+     */
+    isLeader(user_id) {
+        return this.leader_id === user_id;
+    }
+
+    /**
+     * Adds a member to the party
+     * @param {Character} character The character joining
+     */
+    addMember(character) {
+        this.members.push({
+            user_id: character.user_id,
+            name: character.name,
+        });
+    }
+
+    /**
+     * Removes a member from the party. If the leader leaves, the longest standing member takes over.
+     * @param  {String} user_id User ID
+     */
+    removeMember(user_id) {
+        this.members = this.members.filter((member) => member.user_id !== user_id);
+
+        if (this.isLeader(user_id) && this.members.length) {
+            this.leader_id = this.members[0].user_id;
+        }
+    }
+
+    /**
+     * Get the character objects of the members
+     * @return {Array}
+     */
+    getCharacters() {
+        return this.members
+            .map((member) => this.Game.characterManager.getSync(member.user_id))
+            .filter((character) => character);
+    }
+
+    /**
+     * Get the character objects of the members at the location
+     * @param  {Object} location {map, x, y}
+     * @return {Array}
+     */
+    getCharactersAt(location) {
+        return this.getCharacters().filter((character) => {
+            return character.location.map === location.map && character.location.x === location.x && character.location.y === location.y;
+        });
+    }
+}
@@ -0,0 +1,101 @@
+// manager specific imports
+import Levels from '../../data/levels.json';
+
+/**
+ * The default protection settings, used for anything not set in config.game.protection
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    // new players are protected until they reach this rank (from levels.json). Set to null to ignore the rank.
+    rank: 'Wannabe',
+    // new players are protected for this many minutes of play time. Set to 0 to ignore the play time.
+    playTime: 60,
+};
+
+/**
+ * Protection Manager, for new player protection and safe zones
+ */
+export default class ProtectionManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.protection,
+        };
+
+        // log manager progress
+        this.Game.logger.debug('ProtectionManager::constructor Loaded');
+    }
+
+    /**
+     * Whether the character is under new player protection. The protection ends once they reach
+     * the rank, or have played for the play time, whichever comes first.
+     * @param  {Character} character The character
+     * @return {Boolean}
+     */
+    isProtected(character) {
+        // NPCs are never protected
+        if (!character.user_id) {
+            return false;
+        }
+
+        const rank = this.settings.rank ? Levels.find((level) => level.name.toLowerCase() === this.settings.rank.toLowerCase()) : null;
+        const checks = [];
+
+        if (rank) {
+            checks.push(character.stats.exp < rank.exp);
+        }
+
+        if (this.settings.playTime) {
+            checks.push(character.getPlayTime() < this.settings.playTime * 60);
+        }
+
+        return checks.length > 0 && checks.every((check) => check);
+    }
+
+    /**
+     * Whether the location is a safe zone, as set in the map data
+     * @param  {Object}  location The location, {map, x, y}
+     * @return {Boolean}
+     */
+    isSafeZone(location) {
+        const gameMap = this.Game.mapManager.maps[location.map];
+
+        if (!gameMap || !gameMap.safezones) {
+            return false;
+        }
+
+        return gameMap.safezones.some((tile) => tile.x === location.x && tile.y === location.y);
+    }
+
+    /**
+     * Checks if the character is allowed to aim at the target
+     * @param  {Character} character The character taking aim
+     * @param  {Character} target    The player or NPC they aim at
+     * @return {String}              The reason they cannot, or null if they can
+     */
+    getAimPrevented(character, target) {
+        if (this.isSafeZone(character.location)) {
+            return 'You cannot take aim at anyone here, this is a safe zone.';
+        }
+
+        // the protection only applies between players
+        if (!target.user_id) {
+            return null;
+        }
+
+        if (this.isProtected(character)) {
+            return 'You cannot take aim at other players, while you are under new player protection.';
+        }
+
+        if (this.isProtected(target)) {
+            return `You cannot take aim at ${target.name}, as they are under new player protection.`;
+        }
+
+        return null;
+    }
+}
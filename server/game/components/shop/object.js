@@ -183,11 +183,15 @@ export default class Shop {
 
                 // add money to character
                 character.updateCash(amount * pricePerUnit);
+                this.Game.statisticsManager.record(character, 'shop_earnings', amount * pricePerUnit);
 
                 // if they sold drugs, give them exp
                 if (soldItem.subtype === 'drug') {
                     // NOTE: EXP is given here, for dealing drugs.
                     character.updateExp(2);
+                    this.Game.statisticsManager.record(character, 'drugs_sold', amount);
+                    // but dealing in front of law enforcement will get you wanted
+                    this.Game.wantedManager.reportCrime(character, 'drugSale');
                 }
 
                 // add item to shop inventory (if resell is enabled)
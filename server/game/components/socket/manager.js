@@ -2,6 +2,7 @@ import Promise from 'bluebird';
 import io from 'socket.io';
 import EventEmitter from 'events';
 import {ACCOUNT_AUTHENTICATE} from '../account/types';
+import RateLimiter from './ratelimiter';
 
 /**
  * Socket manager
@@ -24,6 +25,8 @@ export default class SocketManager extends EventEmitter {
         this.io = io(server);
         // disconnect timers (for DC events)
         this.timers = {};
+        // throttles the actions dispatched by each socket
+        this.rateLimiter = new RateLimiter(this.Game.config.game.rateLimit);
 
         this.onDisconnect = this.onDisconnect.bind(this);
         this.clearTimer = this.clearTimer.bind(this);
@@ -71,6 +74,7 @@ export default class SocketManager extends EventEmitter {
             socket.user = null;
         });
         socket.on('disconnect', () => {
+            this.rateLimiter.remove(socket);
             this.onDisconnect(socket.user);
         });
     }
@@ -136,6 +140,30 @@ export default class SocketManager extends EventEmitter {
             return;
         }
 
+        const delay = this.rateLimiter.consume(socket, action.type);
+
+        if (delay < 0) {
+            return this.onRateLimited(socket, action);
+        }
+
+        if (delay) {
+            return setTimeout(() => {
+                // the client might have disconnected while the action was delayed
+                if (socket.connected) {
+                    this.processDispatch(socket, action);
+                }
+            }, delay);
+        }
+
+        this.processDispatch(socket, action);
+    }
+
+    /**
+     * Emits the action to the managers, if the socket is allowed to dispatch it
+     * @param  {Socket.IO Socket} socket
+     * @param  {Object}           action Redux-action object
+     */
+    processDispatch(socket, action) {
         // if the client is not authenticating, but sending dispatches without
         // being authenticated, ignore the request.
         if (!socket.user && action.type !== ACCOUNT_AUTHENTICATE) {
@@ -146,6 +174,48 @@ export default class SocketManager extends EventEmitter {
         this.emit('dispatch', socket, action);
     }
 
+    /**
+     * Handles actions dropped by the rate limiter. Warns the client, and disconnects repeat offenders.
+     * @param  {Socket.IO Socket} socket
+     * @param  {Object}           action Redux-action object
+     */
+    onRateLimited(socket, action) {
+        // some actions, like moves, are simply dropped
+        if (!this.rateLimiter.getBucketSettings(action.type).strike) {
+            return;
+        }
+
+        if (this.rateLimiter.isOffender(socket)) {
+            this.Game.logger.warn('Disconnecting socket for flooding', {user: socket.user, type: action.type});
+            this.Game.eventToSocket(socket, 'error', 'You have been disconnected for sending too many actions.');
+
+            if (socket.user) {
+                this.onDisconnect({...socket.user}, true);
+                this.remove(socket.user.user_id);
+                socket.user = null;
+            }
+
+            return socket.disconnect(true);
+        }
+
+        if (this.rateLimiter.shouldWarn(socket)) {
+            this.Game.eventToSocket(socket, 'error', 'You are sending actions too fast. Slow down, or you will be disconnected.');
+        }
+    }
+
+    /**
+     * Get the rate limit counters of the logged in users
+     * @return {Array} List of {user_id, allowed, delayed, dropped, strikes}
+     */
+    getRateLimitCounters() {
+        return Object.keys(this.clients).map((user_id) => {
+            return {
+                user_id,
+                ...this.rateLimiter.getCounters(this.clients[user_id]),
+            };
+        });
+    }
+
     /**
      * Dispatches an action to a specific socket
      * @param  {Socket.IO Socket} socket The socket to dispatch to
@@ -0,0 +1,189 @@
+/**
+ * The default rate limit settings, used for anything not set in config.game.rateLimit
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    // bucket used for any action type without its own settings.
+    // capacity = max burst of actions, refill = actions regained per second
+    default: {
+        capacity: 20,
+        refill: 10,
+    },
+    actions: {},
+    // how many actions, per action type, can be delayed (queued) before they are dropped
+    maxQueue: 3,
+    // min. time (ms) between "slow down" warnings to the client
+    warnInterval: 5000,
+    // number of dropped actions before the socket is disconnected
+    maxStrikes: 15,
+    // time (ms) without dropped actions, before the strikes are reset
+    strikeDecay: 30000,
+};
+
+/**
+ * Token-bucket rate limiter, tracking every socket and action type separately
+ */
+export default class RateLimiter {
+    /**
+     * Class constructor
+     * @param  {Object} settings The rate limit settings from config.game.rateLimit
+     */
+    constructor(settings = {}) {
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...settings,
+            default: {
+                ...DEFAULT_SETTINGS.default,
+                ...settings.default,
+            },
+            actions: {
+                ...DEFAULT_SETTINGS.actions,
+                ...settings.actions,
+            },
+        };
+
+        // the buckets and counters of each socket, by socket id
+        this.sockets = {};
+    }
+
+    /**
+     * Get the bucket settings for an action type
+     * @param  {String} type The action type
+     * @return {Object}      {capacity, refill, strike}
+     */
+    getBucketSettings(type) {
+        return {
+            strike: true,
+            ...this.settings.default,
+            ...this.settings.actions[type],
+        };
+    }
+
+    /**
+     * Get (or create) the tracking information for a socket
+     * @param  {Socket.IO Socket} socket
+     * @return {Object}
+     */
+    getEntry(socket) {
+        if (!this.sockets[socket.id]) {
+            this.sockets[socket.id] = {
+                buckets: {},
+                strikes: 0,
+                lastStrike: 0,
+                lastWarning: 0,
+                allowed: 0,
+                delayed: 0,
+                dropped: 0,
+            };
+        }
+
+        return this.sockets[socket.id];
+    }
+
+    /**
+     * Takes a token from the socket's bucket for the action type.
+     * @param  {Socket.IO Socket} socket The socket dispatching the action
+     * @param  {String}           type   The action type
+     * @return {Number}                  0 if allowed now, the delay in ms if it should be delayed, or -1 if it should be dropped.
+     */
+    consume(socket, type) {
+        if (!this.settings.enabled) {
+            return 0;
+        }
+
+        const entry = this.getEntry(socket);
+        const settings = this.getBucketSettings(type);
+        const now = Date.now();
+        let bucket = entry.buckets[type];
+
+        if (!bucket) {
+            bucket = entry.buckets[type] = {
+                tokens: settings.capacity,
+                updated: now,
+            };
+        }
+
+        // refill the bucket, based on the time since it was last used
+        bucket.tokens = Math.min(settings.capacity, bucket.tokens + (((now - bucket.updated) / 1000) * settings.refill));
+        bucket.updated = now;
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens--;
+            entry.allowed++;
+            return 0;
+        }
+
+        // negative tokens are actions waiting for a token to be refilled
+        if (settings.refill > 0 && bucket.tokens - 1 >= -this.settings.maxQueue) {
+            const delay = Math.ceil(((1 - bucket.tokens) / settings.refill) * 1000);
+
+            bucket.tokens--;
+            entry.delayed++;
+            return delay;
+        }
+
+        entry.dropped++;
+
+        if (settings.strike) {
+            if (now - entry.lastStrike > this.settings.strikeDecay) {
+                entry.strikes = 0;
+            }
+
+            entry.strikes++;
+            entry.lastStrike = now;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Checks if the socket should be warned about flooding, and if so, records the warning.
+     * @param  {Socket.IO Socket} socket
+     * @return {Boolean}
+     */
+    shouldWarn(socket) {
+        const entry = this.getEntry(socket);
+        const now = Date.now();
+
+        if (now - entry.lastWarning < this.settings.warnInterval) {
+            return false;
+        }
+
+        entry.lastWarning = now;
+        return true;
+    }
+
+    /**
+     * Checks if the socket has reached the max number of strikes
+     * @param  {Socket.IO Socket} socket
+     * @return {Boolean}
+     */
+    isOffender(socket) {
+        return this.getEntry(socket).strikes >= this.settings.maxStrikes;
+    }
+
+    /**
+     * Get the counters of a socket
+     * @param  {Socket.IO Socket} socket
+     * @return {Object}           {allowed, delayed, dropped, strikes}
+     */
+    getCounters(socket) {
+        const entry = this.getEntry(socket);
+
+        return {
+            allowed: entry.allowed,
+            delayed: entry.delayed,
+            dropped: entry.dropped,
+            strikes: entry.strikes,
+        };
+    }
+
+    /**
+     * Stops tracking a socket
+     * @param  {Socket.IO Socket} socket
+     */
+    remove(socket) {
+        delete this.sockets[socket.id];
+    }
+}
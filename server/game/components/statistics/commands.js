@@ -0,0 +1,90 @@
+/**
+ * Top command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdTop(socket, character, command, params, cmdObject, Game) {
+    const statistic = params[0].toLowerCase();
+    const statistics = Game.statisticsManager.getList();
+
+    if (!statistics[statistic]) {
+        return Game.eventToSocket(socket, 'error', `Invalid statistic. Use one of: ${Object.keys(statistics).join(', ')}`);
+    }
+
+    return Game.statisticsManager.getLeaderboard(statistic)
+        .then((leaderboard) => {
+            if (!leaderboard.length) {
+                return Game.eventToSocket(socket, 'info', `No one is on the ${statistics[statistic]} leaderboard yet.`);
+            }
+
+            Game.eventToSocket(socket, 'multiline', [
+                `Top ${statistics[statistic]}:`,
+            ].concat(leaderboard.map((entry, index) => `${index + 1}. ${entry.name}: ${entry.value}`)));
+        });
+}
+
+/**
+ * Statistics command logic
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdStatistics(socket, character, command, params, cmdObject, Game) {
+    const characterName = (params[0] || character.name).trim();
+    const online = Game.characterManager.characters.find((obj) => obj.name_lowercase === characterName.toLowerCase());
+    const statistics = Game.statisticsManager.getList();
+
+    // offline players are looked up in the database
+    return Promise.resolve(online || Game.characterManager.dbGetByName(characterName))
+        .then((profile) => {
+            const values = profile.statistics || {};
+            const npcKills = values.npc_kills_by_type || {};
+            const byType = Object.keys(npcKills).map((type) => `${npcKills[type]} ${type}`).join(', ');
+
+            Game.eventToSocket(socket, 'multiline', [
+                `Statistics of ${profile.name}:`,
+            ].concat(Object.keys(statistics).map((statistic) => {
+                const details = statistic === 'npc_kills' && byType ? ` (${byType})` : '';
+                return `${statistics[statistic]}: ${values[statistic] || 0}${details}`;
+            })));
+        })
+        .catch(() => {
+            throw new Error(`There is no character by the name ${characterName}.`);
+        });
+}
+
+module.exports = [
+    {
+        command: '/top',
+        aliases: [],
+        params: [
+            {
+                name: 'Statistic',
+                desc: 'The leaderboard to see: player_kills, npc_kills, deaths, drugs_sold, shop_earnings, distance_walked or times_fled.',
+                rules: 'required|maxlen:50',
+            },
+        ],
+        description: 'See the leaderboard of a statistic.',
+        method: cmdTop,
+    },
+    {
+        command: '/stats',
+        aliases: [],
+        params: [
+            {
+                name: 'Player',
+                desc: 'The name of the player. Defaults to yourself.',
+                rules: 'maxlen:50',
+            },
+        ],
+        description: 'See the kill, death and economy statistics of a player.',
+        method: cmdStatistics,
+    },
+];
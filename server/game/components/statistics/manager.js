@@ -0,0 +1,165 @@
+import Promise from 'bluebird';
+
+// manager specific imports
+import CharacterModel from '../character/model';
+import statisticsCommands from './commands';
+import {LEADERBOARD, LEADERBOARD_GET} from '../../../shared/types';
+
+/**
+ * The statistics with a leaderboard, and their display names.
+ * Each one needs an index in the character model, so the leaderboards do not scan every character.
+ * @type {Object}
+ */
+const STATISTICS = {
+    player_kills: 'Player Kills',
+    npc_kills: 'NPC Kills',
+    deaths: 'Deaths',
+    drugs_sold: 'Drugs Sold',
+    shop_earnings: 'Money Earned From Shops',
+    distance_walked: 'Distance Walked',
+    times_fled: 'Times Fled',
+};
+
+/**
+ * The default statistics settings, used for anything not set in config.game.statistics
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    // the number of characters shown on a leaderboard
+    leaderboardSize: 10,
+};
+
+/**
+ * Statistics Manager
+ */
+export default class StatisticsManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.statistics,
+        };
+
+        // listen for dispatches from the socket manager
+        this.Game.socketManager.on('dispatch', this.onDispatch.bind(this));
+
+        // log manager progress
+        this.Game.logger.debug('StatisticsManager::constructor Loaded');
+    }
+
+    /**
+     * Register the statistics commands
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(statisticsCommands);
+            resolve();
+        });
+    }
+
+    /**
+     * checks for dispatches, and reacts only if the type is listend to
+     * @param  {Socket.IO Socket} socket Client who dispatched the action
+     * @param  {Object} action The redux action
+     */
+    onDispatch(socket, action) {
+        if (action.type !== LEADERBOARD_GET) {
+            return;
+        }
+
+        const requested = (action.payload || {}).statistic;
+        const statistic = STATISTICS[requested] ? requested : 'player_kills';
+
+        this.getLeaderboard(statistic)
+            .then((leaderboard) => {
+                this.Game.socketManager.dispatchToUser(socket.user.user_id, {
+                    type: LEADERBOARD,
+                    payload: {
+                        statistic,
+                        statistics: this.getList(),
+                        leaderboard,
+                    },
+                });
+            })
+            .catch(() => {});
+    }
+
+    /**
+     * Get the statistics with a leaderboard
+     * @return {Object} The display names, by statistic
+     */
+    getList() {
+        return {...STATISTICS};
+    }
+
+    /**
+     * Adds to a statistic of a character. NPCs do not keep statistics.
+     * @param  {Character} character The character
+     * @param  {String}    statistic The statistic, eg. player_kills
+     * @param  {Number}    amount    The amount to add
+     */
+    record(character, statistic, amount = 1) {
+        if (!character || !character.user_id) {
+            return;
+        }
+
+        character.statistics[statistic] = (character.statistics[statistic] || 0) + amount;
+    }
+
+    /**
+     * Records an NPC kill, in total and by the type of NPC
+     * @param  {Character} character The character who made the kill
+     * @param  {NPC}       NPC       The NPC who was killed
+     */
+    recordNpcKill(character, NPC) {
+        if (!character || !character.user_id) {
+            return;
+        }
+
+        this.record(character, 'npc_kills');
+        character.statistics.npc_kills_by_type[NPC.type] = (character.statistics.npc_kills_by_type[NPC.type] || 0) + 1;
+    }
+
+    /**
+     * Get the characters with the highest value of a statistic, online or offline
+     * @param  {String} statistic The statistic, eg. player_kills
+     * @return {Promise}          Resolves with a list of {name, value}, highest first
+     */
+    getLeaderboard(statistic) {
+        const online = this.Game.characterManager.characters;
+
+        return new Promise((resolve, reject) => {
+            // online characters might have changed since they were saved, so fetch enough to replace them
+            CharacterModel.find({[`statistics.${statistic}`]: {$gt: 0}})
+                .sort({[`statistics.${statistic}`]: -1})
+                .limit(this.settings.leaderboardSize + online.length)
+                .exec((err, characters) => {
+                    if (err) {
+                        this.Game.logger.error('StatisticsManager::getLeaderboard', err);
+                        return reject(new Error('Something went wrong. Please try again in a moment.'));
+                    }
+
+                    const leaderboard = characters
+                        .filter((character) => !online.find((obj) => obj.user_id === character.user_id))
+                        .map((character) => ({
+                            name: character.name,
+                            value: character.statistics[statistic],
+                        }))
+                        .concat(online.map((character) => ({
+                            name: character.name,
+                            value: character.statistics[statistic] || 0,
+                        })))
+                        .filter((entry) => entry.value > 0)
+                        .sort((a, b) => b.value - a.value)
+                        .slice(0, this.settings.leaderboardSize);
+
+                    resolve(leaderboard);
+                });
+        });
+    }
+}
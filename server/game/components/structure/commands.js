@@ -82,6 +82,13 @@ function cmdHeal(socket, character, command, params, cmdObject, Game) {
  * @param  {Game}   Game                The main Game object
  */
 function cmdTravel(socket, character, command, params, cmdObject, Game) {
+    // check if the player is jailed, or similar
+    const prevented = Game.effectManager.getPrevented(character, 'travel');
+
+    if (prevented) {
+        return Game.eventToSocket(socket, 'warning', prevented);
+    }
+
     // get the structures list at the character location
     Game.structureManager.getWithCommand(character.location.map, character.location.x, character.location.y, command)
         .then((structures) => {
@@ -286,7 +293,7 @@ function cmdDrink(socket, character, command, params, cmdObject, Game) {
                     let structure = structures[0];
 
                     // overwrite if they specified a structure, and its name didn't match their criteria
-                    if (params.length > 1 && structure.name.toLowerCase().indexOf(structures[1].toLowerCase()) !== 0) {
+                    if (params.length > 1 && structure.name.toLowerCase().indexOf(params[1].toLowerCase()) !== 0) {
                         structure = structures.find((structureItem) => structureItem.name.toLowerCase().indexOf(params[1].toLowerCase()) === 0);
                     }
 
@@ -323,6 +330,9 @@ function cmdDrink(socket, character, command, params, cmdObject, Game) {
                     // update the client
                     Game.characterManager.updateClient(character.user_id, 'stats');
                     Game.eventToSocket(socket, 'success', `You drink ${drinks} drinks, costing you ${price} and ${health} health. (+${exp} rep)`);
+
+                    // each drink makes the character a little more drunk
+                    Game.effectManager.addEffect(character, 'drunk', {stacks: drinks});
                 })
                 .catch((err) => {
                     Game.logger.debug(err);
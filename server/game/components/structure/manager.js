@@ -4,6 +4,7 @@ import Promise from 'bluebird';
 import Structure from './object';
 import structureList from '../../data/structures.json';
 import structureCommands from './commands';
+import structureRules from './rules';
 
 /**
  * Structure Manager
@@ -27,6 +28,7 @@ export default class StructureManager {
         return new Promise((resolve, rejecte) => {
             // load map commands
             this.Game.commandManager.registerManager(structureCommands);
+            this.Game.commandManager.registerRules(structureRules);
             resolve();
         });
     }
@@ -59,6 +61,17 @@ export default class StructureManager {
         return newStructure;
     }
 
+    /**
+     * Checks if a command is only available through structures
+     * @param  {String}  command The command to check, eg. /heal
+     * @return {Boolean}
+     */
+    isStructureCommand(command) {
+        return !!Object.keys(structureList).find((structure_id) => {
+            return structureList[structure_id].commands && structureList[structure_id].commands[command];
+        });
+    }
+
     /**
      * returns a list of buildings, at a given location, which has the speicifc command available
      * @param  {String} map_id  Map ID
@@ -0,0 +1,22 @@
+/**
+ * Shop rule logic
+ * @param  {String}    value     The parameter value to validate
+ * @param  {Array}     modifiers The rule modifiers (unused)
+ * @param  {Object}    param     The parameter object from the command object
+ * @param  {Character} character The character executing the command
+ * @param  {Game}      Game      The main Game object
+ * @return {Promise}             Resolves with the shop at the character's location
+ */
+function ruleShop(value, modifiers, param, character, Game) {
+    return Game.structureManager.getWithShop(character.location.map, character.location.x, character.location.y).catch(() => {
+        throw new Error('The {name} is not a valid shop, at your current location.');
+    });
+}
+
+module.exports = [
+    {
+        rule: 'shop',
+        describe: () => 'must be at your location',
+        method: ruleShop,
+    },
+];
@@ -0,0 +1,28 @@
+/**
+ * Wanted command logic, shows the character's wanted level
+ * @param  {Socket.io Socket} socket    The socket of the client who sent the command
+ * @param  {[type]} character           Character of the client sending the request
+ * @param  {String} command             the command eg. /say
+ * @param  {Object} params              The validated and parsed parameters for the command
+ * @param  {Object} cmdObject           The command object template
+ * @param  {Game}   Game                The main Game object
+ */
+function cmdWanted(socket, character, command, params, cmdObject, Game) {
+    const level = Game.wantedManager.getLevel(character);
+
+    if (!level) {
+        return Game.eventToSocket(socket, 'info', 'You are not wanted by law enforcement.');
+    }
+
+    const hostile = Game.wantedManager.isHostile(character) ? 'Law enforcement will shoot you on sight.' : 'Law enforcement is keeping an eye on you.';
+    Game.eventToSocket(socket, 'warning', `Your wanted level is ${level}/${Game.wantedManager.settings.maxLevel}. ${hostile}`);
+}
+
+module.exports = [
+    {
+        command: '/wanted',
+        aliases: [],
+        description: 'Shows your wanted level. Using and selling drugs near law enforcement raises it.',
+        method: cmdWanted,
+    },
+];
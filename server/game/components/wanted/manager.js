@@ -0,0 +1,182 @@
+import Promise from 'bluebird';
+
+// manager specific imports
+import wantedCommands from './commands';
+
+/**
+ * The default wanted level settings, used for anything not set in config.game.wanted
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+    // the NPC types enforcing the law
+    lawTypes: ['Police Officer', 'DEA Agent'],
+    // how many grids away law enforcement can be, and still notice a crime
+    range: 1,
+    // the heat gained from each crime, when it is noticed
+    crimes: {
+        drugUse: 15,
+        drugSale: 25,
+    },
+    // the heat needed for each wanted level, and the highest wanted level
+    heatPerLevel: 20,
+    maxLevel: 5,
+    // from this wanted level, law enforcement will aim at and attack the character on sight
+    hostileLevel: 2,
+    // the heat lost every interval seconds
+    decay: {
+        amount: 2,
+        interval: 30,
+    },
+};
+
+/**
+ * Wanted Manager
+ */
+export default class WantedManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The main Game object
+     */
+    constructor(Game) {
+        this.Game = Game;
+        this.settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.Game.config.game.wanted,
+        };
+        this.decay = this.decay.bind(this);
+
+        // log manager progress
+        this.Game.logger.debug('WantedManager::constructor Loaded');
+    }
+
+    /**
+     * Register the wanted commands
+     * @return {Promise}
+     */
+    init() {
+        return new Promise((resolve, reject) => {
+            this.Game.commandManager.registerManager(wantedCommands);
+            resolve();
+        });
+    }
+
+    /**
+     * Get the wanted level of the character, based on their heat
+     * @param  {Character} character The character
+     * @return {Number}
+     */
+    getLevel(character) {
+        return Math.min(this.settings.maxLevel, Math.floor((character.stats.heat || 0) / this.settings.heatPerLevel));
+    }
+
+    /**
+     * Whether law enforcement attacks the character on sight
+     * @param  {Character} character The character
+     * @return {Boolean}
+     */
+    isHostile(character) {
+        return this.getLevel(character) >= this.settings.hostileLevel;
+    }
+
+    /**
+     * Get the law enforcement NPCs within range of the character
+     * @param  {Character} character The character
+     * @return {Array}               List of NPCs
+     */
+    getWitnesses(character) {
+        return this.Game.npcManager.getLocationList(character.location.map).filter((npc) => {
+            return this.settings.lawTypes.includes(npc.type) &&
+                Math.abs(npc.location.x - character.location.x) <= this.settings.range &&
+                Math.abs(npc.location.y - character.location.y) <= this.settings.range;
+        });
+    }
+
+    /**
+     * Adds the heat of a crime to the character, if any law enforcement noticed it
+     * @param  {Character} character The character committing the crime
+     * @param  {String}    crime     The crime, eg. drugUse or drugSale
+     * @return {Array}               The law enforcement NPCs who noticed the crime
+     */
+    reportCrime(character, crime) {
+        const witnesses = this.getWitnesses(character);
+
+        if (!witnesses.length || !this.settings.crimes[crime]) {
+            return [];
+        }
+
+        this.Game.eventToUser(character.user_id, 'warning', `${witnesses[0].name} the ${witnesses[0].type} saw what you did.`);
+        this.addHeat(character, this.settings.crimes[crime]);
+
+        return witnesses;
+    }
+
+    /**
+     * Changes the heat of the character, letting them know when their wanted level changes
+     * @param  {Character} character The character
+     * @param  {Number}    amount    The heat to add, negative to remove heat
+     */
+    addHeat(character, amount) {
+        const oldLevel = this.getLevel(character);
+        const maxHeat = this.settings.heatPerLevel * this.settings.maxLevel;
+
+        character.stats.heat = Math.max(0, Math.min(maxHeat, (character.stats.heat || 0) + amount));
+
+        const level = this.getLevel(character);
+
+        if (level === oldLevel) {
+            return;
+        }
+
+        if (level > oldLevel) {
+            this.Game.eventToUser(character.user_id, 'warning', `Your wanted level has risen to ${level}.${this.isHostile(character) ? ' Law enforcement will shoot on sight!' : ''}`);
+        } else if (level) {
+            this.Game.eventToUser(character.user_id, 'info', `Your wanted level has dropped to ${level}.`);
+        } else {
+            this.Game.eventToUser(character.user_id, 'info', 'Law enforcement has lost interest in you.');
+        }
+
+        this.Game.characterManager.updateClient(character.user_id, 'wanted');
+        this.updateHostility(character);
+    }
+
+    /**
+     * Reduces the heat of the character. Runs every decay interval.
+     * @param  {Character} character The character
+     */
+    decay(character) {
+        if (!character.stats.heat) {
+            return;
+        }
+
+        this.addHeat(character, -this.settings.decay.amount);
+    }
+
+    /**
+     * Makes the law enforcement NPCs hostile towards the character if they are wanted, or stand down if not
+     * @param  {Character} character The character
+     */
+    updateHostility(character) {
+        const hostile = this.isHostile(character);
+
+        this.Game.npcManager.npcs
+            .filter((npc) => this.settings.lawTypes.includes(npc.type))
+            .forEach((npc) => {
+                // remove the character first, as the list might hold the character object from a previous login
+                npc.hostiles = npc.hostiles.filter((obj) => obj.user_id !== character.user_id);
+
+                if (!hostile) {
+                    if (npc.target && npc.target.user_id === character.user_id) {
+                        npc.releaseTarget();
+                    }
+                    return;
+                }
+
+                npc.hostiles.push(character);
+
+                // those at the same location react immediately, the rest when they find the character
+                if (npc.getLocationId() === character.getLocationId()) {
+                    npc.hasActiveTarget().catch(() => {});
+                }
+            });
+    }
+}
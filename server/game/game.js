@@ -17,6 +17,19 @@ import SkillManager from './components/skill/manager';
 import CooldownManager from './components/cooldown/manager';
 import NpcManager from './components/npc/manager';
 import EffectManager from './components/effect/manager';
+import AdminManager from './components/admin/manager';
+import AuditManager from './components/audit/manager';
+import ChannelManager from './components/channel/manager';
+import MailManager from './components/mail/manager';
+import ChatManager from './components/chat/manager';
+import WantedManager from './components/wanted/manager';
+import JailManager from './components/jail/manager';
+import CombatManager from './components/combat/manager';
+import BountyManager from './components/bounty/manager';
+import PartyManager from './components/party/manager';
+import DuelManager from './components/duel/manager';
+import ProtectionManager from './components/protection/manager';
+import StatisticsManager from './components/statistics/manager';
 
 import {newEvent, addNews} from './actions';
 
@@ -39,7 +52,7 @@ class Game {
         this.timers = [];
 
         // Manager placeholders
-        this.socketManager = new SocketManager(this, server);
+        this.socketManager = this.createSocketManager(server);
         this.accountManager = new AccountManager(this);
         this.characterManager = new CharacterManager(this);
         this.mapManager = new MapManager(this);
@@ -53,9 +66,31 @@ class Game {
         this.cooldownManager = new CooldownManager(this);
         this.npcManager = new NpcManager(this);
         this.effectManager = new EffectManager(this);
+        this.adminManager = new AdminManager(this);
+        this.auditManager = new AuditManager(this);
+        this.channelManager = new ChannelManager(this);
+        this.mailManager = new MailManager(this);
+        this.chatManager = new ChatManager(this);
+        this.wantedManager = new WantedManager(this);
+        this.jailManager = new JailManager(this);
+        this.combatManager = new CombatManager(this);
+        this.bountyManager = new BountyManager(this);
+        this.partyManager = new PartyManager(this);
+        this.duelManager = new DuelManager(this);
+        this.protectionManager = new ProtectionManager(this);
+        this.statisticsManager = new StatisticsManager(this);
+
+        // load game data, resolves once all managers are loaded
+        this.ready = this.init();
+    }
 
-        // load game data
-        this.init();
+    /**
+     * Creates the socket manager, which handles the client connections
+     * @param  {Express} server Express/http server object
+     * @return {SocketManager}
+     */
+    createSocketManager(server) {
+        return new SocketManager(this, server);
     }
 
     /**
@@ -128,6 +163,50 @@ class Game {
             console.log('SKILL MANAGER LOADED');
         });
 
+        await this.adminManager.init().then(() => {
+            console.log('ADMIN MANAGER LOADED');
+        });
+
+        await this.auditManager.init().then(() => {
+            console.log('AUDIT MANAGER LOADED');
+        });
+
+        await this.channelManager.init().then((count) => {
+            console.log(`CHANNEL MANAGER LOADED ${count} CHANNELS`);
+        });
+
+        await this.mailManager.init().then(() => {
+            console.log('MAIL MANAGER LOADED');
+        });
+
+        await this.chatManager.init().then((count) => {
+            console.log(`CHAT MANAGER LOADED ${count} MESSAGES`);
+        });
+
+        await this.wantedManager.init().then(() => {
+            console.log('WANTED MANAGER LOADED');
+        });
+
+        await this.jailManager.init().then(() => {
+            console.log('JAIL MANAGER LOADED');
+        });
+
+        await this.bountyManager.init().then(() => {
+            console.log('BOUNTY MANAGER LOADED');
+        });
+
+        await this.partyManager.init().then(() => {
+            console.log('PARTY MANAGER LOADED');
+        });
+
+        await this.duelManager.init().then(() => {
+            console.log('DUEL MANAGER LOADED');
+        });
+
+        await this.statisticsManager.init().then(() => {
+            console.log('STATISTICS MANAGER LOADED');
+        });
+
         // setup autosave
         this.setupGameTimers();
 
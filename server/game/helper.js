@@ -1,3 +1,6 @@
+import fs from 'fs';
+import child_process from 'child_process';
+
 /**
  * Generates a random value between min and max
  * @param  {Number} min
@@ -35,8 +38,121 @@ export function findInArray(list, compareProperty = 'name', searchString) {
 
     // search objects matching the beginning of string
     if (!found) {
-        found = list.find((obj) => obj[compareProperty].toLowerCase().indexOf(searchString));
+        found = list.find((obj) => obj[compareProperty].toLowerCase().indexOf(searchString) === 0);
     }
 
     return found;
 }
+
+/**
+ * Calculates the Levenshtein (edit) distance between two strings
+ * @param  {String} a
+ * @param  {String} b
+ * @return {Number}   The number of single character edits needed to turn a into b
+ */
+export function levenshtein(a, b) {
+    let previous = Array.from({length: b.length + 1}, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Adds the defaults missing from the installed data, leaving the installed values untouched.
+ * Lists of entries with an id, eg. the items, are merged by id, other lists are kept as installed.
+ * Installed null values, eg. a structure without commands, count as missing.
+ * @param  {Mixed} installed The installed data
+ * @param  {Mixed} defaults  The default data, eg. from data.new
+ * @return {Mixed}           The merged data
+ */
+export function mergeDefaults(installed, defaults) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (installed === null) {
+        return deepCopyObject(defaults);
+    }
+
+    if (Array.isArray(installed) && Array.isArray(defaults)) {
+        if (!defaults.every((entry) => isObject(entry) && entry.id)) {
+            return installed;
+        }
+
+        const merged = installed.map((entry) => {
+            const defaultEntry = isObject(entry) && defaults.find((obj) => obj.id === entry.id);
+            return defaultEntry ? mergeDefaults(entry, defaultEntry) : entry;
+        });
+
+        defaults
+            .filter((defaultEntry) => !installed.find((entry) => isObject(entry) && entry.id === defaultEntry.id))
+            .forEach((defaultEntry) => merged.push(deepCopyObject(defaultEntry)));
+
+        return merged;
+    }
+
+    if (isObject(installed) && isObject(defaults)) {
+        const merged = {...installed};
+
+        Object.keys(defaults).forEach((key) => {
+            merged[key] = key in installed ? mergeDefaults(installed[key], defaults[key]) : deepCopyObject(defaults[key]);
+        });
+
+        return merged;
+    }
+
+    return installed;
+}
+
+/**
+ * Creates or updates the data directory from the default data directory. Missing files are copied,
+ * and the defaults missing from the installed JSON files, eg. new items or stats, are merged in.
+ * @param  {String} defaultsDir The default data directory, eg. game/data.new
+ * @param  {String} dataDir     The data directory the game loads, eg. game/data
+ * @return {Array}              The paths of the updated files
+ */
+export function updateDataDirectory(defaultsDir, dataDir) {
+    if (!fs.existsSync(dataDir)) {
+        child_process.execSync(`cp -R ${defaultsDir} ${dataDir}`);
+        return [dataDir];
+    }
+
+    return fs.readdirSync(defaultsDir).reduce((updated, file) => {
+        const defaultsPath = `${defaultsDir}/${file}`;
+        const dataPath = `${dataDir}/${file}`;
+
+        if (fs.statSync(defaultsPath).isDirectory()) {
+            return updated.concat(updateDataDirectory(defaultsPath, dataPath));
+        }
+
+        if (!fs.existsSync(dataPath)) {
+            child_process.execSync(`cp ${defaultsPath} ${dataPath}`);
+            return updated.concat(dataPath);
+        }
+
+        if (!file.endsWith('.json')) {
+            return updated;
+        }
+
+        const installed = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+        const merged = mergeDefaults(installed, JSON.parse(fs.readFileSync(defaultsPath, 'utf8')));
+
+        if (JSON.stringify(merged) === JSON.stringify(installed)) {
+            return updated;
+        }
+
+        fs.writeFileSync(dataPath, JSON.stringify(merged, null, 4), 'utf8');
+        return updated.concat(dataPath);
+    }, []);
+}
@@ -7,20 +7,21 @@ import fs from 'fs';
 import http from 'http';
 import https from 'https';
 import readline from 'readline-sync';
-import child_process from 'child_process';
 
 // 3rd party
 import express from 'express';
 import mongoose from 'mongoose';
 
+// game imports
+import {updateDataDirectory} from './helper';
+
 /************************************
  *            FILE CHECK            *
  ************************************/
-// if this is the first time they run the server, copy the default files.
-if (!fs.existsSync(`${__dirname}/data`)) {
-    //rename the data.new directory
-    child_process.execSync(`cp -R ${__dirname}/data.new ${__dirname}/data`);
-}
+// copy the default data files at first run. On later runs, add what updates added to them,
+// eg. new items, stats or map settings, without changing the installed values.
+updateDataDirectory(`${__dirname}/data.new`, `${__dirname}/data`)
+    .forEach((file) => console.log(`Updated the game data: ${file}`));
 
 let config;
 // check we have a config. If not, generate one
@@ -5,3 +5,9 @@ export const SHOP_BUY = 'SHOP_BUY';
 export const SHOP_LOAD = 'SHOP_LOAD';
 export const SHOP_UPDATE = 'SHOP_UPDATE';
 export const SHOP_EVENT = 'SHOP_EVENT';
+export const MAIL_INBOX = 'MAIL_INBOX';
+export const MAIL_UNREAD = 'MAIL_UNREAD';
+export const MAIL_GET_INBOX = 'MAIL_GET_INBOX';
+export const COMBAT_EVENT = 'COMBAT_EVENT';
+export const LEADERBOARD = 'LEADERBOARD';
+export const LEADERBOARD_GET = 'LEADERBOARD_GET';
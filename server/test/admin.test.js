@@ -0,0 +1,59 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+
+test('admin: players cannot use staff commands', async (harness) => {
+    const bob = await harness.login('Bob');
+    await harness.login('Eve');
+
+    await harness.command(bob, '/kick eve');
+    await harness.expectEvent(bob, {type: 'error', message: /You do not have permission to use that command/});
+});
+
+test('admin: staff can mute and unmute players', async (harness) => {
+    const mallory = await harness.login('Mallory', {role: 'moderator'});
+    const bob = await harness.login('Bob');
+
+    await harness.command(mallory, '/mute bob 5');
+    await harness.expectEvent(bob, {type: 'warning', message: /You have been muted by Mallory for 5 minute/});
+    assert.ok(bob.character.mutedFor());
+
+    await harness.command(mallory, '/unmute bob');
+    await harness.expectEvent(bob, /Mallory has removed your mute/);
+    assert.ok(!bob.character.mutedFor());
+});
+
+test('admin: staff cannot unmute staff of the same or a higher rank', async (harness) => {
+    const alice = await harness.login('Alice', {role: 'admin'});
+    const mallory = await harness.login('Mallory', {role: 'moderator'});
+    const trent = await harness.login('Trent', {role: 'moderator'});
+
+    await harness.command(alice, '/mute trent 5');
+    await harness.expectEvent(trent, {type: 'warning', message: /You have been muted by Alice/});
+
+    await harness.command(mallory, '/unmute trent');
+    await harness.expectEvent(mallory, {type: 'error', message: /You cannot use that command on Trent/});
+    assert.ok(trent.character.mutedFor());
+});
+
+test('admin: staff cannot unban staff of the same or a higher rank', async (harness) => {
+    const alice = await harness.login('Alice', {role: 'admin'});
+    const mallory = await harness.login('Mallory', {role: 'moderator'});
+    const trent = await harness.login('Trent', {role: 'moderator'});
+
+    await harness.command(alice, '/ban trent misconduct');
+    await harness.expectEvent(alice, {type: 'success', message: /You banned Trent/});
+
+    await harness.command(mallory, '/unban trent');
+    await harness.expectEvent(mallory, {type: 'error', message: /You cannot use that command on Trent/});
+
+    let account = await harness.Game.accountManager.dbGet(trent.user_id);
+    assert.strictEqual(account.banned, true);
+
+    await harness.command(alice, '/unban trent');
+    await harness.expectEvent(alice, {type: 'success', message: /You lifted the ban on Trent/});
+
+    account = await harness.Game.accountManager.dbGet(trent.user_id);
+    assert.strictEqual(account.banned, false);
+});
@@ -0,0 +1,115 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+
+/**
+ * Matches the /help output of a command
+ * @param  {String}   syntax The expected usage syntax of the command
+ * @return {Function}        The event matcher
+ */
+function usage(syntax) {
+    return (event) => event.type === 'multiline' && event.message[0] === `Usage: ${syntax}`;
+}
+
+test('alias: aliases run their command, with the arguments filled in', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/alias add wh /whisper $1 hello $2');
+    await harness.expectEvent(bob, {type: 'success', message: 'Alias /wh saved.'});
+    await harness.command(bob, '/wh Eve there');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {name: 'Bob', message: 'hello there'}});
+
+    // aliases without $1-$9 or $* get the arguments appended
+    await harness.command(bob, '/alias add h /help');
+    await harness.expectEvent(bob, 'success');
+    await harness.command(bob, '/h whisper');
+    await harness.expectEvent(bob, usage('/whisper <Target:player> <Message>'));
+
+    await harness.command(bob, '/alias list');
+    await harness.expectEvent(bob, {type: 'multiline', message: ['Your aliases:', '/h: /help', '/wh: /whisper $1 hello $2']});
+    await harness.command(bob, '/alias remove wh');
+    await harness.expectEvent(bob, {type: 'success', message: 'Alias /wh removed.'});
+    await harness.command(bob, '/alias remove wh');
+    await harness.expectEvent(bob, {type: 'error', message: 'You do not have an alias named /wh.'});
+});
+
+test('alias: aliases are limited in number, length and nesting', async (harness) => {
+    const bob = await harness.login('Bob');
+    const commandManager = harness.Game.commandManager;
+
+    await harness.command(bob, '/alias add say /help');
+    await harness.expectEvent(bob, {type: 'error', message: 'You cannot create an alias named /say, as it is already a command.'});
+
+    await harness.command(bob, `/alias add long /help ${'x'.repeat(250)}`);
+    await harness.expectEvent(bob, {type: 'error', message: 'Commands cannot be longer than 250 characters.'});
+    assert.throws(() => commandManager.addAlias(bob.character, 'long', `/help ${'x'.repeat(250)}`), /An alias cannot be longer than 250 characters/);
+
+    // aliases can use other aliases, up to 3 levels deep, so they cannot call each other forever
+    await harness.command(bob, '/alias add loop /loop');
+    await harness.expectEvent(bob, 'success');
+    await harness.command(bob, '/loop');
+    await harness.expectEvent(bob, {type: 'error', message: 'Your aliases are nested too deep (max 3 levels).'});
+
+    ['one', 'two', 'three'].forEach((name, index, list) => commandManager.addAlias(bob.character, name, `/${list[index + 1] || 'help'}`));
+    assert.deepStrictEqual(commandManager.expandAliases(bob.character, '/one'), ['/help']);
+    commandManager.addAlias(bob.character, 'four', '/one');
+    assert.throws(() => commandManager.expandAliases(bob.character, '/four'), /nested too deep/);
+
+    for (let index = Object.keys(bob.character.aliases).length; index < 25; index++) {
+        commandManager.addAlias(bob.character, `alias${index}`, '/help');
+    }
+
+    await harness.command(bob, '/alias add onetoomany /help');
+    await harness.expectEvent(bob, {type: 'error', message: 'You cannot have more than 25 aliases.'});
+    // replacing an existing alias is still allowed
+    await harness.command(bob, '/alias add one /help say');
+    await harness.expectEvent(bob, 'success');
+});
+
+test('alias: macros run up to 5 commands, in order', async (harness) => {
+    const bob = await harness.login('Bob');
+    const commandManager = harness.Game.commandManager;
+
+    await harness.command(bob, '/alias add two /help whisper; /help say');
+    await harness.expectEvent(bob, 'success');
+    await harness.command(bob, '/two');
+    await harness.expectEvent(bob, usage('/whisper <Target:player> <Message>'));
+    await harness.expectEvent(bob, usage('/say <Message>'));
+
+    await harness.command(bob, '/alias add six /help;/help;/help;/help;/help;/help');
+    await harness.expectEvent(bob, {type: 'error', message: 'An alias cannot contain more than 5 commands.'});
+    await harness.command(bob, '/alias add bad help');
+    await harness.expectEvent(bob, {type: 'error', message: /Every command in an alias must start with a \//});
+
+    // the limit also applies to the commands of the aliases used by the macro
+    commandManager.addAlias(bob.character, 'three', '/help;/help;/help');
+    commandManager.addAlias(bob.character, 'six', '/three;/three');
+    await harness.command(bob, '/six');
+    await harness.expectEvent(bob, {type: 'error', message: 'Your alias expands to too many commands (max 5).'});
+
+    // the arguments cannot add commands to a macro
+    assert.deepStrictEqual(commandManager.expandAliases(bob.character, '/two'), ['/help whisper', '/help say']);
+    commandManager.addAlias(bob.character, 'echo', '/help $*');
+    assert.deepStrictEqual(commandManager.expandAliases(bob.character, '/echo say;/help'), ['/help say;/help']);
+});
+
+test('alias: aliases are saved with the character', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.command(bob, '/alias add h /help');
+    await harness.expectEvent(bob, 'success');
+    await harness.Game.characterManager.save(bob.user_id);
+
+    const saved = harness.store.collections.characters.find((character) => character.name === 'Bob');
+    assert.deepStrictEqual(saved.aliases, {h: '/help'});
+
+    bob.socket.disconnect();
+    await harness.settle(50);
+
+    const bobAgain = await harness.login('Bob');
+    await harness.command(bobAgain, '/h say');
+    await harness.expectEvent(bobAgain, usage('/say <Message>'));
+});
@@ -0,0 +1,135 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import child_process from 'child_process';
+
+// test specific imports
+import {test} from './runner';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+
+/**
+ * Get the audit log entries of a user, oldest first
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @return {Promise}
+ */
+async function getEntries(harness, user) {
+    const entries = await harness.Game.auditManager.query(user.user_id, new Date(0), new Date(Date.now() + 60000), 100);
+    return entries.reverse();
+}
+
+test('audit: commands are logged with their outcome', async (harness) => {
+    const bob = await harness.login('Bob');
+    await harness.login('Eve');
+
+    await harness.command(bob, '/give eve 10');
+    await harness.expectEvent(bob, {type: 'success', message: /You gave 10 to Eve/});
+    await harness.command(bob, '/give eve lots');
+    await harness.expectEvent(bob, 'error');
+    await harness.command(bob, '/kick eve');
+    await harness.expectEvent(bob, {type: 'error', message: /You do not have permission/});
+    await harness.settle(50);
+
+    const entries = await getEntries(harness, bob);
+
+    assert.deepStrictEqual(entries.map((entry) => `${entry.command} ${entry.outcome}`), [
+        '/give success',
+        '/give invalid',
+        '/kick denied',
+    ]);
+    assert.deepStrictEqual([...entries[0].params], ['Eve', '10']);
+});
+
+test('audit: async commands are logged once they are done', async (harness) => {
+    const alice = await harness.login('Alice', {role: 'admin'});
+    await harness.login('Eve');
+
+    await harness.command(alice, '/ban Eve');
+    await harness.expectEvent(alice, {type: 'success', message: /You banned Eve/});
+    await harness.command(alice, '/ban Nobody');
+    await harness.expectEvent(alice, {type: 'error', message: /There is no character by the name Nobody/});
+    await harness.settle(50);
+
+    const entries = await getEntries(harness, alice);
+
+    assert.deepStrictEqual(entries.map((entry) => `${entry.command} ${entry.outcome}`), [
+        '/ban success',
+        '/ban error',
+    ]);
+    assert.strictEqual(entries[1].message, 'There is no character by the name Nobody.');
+});
+
+test('audit: refused staff commands are logged as errors', async (harness) => {
+    const mallory = await harness.login('Mallory', {role: 'moderator'});
+    await harness.login('Alice', {role: 'admin'});
+
+    await harness.command(mallory, '/ban alice');
+    await harness.expectEvent(mallory, {type: 'error', message: /You cannot use that command on Alice/});
+    await harness.settle(50);
+
+    const entries = await getEntries(harness, mallory);
+
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].outcome, 'error');
+    assert.strictEqual(entries[0].message, 'You cannot use that command on Alice.');
+});
+
+test('audit: passwords and private messages are masked', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/channel join trade secret');
+    await harness.expectEvent(bob, {type: 'success', message: /You created the channel trade/});
+    await harness.command(bob, '/whisper Eve meet me at the bar');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {type: 'whisper-in'}});
+    await harness.command(bob, '/whisper Nobody meet me at the bar');
+    await harness.expectEvent(bob, 'error');
+    bob.character.cooldowns = [];
+    await harness.command(bob, '/mail send Eve Hello | meet me at the bar');
+    await harness.expectEvent(bob, {type: 'success', message: /Your mail was sent to Eve/});
+    await harness.command(bob, '/channel kick trade eve');
+    await harness.expectEvent(bob, {type: 'error', message: /Eve is not in the channel trade/});
+    await harness.settle(50);
+
+    const entries = await getEntries(harness, bob);
+
+    assert.deepStrictEqual(entries.map((entry) => [...entry.params]), [
+        ['join', 'trade', '***'],
+        ['Eve', '***'],
+        ['Nobody', '***', '***', '***', '***', '***'],
+        ['send', '***'],
+        ['kick', 'trade', 'eve'],
+    ]);
+});
+
+test('audit: exports are written relative to the server directory', async (harness) => {
+    const bob = await harness.login('Bob');
+    const cwd = process.cwd();
+    const exportDir = path.resolve(__dirname, '..', `audit-exports-test-${process.pid}`);
+
+    await harness.command(bob, '/give eve 10');
+    await harness.settle(50);
+
+    // the server can be started from any directory
+    process.chdir(os.tmpdir());
+
+    try {
+        const result = await harness.Game.auditManager.export(bob.user_id, new Date(0), new Date(Date.now() + 60000));
+
+        assert.strictEqual(path.dirname(result.file), exportDir);
+        assert.strictEqual(result.count, 1);
+        assert.strictEqual(JSON.parse(fs.readFileSync(result.file, 'utf8')).command, '/give');
+    } finally {
+        process.chdir(cwd);
+        child_process.execSync(`rm -rf ${exportDir}`);
+    }
+}, {
+    config: {
+        game: {
+            audit: {
+                exportDir: `audit-exports-test-${process.pid}`,
+            },
+        },
+    },
+});
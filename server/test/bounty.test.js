@@ -0,0 +1,94 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+
+test('bounty: placing a bounty takes the cash first, and the bank for the rest', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    bob.character.stats.money = 100;
+    bob.character.stats.bank = 200;
+
+    await harness.command(bob, '/bounty place Eve 50');
+    await harness.expectEvent(bob, {type: 'error', message: /The minimum bounty is 100/});
+    await harness.command(bob, '/bounty place Bob 150');
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot place a bounty on yourself/});
+    await harness.command(bob, '/bounty place Eve 500');
+    await harness.expectEvent(bob, {type: 'error', message: /You do not have enough money/});
+
+    await harness.command(bob, '/bounty place Eve 250');
+    await harness.expectEvent(bob, {type: 'success', message: /You placed a bounty of 250 on Eve/});
+    await harness.expectEvent(eve, {type: 'warning', message: /Bob has placed a bounty of 250 on your head/});
+
+    assert.strictEqual(bob.character.stats.money, 0);
+    assert.strictEqual(bob.character.stats.bank, 50);
+    assert.deepStrictEqual(harness.Game.bountyManager.getBoard().map((entry) => [entry.name, entry.amount]), [['Eve', 250]]);
+});
+
+test('bounty: the killer claims the bounties, except their own', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+    const sam = await harness.login('Sam');
+
+    bob.character.stats.money = 0;
+    bob.character.stats.bank = 1000;
+    sam.character.stats.money = 0;
+    sam.character.stats.bank = 1000;
+    await harness.command(bob, '/bounty place Eve 100');
+    await harness.expectEvent(bob, 'success');
+    await harness.command(sam, '/bounty place Eve 300');
+    await harness.expectEvent(sam, 'success');
+
+    await harness.Game.characterManager.kill(eve.user_id, bob.character);
+    await harness.expectEvent(bob, {type: 'success', message: /You claimed the bounty of 300 on Eve/});
+    await harness.expectEvent(sam, /Your bounty on Eve was claimed by Bob/);
+
+    assert.strictEqual(bob.character.stats.bank, 900 + 300);
+    assert.deepStrictEqual(harness.Game.bountyManager.getByTarget(eve.user_id).map((bounty) => bounty.amount), [100]);
+});
+
+test('bounty: expired bounties are refunded by the bounty manager', async (harness) => {
+    const bob = await harness.login('Bob');
+    await harness.login('Eve');
+
+    bob.character.stats.money = 0;
+    bob.character.stats.bank = 1000;
+    await harness.command(bob, '/bounty place Eve 100');
+    await harness.expectEvent(bob, 'success');
+    assert.strictEqual(bob.character.stats.bank, 900);
+
+    harness.Game.bountyManager.bounties[0].expires_at = Date.now();
+
+    await harness.expectEvent(bob, /Your bounty on Eve expired, and 100 has been refunded to your bank/);
+    assert.strictEqual(bob.character.stats.bank, 1000);
+    assert.strictEqual(harness.Game.bountyManager.bounties.length, 0);
+    assert.strictEqual(harness.store.collections.bounties.length, 0);
+}, {
+    config: {
+        game: {
+            bounty: {
+                checkInterval: 0.1,
+            },
+        },
+    },
+});
+
+test('bounty: bounties are refunded to offline players', async (harness) => {
+    const bob = await harness.login('Bob');
+    await harness.login('Eve');
+
+    bob.character.stats.money = 0;
+    bob.character.stats.bank = 1000;
+    await harness.command(bob, '/bounty place Eve 100');
+    await harness.expectEvent(bob, 'success');
+    await harness.Game.characterManager.save(bob.user_id);
+    bob.socket.disconnect();
+    await harness.settle(50);
+
+    harness.Game.bountyManager.bounties[0].expires_at = Date.now();
+    await harness.Game.bountyManager.expire();
+
+    const bobAgain = await harness.login('Bob');
+    assert.strictEqual(bobAgain.character.stats.bank, 1000);
+});
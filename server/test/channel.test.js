@@ -0,0 +1,82 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+
+/**
+ * Logs in Bob, who creates the channel trade with the password secret, and Eve who joins it
+ * @param  {Harness} harness
+ * @return {Promise} Resolves with {bob, eve}
+ */
+async function setup(harness) {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/channel join trade secret');
+    await harness.expectEvent(bob, {type: 'success', message: /You created the channel trade/});
+    await harness.command(eve, '/channel join trade secret');
+    await harness.expectEvent(eve, {type: 'success', message: /You joined the channel trade/});
+
+    return {bob, eve};
+}
+
+test('channel: joining a channel with a password requires the password', async (harness) => {
+    const {bob, eve} = await setup(harness);
+    const sam = await harness.login('Sam');
+
+    await harness.command(sam, '/channel join trade');
+    await harness.expectEvent(sam, {type: 'error', message: /The password for the channel trade is incorrect/});
+
+    // the password is only stored as a salted hash
+    const saved = harness.store.collections.channels.find((channel) => channel.name === 'trade');
+    assert.ok(!JSON.stringify(saved).includes('secret'));
+    assert.deepStrictEqual(harness.Game.channelManager.get('trade').members, [bob.user_id, eve.user_id]);
+});
+
+test('channel: members can chat in the channel', async (harness) => {
+    const {bob, eve} = await setup(harness);
+    const sam = await harness.login('Sam');
+
+    await harness.command(eve, '/c trade selling glocks');
+    await harness.expectAction(bob, {type: CHAT_MESSAGE, payload: {type: 'channel', channel: 'trade', message: 'selling glocks'}});
+
+    await harness.command(sam, '/c trade hello');
+    await harness.expectEvent(sam, 'error');
+    assert.ok(!harness.actions(bob).find((action) => action.type === CHAT_MESSAGE && action.payload.message === 'hello'));
+});
+
+test('channel: the owner can mute and kick members', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    await harness.command(bob, '/channel mute trade eve 2');
+    await harness.expectEvent(eve, {type: 'warning', message: /You have been muted in the channel trade for 2 minute/});
+    await harness.command(eve, '/c trade hey');
+    await harness.expectEvent(eve, {type: 'error', message: /You are muted in trade/});
+
+    await harness.command(eve, '/channel kick trade bob');
+    await harness.expectEvent(eve, {type: 'error', message: /Only the owner of trade can do that/});
+
+    await harness.command(bob, '/channel kick trade eve');
+    await harness.expectEvent(eve, {type: 'warning', message: /You have been kicked from the channel trade/});
+    assert.ok(!harness.Game.channelManager.get('trade').isMember(eve.user_id));
+});
+
+test('channel: the global channel names are reserved', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.command(bob, '/channel join global');
+    await harness.expectEvent(bob, {type: 'error', message: /The channel name global is reserved/});
+});
+
+test('channel: empty channels are removed once the last member leaves', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.command(bob, '/channel join trade');
+    await harness.expectEvent(bob, {type: 'success', message: /You created the channel trade/});
+    await harness.command(bob, '/channel leave trade');
+    await harness.expectEvent(bob, {type: 'success', message: /You left the channel trade/});
+
+    assert.ok(!harness.Game.channelManager.get('trade'));
+    assert.strictEqual(harness.store.collections.channels.length, 0);
+});
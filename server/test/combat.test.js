@@ -0,0 +1,244 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {COMBAT_EVENT} from '../shared/types';
+
+/**
+ * Logs in Bob and Eve, and moves them to the same (non safe zone) location
+ * @param  {Harness} harness
+ * @return {Promise} Resolves with {bob, eve}
+ */
+async function setup(harness) {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    await harness.Game.characterManager.teleport(eve.character, {map: 'testville', x: 3, y: 3});
+
+    return {bob, eve};
+}
+
+test('combat: aiming gridlocks the target, and lets them know', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    await harness.command(bob, '/aim eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+    await harness.expectEvent(eve, /Bob has taken aim at you/);
+
+    assert.strictEqual(bob.character.target.user_id, eve.user_id);
+    assert.ok(eve.character.isTargetedBy(bob.user_id));
+
+    await harness.command(bob, '/release');
+    await harness.expectEvent(eve, /Bob releases you from their aim/);
+    assert.ok(!eve.character.isTargetedBy(bob.user_id));
+});
+
+test('combat: punching requires a target, and deals damage', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    await harness.command(bob, '/punch');
+    await harness.expectEvent(bob, {type: 'error', message: /You do not have a target/});
+
+    await harness.command(bob, '/aim eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+    bob.character.attackHit = () => true;
+    await harness.command(bob, '/punch');
+
+    await harness.expectEvent(bob, /You punch Eve, dealing/);
+    await harness.expectEvent(eve, /Bob punches you, dealing/);
+    assert.ok(eve.character.stats.health < eve.character.stats.health_max);
+});
+
+test('combat: attacks are limited by the attack cooldown', async (harness) => {
+    const {bob} = await setup(harness);
+
+    await harness.command(bob, '/aim eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+    await harness.command(bob, '/punch');
+    await harness.command(bob, '/punch');
+
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot attack so fast/});
+});
+
+test('combat: shooting uses the equipped weapon and ammo', async (harness) => {
+    const {bob, eve} = await setup(harness);
+    const character = bob.character;
+
+    await harness.command(bob, '/aim eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+    await harness.command(bob, '/shoot');
+    await harness.expectEvent(bob, {type: 'error', message: /You do not have a ranged weapon equipped/});
+
+    character.giveItem(harness.Game.itemManager.add('glock17'));
+    character.giveItem(harness.Game.itemManager.add('ammobasic', {durability: 2}));
+    character.equip(character.inventory.findIndex((item) => item.id === 'glock17'));
+    character.equip(character.inventory.findIndex((item) => item.id === 'ammobasic'));
+    await harness.settle(50);
+
+    character.attackHit = () => true;
+    await harness.command(bob, '/shoot');
+
+    await harness.expectEvent(eve, /Bob shoots you with a Glock 17/);
+    assert.strictEqual(character.getEquippedSync('ammo').stats.durability, 1);
+});
+
+test('combat: killing a player drops their loot, and respawns them', async (harness) => {
+    const {bob, eve} = await setup(harness);
+    const money = eve.character.stats.money;
+
+    await harness.command(bob, '/aim eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+    bob.character.attackHit = () => true;
+    eve.character.stats.health = 1;
+    await harness.command(bob, '/punch');
+
+    await harness.expectEvent(bob, /You land the killing blow on Eve/);
+    await harness.expectEvent(eve, /Bob punches you, dealing .*, killing you/);
+    await harness.expectEvent(bob, new RegExp(`You find ${money} money on Eve`));
+
+    assert.deepStrictEqual({...eve.character.location}, {map: 'testville', x: 1, y: 1});
+    assert.strictEqual(eve.character.stats.health, eve.character.stats.health_max);
+    assert.strictEqual(eve.character.stats.money, 0);
+    assert.ok(!eve.character.isTargetedBy(bob.user_id));
+});
+
+/**
+ * The harness options, for attacks without random damage or critical hits
+ * @type {Object}
+ */
+const FIXED_DAMAGE = {
+    config: {
+        game: {
+            combat: {
+                punch: {
+                    damage_min: 5,
+                    damage_max: 5,
+                },
+                variance: 0,
+                critChance: 0,
+            },
+        },
+    },
+};
+
+/**
+ * Gives the character an item, and equips it
+ * @param  {Harness}   harness
+ * @param  {Character} character
+ * @param  {String}    itemId
+ * @param  {Object}    stats     Stats overwriting the item's
+ * @return {Promise}             Resolves with the item, once it is equipped
+ */
+async function equip(harness, character, itemId, stats = {}) {
+    const item = harness.Game.itemManager.add(itemId);
+
+    Object.assign(item.stats, stats);
+    character.giveItem(item);
+    character.equip(character.inventory.indexOf(item));
+    await harness.settle(10);
+
+    return item;
+}
+
+test('combat: critical hits multiply the damage', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    await harness.command(bob, '/aim eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+    bob.character.attackHit = () => true;
+    await harness.command(bob, '/punch');
+
+    await harness.expectEvent(bob, /You punch Eve, dealing 10 damage \(critical hit\)/);
+    assert.strictEqual(eve.character.stats.health, 90);
+}, {
+    config: {
+        game: {
+            combat: {
+                ...FIXED_DAMAGE.config.game.combat,
+                critChance: 100,
+                critMultiplier: 2,
+            },
+        },
+    },
+});
+
+test('combat: armor only blocks ranged damage, minus the armor penetration', async (harness) => {
+    const {bob, eve} = await setup(harness);
+    const combatManager = harness.Game.combatManager;
+
+    bob.character.attackHit = () => true;
+    await equip(harness, bob.character, 'glock17', {damage_min: 10, damage_max: 10});
+    const ammo = await equip(harness, bob.character, 'ammobasic');
+    await equip(harness, eve.character, 'kevlarvest');
+
+    let result = combatManager.resolve(bob.character, eve.character, 'ranged');
+    assert.deepStrictEqual([result.damage, result.damageBlocked, result.damageDealt], [11, 6, 5]);
+
+    ammo.stats.armor_penetration = 50;
+    result = combatManager.resolve(bob.character, eve.character, 'ranged');
+    assert.deepStrictEqual([result.damage, result.damageBlocked, result.damageDealt], [11, 3, 8]);
+
+    result = combatManager.resolve(bob.character, eve.character, 'punch');
+    assert.deepStrictEqual([result.damage, result.damageBlocked, result.damageDealt], [5, 0, 5]);
+    assert.strictEqual(eve.character.stats.health, 100 - 5 - 8 - 5);
+}, FIXED_DAMAGE);
+
+test('combat: every shot uses a round of ammo, hit or miss', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    bob.character.attackHit = () => false;
+    await equip(harness, bob.character, 'glock17');
+    const ammo = await equip(harness, bob.character, 'ammobasic', {durability: 2});
+
+    const result = harness.Game.combatManager.resolve(bob.character, eve.character, 'ranged');
+    assert.strictEqual(result.hit, false);
+    assert.strictEqual(ammo.stats.durability, 1);
+    assert.strictEqual(eve.character.stats.health, 100);
+}, FIXED_DAMAGE);
+
+test('combat: the outcome of attacks is sent to the players involved', async (harness) => {
+    const {bob, eve} = await setup(harness);
+    const sam = await harness.login('Sam');
+
+    await harness.Game.characterManager.teleport(sam.character, {map: 'testville', x: 3, y: 3});
+    await harness.command(bob, '/aim eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+    bob.character.attackHit = () => true;
+    await harness.command(bob, '/punch');
+
+    const expected = {
+        type: COMBAT_EVENT,
+        payload: {
+            attacker: {id: bob.user_id, name: 'Bob'},
+            target: {id: eve.user_id, name: 'Eve', health: 95, health_max: 100},
+            type: 'punch',
+            weapon: 'fists',
+            hit: true,
+            critical: false,
+            damageDealt: 5,
+            damageBlocked: 0,
+            killed: false,
+        },
+    };
+
+    await harness.expectAction(bob, expected);
+    await harness.expectAction(eve, expected);
+    assert.ok(!harness.actions(sam).find((action) => action.type === COMBAT_EVENT));
+}, FIXED_DAMAGE);
+
+test('combat: NPC attacks are sent as combat events as well', async (harness) => {
+    const {eve} = await setup(harness);
+    const npc = harness.Game.npcManager.npcs.find((obj) => obj.type !== 'Police Officer');
+
+    npc.location = {...eve.character.location};
+    npc.setTarget(eve.user_id);
+    await harness.expectEvent(eve, /has taken aim at you/);
+    npc.attackHit = () => false;
+    npc.attack();
+
+    const action = await harness.expectAction(eve, COMBAT_EVENT);
+    assert.deepStrictEqual(action.payload.attacker, {id: npc.id, name: `${npc.name} the ${npc.type}`});
+    assert.strictEqual(action.payload.hit, false);
+    assert.strictEqual(action.payload.damageDealt, 0);
+}, FIXED_DAMAGE);
@@ -0,0 +1,34 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+
+test('cooldown: expired cooldowns are cleaned up, and active ones are kept', async (harness) => {
+    const bob = await harness.login('Bob');
+    const cooldownManager = harness.Game.cooldownManager;
+
+    cooldownManager.add(bob.character, 'attack', 2, true);
+    cooldownManager.add(bob.character, 'aim', 0.1, true);
+    // the cleanup runs every second
+    await harness.settle(1100);
+
+    assert.deepStrictEqual(bob.character.cooldowns.map((cooldown) => cooldown.action), ['attack']);
+    assert.ok(cooldownManager.ticksLeft(bob.character, 'attack') > 0);
+    assert.strictEqual(cooldownManager.ticksLeft(bob.character, 'aim'), 0);
+});
+
+test('cooldown: the attack cooldown lasts its full duration', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    await harness.Game.characterManager.teleport(eve.character, {map: 'testville', x: 3, y: 3});
+    await harness.command(bob, '/aim Eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+
+    await harness.command(bob, '/punch');
+    // past the cleanup, but within the 2 second attack cooldown
+    await harness.settle(1100);
+    await harness.command(bob, '/punch');
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot attack so fast/});
+});
@@ -0,0 +1,89 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import child_process from 'child_process';
+
+// test specific imports
+import {test} from './runner';
+import {mergeDefaults, updateDataDirectory} from '../game/helper';
+
+/**
+ * Writes the files, as JSON, to a new temporary directory
+ * @param  {Object} files The file contents by (relative) path
+ * @return {String}       The directory path
+ */
+function createDirectory(files) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ptp-data-'));
+
+    Object.keys(files).forEach((file) => {
+        const filePath = path.join(directory, file);
+
+        if (!fs.existsSync(path.dirname(filePath))) {
+            fs.mkdirSync(path.dirname(filePath));
+        }
+
+        fs.writeFileSync(filePath, JSON.stringify(files[file]), 'utf8');
+    });
+
+    return directory;
+}
+
+/**
+ * Reads a JSON file
+ * @param  {String} filePath
+ * @return {Mixed}
+ */
+function readJSON(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+test('data: the defaults are merged into the installed data, without changing installed values', async () => {
+    const installed = [
+        {id: 'knife', name: 'My Knife', stats: {damage: 10}},
+        {id: 'custom', name: 'Custom Item', stats: {}},
+    ];
+    const defaults = [
+        {id: 'knife', name: 'Knife', stats: {damage: 5, price: 100}},
+        {id: 'glock17', name: 'Glock 17', stats: {}},
+    ];
+
+    assert.deepStrictEqual(mergeDefaults(installed, defaults), [
+        {id: 'knife', name: 'My Knife', stats: {damage: 10, price: 100}},
+        {id: 'custom', name: 'Custom Item', stats: {}},
+        {id: 'glock17', name: 'Glock 17', stats: {}},
+    ]);
+
+    // new settings are added to objects, lists without ids are kept as installed
+    assert.deepStrictEqual(
+        mergeDefaults({name: 'Testville', structures: [{x: 1, y: 1}]}, {name: 'Default', structures: [{x: 2, y: 2}], respawn: {x: 9, y: 9}}),
+        {name: 'Testville', structures: [{x: 1, y: 1}], respawn: {x: 9, y: 9}}
+    );
+    assert.deepStrictEqual(mergeDefaults({male: ['Bob']}, {male: ['Eve', 'Sam']}), {male: ['Bob']});
+    assert.deepStrictEqual(mergeDefaults({commands: null}, {commands: {'/heal': {cost: 8}}}), {commands: {'/heal': {cost: 8}}});
+});
+
+test('data: existing data directories are updated from the defaults', async () => {
+    const defaultsDir = createDirectory({
+        'items.json': [{id: 'knife', stats: {damage: 5, price: 100}}],
+        'emotes.json': {wave: {self: {actor: 'You wave.'}}},
+        'maps/testville.json': {id: 'testville', respawn: {x: 9, y: 9}},
+    });
+    const dataDir = createDirectory({
+        'items.json': [{id: 'knife', stats: {damage: 10}}],
+        'maps/testville.json': {id: 'testville', respawn: {x: 9, y: 9}},
+    });
+
+    try {
+        const updated = updateDataDirectory(defaultsDir, dataDir);
+
+        assert.deepStrictEqual(updated.sort(), [`${dataDir}/emotes.json`, `${dataDir}/items.json`]);
+        assert.deepStrictEqual(readJSON(`${dataDir}/items.json`), [{id: 'knife', stats: {damage: 10, price: 100}}]);
+        assert.deepStrictEqual(readJSON(`${dataDir}/emotes.json`), {wave: {self: {actor: 'You wave.'}}});
+
+        // up to date files are not written again
+        assert.deepStrictEqual(updateDataDirectory(defaultsDir, dataDir), []);
+    } finally {
+        child_process.execSync(`rm -rf ${defaultsDir} ${dataDir}`);
+    }
+});
@@ -0,0 +1,110 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+
+/**
+ * The harness options, with a short duel countdown
+ * @type {Object}
+ */
+const OPTIONS = {
+    config: {
+        game: {
+            duel: {
+                countdown: 0.1,
+            },
+        },
+    },
+};
+
+/**
+ * Logs in Bob and Eve at the same (non safe zone) location, and has them start a duel
+ * @param  {Harness} harness
+ * @param  {Number}  wager
+ * @return {Promise} Resolves with {bob, eve}, once the duel started
+ */
+async function setup(harness, wager = 0) {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    await harness.Game.characterManager.teleport(eve.character, {map: 'testville', x: 3, y: 3});
+
+    await harness.command(bob, `/duel Eve ${wager || ''}`);
+    await harness.expectEvent(eve, /Bob has challenged you to a duel/);
+    await harness.command(eve, '/duel accept');
+    await harness.expectEvent(eve, /Fight!/);
+    // the duelists take aim at each other right after
+    await harness.settle(20);
+
+    return {bob, eve};
+}
+
+test('duel: challenges are validated', async (harness) => {
+    const bob = await harness.login('Bob');
+    await harness.login('Eve');
+
+    await harness.command(bob, '/duel accept');
+    await harness.expectEvent(bob, {type: 'error', message: /You have not been challenged to a duel/});
+    await harness.command(bob, '/duel Bob');
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot duel yourself/});
+    await harness.command(bob, '/duel Eve 1000');
+    await harness.expectEvent(bob, {type: 'error', message: /You do not have enough cash on you, to wager that much/});
+}, OPTIONS);
+
+test('duel: the winner takes the wager, and the loser keeps their items', async (harness) => {
+    const {bob, eve} = await setup(harness, 200);
+
+    assert.strictEqual(bob.character.target.user_id, eve.user_id);
+    assert.strictEqual(eve.character.target.user_id, bob.user_id);
+    assert.strictEqual(bob.character.stats.money, 100);
+
+    bob.character.giveItem(harness.Game.itemManager.add('switchblade'));
+    bob.character.stats.health = 1;
+    eve.character.attackHit = () => true;
+    await harness.command(eve, '/punch');
+
+    await harness.expectEvent(eve, /You won the duel against Bob, and take the wager of 400/);
+    await harness.expectEvent(bob, /You were knocked out, and lost the duel against Eve/);
+
+    assert.strictEqual(eve.character.stats.money, 100 + 400);
+    assert.strictEqual(bob.character.inventory.length, 1);
+    assert.deepStrictEqual({...bob.character.location}, {map: 'testville', x: 3, y: 3});
+    assert.deepStrictEqual([bob.character.stats.duel_losses, eve.character.stats.duel_wins], [1, 1]);
+}, OPTIONS);
+
+test('duel: fleeing surrenders the duel', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    await harness.command(bob, '/flee');
+    await harness.expectEvent(bob, /You surrendered, and lost the duel against Eve/);
+    await harness.expectEvent(eve, /You won the duel against Bob!/);
+
+    await harness.command(eve, '/profile Bob');
+    await harness.expectEvent(eve, {type: 'multiline', message: /Duels: 0 won, 1 lost/});
+}, OPTIONS);
+
+test('duel: challenges can be declined', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/duel Eve');
+    await harness.expectEvent(eve, /Bob has challenged you to a duel/);
+    await harness.command(eve, '/duel decline');
+    await harness.expectEvent(bob, /Eve declined your duel challenge/);
+
+    assert.strictEqual(harness.Game.duelManager.duels.length, 0);
+}, OPTIONS);
+
+test('duel: logging out during a duel forfeits it', async (harness) => {
+    const {bob, eve} = await setup(harness, 50);
+
+    bob.socket.disconnect();
+    await harness.expectEvent(eve, /You won the duel against Bob, and take the wager of 100/);
+
+    assert.strictEqual(eve.character.stats.money, 250 + 100);
+    assert.strictEqual(harness.Game.duelManager.duels.length, 0);
+
+    // let the logout save finish, before the harness is shut down
+    await harness.settle(50);
+}, OPTIONS);
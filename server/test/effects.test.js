@@ -0,0 +1,109 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {MOVE_CHARACTER, UPDATE_CHARACTER} from '../game/components/character/types';
+
+test('effects: stacking effects add up their modifiers, and are sent to the client', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 7, y: 7});
+    await harness.command(bob, '/drink 2');
+    await harness.expectEvent(bob, /The alcohol goes straight to your head/);
+
+    const action = await harness.expectAction(bob, (obj) => obj.type === UPDATE_CHARACTER && obj.payload.effects && obj.payload.effects.length);
+    assert.deepStrictEqual(action.payload.effects.map((effect) => [effect.id, effect.stacks]), [['drunk', 2]]);
+    assert.strictEqual(harness.Game.effectManager.getModifier(bob.character, 'accuracy'), -8);
+});
+
+test('effects: effects which extend their duration are capped at the max duration', async (harness) => {
+    const bob = await harness.login('Bob');
+    const effectManager = harness.Game.effectManager;
+
+    effectManager.addEffect(bob.character, 'high');
+    effectManager.addEffect(bob.character, 'high', {duration: 1000});
+
+    assert.deepStrictEqual(bob.character.exportEffects().map((effect) => [effect.id, effect.stacks, effect.remaining]), [['high', 1, 300]]);
+    assert.strictEqual(bob.character.applyDamageModifiers(10), 12);
+});
+
+test('effects: effects can prevent actions, until they expire', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    harness.Game.effectManager.addEffect(bob.character, 'stun', {duration: 1});
+    harness.dispatch(bob, {type: MOVE_CHARACTER, payload: {grid: 'y', direction: 1}});
+    await harness.expectEvent(bob, {type: 'warning', message: /You are stunned, and cannot move for another 1 second/});
+    assert.deepStrictEqual(bob.character.location, {map: 'testville', x: 1, y: 1});
+
+    await harness.expectEvent(bob, /You are no longer stunned/, 2000);
+    assert.strictEqual(bob.character.effects.length, 0);
+    assert.strictEqual(harness.Game.effectManager.getPrevented(bob.character, 'move'), null);
+});
+
+test('effects: effects are saved, and resumed on login', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    harness.Game.effectManager.addEffect(bob.character, 'drunk', {stacks: 3});
+    harness.Game.effectManager.addEffect(bob.character, 'regeneration', {duration: 60});
+    await harness.Game.characterManager.save(bob.user_id);
+
+    const saved = harness.store.collections.characters.find((character) => character.name === 'Bob');
+    assert.deepStrictEqual(saved.effects.map((effect) => [effect.id, effect.stacks]), [['drunk', 3], ['regeneration', 1]]);
+
+    bob.socket.disconnect();
+    await harness.settle(50);
+
+    const bobAgain = await harness.login('Bob');
+    assert.deepStrictEqual(bobAgain.character.exportEffects().map((effect) => [effect.id, effect.stacks]), [['drunk', 3], ['regeneration', 1]]);
+});
+
+/**
+ * Logs in Bob and Eve at the same (non safe zone) location, and has Bob take aim at Eve with a melee weapon
+ * @param  {Harness} harness
+ * @param  {String}  weapon  The item ID of the melee weapon
+ * @return {Promise} Resolves with {bob, eve}
+ */
+async function armed(harness, weapon) {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    await harness.Game.characterManager.teleport(eve.character, {map: 'testville', x: 3, y: 3});
+
+    bob.character.giveItem(harness.Game.itemManager.add(weapon));
+    bob.character.equip(bob.character.inventory.findIndex((item) => item.id === weapon));
+    await harness.settle(10);
+
+    await harness.command(bob, '/aim Eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+    bob.character.attackHit = () => true;
+
+    return {bob, eve};
+}
+
+test('effects: weapons with a bleed chance make the target bleed', async (harness) => {
+    const {bob, eve} = await armed(harness, 'machete');
+
+    await harness.command(bob, '/strike');
+    await harness.expectEvent(bob, /You strike Eve with your Machete/);
+    await harness.expectEvent(eve, {type: 'warning', message: /You are bleeding!/});
+    assert.deepStrictEqual(eve.character.effects.map((effect) => effect.id), ['bleed']);
+});
+
+test('effects: stunned players cannot move or attack', async (harness) => {
+    const {bob, eve} = await armed(harness, 'woodenclub');
+
+    await harness.command(bob, '/strike');
+    await harness.expectEvent(bob, /You strike Eve with your Wooden Club/);
+    await harness.expectEvent(eve, {type: 'warning', message: /You are stunned!/});
+
+    await harness.command(eve, '/flee');
+    await harness.expectEvent(eve, {type: 'warning', message: /You are stunned, and cannot move for another 5 seconds/});
+    assert.deepStrictEqual(eve.character.location, {map: 'testville', x: 3, y: 3});
+
+    await harness.command(eve, '/aim Bob');
+    await harness.expectEvent(eve, /You take aim at Bob/);
+    await harness.command(eve, '/punch');
+    await harness.expectEvent(eve, {type: 'error', message: /You are stunned, and cannot attack for another/});
+    assert.strictEqual(bob.character.stats.health, bob.character.stats.health_max);
+});
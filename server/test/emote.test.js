@@ -0,0 +1,70 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+
+/**
+ * Get the emote messages the user's client shows, leaving out the ones it should ignore
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @return {Array}
+ */
+function getEmotes(harness, user) {
+    return harness.actions(user)
+        .filter((action) => action.type === CHAT_MESSAGE && action.payload.type === 'emote')
+        .filter((action) => !action.payload.ignore.includes(user.user_id))
+        .map((action) => action.payload.message);
+}
+
+test('emote: /me is shown to everyone at the location', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+    const sam = await harness.login('Sam');
+
+    await harness.Game.characterManager.teleport(sam.character, {map: 'testville', x: 3, y: 3});
+    await harness.command(bob, '/me leans against the wall.');
+
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {type: 'emote', message: 'Bob leans against the wall.'}});
+    assert.deepStrictEqual(getEmotes(harness, bob), ['Bob leans against the wall.']);
+    assert.deepStrictEqual(getEmotes(harness, sam), []);
+});
+
+test('emote: emotes with a target have a text for the actor, the target and everyone else', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+    const sam = await harness.login('Sam');
+
+    await harness.command(bob, '/wave eve');
+    await harness.expectAction(sam, {type: CHAT_MESSAGE, payload: {message: 'Bob waves at Eve.'}});
+
+    assert.deepStrictEqual(getEmotes(harness, bob), ['You wave at Eve.']);
+    assert.deepStrictEqual(getEmotes(harness, eve), ['Bob waves at you.']);
+    assert.deepStrictEqual(getEmotes(harness, sam), ['Bob waves at Eve.']);
+
+    bob.character.cooldowns = [];
+    await harness.command(bob, '/wave');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {message: 'Bob waves.'}});
+    assert.deepStrictEqual(getEmotes(harness, bob), ['You wave at Eve.', 'You wave.']);
+});
+
+test('emote: NPCs can be the target of emotes', async (harness) => {
+    const bob = await harness.login('Bob');
+    const dealer = harness.Game.npcManager.npcs.find((npc) => npc.location.x === 5 && npc.location.y === 5);
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 5, y: 5});
+    await harness.command(bob, `/poke ${dealer.name}`);
+
+    await harness.expectAction(bob, {type: CHAT_MESSAGE, payload: {message: `You poke ${dealer.name} the ${dealer.type}.`}});
+});
+
+test('emote: emotes without a text for themselves require a target, other than yourself', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.command(bob, '/hug');
+    await harness.expectEvent(bob, {type: 'error', message: /Missing parameter: Target/});
+
+    await harness.command(bob, '/hug bob');
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot do that to yourself/});
+    assert.deepStrictEqual(getEmotes(harness, bob), []);
+});
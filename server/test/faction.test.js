@@ -0,0 +1,82 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+
+/**
+ * Logs in Bob, who creates the faction Testers, and Eve who joins it
+ * @param  {Harness} harness
+ * @return {Promise} Resolves with {bob, eve}
+ */
+async function setup(harness) {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/factioncreate Testers TST');
+    await harness.expectEvent(bob, {type: 'success', message: /Your new faction has been created/});
+    await harness.command(bob, '/factioninvite Eve');
+    await harness.expectEvent(eve, /You have been invited to join the faction Testers/);
+    await harness.command(eve, '/factionjoin Testers');
+    await harness.expectAction(bob, {type: CHAT_MESSAGE, payload: {message: 'Eve has joined Testers!'}});
+
+    return {bob, eve};
+}
+
+test('faction: creating a faction makes the character its leader', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/factioncreate Testers TST');
+    await harness.expectEvent(bob, {type: 'success', message: /Your new faction has been created/});
+
+    assert.strictEqual(bob.character.faction.name, 'Testers');
+    assert.strictEqual(bob.character.faction.tag, 'TST');
+    assert.strictEqual(bob.character.faction.leader_id, bob.user_id);
+
+    await harness.command(eve, '/factioncreate Testers ABC');
+    await harness.expectEvent(eve, {type: 'error', message: /The faction name is already taken/});
+    assert.ok(!eve.character.faction);
+});
+
+test('faction: invited players can join, and use the faction chat', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    assert.strictEqual(eve.character.faction, bob.character.faction);
+
+    await harness.command(eve, '/f hello team');
+    await harness.expectAction(bob, {type: CHAT_MESSAGE, payload: {message: 'hello team', type: 'faction'}});
+});
+
+test('faction: only invited players can join', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/factioncreate Testers TST');
+    await harness.expectEvent(bob, {type: 'success', message: /Your new faction has been created/});
+    await harness.command(eve, '/factionjoin Testers');
+
+    await harness.expectEvent(eve, {type: 'error', message: /There is no invite pending from that faction/});
+    assert.ok(!eve.character.faction);
+});
+
+test('faction: only members can use the faction chat', async (harness) => {
+    const {bob} = await setup(harness);
+    const alice = await harness.login('Alice');
+
+    await harness.command(alice, '/f hello team');
+    await harness.expectEvent(alice, {type: 'error', message: /You are not a member of a faction/});
+
+    await harness.settle(50);
+    assert.ok(!harness.actions(bob).find((action) => action.type === CHAT_MESSAGE && action.payload.message === 'hello team'));
+});
+
+test('faction: disbanding removes the faction from its members', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    await harness.command(bob, '/factiondisband Testers');
+    await harness.expectEvent(bob, {type: 'success', message: /Your faction was disbanded/});
+
+    assert.ok(!bob.character.faction);
+    assert.ok(!eve.character.faction);
+});
@@ -0,0 +1,117 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+
+/**
+ * The harness options, with a word list for the chat filter
+ * @type {Object}
+ */
+const OPTIONS = {
+    config: {
+        game: {
+            chatFilter: {
+                words: {
+                    block: ['slur'],
+                    mask: ['darn'],
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Sends a chat command, and resets the chat cooldown so the next message can follow right away
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @param  {String}  command
+ * @return {Promise}
+ */
+async function chat(harness, user, command) {
+    await harness.command(user, command);
+    await harness.settle(20);
+    user.character.cooldowns = [];
+}
+
+test('filter: masked words are replaced, and shouting is lowercased', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await chat(harness, bob, '/g well darn it');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {message: 'well **** it'}});
+    await chat(harness, bob, '/g THIS IS VERY LOUD TEXT');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {message: 'this is very loud text'}});
+}, OPTIONS);
+
+test('filter: messages with blocked words or links are rejected', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await chat(harness, bob, '/me says slur');
+    await harness.expectEvent(bob, 'error');
+    await chat(harness, bob, '/w eve check https://www.twitch.tv/foo ok');
+    await harness.expectEvent(bob, {type: 'error', message: /Links are not allowed in the chat/});
+
+    assert.ok(!harness.actions(eve).find((action) => action.type === CHAT_MESSAGE));
+}, OPTIONS);
+
+test('filter: repeating a message too often gets the character muted', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await chat(harness, bob, '/g same');
+    await chat(harness, bob, '/g Same!');
+    await chat(harness, bob, '/g same');
+    await harness.expectEvent(bob, {type: 'error', message: /Please do not repeat the same message/});
+    assert.ok(!bob.character.mutedFor());
+
+    await chat(harness, bob, '/g visit www.spam.com');
+    await chat(harness, bob, '/g slur');
+    await harness.expectEvent(bob, {type: 'error', message: /You have been muted for 5 minute/});
+    assert.ok(bob.character.mutedFor());
+}, OPTIONS);
+
+test('filter: each strike only counts within the strike decay window', async (harness) => {
+    const bob = await harness.login('Bob');
+    const chatManager = harness.Game.chatManager;
+    // moves the strikes of the character back in time
+    const age = (seconds) => {
+        chatManager.strikes[bob.user_id] = chatManager.strikes[bob.user_id].map((date) => date - seconds * 1000);
+    };
+
+    // 3 strikes, 200 seconds apart, are never 3 within the 300 seconds
+    await chat(harness, bob, '/g slur');
+    age(200);
+    await chat(harness, bob, '/g slur');
+    age(200);
+    await chat(harness, bob, '/g slur');
+    assert.ok(!bob.character.mutedFor());
+    assert.strictEqual(chatManager.strikes[bob.user_id].length, 2);
+
+    await chat(harness, bob, '/g slur');
+    await harness.expectEvent(bob, {type: 'error', message: /You have been muted for 5 minute/});
+}, OPTIONS);
+
+test('filter: the recent messages and strikes are removed when the player logs out', async (harness) => {
+    const bob = await harness.login('Bob');
+    const chatManager = harness.Game.chatManager;
+
+    await chat(harness, bob, '/g hello');
+    await chat(harness, bob, '/g slur');
+    assert.strictEqual(chatManager.recent[bob.user_id].length, 1);
+    assert.strictEqual(chatManager.strikes[bob.user_id].length, 1);
+
+    bob.socket.disconnect();
+    await harness.settle(50);
+
+    assert.ok(!chatManager.recent.hasOwnProperty(bob.user_id));
+    assert.ok(!chatManager.strikes.hasOwnProperty(bob.user_id));
+}, OPTIONS);
+
+test('filter: staff messages are not filtered', async (harness) => {
+    const mallory = await harness.login('Mallory', {role: 'moderator'});
+    const eve = await harness.login('Eve');
+
+    await chat(harness, mallory, '/g visit www.spam.com SLUR');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {message: 'visit www.spam.com SLUR'}});
+}, OPTIONS);
@@ -0,0 +1,69 @@
+import items from './items.json';
+import npcs from './npcs.json';
+import shops from './shops.json';
+import structures from './structures.json';
+import testville from './maps/testville.json';
+
+/**
+ * The game config used by the harness. Game timers, rate limiting and new player protection
+ * are disabled, so tests are in full control of what happens.
+ * @type {Object}
+ */
+export const config = {
+    mongo_db: '',
+    twitch: {
+        clientId: 'test',
+    },
+    server: {
+        port: 0,
+        certificate: {
+            cert: '',
+            key: '',
+            ca: '',
+        },
+    },
+    game: {
+        logout_timer: 0,
+        defaultStats: {
+            health_max: 100,
+            money: 300,
+            bank: 0,
+        },
+        timers: [],
+        playerCooldowns: {
+            move: 0.3,
+            attack: 2.0,
+            aim: 1.0,
+            chat: 1.0,
+            faction_invite: 3.0,
+            skill_snoop: 10.0,
+            skill_hide: 30.0,
+            skill_search: 5.0,
+        },
+        rateLimit: {
+            enabled: false,
+        },
+        protection: {
+            rank: null,
+            playTime: 0,
+        },
+        audit: {
+            enabled: true,
+            retentionDays: 0,
+        },
+    },
+};
+
+/**
+ * The game data used by the harness, replacing the content of the game/data files
+ * @type {Object}
+ */
+export const data = {
+    items,
+    npcs,
+    shops,
+    structures,
+    maps: [
+        testville,
+    ],
+};
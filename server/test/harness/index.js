@@ -0,0 +1,507 @@
+import path from 'path';
+import {Writable} from 'stream';
+import mongoose from 'mongoose';
+import winston from 'winston';
+
+// harness specific imports
+import MemoryStore from './memorystore';
+import * as fixtures from './fixtures';
+import {NEW_EVENT} from '../../game/types';
+import {updateDataDirectory} from '../../game/helper';
+import {GAME_COMMAND} from '../../game/components/command/types';
+import {
+    ACCOUNT_AUTHENTICATE,
+    ACCOUNT_AUTHENTICATE_NEW,
+    ACCOUNT_AUTHENTICATE_SUCCESS,
+    CREATE_CHARACTER,
+} from '../../game/components/account/types';
+
+// the game source directory
+const GAME_DIR = path.resolve(`${__dirname}/../../game`);
+// the game data files the fixtures replace
+const DATA_FILES = ['items', 'npcs', 'shops', 'structures'];
+
+/**
+ * Takes a full, deep-copy, of a given object
+ * @param {Object} toCopy Object to copy
+ * @return {Object}
+ */
+function deepCopyObject(toCopy) {
+    return JSON.parse(JSON.stringify(toCopy));
+}
+
+/**
+ * The game imports the data files at load time, so make sure they exist, like the game does on boot.
+ */
+function ensureDataDirectory() {
+    updateDataDirectory(`${GAME_DIR}/data.new`, `${GAME_DIR}/data`);
+}
+
+/**
+ * Replaces the content of the (already imported) game data files with the fixture data.
+ * The objects are changed in place, as the managers hold references to them.
+ * @param  {Object} data The fixture data
+ */
+function installData(data) {
+    DATA_FILES.forEach((name) => {
+        const target = require(`${GAME_DIR}/data/${name}.json`);
+        const source = deepCopyObject(data[name]);
+
+        if (Array.isArray(target)) {
+            target.splice(0, target.length, ...source);
+            return;
+        }
+
+        Object.keys(target).forEach((key) => delete target[key]);
+        Object.assign(target, source);
+    });
+}
+
+/**
+ * Creates a Game using the fake socket manager, fixture data and a quiet logger
+ * @param  {Object}  config  The game config
+ * @param  {Object}  data    The fixture data
+ * @param  {Boolean} verbose Whether to log to the console
+ * @return {Game}
+ */
+function createGame(config, data, verbose) {
+    // the game modules import the data files, so they are loaded once the data exists
+    const {Game} = require('../../game/game');
+    const {FakeSocketManager} = require('./sockets');
+
+    /**
+     * Game, with the network and external services replaced
+     */
+    class TestGame extends Game {
+        /**
+         * Only logs to the console, if the harness is verbose
+         */
+        setupLogger() {
+            // winston needs at least one transport, so a quiet harness writes to a stream discarding everything
+            const transport = verbose ? new winston.transports.Console() : new winston.transports.Stream({
+                stream: new Writable({
+                    write: (chunk, encoding, callback) => callback(),
+                }),
+            });
+
+            this.logger = winston.createLogger({
+                level: 'debug',
+                format: winston.format.simple(),
+                transports: [
+                    transport,
+                ],
+            });
+        }
+
+        /**
+         * Creates the in-memory socket manager
+         * @return {FakeSocketManager}
+         */
+        createSocketManager() {
+            return new FakeSocketManager(this);
+        }
+
+        /**
+         * Loads the fixture maps, and replaces the Twitch API, before loading the managers
+         * @return {Promise}
+         */
+        init() {
+            this.mapManager.getMapData = () => deepCopyObject(data.maps);
+            // the Twitch token is the display name of the user
+            this.accountManager.getTwitchUser = (twitch_token) => Promise.resolve({
+                id: `twitch-${twitch_token.toLowerCase()}`,
+                display_name: twitch_token,
+                profile_image_url: '',
+            });
+
+            return super.init();
+        }
+    }
+
+    return new TestGame(null, config);
+}
+
+/**
+ * Headless test harness, running the Game with in-memory sockets and persistence.
+ *
+ * const harness = await new Harness().start();
+ * const bob = await harness.login('Bob');
+ * const alice = await harness.login('Alice');
+ * await harness.command(bob, '/say hello');
+ * await harness.expectAction(alice, {type: 'CHAT_MESSAGE', payload: {message: 'hello'}});
+ * await harness.command(bob, '/give alice 10');
+ * await harness.expectEvent(alice, /Bob just gave you 10/);
+ * await harness.shutdown();
+ */
+export default class Harness {
+    /**
+     * Class constructor
+     * @param  {Object} options {config, data, verbose, timeout}, config and data are merged with the fixtures
+     */
+    constructor(options = {}) {
+        this.options = {
+            verbose: false,
+            // default time (ms) to wait for an expected event
+            timeout: 2000,
+            ...options,
+        };
+        this.config = {
+            ...fixtures.config,
+            ...this.options.config,
+            game: {
+                ...fixtures.config.game,
+                ...(this.options.config || {}).game,
+            },
+        };
+        this.data = {
+            ...fixtures.data,
+            ...this.options.data,
+        };
+        // in-memory stand-in for Mongo
+        this.store = new MemoryStore();
+        // the logged in users, by lowercase name
+        this.users = {};
+        this.Game = null;
+    }
+
+    /**
+     * Boots the game, and waits for the managers to load
+     * @return {Promise} Resolves with the harness
+     */
+    async start() {
+        // the game expects the babel polyfill, for async/await
+        if (!global._babelPolyfill) {
+            require('babel-polyfill');
+        }
+
+        ensureDataDirectory();
+        installData(this.data);
+
+        // load the game modules (registering the models), then replace the persistence
+        require('../../game/game');
+        this.store.install(mongoose);
+
+        // the managers announce themselves with console.log while loading
+        const log = console.log;
+
+        if (!this.options.verbose) {
+            console.log = () => {};
+        }
+
+        try {
+            this.Game = createGame(this.config, this.data, this.options.verbose);
+            await this.Game.ready;
+        } finally {
+            console.log = log;
+        }
+
+        return this;
+    }
+
+    /**
+     * Connects a new socket and logs in the user, creating the account and character if needed
+     * @param  {String} name    The (Twitch) display name of the user
+     * @param  {Object} options {role, map}, the account role and the start location of new characters
+     * @return {Promise}        Resolves with the user {name, user_id, socket, character}
+     */
+    async login(name, options = {}) {
+        const twitch_id = `twitch-${name.toLowerCase()}`;
+
+        // set the role on the account before logging in, as it is loaded on login
+        if (options.role) {
+            const AccountModel = mongoose.model('Account');
+            const account = await AccountModel.findOne({twitch_id}) || new AccountModel({twitch_id, display_name: name});
+
+            account.role = options.role;
+            await account.save();
+        }
+
+        const socket = this.Game.socketManager.connect();
+        const user = {
+            name,
+            socket,
+            user_id: null,
+            // received actions already matched by an expect call
+            consumed: new Set(),
+        };
+
+        Object.defineProperty(user, 'character', {
+            get: () => this.Game.characterManager.getSync(user.user_id),
+        });
+
+        this.users[name.toLowerCase()] = user;
+        this.dispatch(user, {
+            type: ACCOUNT_AUTHENTICATE,
+            payload: {
+                twitch_token: name,
+            },
+        });
+
+        let action = await this.expectAction(user, (obj) => obj.type.indexOf(ACCOUNT_AUTHENTICATE) === 0);
+
+        if (action.type === ACCOUNT_AUTHENTICATE_NEW) {
+            this.dispatch(user, {
+                type: CREATE_CHARACTER,
+                payload: {
+                    location: options.map || this.data.maps[0].id,
+                },
+            });
+
+            action = await this.expectAction(user, (obj) => obj.type.indexOf(ACCOUNT_AUTHENTICATE) === 0);
+        }
+
+        if (action.type !== ACCOUNT_AUTHENTICATE_SUCCESS) {
+            throw new Error(`Login failed for ${name}: ${JSON.stringify(action.payload)}`);
+        }
+
+        user.user_id = socket.user.user_id;
+        return user;
+    }
+
+    /**
+     * Get a logged in user
+     * @param  {Mixed} user The user object or name
+     * @return {Object}
+     */
+    getUser(user) {
+        if (typeof user !== 'string') {
+            return user;
+        }
+
+        if (!this.users[user.toLowerCase()]) {
+            throw new Error(`${user} is not logged in.`);
+        }
+
+        return this.users[user.toLowerCase()];
+    }
+
+    /**
+     * Dispatches an action from the user's client
+     * @param  {Mixed}  user   The user object or name
+     * @param  {Object} action Redux action object
+     */
+    dispatch(user, action) {
+        this.getUser(user).socket.receive('dispatch', action);
+    }
+
+    /**
+     * Sends a command from the user's client
+     * @param  {Mixed}  user          The user object or name
+     * @param  {String} commandString The command, eg. /aim bob
+     * @return {Promise}              Resolves once the pending work has run
+     */
+    command(user, commandString) {
+        this.dispatch(user, {
+            type: GAME_COMMAND,
+            payload: commandString,
+        });
+
+        return this.settle();
+    }
+
+    /**
+     * Waits for the pending callbacks and promises to run
+     * @param  {Number} ms Optional time to wait
+     * @return {Promise}
+     */
+    settle(ms = 0) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Get every action the user's client received
+     * @param  {Mixed} user The user object or name
+     * @return {Array}
+     */
+    actions(user) {
+        return this.getUser(user).socket.received
+            .filter((obj) => obj.event === 'dispatch')
+            .map((obj) => obj.payload);
+    }
+
+    /**
+     * Get every game event (NEW_EVENT action payload) the user's client received
+     * @param  {Mixed} user The user object or name
+     * @return {Array}      List of {type, message, ignore}
+     */
+    events(user) {
+        return this.actions(user)
+            .filter((action) => action.type === NEW_EVENT)
+            .map((action) => action.payload);
+    }
+
+    /**
+     * Marks everything the user received so far as seen, so expect calls only match what comes next
+     * @param  {Mixed} user The user object or name
+     */
+    clear(user) {
+        user = this.getUser(user);
+        user.socket.received.forEach((obj) => user.consumed.add(obj));
+    }
+
+    /**
+     * Waits for the user's client to receive an action matching the matcher.
+     * Actions received before the call count, if not already matched by an earlier call.
+     * @param  {Mixed}    user    The user object or name
+     * @param  {Mixed}    matcher Action type, partial action object, or function returning true for a match
+     * @param  {Number}   timeout Max time (ms) to wait
+     * @return {Promise}          Resolves with the matching action
+     */
+    expectAction(user, matcher, timeout = this.options.timeout) {
+        user = this.getUser(user);
+
+        const isMatch = (obj) => {
+            if (obj.event !== 'dispatch' || user.consumed.has(obj)) {
+                return false;
+            }
+
+            if (typeof matcher === 'function') {
+                return matcher(obj.payload);
+            }
+
+            if (typeof matcher === 'string') {
+                return obj.payload.type === matcher;
+            }
+
+            return matchesPartial(obj.payload, matcher);
+        };
+
+        return new Promise((resolve, reject) => {
+            const found = user.socket.received.find(isMatch);
+            let timer;
+
+            const listener = (obj) => {
+                if (isMatch(obj)) {
+                    done(obj);
+                }
+            };
+
+            const done = (obj) => {
+                clearTimeout(timer);
+                user.socket.listeners = user.socket.listeners.filter((fn) => fn !== listener);
+                user.consumed.add(obj);
+                resolve(obj.payload);
+            };
+
+            if (found) {
+                return done(found);
+            }
+
+            user.socket.listeners.push(listener);
+            timer = setTimeout(() => {
+                user.socket.listeners = user.socket.listeners.filter((fn) => fn !== listener);
+                reject(new Error(`${user.name} did not receive an action matching ${describeMatcher(matcher)}. Last received: ${this.actions(user).slice(-10).map(describeAction).join(', ')}`));
+            }, timeout);
+        });
+    }
+
+    /**
+     * Waits for the user's client to receive a game event matching the matcher
+     * @param  {Mixed}    user    The user object or name
+     * @param  {Mixed}    matcher Event type, RegExp for the message, partial {type, message} object
+     *                            (message may be a RegExp), or function returning true for a match
+     * @param  {Number}   timeout Max time (ms) to wait
+     * @return {Promise}          Resolves with the matching event {type, message, ignore}
+     */
+    expectEvent(user, matcher, timeout = this.options.timeout) {
+        if (typeof matcher === 'string') {
+            matcher = {type: matcher};
+        } else if (matcher instanceof RegExp) {
+            matcher = {message: matcher};
+        }
+
+        const isEvent = (action) => {
+            if (action.type !== NEW_EVENT) {
+                return false;
+            }
+
+            if (typeof matcher === 'function') {
+                return matcher(action.payload);
+            }
+
+            return matchesPartial(action.payload, matcher);
+        };
+
+        // used in the timeout error
+        isEvent.description = `event ${describeMatcher(matcher)}`;
+
+        return this.expectAction(user, isEvent, timeout).then((action) => action.payload);
+    }
+
+    /**
+     * Stops all game timers and disconnects all sockets, without touching the game state
+     * @return {Promise}
+     */
+    async shutdown() {
+        if (!this.Game) {
+            return;
+        }
+
+        this.Game.timers.forEach((timer) => clearInterval(timer.timer));
+        clearInterval(this.Game.bountyManager.timer);
+        this.Game.characterManager.characters.forEach((character) => {
+            character.timers.forEach((timer) => clearInterval(timer.timer));
+        });
+        await Promise.all(this.Game.npcManager.npcs.map((npc) => npc.clearTimers()));
+        Object.keys(this.Game.socketManager.timers).forEach(this.Game.socketManager.clearTimer);
+
+        this.Game.socketManager.sockets.forEach((socket) => {
+            socket.connected = false;
+            socket.listeners = [];
+        });
+
+        this.store.reset();
+        this.users = {};
+        this.Game = null;
+    }
+}
+
+/**
+ * Checks if an object contains all the properties of the partial object.
+ * RegExp values are tested against the (joined, if an array) value.
+ * @param  {Object} obj
+ * @param  {Object} partial
+ * @return {Boolean}
+ */
+function matchesPartial(obj, partial) {
+    return Object.keys(partial).every((key) => {
+        const expected = partial[key];
+        const value = obj ? obj[key] : undefined;
+
+        if (expected instanceof RegExp) {
+            return expected.test(Array.isArray(value) ? value.join('\n') : `${value}`);
+        }
+
+        if (expected && typeof expected === 'object') {
+            return matchesPartial(value, expected);
+        }
+
+        return value === expected;
+    });
+}
+
+/**
+ * Describes a matcher, for timeout errors
+ * @param  {Mixed} matcher
+ * @return {String}
+ */
+function describeMatcher(matcher) {
+    if (typeof matcher === 'function') {
+        return matcher.description || matcher.name || 'function';
+    }
+
+    return typeof matcher === 'string' ? matcher : JSON.stringify(matcher, (key, value) => (value instanceof RegExp ? value.toString() : value));
+}
+
+/**
+ * Describes a received action, for timeout errors
+ * @param  {Object} action
+ * @return {String}
+ */
+function describeAction(action) {
+    if (action.type === NEW_EVENT) {
+        return `${action.type} (${action.payload.type}: ${JSON.stringify(action.payload.message)})`;
+    }
+
+    return action.type;
+}
@@ -0,0 +1,533 @@
+import EventEmitter from 'events';
+
+/**
+ * Deep-copies a stored value, keeping ObjectIds and dates intact
+ * @param  {Mixed} value
+ * @return {Mixed}
+ */
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+
+    if (value && typeof value === 'object' && !value._bsontype) {
+        const copy = {};
+
+        Object.keys(value).forEach((key) => {
+            copy[key] = clone(value[key]);
+        });
+
+        return copy;
+    }
+
+    return value;
+}
+
+/**
+ * Normalises a value for comparison, so ObjectIds match their string and dates their timestamp
+ * @param  {Mixed} value
+ * @return {Mixed}
+ */
+function normalise(value) {
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+
+    if (value && value._bsontype) {
+        return value.toString();
+    }
+
+    if (value && typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+
+    return value;
+}
+
+/**
+ * Gets the value at a (dot notated) path of a document
+ * @param  {Object} doc
+ * @param  {String} path eg. location.map
+ * @return {Mixed}
+ */
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+/**
+ * Sets the value at a (dot notated) path of a document
+ * @param  {Object} doc
+ * @param  {String} path  eg. location.map
+ * @param  {Mixed}  value
+ */
+function setPath(doc, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => {
+        if (!obj[key] || typeof obj[key] !== 'object') {
+            obj[key] = {};
+        }
+
+        return obj[key];
+    }, doc);
+
+    if (value === undefined) {
+        delete parent[last];
+    } else {
+        parent[last] = value;
+    }
+}
+
+/**
+ * Checks if a value matches a query condition
+ * @param  {Mixed} value     The document value
+ * @param  {Mixed} condition The query condition
+ * @return {Boolean}
+ */
+function matchesCondition(value, condition) {
+    if (condition instanceof RegExp) {
+        return typeof value === 'string' && condition.test(value);
+    }
+
+    const isOperator = condition && typeof condition === 'object' && !condition._bsontype && !(condition instanceof Date) &&
+        Object.keys(condition).length && Object.keys(condition).every((key) => key[0] === '$');
+
+    if (!isOperator) {
+        if (Array.isArray(value) && !Array.isArray(condition)) {
+            return value.some((item) => normalise(item) === normalise(condition));
+        }
+
+        return normalise(value) === normalise(condition);
+    }
+
+    return Object.keys(condition).every((operator) => {
+        const operand = condition[operator];
+
+        switch (operator) {
+            case '$in':
+                return operand.some((item) => matchesCondition(value, item));
+            case '$nin':
+                return !operand.some((item) => matchesCondition(value, item));
+            case '$ne':
+                return !matchesCondition(value, operand);
+            case '$gt':
+                return normalise(value) > normalise(operand);
+            case '$gte':
+                return normalise(value) >= normalise(operand);
+            case '$lt':
+                return normalise(value) < normalise(operand);
+            case '$lte':
+                return normalise(value) <= normalise(operand);
+            case '$exists':
+                return (value !== undefined) === !!operand;
+            case '$regex':
+                return new RegExp(operand, condition.$options || '').test(value);
+            case '$options':
+                return true;
+        }
+
+        throw new Error(`MemoryStore does not support the ${operator} query operator.`);
+    });
+}
+
+/**
+ * Checks if a document matches a query
+ * @param  {Object} doc
+ * @param  {Object} query
+ * @return {Boolean}
+ */
+function matches(doc, query = {}) {
+    return Object.keys(query).every((key) => {
+        switch (key) {
+            case '$or':
+                return query.$or.some((subQuery) => matches(doc, subQuery));
+            case '$and':
+                return query.$and.every((subQuery) => matches(doc, subQuery));
+        }
+
+        return matchesCondition(getPath(doc, key), query[key]);
+    });
+}
+
+/**
+ * Applies an update to a document
+ * @param  {Object} doc
+ * @param  {Object} update Mongo update object, eg. {$set: {name: 'Bob'}}
+ */
+function applyUpdate(doc, update) {
+    Object.keys(update).forEach((key) => {
+        const fields = update[key];
+
+        switch (key) {
+            case '$set':
+                return Object.keys(fields).forEach((path) => setPath(doc, path, clone(fields[path])));
+            case '$unset':
+                return Object.keys(fields).forEach((path) => setPath(doc, path, undefined));
+            case '$inc':
+                return Object.keys(fields).forEach((path) => setPath(doc, path, (getPath(doc, path) || 0) + fields[path]));
+            case '$push':
+                return Object.keys(fields).forEach((path) => setPath(doc, path, (getPath(doc, path) || []).concat([clone(fields[path])])));
+            case '$addToSet':
+                return Object.keys(fields).forEach((path) => {
+                    const list = getPath(doc, path) || [];
+
+                    if (!list.some((item) => normalise(item) === normalise(fields[path]))) {
+                        setPath(doc, path, list.concat([clone(fields[path])]));
+                    }
+                });
+            case '$pull':
+                return Object.keys(fields).forEach((path) => {
+                    setPath(doc, path, (getPath(doc, path) || []).filter((item) => !matchesCondition(item, fields[path])));
+                });
+        }
+
+        if (key[0] === '$') {
+            throw new Error(`MemoryStore does not support the ${key} update operator.`);
+        }
+
+        // like mongoose, treat top level fields as $set
+        setPath(doc, key, clone(fields));
+    });
+}
+
+/**
+ * Splits mongoose style arguments (conditions, [...], [callback]) into the arguments and the callback
+ * @param  {Array} args
+ * @return {Object}     {args, callback}
+ */
+function splitCallback(args) {
+    args = [...args];
+
+    return {
+        callback: typeof args[args.length - 1] === 'function' ? args.pop() : null,
+        args,
+    };
+}
+
+/**
+ * Chainable query, mimicking the parts of the mongoose Query API the game uses
+ */
+class MemoryQuery {
+    /**
+     * Class constructor
+     * @param  {MemoryStore} store  The memory store
+     * @param  {Model}       Model  The mongoose model queried
+     * @param  {Object}      query  The query conditions
+     * @param  {Boolean}     single Whether to return a single document, like findOne
+     */
+    constructor(store, Model, query, single = false) {
+        this.store = store;
+        this.Model = Model;
+        this.query = query || {};
+        this.single = single;
+        this.options = {
+            sort: null,
+            skip: 0,
+            limit: 0,
+            lean: false,
+        };
+    }
+
+    /**
+     * Sets the sort order
+     * @param  {Object} sort eg. {date: -1}
+     * @return {MemoryQuery}
+     */
+    sort(sort) {
+        this.options.sort = sort;
+        return this;
+    }
+
+    /**
+     * Sets the number of documents to skip
+     * @param  {Number} skip
+     * @return {MemoryQuery}
+     */
+    skip(skip) {
+        this.options.skip = skip;
+        return this;
+    }
+
+    /**
+     * Sets the max number of documents returned
+     * @param  {Number} limit
+     * @return {MemoryQuery}
+     */
+    limit(limit) {
+        this.options.limit = limit;
+        return this;
+    }
+
+    /**
+     * Return plain objects instead of documents
+     * @param  {Boolean} lean
+     * @return {MemoryQuery}
+     */
+    lean(lean = true) {
+        this.options.lean = lean;
+        return this;
+    }
+
+    /**
+     * Field selection is ignored, the full documents are returned
+     * @return {MemoryQuery}
+     */
+    select() {
+        return this;
+    }
+
+    /**
+     * Population is ignored, references are returned as is
+     * @return {MemoryQuery}
+     */
+    populate() {
+        return this;
+    }
+
+    /**
+     * Runs the query
+     * @return {Mixed} List of documents, or a single document (or null)
+     */
+    run() {
+        let docs = this.store.getCollection(this.Model).filter((doc) => matches(doc, this.query));
+
+        if (this.options.sort) {
+            const sortKeys = Object.keys(this.options.sort);
+
+            docs = docs.slice().sort((a, b) => {
+                for (const key of sortKeys) {
+                    const direction = `${this.options.sort[key]}` === '-1' || this.options.sort[key] === 'desc' ? -1 : 1;
+                    const valueA = normalise(getPath(a, key));
+                    const valueB = normalise(getPath(b, key));
+
+                    if (valueA !== valueB) {
+                        return (valueA > valueB ? 1 : -1) * direction;
+                    }
+                }
+
+                return 0;
+            });
+        }
+
+        docs = docs.slice(this.options.skip, this.options.limit ? this.options.skip + this.options.limit : undefined);
+        docs = docs.map((doc) => (this.options.lean ? clone(doc) : this.Model.hydrate(clone(doc))));
+
+        return this.single ? (docs[0] || null) : docs;
+    }
+
+    /**
+     * Executes the query
+     * @param  {Function} callback Optional, called with (err, result)
+     * @return {Promise}
+     */
+    exec(callback) {
+        const result = new Promise((resolve) => {
+            setImmediate(() => resolve(this.run()));
+        });
+
+        if (callback) {
+            result.then((docs) => callback(null, docs), callback);
+        }
+
+        return result;
+    }
+
+    /**
+     * Makes the query awaitable, like a mongoose Query
+     * @param  {Function} resolve
+     * @param  {Function} reject
+     * @return {Promise}
+     */
+    then(resolve, reject) {
+        return this.exec().then(resolve, reject);
+    }
+
+    /**
+     * Executes the query, handling errors
+     * @param  {Function} reject
+     * @return {Promise}
+     */
+    catch(reject) {
+        return this.exec().catch(reject);
+    }
+
+    /**
+     * Streams the results, like a mongoose QueryCursor
+     * @return {EventEmitter} Emits data and end
+     */
+    cursor() {
+        const cursor = new EventEmitter();
+
+        this.exec().then((docs) => {
+            docs.forEach((doc) => cursor.emit('data', doc));
+            cursor.emit('end');
+        });
+
+        return cursor;
+    }
+}
+
+/**
+ * In-memory persistence, replacing the Mongo read/write methods of the mongoose models.
+ * Document middleware (pre save hooks) and validation still run as normal.
+ */
+export default class MemoryStore {
+    /**
+     * Class constructor
+     */
+    constructor() {
+        // the stored documents, by collection name
+        this.collections = {};
+    }
+
+    /**
+     * Get the list of documents for a model
+     * @param  {Model} Model The mongoose model
+     * @return {Array}
+     */
+    getCollection(Model) {
+        const name = Model.collection.collectionName;
+
+        this.collections[name] = this.collections[name] || [];
+        return this.collections[name];
+    }
+
+    /**
+     * Inserts or replaces (by _id) a document
+     * @param  {Model}  Model The mongoose model
+     * @param  {Object} doc   Plain document object
+     */
+    write(Model, doc) {
+        const collection = this.getCollection(Model);
+        const index = collection.findIndex((obj) => normalise(obj._id) === normalise(doc._id));
+
+        if (index === -1) {
+            collection.push(clone(doc));
+        } else {
+            collection[index] = clone(doc);
+        }
+    }
+
+    /**
+     * Removes all stored documents
+     */
+    reset() {
+        this.collections = {};
+    }
+
+    /**
+     * Replaces the persistence methods of every registered mongoose model
+     * @param  {Mongoose} mongoose
+     */
+    install(mongoose) {
+        mongoose.modelNames().forEach((name) => {
+            this.installModel(mongoose.model(name));
+        });
+    }
+
+    /**
+     * Replaces the persistence methods of a mongoose model
+     * @param  {Model} Model
+     */
+    installModel(Model) {
+        const store = this;
+
+        // document.save(), after the hooks and validation ran
+        Model.prototype.$__handleSave = function(options, callback) {
+            store.write(Model, this.toObject({depopulate: true}));
+            this.isNew = false;
+            setImmediate(callback, null, 1);
+        };
+
+        Model.find = function(...rest) {
+            const {args, callback} = splitCallback(rest);
+            const query = new MemoryQuery(store, Model, args[0]);
+
+            if (callback) {
+                query.exec(callback);
+            }
+
+            return query;
+        };
+
+        Model.findOne = function(...rest) {
+            const {args, callback} = splitCallback(rest);
+            const query = new MemoryQuery(store, Model, args[0], true);
+
+            if (callback) {
+                query.exec(callback);
+            }
+
+            return query;
+        };
+
+        Model.findById = function(id, ...rest) {
+            return Model.findOne({_id: id}, ...rest);
+        };
+
+        Model.count = Model.countDocuments = function(...rest) {
+            const {args, callback} = splitCallback(rest);
+            const count = store.getCollection(Model).filter((doc) => matches(doc, args[0])).length;
+
+            return respond(callback, count);
+        };
+
+        const update = (multi) => function(...rest) {
+            const {args, callback} = splitCallback(rest);
+            const options = args[2] || {};
+            let docs = store.getCollection(Model).filter((doc) => matches(doc, args[0]));
+
+            if (!multi && !options.multi) {
+                docs = docs.slice(0, 1);
+            }
+
+            docs.forEach((doc) => applyUpdate(doc, args[1]));
+
+            return respond(callback, {n: docs.length, nModified: docs.length, ok: 1});
+        };
+
+        Model.update = Model.updateOne = update(false);
+        Model.updateMany = update(true);
+
+        Model.remove = Model.deleteOne = Model.deleteMany = function(...rest) {
+            const {args, callback} = splitCallback(rest);
+            const collection = store.getCollection(Model);
+            const removed = collection.filter((doc) => matches(doc, args[0]));
+
+            store.collections[Model.collection.collectionName] = collection.filter((doc) => !removed.includes(doc));
+
+            return respond(callback, {n: removed.length, ok: 1});
+        };
+
+        Model.insertMany = function(...rest) {
+            const {args, callback} = splitCallback(rest);
+            const docs = args[0].map((obj) => new Model(obj));
+
+            docs.forEach((doc) => store.write(Model, doc.toObject({depopulate: true})));
+
+            return respond(callback, docs);
+        };
+    }
+}
+
+/**
+ * Calls the mongoose style callback (if any) asynchronously, and returns a promise of the result
+ * @param  {Function} callback Optional, called with (err, result)
+ * @param  {Mixed}    result
+ * @return {Promise}
+ */
+function respond(callback, result) {
+    return new Promise((resolve) => {
+        setImmediate(() => {
+            if (callback) {
+                callback(null, result);
+            }
+
+            resolve(result);
+        });
+    });
+}
@@ -0,0 +1,178 @@
+import SocketManager from '../../game/components/socket/manager';
+
+/**
+ * In-memory stand-in for a Socket.IO socket. emit() is the server sending to the client,
+ * receive() is the client sending to the server.
+ */
+export class FakeSocket {
+    /**
+     * Class constructor
+     * @param  {String} id The socket ID
+     */
+    constructor(id) {
+        this.id = id;
+        this.user = null;
+        this.connected = true;
+        // the rooms the socket is in, which always includes its own ID, like Socket.IO
+        this.rooms = new Set([id]);
+        // everything the server sent to this socket, as {event, payload}
+        this.received = [];
+        // the server side event handlers
+        this.handlers = {};
+        // listeners for received events, used by the harness to await events
+        this.listeners = [];
+    }
+
+    /**
+     * Registers a server side event handler, eg. for "dispatch"
+     * @param  {String}   event
+     * @param  {Function} handler
+     */
+    on(event, handler) {
+        this.handlers[event] = this.handlers[event] || [];
+        this.handlers[event].push(handler);
+    }
+
+    /**
+     * Sends an event to the client
+     * @param  {String} event   eg. dispatch
+     * @param  {Mixed}  payload eg. a redux action
+     */
+    emit(event, payload) {
+        if (!this.connected) {
+            return;
+        }
+
+        const received = {event, payload};
+
+        this.received.push(received);
+        this.listeners.forEach((listener) => listener(received));
+    }
+
+    /**
+     * Sends an event from the client to the server
+     * @param  {String} event   eg. dispatch
+     * @param  {Mixed}  payload eg. a redux action
+     */
+    receive(event, payload) {
+        (this.handlers[event] || []).forEach((handler) => handler(payload));
+    }
+
+    /**
+     * Joins a room
+     * @param  {String} room
+     */
+    join(room) {
+        this.rooms.add(room);
+    }
+
+    /**
+     * Leaves a room
+     * @param  {String} room
+     */
+    leave(room) {
+        this.rooms.delete(room);
+    }
+
+    /**
+     * Disconnects the socket, triggering the server side disconnect handlers
+     */
+    disconnect() {
+        if (!this.connected) {
+            return;
+        }
+
+        this.connected = false;
+        this.receive('disconnect');
+    }
+}
+
+/**
+ * Socket manager using in-memory sockets instead of a Socket.IO server.
+ * Every dispatch is recorded in the dispatched list, as {via, target, action}.
+ */
+export class FakeSocketManager extends SocketManager {
+    /**
+     * Class constructor
+     * @param  {Game} Game The game object
+     */
+    constructor(Game) {
+        super(Game, null);
+
+        // all sockets ever connected
+        this.sockets = [];
+        // every action dispatched by the server
+        this.dispatched = [];
+    }
+
+    /**
+     * There is nothing to listen on, sockets are connected with connect()
+     */
+    listen() {}
+
+    /**
+     * Connects a new fake socket
+     * @return {FakeSocket}
+     */
+    connect() {
+        const socket = new FakeSocket(`socket-${this.sockets.length + 1}`);
+
+        this.sockets.push(socket);
+        this.onConnection(socket);
+
+        return socket;
+    }
+
+    /**
+     * Get the connected sockets
+     * @return {Array}
+     */
+    getConnected() {
+        return this.sockets.filter((socket) => socket.connected);
+    }
+
+    /**
+     * Dispatches an action to a specific socket
+     * @param  {FakeSocket} socket The socket to dispatch to
+     * @param  {Object}     action Redux action object
+     */
+    dispatchToSocket(socket, action) {
+        this.dispatched.push({via: 'socket', target: socket.id, action});
+        super.dispatchToSocket(socket, action);
+    }
+
+    /**
+     * Dispatches an action to a specific user
+     * @param  {String} user_id  User Id of the account
+     * @param  {Object} action   Redux action object
+     */
+    dispatchToUser(user_id, action) {
+        this.dispatched.push({via: 'user', target: user_id, action});
+        super.dispatchToUser(user_id, action);
+    }
+
+    /**
+     * Dispatches an action to a specific room
+     * @param  {String} roomId Room ID/key
+     * @param  {Object} action Redux action object
+     */
+    dispatchToRoom(roomId, action) {
+        if (!roomId) {
+            return this.Game.logger.error('Missing roomId from dispatchToRoom?:', roomId, ' for action:', action);
+        }
+
+        this.dispatched.push({via: 'room', target: roomId, action});
+        this.getConnected()
+            .filter((socket) => socket.rooms.has(roomId))
+            .forEach((socket) => socket.emit('dispatch', action));
+    }
+
+    /**
+     * Dispatches an action to the whole server
+     * @param  {Object} action Redux action object
+     */
+    dispatchToServer(action) {
+        this.dispatched.push({via: 'server', target: null, action});
+        this.getConnected().forEach((socket) => socket.emit('dispatch', action));
+    }
+}
@@ -0,0 +1,65 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+
+test('help: /help lists the syntax of the commands the player can use', async (harness) => {
+    const bob = await harness.login('Bob');
+    const alice = await harness.login('Alice', {role: 'admin'});
+
+    await harness.command(bob, '/help');
+    const event = await harness.expectEvent(bob, 'multiline');
+    assert.ok(event.message[0].startsWith('Type /help <command> for details about a command'));
+    assert.ok(event.message.includes('/whisper <Target:player> <Message>'));
+    assert.ok(!event.message.find((line) => line.startsWith('/ban')));
+    // aliases are only listed with the command they belong to
+    assert.ok(!event.message.find((line) => line.startsWith('/w ')));
+
+    await harness.command(alice, '/help');
+    const adminEvent = await harness.expectEvent(alice, 'multiline');
+    assert.ok(adminEvent.message.find((line) => line.startsWith('/ban')));
+});
+
+test('help: the syntax shows required and optional parameters, and their type', async (harness) => {
+    const commandManager = harness.Game.commandManager;
+
+    assert.strictEqual(commandManager.getSyntax('/drop'), '/drop <Item Name:item> [Amount:integer]');
+    assert.strictEqual(commandManager.getSyntax('/say'), '/say <Message>');
+    assert.strictEqual(commandManager.getSyntax('/punch'), '/punch');
+    assert.strictEqual(commandManager.getSyntax('/nothing'), '');
+});
+
+test('help: /help <command> shows the usage, aliases and parameters of the command', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.command(bob, '/help w');
+    await harness.expectEvent(bob, {type: 'multiline', message: [
+        'Usage: /whisper <Target:player> <Message>',
+        'Send a private message to another player.',
+        'Aliases: /w, /tell, /pm',
+        '- Target: The name of the player you want to send a private message to',
+        '- Message: The message you wish to send to the player. (at least 1 character(s) long, at most 500 characters long)',
+    ]});
+
+    await harness.command(bob, '/help /drop');
+    const event = await harness.expectEvent(bob, 'multiline');
+    assert.ok(event.message.find((line) => line.startsWith('- Amount (optional): ')));
+});
+
+test('help: /help <topic> searches the command names and descriptions', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.command(bob, '/help private message');
+    await harness.expectEvent(bob, {type: 'multiline', message: [
+        'Commands related to "private message":',
+        '/whisper <Target:player> <Message> - Send a private message to another player.',
+    ]});
+
+    // staff commands are not found by players
+    await harness.command(bob, '/help ban');
+    const event = await harness.expectEvent(bob, 'multiline');
+    assert.ok(!event.message.find((line) => line.startsWith('/ban')));
+
+    await harness.command(bob, '/help xyzzy');
+    await harness.expectEvent(bob, {type: 'error', message: /No help found for "xyzzy"/});
+});
@@ -0,0 +1,81 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {ACCOUNT_AUTHENTICATE_SUCCESS} from '../game/components/account/types';
+
+/**
+ * Sends a chat command, and resets the chat cooldown so the next message can follow right away
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @param  {String}  command
+ * @return {Promise}
+ */
+async function chat(harness, user, command) {
+    await harness.command(user, command);
+    await harness.settle(20);
+    user.character.cooldowns = [];
+}
+
+/**
+ * Removes the time from the lines of the /history output
+ * @param  {Array} lines
+ * @return {Array}
+ */
+function withoutTime(lines) {
+    return lines.map((line) => line.replace(/^\[\d\d:\d\d\] /, ''));
+}
+
+test('history: /history shows the latest messages of a chat', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await chat(harness, bob, '/g hello world');
+    await chat(harness, eve, '/g hi bob');
+    await chat(harness, bob, '/s local talk');
+    await chat(harness, bob, '/wave eve');
+
+    await harness.command(eve, '/history global 1');
+    let event = await harness.expectEvent(eve, 'multiline');
+    assert.deepStrictEqual(withoutTime(event.message), ['The last 1 global message(s):', 'Eve: hi bob']);
+
+    await harness.command(eve, '/history local');
+    event = await harness.expectEvent(eve, 'multiline');
+    assert.deepStrictEqual(withoutTime(event.message), ['The last 2 local message(s):', 'Bob: local talk', 'Bob waves at Eve.']);
+});
+
+test('history: only faction members can see the faction history', async (harness) => {
+    const eve = await harness.login('Eve');
+
+    await harness.command(eve, '/history faction');
+    await harness.expectEvent(eve, {type: 'error', message: /You are not a member of a faction/});
+    await harness.command(eve, '/history foo');
+    await harness.expectEvent(eve, {type: 'error', message: /Invalid chat. Use global, faction or local/});
+});
+
+test('history: players get the history on login, without the messages of players they ignore', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await chat(harness, bob, '/g hello world');
+    await chat(harness, eve, '/g hi bob');
+    await harness.command(eve, '/ignore bob');
+    await harness.expectEvent(eve, {type: 'success', message: /You are now ignoring Bob/});
+    await harness.Game.characterManager.save(eve.user_id);
+
+    const eveAgain = await harness.login('Eve');
+    const action = harness.actions(eveAgain).find((obj) => obj.type === ACCOUNT_AUTHENTICATE_SUCCESS);
+    assert.deepStrictEqual(action.payload.gameData.chat.map((message) => message.message), ['hi bob']);
+});
+
+test('history: the history is saved, and loaded after a restart', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await chat(harness, bob, '/g hello world');
+    await chat(harness, bob, '/g still here');
+    await harness.settle(50);
+
+    harness.Game.chatManager.history = {};
+    await harness.Game.chatManager.load('global');
+    assert.deepStrictEqual(harness.Game.chatManager.history.global.map((message) => message.message), ['hello world', 'still here']);
+});
@@ -0,0 +1,57 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+
+test('ignore: whispers from ignored players are not delivered', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/ignore eve');
+    await harness.expectEvent(bob, {type: 'success', message: /You are now ignoring Eve/});
+
+    await harness.command(eve, '/whisper Bob hi');
+    await harness.expectEvent(eve, {type: 'error', message: /Your message could not be delivered/});
+    assert.ok(!harness.actions(bob).find((action) => action.type === CHAT_MESSAGE));
+});
+
+test('ignore: public messages list the players ignoring the sender', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/ignore eve');
+    await harness.expectEvent(bob, {type: 'success', message: /You are now ignoring Eve/});
+
+    await harness.command(eve, '/g hello all');
+    const action = await harness.expectAction(bob, {type: CHAT_MESSAGE, payload: {message: 'hello all'}});
+    assert.deepStrictEqual(action.payload.ignore, [bob.user_id]);
+});
+
+test('ignore: players cannot ignore themselves or staff', async (harness) => {
+    const bob = await harness.login('Bob');
+    await harness.login('Mallory', {role: 'moderator'});
+
+    await harness.command(bob, '/ignore bob');
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot ignore yourself/});
+    await harness.command(bob, '/ignore mallory');
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot ignore staff members/});
+
+    assert.strictEqual(bob.character.ignores.length, 0);
+});
+
+test('ignore: the ignore list is saved, and players can be unignored by name', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/ignore eve');
+    await harness.expectEvent(bob, {type: 'success', message: /You are now ignoring Eve/});
+    await harness.Game.characterManager.save(bob.user_id);
+
+    const saved = harness.store.collections.characters.find((character) => character.name === 'Bob');
+    assert.deepStrictEqual(saved.ignores.map((obj) => obj.user_id), [eve.user_id]);
+
+    await harness.command(bob, '/unignore EVE');
+    await harness.expectEvent(bob, {type: 'success', message: /You are no longer ignoring Eve/});
+    assert.ok(!bob.character.isIgnoring(eve.user_id));
+});
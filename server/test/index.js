@@ -0,0 +1,26 @@
+import fs from 'fs';
+import path from 'path';
+
+// test specific imports
+import {run} from './runner';
+
+// only the files matching one of the arguments are run, eg. npm test -- combat shop
+const filters = process.argv.slice(2);
+const files = fs.readdirSync(__dirname)
+    .filter((file) => file.endsWith('.test.js'))
+    .filter((file) => !filters.length || filters.some((filter) => file.includes(filter)))
+    .sort();
+
+files.forEach((file) => {
+    require(path.join(__dirname, file));
+});
+
+run()
+    .then((failed) => {
+        // the game leaves handles open (eg. the mongoose connection), so exit explicitly
+        process.exit(failed ? 1 : 0);
+    })
+    .catch((err) => {
+        console.error(err);
+        process.exit(1);
+    });
@@ -0,0 +1,120 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+import {UPDATE_CHARACTER} from '../game/components/character/types';
+
+/**
+ * Gives the character a new item
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @param  {String}  itemId
+ * @return {Item}
+ */
+function give(harness, user, itemId) {
+    const item = harness.Game.itemManager.add(itemId);
+    user.character.giveItem(item);
+    return item;
+}
+
+test('items: pepper spray makes everyone aiming at the character lose their aim', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    give(harness, bob, 'pepperspray');
+    await harness.command(bob, '/usebyindex 0');
+    await harness.expectEvent(bob, {type: 'warning', message: /No one is aiming at you, so you decide to save the spray/});
+    assert.strictEqual(bob.character.inventory.length, 1);
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    await harness.Game.characterManager.teleport(eve.character, {map: 'testville', x: 3, y: 3});
+    await harness.command(eve, '/aim bob');
+    await harness.expectEvent(eve, /You take aim at Bob/);
+
+    await harness.command(bob, '/usebyindex 0');
+    await harness.expectEvent(eve, {type: 'warning', message: /Bob sprays you in the face with Pepper Spray/});
+    assert.ok(!eve.character.target);
+    assert.strictEqual(bob.character.targetedBy.length, 0);
+    assert.strictEqual(bob.character.inventory.length, 0);
+});
+
+test('items: adrenaline raises the max health and shortens cooldowns, until it wears off', async (harness) => {
+    const bob = await harness.login('Bob');
+    const cooldownManager = harness.Game.cooldownManager;
+
+    give(harness, bob, 'adrenalin');
+    give(harness, bob, 'adrenalin');
+    await harness.command(bob, '/usebyindex 0');
+    await harness.expectEvent(bob, /You stab the Adrenalin syringe into your thigh/);
+
+    assert.strictEqual(bob.character.stats.health_max, 125);
+    assert.strictEqual(cooldownManager.add(bob.character, 'attack', 2).ticks, 14);
+
+    // another shot is refused, and the item is kept
+    await harness.command(bob, '/usebyindex 0');
+    await harness.expectEvent(bob, {type: 'warning', message: /Your heart is already racing/});
+    assert.strictEqual(bob.character.inventory.length, 1);
+
+    harness.Game.effectManager.removeEffect(bob.character, 'adrenaline');
+    assert.strictEqual(bob.character.stats.health_max, 100);
+    assert.strictEqual(cooldownManager.add(bob.character, 'attack', 2).ticks, 20);
+});
+
+test('items: the distress beacon sends the location to the faction', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    give(harness, bob, 'beacon');
+    await harness.command(bob, '/usebyindex 0');
+    await harness.expectEvent(bob, {type: 'warning', message: /You are not in a faction/});
+    assert.strictEqual(bob.character.inventory.length, 1);
+
+    await harness.command(bob, '/factioncreate Testers TST');
+    await harness.expectEvent(bob, {type: 'success', message: /Your new faction has been created/});
+    await harness.command(bob, '/factioninvite Eve');
+    await harness.expectEvent(eve, /You have been invited to join the faction Testers/);
+    await harness.command(eve, '/factionjoin Testers');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {message: 'Eve has joined Testers!'}});
+
+    await harness.command(bob, '/usebyindex 0');
+    await harness.expectEvent(eve, {type: 'warning', message: /Bob activated a Distress Beacon, and needs help at .*, North 1 \/ East 1!/});
+    assert.strictEqual(bob.character.inventory.length, 0);
+});
+
+test('items: the distress beacon marks the location for the faction, until it expires', async (harness) => {
+    const bob = await harness.login('Bob');
+    let eve = await harness.login('Eve');
+
+    await harness.command(bob, '/factioncreate Testers TST');
+    await harness.expectEvent(bob, {type: 'success', message: /Your new faction has been created/});
+    await harness.command(bob, '/factioninvite Eve');
+    await harness.expectEvent(eve, /You have been invited to join the faction Testers/);
+    await harness.command(eve, '/factionjoin Testers');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {message: 'Eve has joined Testers!'}});
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 4});
+    give(harness, bob, 'beacon');
+    await harness.command(bob, '/usebyindex 0');
+    await harness.expectEvent(eve, 'warning');
+
+    // the online members get the beacon right away
+    const update = await harness.expectAction(eve, (action) => action.type === UPDATE_CHARACTER && action.payload.faction && action.payload.faction.beacons.length);
+    const beacon = update.payload.faction.beacons[0];
+    assert.deepStrictEqual({...beacon, expires: null}, {user_id: bob.user_id, name: 'Bob', map: 'testville', x: 3, y: 4, expires: null});
+    assert.ok(beacon.expires > Date.now() + 299000);
+
+    // and members logging in later, with their character
+    await harness.Game.characterManager.save(eve.user_id);
+    eve.socket.disconnect();
+    await harness.settle(50);
+    eve = await harness.login('Eve');
+    assert.strictEqual(harness.Game.characterManager.getSync(eve.user_id).exportToClient().faction.beacons.length, 1);
+
+    // a new beacon replaces the old one, and expired beacons are no longer shown
+    const faction = bob.character.faction;
+    faction.addBeacon(bob.character, 60);
+    assert.strictEqual(faction.getBeacons().length, 1);
+    faction.beacons[0].expires = Date.now() - 1;
+    assert.deepStrictEqual(faction.toObject(true).beacons, []);
+});
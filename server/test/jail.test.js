@@ -0,0 +1,101 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {MOVE_CHARACTER} from '../game/components/character/types';
+
+/**
+ * Gets the police officer NPC of the map
+ * @param  {Harness} harness
+ * @return {NPC}
+ */
+function getOfficer(harness) {
+    return harness.Game.npcManager.npcs.find((npc) => npc.type === 'Police Officer');
+}
+
+/**
+ * Gets the location of the jail of the test map
+ * @param  {Harness} harness
+ * @return {Promise} Resolves with the location
+ */
+async function getJail(harness) {
+    const gameMap = await harness.Game.mapManager.get('testville');
+    return {map: 'testville', ...gameMap.jail};
+}
+
+/**
+ * Logs in Bob, with a wanted level of 2, and arrests them
+ * @param  {Harness} harness
+ * @return {Promise} Resolves with bob
+ */
+async function arrest(harness) {
+    const bob = await harness.login('Bob');
+
+    harness.Game.wantedManager.addHeat(bob.character, 40);
+    await harness.Game.jailManager.arrest(bob.character, getOfficer(harness));
+    await harness.expectEvent(bob, /The cell door slams shut behind you/);
+
+    return bob;
+}
+
+test('jail: wanted players defeated by law enforcement are arrested', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+    const officer = getOfficer(harness);
+
+    bob.character.giveItem(harness.Game.itemManager.add('cocaine'));
+    await harness.Game.characterManager.teleport(bob.character, {...officer.location});
+    await harness.Game.characterManager.teleport(eve.character, {...officer.location});
+    harness.Game.wantedManager.addHeat(bob.character, 45);
+    await harness.expectEvent(bob, /has taken aim at you/);
+
+    bob.character.stats.health = 1;
+    officer.attackHit = () => true;
+    officer.attack();
+
+    await harness.expectEvent(bob, {type: 'warning', message: /You are sentenced to 120 seconds in jail/});
+    await harness.expectEvent(bob, /Your Cocaine was confiscated/);
+    await harness.expectEvent(eve, /knock Bob to the ground, and take them away in handcuffs/);
+    await harness.expectEvent(bob, /The cell door slams shut behind you/);
+
+    assert.deepStrictEqual(bob.character.location, await getJail(harness));
+    assert.strictEqual(bob.character.stats.heat, 0);
+    assert.strictEqual(bob.character.inventory.length, 0);
+});
+
+test('jail: jailed players cannot move, until they pay their bail', async (harness) => {
+    const bob = await arrest(harness);
+
+    harness.dispatch(bob, {type: MOVE_CHARACTER, payload: {grid: 'y', direction: -1}});
+    await harness.expectEvent(bob, /You are jailed, and cannot move/);
+
+    await harness.command(bob, '/bail');
+    await harness.expectEvent(bob, {type: 'error', message: /Your bail is 600, but you only have 0 in the bank/});
+
+    bob.character.stats.bank = 1000;
+    await harness.command(bob, '/bail');
+    await harness.expectEvent(bob, /You paid your bail of 600 from your bank account/);
+    assert.strictEqual(bob.character.stats.bank, 400);
+    assert.strictEqual(harness.Game.jailManager.getSentence(bob.character), 0);
+});
+
+test('jail: the sentence is saved with the character', async (harness) => {
+    const bob = await arrest(harness);
+
+    await harness.Game.characterManager.save(bob.user_id);
+    bob.socket.disconnect();
+    await harness.settle(50);
+
+    const bobAgain = await harness.login('Bob');
+    assert.ok(harness.Game.jailManager.getSentence(bobAgain.character) > 110);
+    assert.deepStrictEqual(bobAgain.character.location, await getJail(harness));
+});
+
+test('jail: dying does not get players out of jail', async (harness) => {
+    const bob = await arrest(harness);
+
+    await harness.Game.characterManager.kill(bob.user_id, null);
+
+    assert.ok(harness.Game.jailManager.getSentence(bob.character) > 110);
+    assert.deepStrictEqual(bob.character.location, await getJail(harness));
+});
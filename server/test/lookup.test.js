@@ -0,0 +1,43 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {findInArray} from '../game/helper';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+
+test('lookup: names match exactly first, then by the beginning of the name', async () => {
+    const list = [{name: 'Evelyn'}, {name: 'Eve'}, {name: 'Steve'}];
+
+    assert.strictEqual(findInArray(list, 'name', 'EVE'), list[1]);
+    assert.strictEqual(findInArray(list, 'name', 'evel'), list[0]);
+    // names only containing the search do not match
+    assert.strictEqual(findInArray(list, 'name', 'teve'), undefined);
+    assert.strictEqual(findInArray(list, 'name', 'nobody'), undefined);
+});
+
+test('lookup: players are found by the beginning of their name', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/whisper ev hello');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {name: 'Bob', message: 'hello'}});
+
+    await harness.command(eve, '/whisper ob hello');
+    await harness.expectEvent(eve, {type: 'error', message: 'There is no Target online by that name.'});
+    assert.strictEqual(harness.Game.characterManager.getByNameSync('ve'), null);
+});
+
+test('lookup: factions are found by the beginning of their name', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/factioncreate Testers TST');
+    await harness.expectEvent(bob, {type: 'success', message: /Your new faction has been created/});
+    await harness.command(bob, '/factioninvite Eve');
+    await harness.expectEvent(eve, /You have been invited to join the faction Testers/);
+
+    await harness.command(eve, '/factionjoin sters');
+    await harness.expectEvent(eve, {type: 'error', message: 'The Faction Name is not a valid faction.'});
+    await harness.command(eve, '/factionjoin test');
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {message: 'Eve has joined Testers!'}});
+});
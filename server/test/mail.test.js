@@ -0,0 +1,104 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {MAIL_INBOX, MAIL_UNREAD} from '../shared/types';
+
+test('mail: online recipients are told about new mail', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/mail send eve Hello there | How are you doing?');
+    await harness.expectEvent(bob, {type: 'success', message: /Your mail was sent to Eve/});
+
+    await harness.expectEvent(eve, {type: 'info', message: /You have new mail from Bob: "Hello there"/});
+    const action = await harness.expectAction(eve, MAIL_UNREAD);
+    assert.strictEqual(action.payload.unread, 1);
+});
+
+test('mail: offline recipients get their mail when they log in', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.Game.characterManager.save(eve.user_id);
+    eve.socket.disconnect();
+    await harness.settle(50);
+
+    await harness.command(bob, '/mail send Eve Hello there | How are you doing? | fine');
+    await harness.expectEvent(bob, {type: 'success', message: /Your mail was sent to Eve/});
+
+    const eveAgain = await harness.login('Eve');
+    await harness.expectEvent(eveAgain, /You have 1 unread mail/);
+
+    await harness.command(eveAgain, '/mail read 1');
+    await harness.expectEvent(eveAgain, {type: 'multiline'});
+    const action = await harness.expectAction(eveAgain, MAIL_INBOX);
+
+    // only the first pipe splits the subject from the message
+    assert.strictEqual(action.payload.mails[0].body, 'How are you doing? | fine');
+    assert.strictEqual(action.payload.mails[0].read, true);
+    assert.strictEqual(action.payload.unread, 0);
+});
+
+test('mail: read mails can be deleted', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/mail send eve First | one');
+    await harness.expectEvent(bob, {type: 'success', message: /Your mail was sent to Eve/});
+    bob.character.cooldowns = [];
+    await harness.command(bob, '/mail send eve Second | two');
+    await harness.expectAction(eve, {type: MAIL_UNREAD, payload: {unread: 2}});
+
+    await harness.command(eve, '/mail read 2');
+    await harness.expectAction(eve, {type: MAIL_INBOX, payload: {unread: 1}});
+    harness.clear(eve);
+    await harness.command(eve, '/mail delete read');
+    await harness.expectEvent(eve, {type: 'success', message: /Deleted 1 mail/});
+
+    const action = await harness.expectAction(eve, MAIL_INBOX);
+    assert.deepStrictEqual(action.payload.mails.map((mail) => mail.subject), ['Second']);
+});
+
+test('mail: mail is not delivered to unknown or ignoring players', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/mail send Nobody Hello | anyone?');
+    await harness.expectEvent(bob, {type: 'error', message: /There is no character by the name Nobody/});
+
+    await harness.command(eve, '/ignore bob');
+    await harness.expectEvent(eve, {type: 'success', message: /You are now ignoring Bob/});
+    bob.character.cooldowns = [];
+    await harness.command(bob, '/mail send Eve Hello | again');
+    await harness.expectEvent(bob, {type: 'error', message: /Your mail could not be delivered/});
+
+    assert.strictEqual(await harness.Game.mailManager.count(eve.user_id), 0);
+});
+
+test('mail: the subject and message go through the chat filter', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.command(bob, '/mail send eve Darn | visit www.spam.com');
+    await harness.expectEvent(bob, {type: 'error', message: /Links are not allowed in the chat/});
+    bob.character.cooldowns = [];
+    await harness.command(bob, '/mail send eve Darn | SO VERY ANGRY RIGHT NOW');
+    await harness.expectEvent(bob, {type: 'success', message: /Your mail was sent to Eve/});
+
+    await harness.command(eve, '/mail read 1');
+    await harness.expectEvent(eve, {type: 'multiline'});
+    const action = await harness.expectAction(eve, MAIL_INBOX);
+    assert.strictEqual(action.payload.mails.length, 1);
+    assert.deepStrictEqual([action.payload.mails[0].subject, action.payload.mails[0].body], ['****', 'so very angry right now']);
+}, {
+    config: {
+        game: {
+            chatFilter: {
+                words: {
+                    mask: ['darn'],
+                },
+            },
+        },
+    },
+});
@@ -0,0 +1,101 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {CHAT_MESSAGE} from '../game/components/command/types';
+
+/**
+ * Logs in Bob and Eve at the same (non safe zone) location, where Bob invites Eve to a party
+ * @param  {Harness} harness
+ * @return {Promise} Resolves with {bob, eve}
+ */
+async function setup(harness) {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    await harness.Game.characterManager.teleport(eve.character, {map: 'testville', x: 3, y: 3});
+
+    await harness.command(bob, '/party invite Eve');
+    await harness.expectEvent(eve, /Bob has invited you to their party/);
+    await harness.command(eve, '/party accept');
+    await harness.expectAction(bob, {type: CHAT_MESSAGE, payload: {type: 'party', message: 'Eve joined the party.'}});
+
+    return {bob, eve};
+}
+
+test('party: invited players can join, and use the party chat', async (harness) => {
+    const {bob, eve} = await setup(harness);
+    const sam = await harness.login('Sam');
+
+    await harness.command(eve, '/p hello team');
+    await harness.expectAction(bob, {type: CHAT_MESSAGE, payload: {type: 'party', name: 'Eve', message: 'hello team'}});
+    assert.ok(!harness.actions(sam).find((action) => action.type === CHAT_MESSAGE && action.payload.type === 'party'));
+
+    await harness.command(eve, '/party invite Sam');
+    await harness.expectEvent(eve, {type: 'error', message: /Only the party leader can invite new members/});
+    await harness.command(sam, '/party invite Eve');
+    await harness.expectEvent(sam, {type: 'error', message: /Eve is already in a party/});
+});
+
+test('party: party members cannot aim at each other', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    await harness.Game.characterManager.teleport(eve.character, {map: 'testville', x: 3, y: 3});
+    await harness.command(eve, '/aim Bob');
+    await harness.expectEvent(eve, /You take aim at Bob/);
+
+    // joining the party releases the aim on the other members
+    await harness.command(bob, '/party invite Eve');
+    await harness.expectEvent(eve, /Bob has invited you to their party/);
+    await harness.command(eve, '/party accept');
+    await harness.expectEvent(eve, /You joined the party/);
+    assert.ok(!eve.character.target);
+    assert.strictEqual(bob.character.targetedBy.length, 0);
+
+    eve.character.cooldowns = [];
+    await harness.command(eve, '/aim Bob');
+    await harness.expectEvent(eve, {type: 'error', message: /You cannot take aim at Bob, as you are in the same party/});
+});
+
+test('party: kill rewards are shared with the party members at the location', async (harness) => {
+    const {bob, eve} = await setup(harness);
+    const npc = harness.Game.npcManager.npcs.find((obj) => obj.type === 'Test Pedestrian');
+    const money = {bob: bob.character.stats.money, eve: eve.character.stats.money};
+
+    npc.stats.money = 100;
+    npc.location = {...bob.character.location};
+    await harness.Game.npcManager.kill(npc, bob.character);
+
+    await harness.expectEvent(eve, new RegExp(`Your party killed ${npc.name} the Test Pedestrian, your share is 50 money`));
+    assert.strictEqual(bob.character.stats.money, money.bob + 50);
+    assert.strictEqual(eve.character.stats.money, money.eve + 50);
+});
+
+test('party: parties left with a single member are disbanded', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    bob.socket.disconnect();
+    await harness.expectAction(eve, {type: CHAT_MESSAGE, payload: {type: 'party', message: 'The party has been disbanded.'}});
+    assert.strictEqual(harness.Game.partyManager.parties.length, 0);
+});
+
+test('party: players reconnecting before they are logged out stay in the party', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    bob.socket.disconnect();
+    await harness.settle(50);
+    const bobAgain = await harness.login('Bob');
+
+    await harness.command(eve, '/p still here?');
+    await harness.expectAction(bobAgain, {type: CHAT_MESSAGE, payload: {type: 'party', message: 'still here?'}});
+    assert.strictEqual(harness.Game.partyManager.parties.length, 1);
+}, {
+    config: {
+        game: {
+            logout_timer: 3000,
+        },
+    },
+});
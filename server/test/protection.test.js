@@ -0,0 +1,87 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+
+/**
+ * The harness options, with new player protection until the Wannabe rank or 1 minute of play time
+ * @type {Object}
+ */
+const OPTIONS = {
+    config: {
+        game: {
+            protection: {
+                rank: 'Wannabe',
+                playTime: 1,
+            },
+        },
+    },
+};
+
+/**
+ * Logs in Bob and Eve, and moves them to the same (non safe zone) location
+ * @param  {Harness} harness
+ * @return {Promise} Resolves with {bob, eve}
+ */
+async function setup(harness) {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    await harness.Game.characterManager.teleport(eve.character, {map: 'testville', x: 3, y: 3});
+
+    return {bob, eve};
+}
+
+test('protection: protected players cannot aim at other players', async (harness) => {
+    const {bob} = await setup(harness);
+
+    assert.ok(harness.Game.protectionManager.isProtected(bob.character));
+    await harness.command(bob, '/aim Eve');
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot take aim at other players, while you are under new player protection/});
+}, OPTIONS);
+
+test('protection: players cannot aim at protected players', async (harness) => {
+    const {bob, eve} = await setup(harness);
+
+    bob.character.stats.exp = 300;
+    assert.ok(!harness.Game.protectionManager.isProtected(bob.character));
+    await harness.command(bob, '/aim Eve');
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot take aim at Eve, as they are under new player protection/});
+
+    // reaching the rank or the play time, whichever comes first, ends the protection
+    eve.character.stats.playtime = 100;
+    assert.ok(!harness.Game.protectionManager.isProtected(eve.character));
+
+    bob.character.cooldowns = [];
+    await harness.command(bob, '/aim Eve');
+    await harness.expectEvent(bob, /You take aim at Eve/);
+}, OPTIONS);
+
+test('protection: no one can take aim in a safe zone', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+    const npc = harness.Game.npcManager.npcs.find((obj) => obj.type !== 'Police Officer');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 2, y: 2});
+    await harness.Game.characterManager.teleport(eve.character, {map: 'testville', x: 2, y: 2});
+    await harness.command(bob, '/aim Eve');
+    await harness.expectEvent(bob, {type: 'error', message: /You cannot take aim at anyone here, this is a safe zone/});
+
+    npc.location = {...eve.character.location};
+    npc.setTarget(eve.user_id);
+    await harness.settle(50);
+    assert.ok(!npc.target);
+    assert.strictEqual(eve.character.targetedBy.length, 0);
+});
+
+test('protection: the play time is saved with the character', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    bob.character.stats.playtime = 100;
+    bob.character.loaded_at -= 30000;
+    await harness.Game.characterManager.save(bob.user_id);
+
+    const saved = harness.store.collections.characters.find((character) => character.name === 'Bob');
+    assert.ok(saved.stats.playtime >= 130);
+});
@@ -0,0 +1,132 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {GAME_COMMAND} from '../game/components/command/types';
+
+/**
+ * The harness options, with a small bucket which does not delay any actions
+ * @type {Object}
+ */
+const OPTIONS = {
+    config: {
+        game: {
+            rateLimit: {
+                enabled: true,
+                default: {
+                    capacity: 3,
+                    refill: 10,
+                },
+                maxQueue: 0,
+                maxStrikes: 5,
+            },
+        },
+    },
+};
+
+/**
+ * Sends a number of /help commands, right after each other
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @param  {Number}  count
+ */
+function flood(harness, user, count) {
+    for (let index = 0; index < count; index++) {
+        harness.dispatch(user, {type: GAME_COMMAND, payload: '/help say'});
+    }
+}
+
+/**
+ * Counts the /help replies the user received
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @return {Number}
+ */
+function countReplies(harness, user) {
+    return harness.events(user).filter((event) => event.type === 'multiline').length;
+}
+
+test('ratelimit: actions over the burst capacity are dropped, with a warning', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    flood(harness, bob, 5);
+    await harness.expectEvent(bob, {type: 'error', message: 'You are sending actions too fast. Slow down, or you will be disconnected.'});
+    await harness.settle(50);
+
+    assert.strictEqual(countReplies(harness, bob), 3);
+    assert.deepStrictEqual(harness.Game.socketManager.getRateLimitCounters().find((obj) => obj.user_id === bob.user_id).dropped, 2);
+
+    // every socket has its own buckets
+    flood(harness, eve, 3);
+    await harness.settle(50);
+    assert.strictEqual(countReplies(harness, eve), 3);
+}, OPTIONS);
+
+test('ratelimit: actions are delayed while there is room in the queue', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    flood(harness, bob, 5);
+    await harness.settle(50);
+    assert.strictEqual(countReplies(harness, bob), 3);
+
+    // a token is refilled every 100ms
+    await harness.settle(250);
+    assert.strictEqual(countReplies(harness, bob), 5);
+    assert.strictEqual(harness.Game.socketManager.getRateLimitCounters()[0].delayed, 2);
+}, {
+    config: {
+        game: {
+            rateLimit: {
+                ...OPTIONS.config.game.rateLimit,
+                maxQueue: 2,
+            },
+        },
+    },
+});
+
+test('ratelimit: the tokens are refilled over time', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    flood(harness, bob, 4);
+    await harness.settle(50);
+    assert.strictEqual(countReplies(harness, bob), 3);
+
+    await harness.settle(300);
+    flood(harness, bob, 3);
+    await harness.settle(50);
+    assert.strictEqual(countReplies(harness, bob), 6);
+}, OPTIONS);
+
+test('ratelimit: repeat offenders are disconnected', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    // 4 strikes, the 5th disconnects
+    flood(harness, bob, 3 + 4);
+    await harness.settle(50);
+    assert.ok(bob.socket.connected);
+
+    flood(harness, bob, 1);
+    await harness.expectEvent(bob, {type: 'error', message: 'You have been disconnected for sending too many actions.'});
+    await harness.settle(50);
+
+    assert.ok(!bob.socket.connected);
+    assert.ok(!harness.Game.characterManager.getSync(bob.user_id));
+}, OPTIONS);
+
+test('ratelimit: /ratelimit shows the counters to moderators only', async (harness) => {
+    const bob = await harness.login('Bob');
+    const mod = await harness.login('Mod', {role: 'moderator'});
+
+    await harness.command(bob, '/ratelimit');
+    await harness.expectEvent(bob, {type: 'error', message: 'You do not have permission to use that command.'});
+    await harness.command(mod, '/ratelimit');
+    await harness.expectEvent(mod, {type: 'info', message: 'No players are currently being rate limited.'});
+
+    flood(harness, bob, 5);
+    await harness.settle(50);
+
+    await harness.command(mod, '/ratelimit');
+    // the login and the first /ratelimit took their tokens as well
+    await harness.expectEvent(mod, {type: 'multiline', message: ['Players being rate limited:', 'Bob: 5 allowed, 0 delayed, 3 dropped, 3 strike(s)']});
+}, OPTIONS);
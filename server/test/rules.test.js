@@ -0,0 +1,147 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+
+/**
+ * Registers the test rules, and a /pick command using them
+ * @param  {Harness} harness
+ */
+function register(harness) {
+    const commandManager = harness.Game.commandManager;
+
+    commandManager.registerRules([
+        {
+            rule: 'even',
+            method: (value) => {
+                if (value % 2) {
+                    throw new Error('{name} must be an even number, {name} was odd.');
+                }
+
+                return value;
+            },
+        },
+        {
+            rule: 'shout',
+            // async rules resolve the new value, or reject with the error
+            method: (value, modifiers) => Promise.resolve(`${value.toUpperCase()}${modifiers[0] || ''}`),
+        },
+        {
+            rule: 'nope',
+            method: () => Promise.reject(),
+        },
+    ]);
+
+    commandManager.registerManager([
+        {
+            command: '/pick',
+            params: [
+                {
+                    name: 'Number',
+                    desc: 'An even number.',
+                    rules: 'required|integer|even',
+                },
+                {
+                    name: 'Word',
+                    desc: 'A word to shout.',
+                    rules: 'shout:!',
+                },
+            ],
+            description: 'Picks a number.',
+            method: (socket, character, command, params, cmdObject, Game) => {
+                Game.eventToSocket(socket, 'info', `You picked ${params[0] + 1} ${params[1]}`);
+            },
+        },
+        {
+            command: '/nope',
+            params: [
+                {
+                    name: 'Anything',
+                    desc: 'Never valid.',
+                    rules: 'required|nope',
+                },
+            ],
+            description: 'Never works.',
+            method: () => {},
+        },
+    ]);
+}
+
+test('rules: registered rules validate, and can replace, the parameter values', async (harness) => {
+    const bob = await harness.login('Bob');
+    register(harness);
+
+    await harness.command(bob, '/pick 4 hey');
+    // the integer rule parsed the number, and the async shout rule replaced the word
+    await harness.expectEvent(bob, {type: 'info', message: 'You picked 5 HEY!'});
+});
+
+test('rules: {name} in a rule error is replaced with the parameter name', async (harness) => {
+    const bob = await harness.login('Bob');
+    register(harness);
+
+    await harness.command(bob, '/pick 3');
+    await harness.expectEvent(bob, {type: 'error', message: 'Number must be an even number, Number was odd.'});
+    await harness.command(bob, '/pick three');
+    await harness.expectEvent(bob, {type: 'error', message: 'Number must be a integer.'});
+
+    // rules rejecting without a message get a generic error
+    await harness.command(bob, '/nope 1');
+    await harness.expectEvent(bob, {type: 'error', message: 'Anything is not valid.'});
+});
+
+test('rules: required parameters cannot be missing or empty', async (harness) => {
+    const bob = await harness.login('Bob');
+    register(harness);
+
+    await harness.command(bob, '/pick');
+    await harness.expectEvent(bob, {type: 'error', message: 'Missing parameter: Number'});
+    await harness.command(bob, '/say ""');
+    await harness.expectEvent(bob, {type: 'error', message: 'Missing parameter: Message'});
+});
+
+test('rules: rules cannot be registered twice, and unknown rules are ignored', async (harness) => {
+    const bob = await harness.login('Bob');
+    const commandManager = harness.Game.commandManager;
+    const integer = commandManager.rules.integer;
+
+    commandManager.registerRule('integer', {method: (value) => value});
+    assert.strictEqual(commandManager.rules.integer, integer);
+
+    commandManager.registerManager([
+        {
+            command: '/echo',
+            params: [
+                {
+                    name: 'Text',
+                    desc: 'The text to echo.',
+                    rules: 'required|doesnotexist',
+                },
+            ],
+            description: 'Echoes the text.',
+            method: (socket, character, command, params, cmdObject, Game) => {
+                Game.eventToSocket(socket, 'info', params[0]);
+            },
+        },
+    ]);
+
+    await harness.command(bob, '/echo hello there');
+    await harness.expectEvent(bob, {type: 'info', message: 'hello there'});
+});
+
+test('rules: the component rules find players and items', async (harness) => {
+    const bob = await harness.login('Bob');
+    await harness.login('Eve');
+
+    await harness.command(bob, '/whisper Nobody hello');
+    await harness.expectEvent(bob, {type: 'error', message: 'There is no Target online by that name.'});
+    await harness.command(bob, '/drop nothing');
+    await harness.expectEvent(bob, {type: 'error', message: 'The Item Name is not a valid item.'});
+
+    // player:grid only finds players at the same location
+    const money = bob.character.stats.money;
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    await harness.command(bob, '/give Eve 10');
+    await harness.expectEvent(bob, 'error');
+    assert.strictEqual(bob.character.stats.money, money);
+});
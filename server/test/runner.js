@@ -0,0 +1,72 @@
+import Harness from './harness';
+
+/**
+ * The registered tests
+ * @type {Array}
+ */
+const tests = [];
+
+/**
+ * Registers a test. Each test gets its own freshly started harness, which is shut down once the test is done.
+ *
+ * test('bob can say hello', async (harness) => {
+ *     const bob = await harness.login('Bob');
+ *     ...
+ * }, {config: {game: {...}}});
+ *
+ * @param  {String}   name    The name of the test
+ * @param  {Function} fn      The test, receiving the started harness. Fails if it throws or rejects.
+ * @param  {Object}   options The harness options, eg. {config, data, timeout}
+ */
+export function test(name, fn, options = {}) {
+    tests.push({
+        name,
+        fn,
+        options,
+    });
+}
+
+/**
+ * Runs a single test with its own harness
+ * @param  {Object} entry The registered test
+ * @return {Promise}      Resolves with the error, or null if the test passed
+ */
+async function runTest(entry) {
+    let harness;
+
+    try {
+        harness = await new Harness(entry.options).start();
+        await entry.fn(harness);
+        return null;
+    } catch (err) {
+        return err;
+    } finally {
+        if (harness) {
+            await harness.shutdown();
+        }
+    }
+}
+
+/**
+ * Runs all the registered tests, one at a time
+ * @return {Promise} Resolves with the number of failed tests
+ */
+export async function run() {
+    let failed = 0;
+
+    for (const entry of tests) {
+        const started = Date.now();
+        const err = await runTest(entry);
+
+        if (err) {
+            failed++;
+            console.log(`  ✗ ${entry.name}`);
+            console.log(`    ${(err.stack || `${err}`).split('\n').join('\n    ')}`);
+        } else {
+            console.log(`  ✓ ${entry.name} (${Date.now() - started}ms)`);
+        }
+    }
+
+    console.log(`\n${tests.length - failed} passing, ${failed} failing`);
+    return failed;
+}
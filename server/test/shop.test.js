@@ -0,0 +1,123 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {SHOP_LOAD, SHOP_BUY, SHOP_SELL} from '../shared/types';
+
+/**
+ * Logs in Bob at the pawn shop, and opens the shop
+ * @param  {Harness} harness
+ * @return {Promise} Resolves with {bob, shop}, the shop being the SHOP_LOAD payload
+ */
+async function setup(harness) {
+    const bob = await harness.login('Bob');
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 4, y: 4});
+    await harness.command(bob, '/shop pawn');
+
+    const action = await harness.expectAction(bob, SHOP_LOAD);
+    return {bob, shop: action.payload};
+}
+
+/**
+ * Buys an item from the shop, as the client would
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @param  {Object}  shop    The SHOP_LOAD payload
+ * @param  {String}  itemId  The id of the item to buy
+ */
+function buy(harness, user, shop, itemId) {
+    harness.dispatch(user, {
+        type: SHOP_BUY,
+        payload: {
+            shop: shop.fingerprint,
+            index: shop.sell.list.findIndex((item) => item.id === itemId),
+            item: itemId,
+        },
+    });
+}
+
+/**
+ * Sells an item from the inventory to the shop, as the client would
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @param  {Object}  shop    The SHOP_LOAD payload
+ * @param  {Item}    item    The inventory item to sell
+ */
+function sell(harness, user, shop, item) {
+    harness.dispatch(user, {
+        type: SHOP_SELL,
+        payload: {
+            shop: shop.fingerprint,
+            item: item.fingerprint,
+        },
+    });
+}
+
+test('shop: /shop loads the shop at the location', async (harness) => {
+    const {bob, shop} = await setup(harness);
+
+    assert.strictEqual(shop.name, 'Pawn Shop');
+    assert.deepStrictEqual(shop.sell.list.map((item) => item.id), ['glock17', 'kevlarvest', 'ammobasic', 'switchblade']);
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 6, y: 6});
+    await harness.command(bob, '/shop pawn');
+    await harness.expectEvent(bob, {type: 'error', message: /There are no shops in the area/});
+});
+
+test('shop: buying an item takes the price, and gives the item', async (harness) => {
+    const {bob, shop} = await setup(harness);
+    const character = bob.character;
+
+    buy(harness, bob, shop, 'glock17');
+    await harness.expectEvent(bob, {type: 'error', message: /You do not have enough money/});
+    assert.strictEqual(character.inventory.length, 0);
+
+    character.stats.money = 20000;
+    buy(harness, bob, shop, 'glock17');
+    await harness.expectEvent(bob, {type: 'success', message: /You have purchased 1x Glock 17 for 18570/});
+
+    assert.strictEqual(character.stats.money, 20000 - 18570);
+    assert.deepStrictEqual(character.inventory.map((item) => item.id), ['glock17']);
+});
+
+test('shop: buying checks the item is still the one at the index', async (harness) => {
+    const {bob, shop} = await setup(harness);
+
+    bob.character.stats.money = 100000;
+    harness.dispatch(bob, {
+        type: SHOP_BUY,
+        payload: {
+            shop: shop.fingerprint,
+            index: 0,
+            item: 'kevlarvest',
+        },
+    });
+
+    await harness.expectEvent(bob, {type: 'error', message: /The item you where after is no longer available/});
+    assert.strictEqual(bob.character.inventory.length, 0);
+});
+
+test('shop: selling an item pays the buy price of the shop', async (harness) => {
+    const {bob, shop} = await setup(harness);
+    const character = bob.character;
+
+    character.giveItem(harness.Game.itemManager.add('ammobasic', {durability: 1}));
+    sell(harness, bob, shop, character.inventory[0]);
+
+    await harness.expectEvent(bob, {type: 'success', message: /You sold 1x Basic Ammo for 102.25/});
+    assert.strictEqual(character.inventory.length, 0);
+    assert.strictEqual(character.stats.money, 300 + 102.25);
+});
+
+test('shop: the shop refuses the item types it does not buy', async (harness) => {
+    const {bob, shop} = await setup(harness);
+    const character = bob.character;
+
+    character.giveItem(harness.Game.itemManager.add('cocaine', {durability: 1}));
+    sell(harness, bob, shop, character.inventory[0]);
+
+    await harness.expectEvent(bob, {type: 'error', message: /They are not interested in buying this type of item/});
+    assert.strictEqual(character.inventory.length, 1);
+    assert.strictEqual(character.stats.money, 300);
+});
@@ -0,0 +1,59 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import CharacterModel from '../game/components/character/model';
+import {LEADERBOARD, LEADERBOARD_GET} from '../shared/types';
+
+test('statistics: every leaderboard statistic is indexed', async (harness) => {
+    const indexed = CharacterModel.schema.indexes().map((index) => Object.keys(index[0])[0]);
+
+    Object.keys(harness.Game.statisticsManager.getList()).forEach((statistic) => {
+        assert.ok(indexed.includes(`statistics.${statistic}`), `statistics.${statistic} is not indexed`);
+    });
+});
+
+test('statistics: kills and deaths are recorded, NPC kills also by type', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+    const npc = harness.Game.npcManager.npcs.find((obj) => obj.type === 'Test Pedestrian');
+
+    await harness.Game.characterManager.kill(eve.user_id, bob.character);
+    npc.location = {...bob.character.location};
+    await harness.Game.npcManager.kill(npc, bob.character);
+
+    assert.strictEqual(bob.character.statistics.player_kills, 1);
+    assert.strictEqual(eve.character.statistics.deaths, 1);
+    assert.strictEqual(bob.character.statistics.npc_kills, 1);
+    assert.deepStrictEqual(bob.character.statistics.npc_kills_by_type, {'Test Pedestrian': 1});
+
+    await harness.command(eve, '/stats Bob');
+    await harness.expectEvent(eve, {type: 'multiline', message: /NPC Kills: 1 \(1 Test Pedestrian\)/});
+});
+
+test('statistics: leaderboards include offline players', async (harness) => {
+    const bob = await harness.login('Bob');
+    const eve = await harness.login('Eve');
+
+    eve.character.statistics.deaths = 3;
+    await harness.Game.characterManager.save(eve.user_id);
+    eve.socket.disconnect();
+    await harness.settle(50);
+    bob.character.statistics.deaths = 5;
+
+    await harness.command(bob, '/top deaths');
+    await harness.expectEvent(bob, {type: 'multiline', message: ['Top Deaths:', '1. Bob: 5', '2. Eve: 3']});
+
+    harness.dispatch(bob, {type: LEADERBOARD_GET, payload: {statistic: 'deaths'}});
+    const action = await harness.expectAction(bob, LEADERBOARD);
+    assert.deepStrictEqual(action.payload.leaderboard, [{name: 'Bob', value: 5}, {name: 'Eve', value: 3}]);
+});
+
+test('statistics: unknown and empty leaderboards', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.command(bob, '/top bogus');
+    await harness.expectEvent(bob, {type: 'error', message: /Invalid statistic\. Use one of: player_kills/});
+    await harness.command(bob, '/top times_fled');
+    await harness.expectEvent(bob, {type: 'info', message: /No one is on the Times Fled leaderboard yet/});
+});
@@ -0,0 +1,62 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+import {levenshtein} from '../game/helper';
+
+test('suggest: an unambiguous prefix runs the command', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.command(bob, '/pun');
+    await harness.expectEvent(bob, {type: 'error', message: 'You do not have a target.'});
+
+    // the character's aliases can be prefixed too
+    harness.Game.commandManager.addAlias(bob.character, 'helpsay', '/help say');
+    await harness.command(bob, '/helps');
+    await harness.expectEvent(bob, (event) => event.type === 'multiline' && event.message[0] === 'Usage: /say <Message>');
+});
+
+test('suggest: an ambiguous prefix lists the matching commands', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    // a longer prefix can be unambiguous again
+    await harness.command(bob, '/factionk');
+    await harness.expectEvent(bob, {type: 'error', message: 'Missing parameter: Player'});
+
+    await harness.command(bob, '/fac');
+    await harness.expectEvent(bob, {type: 'error', message: 'Command /fac is not a valid command. Did you mean: /faction, /factioncreate, /factiondisband?'});
+});
+
+test('suggest: typos get the closest commands suggested', async (harness) => {
+    const bob = await harness.login('Bob');
+    await harness.login('Alice', {role: 'admin'});
+
+    await harness.command(bob, '/whsiper');
+    await harness.expectEvent(bob, {type: 'error', message: 'Command /whsiper is not a valid command. Did you mean: /whisper?'});
+    await harness.command(bob, '/xyzzy');
+    await harness.expectEvent(bob, {type: 'error', message: 'Command /xyzzy is not a valid command.'});
+
+    // staff commands are not suggested to players
+    await harness.command(bob, '/unbam');
+    await harness.expectEvent(bob, {type: 'error', message: 'Command /unbam is not a valid command.'});
+
+    assert.strictEqual(levenshtein('kitten', 'sitting'), 3);
+    assert.strictEqual(levenshtein('', 'abc'), 3);
+    assert.strictEqual(levenshtein('same', 'same'), 0);
+});
+
+test('suggest: structure commands are only matched at their structure', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    await harness.command(bob, '/withd 100');
+    await harness.expectEvent(bob, {type: 'error', message: 'Command /withd is not a valid command.'});
+
+    bob.character.stats.bank = 100;
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 3, y: 3});
+    const money = bob.character.stats.money;
+    await harness.command(bob, '/withd 100');
+    await harness.expectEvent(bob, 'success');
+
+    assert.strictEqual(bob.character.stats.bank, 0);
+    assert.strictEqual(bob.character.stats.money, money + 100);
+});
@@ -0,0 +1,84 @@
+import assert from 'assert';
+
+// test specific imports
+import {test} from './runner';
+
+/**
+ * Makes the character use a gram of cocaine
+ * @param  {Harness} harness
+ * @param  {Object}  user
+ * @return {Promise}
+ */
+async function useDrugs(harness, user) {
+    user.character.giveItem(harness.Game.itemManager.add('cocaine'));
+    await harness.command(user, '/usebyindex 0');
+    await harness.expectEvent(user, /You use the Cocaine/);
+}
+
+/**
+ * Gets the police officer NPC of the map
+ * @param  {Harness} harness
+ * @return {NPC}
+ */
+function getOfficer(harness) {
+    return harness.Game.npcManager.npcs.find((npc) => npc.type === 'Police Officer');
+}
+
+test('wanted: only crimes seen by law enforcement add heat', async (harness) => {
+    const bob = await harness.login('Bob');
+    const officer = getOfficer(harness);
+
+    await useDrugs(harness, bob);
+    await harness.settle(20);
+    assert.strictEqual(bob.character.stats.heat, 0);
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 8, y: 8});
+    await useDrugs(harness, bob);
+    await harness.expectEvent(bob, {type: 'warning', message: new RegExp(`${officer.name} the Police Officer saw what you did`)});
+    assert.strictEqual(bob.character.stats.heat, 15);
+    assert.strictEqual(harness.Game.wantedManager.getLevel(bob.character), 0);
+});
+
+test('wanted: law enforcement aims at characters with a high wanted level on sight', async (harness) => {
+    const bob = await harness.login('Bob');
+    const officer = getOfficer(harness);
+
+    await harness.Game.characterManager.teleport(bob.character, {map: 'testville', x: 8, y: 8});
+    harness.Game.wantedManager.addHeat(bob.character, 40);
+    await harness.expectEvent(bob, /Your wanted level has risen to 2/);
+    assert.ok(officer.hostiles.includes(bob.character));
+
+    await harness.command(bob, '/wanted');
+    await harness.expectEvent(bob, /Your wanted level is 2\/5/);
+
+    officer.location = {map: 'testville', x: 8, y: 8};
+    harness.Game.wantedManager.updateHostility(bob.character);
+    await harness.expectEvent(bob, new RegExp(`${officer.name} the Police Officer has taken aim at you`));
+    assert.strictEqual(officer.target, bob.character);
+});
+
+test('wanted: heat decays, and law enforcement stops hunting the character', async (harness) => {
+    const bob = await harness.login('Bob');
+    const officer = getOfficer(harness);
+
+    harness.Game.wantedManager.addHeat(bob.character, 41);
+    await harness.expectEvent(bob, /Your wanted level has risen to 2/);
+
+    harness.Game.wantedManager.decay(bob.character);
+    await harness.expectEvent(bob, /Your wanted level has dropped to 1/);
+    assert.strictEqual(bob.character.stats.heat, 39);
+    assert.ok(!officer.hostiles.includes(bob.character));
+});
+
+test('wanted: heat is saved with the character', async (harness) => {
+    const bob = await harness.login('Bob');
+
+    harness.Game.wantedManager.addHeat(bob.character, 40);
+    await harness.Game.characterManager.save(bob.user_id);
+    bob.socket.disconnect();
+    await harness.settle(50);
+
+    const bobAgain = await harness.login('Bob');
+    assert.strictEqual(bobAgain.character.stats.heat, 40);
+    assert.ok(getOfficer(harness).hostiles.includes(bobAgain.character));
+});